@@ -8,14 +8,8 @@ const currencyFmt = new Intl.NumberFormat('en-IN', {
   currency: 'INR',
   maximumFractionDigits: 2,
 });
-const SOURCE_LABEL_MAP = Object.freeze({
-  nseindia: 'NSE',
-  bseindia: 'BSE',
-  tradingview: 'TV',
-  yahoo: 'YH',
-  screener: 'SCR',
-  twelvedata: 'TD',
-  alphavantage: 'AV',
+// Provider labels come from the server's provider registry (`GET /api/market/providers`).
+const DEFAULT_SOURCE_LABELS = Object.freeze({
   unavailable: '--',
 });
 const STATUS_LABEL_MAP = Object.freeze({
@@ -112,6 +106,94 @@ function formatCalendarTimestamp(value) {
   return parsed.toLocaleString('en-IN');
 }
 
+// Ledger dates are plain YYYY-MM-DD strings; render them without a timezone shift.
+function formatLedgerDate(value) {
+  const match = String(value || '').match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (!match) {
+    return '--';
+  }
+  const parsed = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  return parsed.toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric', timeZone: 'UTC' });
+}
+
+function todayIsoDate() {
+  const now = new Date();
+  return new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+}
+
+const EMPTY_PORTFOLIO = Object.freeze({
+  positions: [],
+  realized: [],
+  transactions: [],
+  warnings: [],
+  summary: { invested: 0, current: 0, pnl: 0, pnlPercent: 0, realizedPnl: 0, dividendIncome: 0, totalPnl: 0 },
+});
+
+const EMPTY_ALERT_FORM = Object.freeze({
+  symbol: '',
+  condition: 'PRICE_ABOVE',
+  value: '',
+  stage: '',
+  mode: 'once',
+  cooldownMinutes: '60',
+  note: '',
+});
+
+const EMPTY_CHANNEL_FORM = Object.freeze({
+  type: 'webhook',
+  name: '',
+  to: '',
+  url: '',
+  chatId: '',
+  botToken: '',
+});
+
+const NOTIFICATION_EVENT_LABELS = Object.freeze({
+  'alert.triggered': 'Alerts',
+  'sales.snapshot.completed': 'Sales snapshot',
+  'results.upcoming': 'Results reminders',
+  'digest.ready': 'Daily digest',
+});
+
+// Alert status -> existing ledger pill colour.
+const ALERT_STATUS_CLASSES = Object.freeze({ active: 'ok', paused: 'skipped', triggered: 'duplicate' });
+
+function createTransactionForm() {
+  return {
+    type: 'BUY',
+    symbol: '',
+    date: todayIsoDate(),
+    quantity: '',
+    price: '',
+    charges: '',
+    amount: '',
+    amountPerShare: '',
+    ratioNew: '',
+    ratioOld: '',
+    note: '',
+  };
+}
+
+// Payload for POST /api/portfolio/transactions; each ledger type sends only its own fields.
+function toTransactionPayload(form) {
+  const base = { type: form.type, symbol: form.symbol, date: form.date, note: form.note };
+  if (form.type === 'CHARGE') {
+    return { ...base, amount: Number(form.amount) };
+  }
+  if (form.type === 'DIVIDEND') {
+    return { ...base, amountPerShare: Number(form.amountPerShare) };
+  }
+  if (form.type === 'SPLIT' || form.type === 'BONUS') {
+    return { ...base, ratioNew: Number(form.ratioNew), ratioOld: Number(form.ratioOld) };
+  }
+  return {
+    ...base,
+    quantity: Number(form.quantity),
+    price: Number(form.price),
+    charges: form.charges === '' ? 0 : Number(form.charges),
+  };
+}
+
 function formatWatchlistTimestamp(value) {
   const parsed = new Date(value);
   if (Number.isNaN(parsed.getTime())) {
@@ -176,10 +258,44 @@ function formatSalesSnapshot(snapshot) {
   return parts.join(' · ');
 }
 
-function formatSourceCellValue(source, dataStatus) {
+// "Market open", "Pre-open session", "Market closed (Diwali Balipratipada), last close 07 Nov 2026", ...
+function formatMarketStatusLabel(status) {
+  if (!status?.phase) {
+    return '';
+  }
+  if (status.phase === 'open') {
+    return status.session?.special ? `${status.session.label} open` : 'Market open';
+  }
+  if (status.phase === 'pre-open') {
+    return 'Pre-open session';
+  }
+  if (status.phase === 'post-close') {
+    return 'Closing session';
+  }
+
+  let why = '';
+  if (status.reason === 'holiday' && status.holiday) {
+    why = ` (${status.holiday.description})`;
+  } else if (status.reason === 'weekend') {
+    why = ' (weekend)';
+  }
+  const lastClose = status.lastClose ? `, last close ${formatLedgerDate(status.lastClose.date)}` : '';
+  return `Market closed${why}${lastClose}`;
+}
+
+function buildSourceLabels(providers) {
+  return {
+    ...DEFAULT_SOURCE_LABELS,
+    ...Object.fromEntries((providers || [])
+      .filter((provider) => provider?.provider && provider.label)
+      .map((provider) => [provider.provider, provider.label])),
+  };
+}
+
+function formatSourceCellValue(source, dataStatus, sourceLabels = DEFAULT_SOURCE_LABELS) {
   const sourceKey = String(source || '').trim().toLowerCase();
   const statusKey = String(dataStatus || '').trim().toLowerCase();
-  const compactSource = SOURCE_LABEL_MAP[sourceKey] || String(source || '--');
+  const compactSource = sourceLabels[sourceKey] || String(source || '--');
   const compactStatus = STATUS_LABEL_MAP[statusKey] || String(dataStatus || '--');
 
   if (compactSource === '--' && compactStatus === '--') {
@@ -230,6 +346,60 @@ function emaColorSortBucket(emaValue, currentPrice) {
   return ema >= price ? 0 : 1;
 }
 
+const SCREENER_INDICATOR_INPUTS = [
+  { key: 'minRsi', label: 'Min RSI', step: '1' },
+  { key: 'maxRsi', label: 'Max RSI', step: '1' },
+  { key: 'minWeeklyRsi', label: 'Min Weekly RSI', step: '1' },
+  { key: 'maxWeeklyRsi', label: 'Max Weekly RSI', step: '1' },
+  { key: 'minAdx', label: 'Min ADX', step: '1' },
+  { key: 'minMansfieldRs', label: 'Min RS vs Nifty', step: '0.1' },
+  { key: 'stage2WithinWeeks', label: 'Entered Stage 2 within N weeks', step: '1' },
+];
+
+// "New" while the weekly stage change is within STAGE_TRANSITION_FRESH_WEEKS, then how long the stage has held.
+function StageTransition({ quote }) {
+  if (!quote?.previousStage || !quote?.stageWeeks) {
+    return null;
+  }
+  const weeks = `${quote.stageWeeks} wk${quote.stageWeeks === 1 ? '' : 's'}`;
+  return (
+    <div
+      className={`stage-transition ${quote.stageTransitionFresh ? 'fresh' : ''}`}
+      title={`Moved from ${quote.previousStage} to ${quote.marketCycleStage} in the week of ${quote.stageSince}`}
+    >
+      {quote.stageTransitionFresh ? 'New · ' : ''}
+      from {quote.previousStage} · {weeks}
+    </div>
+  );
+}
+
+function hasIndicator(value) {
+  return value !== null && value !== undefined;
+}
+
+function formatRsiPair(quote) {
+  const format = (value) => (hasIndicator(value) ? Math.round(Number(value)) : '--');
+  if (!hasIndicator(quote?.rsi14) && !hasIndicator(quote?.rsi14Weekly)) {
+    return '--';
+  }
+  return `${format(quote.rsi14)} / ${format(quote.rsi14Weekly)}`;
+}
+
+// Secondary indicators that have no column of their own.
+function formatIndicatorTitle(quote) {
+  const parts = [];
+  if (hasIndicator(quote?.atrPercent)) {
+    parts.push(`ATR(14) ${formatNum(quote.atr14)} (${formatPercent(quote.atrPercent)} of price)`);
+  }
+  if (hasIndicator(quote?.bollingerPercentB)) {
+    parts.push(`Bollinger %B ${formatNum(quote.bollingerPercentB)} (${formatNum(quote.bollingerLower)} – ${formatNum(quote.bollingerUpper)})`);
+  }
+  if (hasIndicator(quote?.plusDi14)) {
+    parts.push(`+DI ${formatNum(quote.plusDi14)} / −DI ${formatNum(quote.minusDi14)}`);
+  }
+  return parts.join('\n');
+}
+
 function compareSortValues(leftValue, rightValue) {
   const leftMissing = leftValue === null || leftValue === undefined || leftValue === '';
   const rightMissing = rightValue === null || rightValue === undefined || rightValue === '';
@@ -273,6 +443,14 @@ function getWatchlistSortValue(row, key) {
       return emaColorSortBucket(quote.ema200, quote.regularMarketPrice);
     case 'stage':
       return quote.marketCycleStage || '';
+    case 'rsi':
+      return quote.rsi14;
+    case 'macd':
+      return quote.macdHistogram;
+    case 'adx':
+      return quote.adx14;
+    case 'rs':
+      return quote.mansfieldRs;
     case 'liveData':
       return row.liveData ? 1 : 0;
     case 'lastUpdated': {
@@ -288,6 +466,8 @@ function getWatchlistSortValue(row, key) {
   }
 }
 
+const SESSION_EXPIRED_EVENT = 'signaldesk:session-expired';
+
 async function fetchJson(url, options = {}) {
   const response = await fetch(url, {
     headers: {
@@ -298,6 +478,11 @@ async function fetchJson(url, options = {}) {
   });
 
   const body = await response.json().catch(() => ({}));
+  if (response.status === 401) {
+    // Session cookie expired or was revoked; let the App show the re-login prompt.
+    window.dispatchEvent(new CustomEvent(SESSION_EXPIRED_EVENT, { detail: body }));
+    throw new Error(body.error || 'Your session has expired. Sign in again to continue.');
+  }
   if (!response.ok) {
     throw new Error(body.error || `Request failed: ${response.status}`);
   }
@@ -312,6 +497,216 @@ function sortIndicatorForColumn(sortState, key) {
   return sortState.direction === 'asc' ? '↑' : '↓';
 }
 
+// Growth-of-100 lines for the portfolio (TWR index) and the benchmark over the same dates.
+function PerformanceSparkline({ points }) {
+  const rows = (points || []).filter((point) => Number.isFinite(point.index));
+  if (rows.length < 2) {
+    return <div className="empty-state">The value curve appears after the second daily snapshot.</div>;
+  }
+
+  const width = 640;
+  const height = 160;
+  const levels = rows.flatMap((point) => [point.index, point.benchmarkIndex]).filter(Number.isFinite);
+  const min = Math.min(...levels);
+  const max = Math.max(...levels);
+  const span = max - min || 1;
+  const toPath = (key) => rows
+    .map((point, position) => (Number.isFinite(point[key])
+      ? `${(position / (rows.length - 1)) * width},${height - ((point[key] - min) / span) * height}`
+      : null))
+    .filter(Boolean)
+    .join(' ');
+
+  return (
+    <svg className="performance-sparkline" viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none" role="img" aria-label="Portfolio vs NIFTY 50">
+      <polyline className="performance-line-benchmark" points={toPath('benchmarkIndex')} />
+      <polyline className="performance-line-portfolio" points={toPath('index')} />
+    </svg>
+  );
+}
+
+const CHART_RANGE_PRESETS = ['1M', '3M', '6M', '1Y', '2Y', '5Y'];
+const CHART_OVERLAYS = [
+  { key: 'ema50', label: 'EMA50', className: 'chart-line-ema50' },
+  { key: 'ema200', label: 'EMA200', className: 'chart-line-ema200' },
+  { key: 'sma30w', label: '30W SMA', className: 'chart-line-sma30w' },
+];
+
+// Index of the last bar on or before `date` (weekly bars are keyed by their Monday).
+function findBarIndex(candles, date) {
+  let found = -1;
+  for (let index = 0; index < candles.length && candles[index].date <= date; index += 1) {
+    found = index;
+  }
+  return found;
+}
+
+// Candles (or a close line) with EMA/SMA overlays, Weinstein stage bands, volume and results/news markers.
+function SymbolChart({ chart }) {
+  const [chartType, setChartType] = useState('candles');
+  const [hoverIndex, setHoverIndex] = useState(-1);
+  const candles = chart?.candles || [];
+  if (candles.length < 2) {
+    return <div className="empty-state">Not enough price history to draw a chart.</div>;
+  }
+
+  // BSE-only history has closes without open/high/low.
+  const hasOhlc = candles.every((candle) => Number.isFinite(candle.open) && Number.isFinite(candle.high) && Number.isFinite(candle.low));
+  const type = hasOhlc ? chartType : 'line';
+  const width = 960;
+  const priceHeight = 300;
+  const volumeTop = priceHeight + 12;
+  const volumeHeight = 70;
+  const height = volumeTop + volumeHeight;
+  const axisWidth = 64;
+  const plotWidth = width - axisWidth;
+  const step = plotWidth / candles.length;
+  const xAt = (index) => (index + 0.5) * step;
+
+  const levels = candles.flatMap((candle) => [
+    type === 'candles' ? candle.high : candle.close,
+    type === 'candles' ? candle.low : candle.close,
+    ...CHART_OVERLAYS.map((overlay) => candle[overlay.key]),
+  ]).filter(Number.isFinite);
+  const rawMin = Math.min(...levels);
+  const rawMax = Math.max(...levels);
+  const padding = (rawMax - rawMin || rawMax || 1) * 0.04;
+  const min = rawMin - padding;
+  const span = (rawMax + padding) - min;
+  const yAt = (value) => priceHeight - ((value - min) / span) * priceHeight;
+  const maxVolume = Math.max(...candles.map((candle) => candle.volume || 0), 1);
+  const gridValues = [0, 1, 2, 3, 4].map((position) => min + (span * position) / 4);
+  const barWidth = Math.max(step * 0.6, 1);
+
+  const linePoints = (key) => candles
+    .map((candle, index) => (Number.isFinite(candle[key]) ? `${xAt(index)},${yAt(candle[key])}` : null))
+    .filter(Boolean)
+    .join(' ');
+  const markers = (chart.markers || [])
+    .map((marker) => ({ ...marker, index: findBarIndex(candles, marker.date) }))
+    .filter((marker) => marker.index >= 0);
+  const hovered = candles[hoverIndex] || candles[candles.length - 1];
+
+  function onMouseMove(event) {
+    const box = event.currentTarget.getBoundingClientRect();
+    const x = ((event.clientX - box.left) / box.width) * width;
+    setHoverIndex(Math.min(Math.max(Math.floor(x / step), 0), candles.length - 1));
+  }
+
+  return (
+    <div className="symbol-chart">
+      <div className="symbol-chart-toolbar">
+        <div className="symbol-chart-readout">
+          <strong>{formatLedgerDate(hovered.date)}</strong>
+          {hasOhlc ? ` O ${formatNum(hovered.open)} H ${formatNum(hovered.high)} L ${formatNum(hovered.low)}` : ''}
+          {` C ${formatNum(hovered.close)}`}
+          {Number.isFinite(hovered.volume) ? ` | Vol ${formatNum(hovered.volume)}` : ''}
+          {CHART_OVERLAYS.map((overlay) => (Number.isFinite(hovered[overlay.key])
+            ? ` | ${overlay.label} ${formatNum(hovered[overlay.key])}`
+            : '')).join('')}
+          {hovered.stage ? <span className={`stage-pill ${stageClass(hovered.stage)}`}>{hovered.stage}</span> : null}
+        </div>
+        {hasOhlc ? (
+          <select value={chartType} onChange={(event) => setChartType(event.target.value)} aria-label="Chart type">
+            <option value="candles">Candles</option>
+            <option value="line">Line</option>
+          </select>
+        ) : null}
+      </div>
+
+      <svg
+        className="symbol-chart-svg"
+        viewBox={`0 0 ${width} ${height}`}
+        preserveAspectRatio="none"
+        role="img"
+        aria-label={`${chart.symbol} price chart`}
+        onMouseMove={onMouseMove}
+        onMouseLeave={() => setHoverIndex(-1)}
+      >
+        {(chart.stageBands || []).map((band) => {
+          const fromIndex = findBarIndex(candles, band.from);
+          const toIndex = findBarIndex(candles, band.to);
+          return (
+            <rect
+              key={`${band.stage}-${band.from}`}
+              className={`chart-stage-band ${stageClass(band.stage)}`}
+              x={fromIndex * step}
+              y={0}
+              width={(toIndex - fromIndex + 1) * step}
+              height={priceHeight}
+            >
+              <title>{`${band.stage}: ${formatLedgerDate(band.from)} - ${formatLedgerDate(band.to)}`}</title>
+            </rect>
+          );
+        })}
+
+        {gridValues.map((value) => (
+          <g key={value}>
+            <line className="chart-grid" x1={0} x2={plotWidth} y1={yAt(value)} y2={yAt(value)} />
+            <text className="chart-axis-label" x={plotWidth + 6} y={yAt(value) + 4}>{formatNum(value)}</text>
+          </g>
+        ))}
+
+        {type === 'candles' ? candles.map((candle, index) => {
+          const rising = candle.close >= candle.open;
+          return (
+            <g key={candle.date} className={rising ? 'chart-candle-up' : 'chart-candle-down'}>
+              <line x1={xAt(index)} x2={xAt(index)} y1={yAt(candle.high)} y2={yAt(candle.low)} />
+              <rect
+                x={xAt(index) - barWidth / 2}
+                y={yAt(Math.max(candle.open, candle.close))}
+                width={barWidth}
+                height={Math.max(Math.abs(yAt(candle.open) - yAt(candle.close)), 1)}
+              />
+            </g>
+          );
+        }) : <polyline className="chart-line-close" points={linePoints('close')} />}
+
+        {CHART_OVERLAYS.map((overlay) => (
+          <polyline key={overlay.key} className={overlay.className} points={linePoints(overlay.key)} />
+        ))}
+
+        {candles.map((candle, index) => (Number.isFinite(candle.volume) ? (
+          <rect
+            key={`volume-${candle.date}`}
+            className={candle.close >= (candle.open ?? candle.close) ? 'chart-volume-up' : 'chart-volume-down'}
+            x={xAt(index) - barWidth / 2}
+            y={volumeTop + volumeHeight - (candle.volume / maxVolume) * volumeHeight}
+            width={barWidth}
+            height={(candle.volume / maxVolume) * volumeHeight}
+          />
+        ) : null))}
+
+        {markers.map((marker) => {
+          const shape = (
+            <g className={`chart-marker chart-marker-${marker.type}`} transform={`translate(${xAt(marker.index)}, ${priceHeight - 10})`}>
+              {marker.type === 'results' ? <path d="M -6 6 L 0 -6 L 6 6 Z" /> : <circle r={5} />}
+              <title>{`${formatLedgerDate(marker.date)} | ${marker.type === 'results' ? 'Results' : marker.source}: ${marker.title}`}</title>
+            </g>
+          );
+          return marker.url ? (
+            <a key={`${marker.type}-${marker.date}-${marker.title}`} href={marker.url} target="_blank" rel="noreferrer">{shape}</a>
+          ) : <React.Fragment key={`${marker.type}-${marker.date}-${marker.title}`}>{shape}</React.Fragment>;
+        })}
+
+        {hoverIndex >= 0 ? <line className="chart-crosshair" x1={xAt(hoverIndex)} x2={xAt(hoverIndex)} y1={0} y2={height} /> : null}
+      </svg>
+
+      <div className="symbol-chart-legend">
+        {CHART_OVERLAYS.map((overlay) => (
+          <span key={overlay.key} className="symbol-chart-legend-item">
+            <span className={`symbol-chart-swatch ${overlay.className}`} />
+            {overlay.label}
+          </span>
+        ))}
+        <span className="symbol-chart-legend-item"><span className="symbol-chart-swatch chart-marker-results" />Results</span>
+        <span className="symbol-chart-legend-item"><span className="symbol-chart-swatch chart-marker-news" />News</span>
+        <span className="symbol-chart-legend-item">Shading: Weinstein stage</span>
+      </div>
+    </div>
+  );
+}
+
 function TabSection({
   title = '',
   description = '',
@@ -499,9 +894,36 @@ function App() {
   const [salesSnapshots, setSalesSnapshots] = useState({});
   const [salesSnapshotStatus, setSalesSnapshotStatus] = useState({});
   const [watchlistLoading, setWatchlistLoading] = useState(false);
+  const [watchlists, setWatchlists] = useState([]);
+  const [activeWatchlistId, setActiveWatchlistId] = useState('');
+  const [newWatchlistName, setNewWatchlistName] = useState('');
+  const [watchlistEntryForm, setWatchlistEntryForm] = useState(null);
 
   const [salesRefreshLoading, setSalesRefreshLoading] = useState(false);
-  const [portfolio, setPortfolio] = useState({ positions: [], summary: { invested: 0, current: 0, pnl: 0, pnlPercent: 0 } });
+  const [portfolio, setPortfolio] = useState(EMPTY_PORTFOLIO);
+  const [performance, setPerformance] = useState(null);
+  const [performanceLoading, setPerformanceLoading] = useState(false);
+  const [taxReport, setTaxReport] = useState(null);
+  const [taxFy, setTaxFy] = useState('');
+  const [taxLoading, setTaxLoading] = useState(false);
+  const [fmvForm, setFmvForm] = useState({ symbol: '', fmv: '' });
+  const [importForm, setImportForm] = useState({ fileName: '', csv: '', kind: 'auto', date: '' });
+  const [importPreview, setImportPreview] = useState(null);
+  const [importLoading, setImportLoading] = useState(false);
+  const [importResult, setImportResult] = useState(null);
+  const [corporateActions, setCorporateActions] = useState(null);
+  const [corporateActionsLoading, setCorporateActionsLoading] = useState(false);
+  const [alertsData, setAlertsData] = useState(null);
+  const [alertsLoading, setAlertsLoading] = useState(false);
+  const [alertForm, setAlertForm] = useState(EMPTY_ALERT_FORM);
+  const [alertsTriggered, setAlertsTriggered] = useState(null);
+  const [notificationData, setNotificationData] = useState(null);
+  const [notificationDeliveries, setNotificationDeliveries] = useState([]);
+  const [channelForm, setChannelForm] = useState(EMPTY_CHANNEL_FORM);
+  const [channelNotice, setChannelNotice] = useState('');
+  const [digestData, setDigestData] = useState(null);
+  const [digestLoading, setDigestLoading] = useState(false);
+  const [digestSession, setDigestSession] = useState('');
   const [news, setNews] = useState([]);
   const [feedPage, setFeedPage] = useState({
     total: 0,
@@ -515,8 +937,21 @@ function App() {
   const [newSymbol, setNewSymbol] = useState('');
   const [symbolSuggestions, setSymbolSuggestions] = useState([]);
   const [symbolLookupLoading, setSymbolLookupLoading] = useState(false);
-  const [positionForm, setPositionForm] = useState({ symbol: '', quantity: '', avgPrice: '' });
-  const [screenerFilters, setScreenerFilters] = useState({ minChangePct: '', minVolume: '', minPrice: '', maxPrice: '' });
+  const [transactionForm, setTransactionForm] = useState(createTransactionForm);
+  const [screenerFilters, setScreenerFilters] = useState({
+    minChangePct: '',
+    minVolume: '',
+    minPrice: '',
+    maxPrice: '',
+    minRsi: '',
+    maxRsi: '',
+    minWeeklyRsi: '',
+    maxWeeklyRsi: '',
+    minAdx: '',
+    minMansfieldRs: '',
+    macd: '',
+    stage2WithinWeeks: '',
+  });
   const [screener, setScreener] = useState({ total: 0, matched: 0, results: [] });
   const [eventsFilters, setEventsFilters] = useState({ scope: 'all', type: 'all', days: '45' });
   const [eventsCalendar, setEventsCalendar] = useState({ scope: 'all', total: 0, groups: [], updatedAt: '' });
@@ -529,6 +964,11 @@ function App() {
     error: '',
     data: null,
   });
+  const [symbolChart, setSymbolChart] = useState({ symbol: '', range: '6M', loading: false, error: '', data: null });
+  const [sessionExpired, setSessionExpired] = useState(false);
+  const [quoteStream, setQuoteStream] = useState('offline');
+  const [sourceLabels, setSourceLabels] = useState(DEFAULT_SOURCE_LABELS);
+  const [marketStatus, setMarketStatus] = useState(null);
   const newsListRef = useRef(null);
   const feedLoadTriggerRef = useRef(null);
   const feedRequestInFlightRef = useRef(false);
@@ -539,6 +979,12 @@ function App() {
       ? payload.watchlistEntries
       : (payload?.watchlist || []).map((symbol) => ({ symbol, liveData: false, cachedAt: '' }));
     setWatchlist(nextWatchlist);
+    if (Array.isArray(payload?.watchlists)) {
+      setWatchlists(payload.watchlists);
+    }
+    if (payload?.activeWatchlistId) {
+      setActiveWatchlistId(payload.activeWatchlistId);
+    }
     if (Array.isArray(payload?.quotes)) {
       setQuotes(payload.quotes);
     }
@@ -548,6 +994,40 @@ function App() {
     if (payload?.salesSnapshotStatus && typeof payload.salesSnapshotStatus === 'object') {
       setSalesSnapshotStatus(payload.salesSnapshotStatus);
     }
+    if (payload?.marketStatus) {
+      setMarketStatus(payload.marketStatus);
+    }
+  }
+
+  // Merges `quotes` events from /api/stream/quotes: each item carries only the fields that changed.
+  function applyQuoteDeltas(payload) {
+    const deltas = new Map((payload?.quotes || []).map((delta) => [delta.symbol, delta]));
+    if (deltas.size === 0) {
+      return;
+    }
+
+    setQuotes((prev) => {
+      const merged = prev.map((quote) => (deltas.has(quote.symbol)
+        ? { ...quote, ...deltas.get(quote.symbol), watchlistCachedAt: payload.cachedAt }
+        : quote));
+      const known = new Set(prev.map((quote) => quote.symbol));
+      deltas.forEach((delta, symbol) => {
+        if (!known.has(symbol)) {
+          merged.push({ ...delta, watchlistCachedAt: payload.cachedAt });
+        }
+      });
+      return merged;
+    });
+    setWatchlist((prev) => prev.map((entry) => (entry && typeof entry === 'object' && deltas.has(entry.symbol)
+      ? { ...entry, cachedAt: payload.cachedAt }
+      : entry)));
+  }
+
+  // The market is shut and this price was taken after the last session ended.
+  function isAtLastClose(cachedAt) {
+    const lastCloseMs = Date.parse(marketStatus?.lastClose?.at || '');
+    return Boolean(marketStatus) && !marketStatus.active && Number.isFinite(lastCloseMs)
+      && Date.parse(String(cachedAt || '')) >= lastCloseMs;
   }
 
   const quoteMap = useMemo(() => new Map(quotes.map((quote) => [quote.symbol, quote])), [quotes]);
@@ -573,12 +1053,17 @@ function App() {
         salesSummary,
         salesStatus,
         liveData: Boolean(entry?.liveData),
+        tags: Array.isArray(entry?.tags) ? entry.tags : [],
+        note: entry?.note || '',
+        targetPrice: entry?.targetPrice ?? null,
+        stopPrice: entry?.stopPrice ?? null,
         cachedAt: entry?.cachedAt || quote?.watchlistCachedAt || '',
-        sourceText: formatSourceCellValue(quote?.source, quote?.dataStatus),
+        sourceText: formatSourceCellValue(quote?.source, quote?.dataStatus, sourceLabels),
         sourceTitle: formatSourceTitle(quote),
+        atLastClose: isAtLastClose(entry?.cachedAt || quote?.watchlistCachedAt),
       };
     })
-    .filter(Boolean), [watchlist, quoteMap, salesSnapshots]);
+    .filter(Boolean), [watchlist, quoteMap, salesSnapshots, marketStatus, sourceLabels]);
 
   const sortedWatchlistRows = useMemo(() => {
     const direction = watchlistSort.direction === 'desc' ? -1 : 1;
@@ -617,10 +1102,14 @@ function App() {
       });
 
 
-      const watchlistRes = await fetchJson('/api/watchlist');
+      const watchlistRes = await fetchJson(watchlistUrl('/api/watchlist'));
       applyWatchlistSnapshot(watchlistRes);
       setWatchlistLoading(false);
       setLoading(false);
+      // Source labels only; the table falls back to provider ids if this fails.
+      fetchJson('/api/market/providers')
+        .then((providersRes) => setSourceLabels(buildSourceLabels(providersRes.providers)))
+        .catch(() => {});
 
       const [portfolioRes, feedRes, eventsRes] = await Promise.all([
         fetchJson('/api/portfolio'),
@@ -703,6 +1192,34 @@ function App() {
     loadAll();
   }, []);
 
+  useEffect(() => {
+    if (loading || sessionExpired || typeof window.EventSource === 'undefined') {
+      return undefined;
+    }
+
+    const source = new EventSource(watchlistUrl('/api/stream/quotes'));
+    setQuoteStream('connecting');
+    source.addEventListener('ready', (event) => {
+      setQuoteStream('live');
+      setMarketStatus((prev) => ({ ...prev, ...JSON.parse(event.data).market }));
+    });
+    source.addEventListener('market', (event) => {
+      setMarketStatus((prev) => ({ ...prev, ...JSON.parse(event.data) }));
+    });
+    source.addEventListener('quotes', (event) => applyQuoteDeltas(JSON.parse(event.data)));
+    // EventSource reconnects by itself unless the server refused the stream (e.g. logged out).
+    source.onerror = () => {
+      setQuoteStream(source.readyState === window.EventSource.CLOSED ? 'offline' : 'connecting');
+    };
+    return () => source.close();
+  }, [activeWatchlistId, loading, sessionExpired]);
+
+  useEffect(() => {
+    const onSessionExpired = () => setSessionExpired(true);
+    window.addEventListener(SESSION_EXPIRED_EVENT, onSessionExpired);
+    return () => window.removeEventListener(SESSION_EXPIRED_EVENT, onSessionExpired);
+  }, []);
+
   useEffect(() => {
     if (activeTab !== 'feed') {
       return undefined;
@@ -730,6 +1247,31 @@ function App() {
     return () => observer.disconnect();
   }, [activeTab, feedPage.hasMore, feedPage.nextCursor, feedLoadingMore]);
 
+  useEffect(() => {
+    if (activeTab === 'portfolio' && !loading) {
+      loadPerformance();
+    }
+  }, [activeTab, loading, portfolio.transactions]);
+
+  useEffect(() => {
+    if (activeTab === 'tax' && !loading) {
+      loadTaxReport(taxFy);
+    }
+  }, [activeTab, loading, taxFy, portfolio.transactions]);
+
+  useEffect(() => {
+    if (activeTab === 'alerts' && !loading) {
+      loadAlerts();
+      loadNotifications();
+    }
+  }, [activeTab, loading]);
+
+  useEffect(() => {
+    if (activeTab === 'digest' && !loading) {
+      loadDigest();
+    }
+  }, [activeTab, loading]);
+
   useEffect(() => {
     const query = newSymbol.trim();
     if (activeTab !== 'watchlist' || query.length < 1) {
@@ -805,6 +1347,123 @@ function App() {
     return matched?.symbol || raw;
   }
 
+  // Every /api/watchlist call is scoped to the list being shown.
+  function watchlistUrl(path, listId = activeWatchlistId) {
+    return listId ? `${path}?list=${encodeURIComponent(listId)}` : path;
+  }
+
+  async function onSelectWatchlist(listId) {
+    setWatchlistLoading(true);
+    setWatchlistEntryForm(null);
+    try {
+      applyWatchlistSnapshot(await fetchJson(watchlistUrl('/api/watchlist', listId)));
+      setError('');
+    } catch (requestError) {
+      setError(requestError.message);
+    } finally {
+      setWatchlistLoading(false);
+    }
+  }
+
+  async function onCreateWatchlist(event) {
+    event.preventDefault();
+    try {
+      const response = await fetchJson('/api/watchlists', {
+        method: 'POST',
+        body: JSON.stringify({ name: newWatchlistName }),
+      });
+      setNewWatchlistName('');
+      setWatchlists(response.watchlists);
+      await onSelectWatchlist(response.watchlist.id);
+    } catch (requestError) {
+      setError(requestError.message);
+    }
+  }
+
+  async function onRenameWatchlist() {
+    const current = watchlists.find((list) => list.id === activeWatchlistId);
+    const name = window.prompt('Rename watchlist', current?.name || '');
+    if (!current || name === null) {
+      return;
+    }
+
+    try {
+      const response = await fetchJson(`/api/watchlists/${encodeURIComponent(current.id)}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ name }),
+      });
+      setWatchlists(response.watchlists);
+    } catch (requestError) {
+      setError(requestError.message);
+    }
+  }
+
+  async function onMoveWatchlist(offset) {
+    const ids = watchlists.map((list) => list.id);
+    const from = ids.indexOf(activeWatchlistId);
+    const to = from + offset;
+    if (from < 0 || to < 0 || to >= ids.length) {
+      return;
+    }
+    [ids[from], ids[to]] = [ids[to], ids[from]];
+
+    try {
+      const response = await fetchJson('/api/watchlists/order', {
+        method: 'PUT',
+        body: JSON.stringify({ ids }),
+      });
+      setWatchlists(response.watchlists);
+    } catch (requestError) {
+      setError(requestError.message);
+    }
+  }
+
+  async function onDeleteWatchlistList() {
+    const current = watchlists.find((list) => list.id === activeWatchlistId);
+    if (!current || !window.confirm(`Delete the "${current.name}" watchlist? Its tags and notes are removed too.`)) {
+      return;
+    }
+
+    try {
+      const response = await fetchJson(`/api/watchlists/${encodeURIComponent(current.id)}`, { method: 'DELETE' });
+      setWatchlists(response.watchlists);
+      await onSelectWatchlist(response.watchlists[0]?.id || '');
+    } catch (requestError) {
+      setError(requestError.message);
+    }
+  }
+
+  function onEditWatchlistEntry(row) {
+    setWatchlistEntryForm({
+      symbol: row.symbol,
+      tags: row.tags.join(', '),
+      note: row.note,
+      targetPrice: row.targetPrice ?? '',
+      stopPrice: row.stopPrice ?? '',
+    });
+  }
+
+  async function onSaveWatchlistEntry(event) {
+    event.preventDefault();
+    const { symbol, tags, note, targetPrice, stopPrice } = watchlistEntryForm;
+    try {
+      const response = await fetchJson(watchlistUrl(`/api/watchlist/${encodeURIComponent(symbol)}`), {
+        method: 'PATCH',
+        body: JSON.stringify({
+          tags,
+          note,
+          targetPrice: targetPrice === '' ? null : Number(targetPrice),
+          stopPrice: stopPrice === '' ? null : Number(stopPrice),
+        }),
+      });
+      applyWatchlistSnapshot(response);
+      setWatchlistEntryForm(null);
+      setError('');
+    } catch (requestError) {
+      setError(requestError.message);
+    }
+  }
+
   async function addWatchlistSymbol(symbolInput) {
     const resolvedInput = resolveSymbolInputToSuggestion(symbolInput);
     if (!resolvedInput) {
@@ -812,7 +1471,7 @@ function App() {
     }
 
     try {
-      const response = await fetchJson('/api/watchlist', {
+      const response = await fetchJson(watchlistUrl('/api/watchlist'), {
         method: 'POST',
         body: JSON.stringify({ symbol: resolvedInput }),
       });
@@ -851,7 +1510,7 @@ function App() {
 
   async function onDeleteWatchlist(symbol) {
     try {
-      const response = await fetchJson(`/api/watchlist/${encodeURIComponent(symbol)}`, {
+      const response = await fetchJson(watchlistUrl(`/api/watchlist/${encodeURIComponent(symbol)}`), {
         method: 'DELETE',
       });
       applyWatchlistSnapshot(response);
@@ -864,12 +1523,36 @@ function App() {
     setQuarterlyModal((previous) => ({ ...previous, open: false }));
   }
 
+  async function loadSymbolChart(symbol, range) {
+    setSymbolChart((previous) => ({
+      symbol,
+      range,
+      loading: true,
+      error: '',
+      // Keep the old range on screen while switching ranges, but never another symbol's chart.
+      data: previous.symbol === symbol ? previous.data : null,
+    }));
+    // Only the latest symbol/range request may update the panel.
+    const isCurrent = (previous) => previous.symbol === symbol && previous.range === range;
+    try {
+      const response = await fetchJson(`/api/market/chart/${encodeURIComponent(symbol)}?range=${range}`);
+      setSymbolChart((previous) => (isCurrent(previous)
+        ? { ...previous, loading: false, error: '', data: response }
+        : previous));
+    } catch (requestError) {
+      setSymbolChart((previous) => (isCurrent(previous)
+        ? { ...previous, loading: false, error: requestError.message, data: null }
+        : previous));
+    }
+  }
+
   async function onOpenQuarterlyModal(symbol) {
     const normalizedSymbol = String(symbol || '').trim().toUpperCase();
     if (!normalizedSymbol) {
       return;
     }
 
+    loadSymbolChart(normalizedSymbol, symbolChart.range);
     setQuarterlyModal({
       open: true,
       symbol: normalizedSymbol,
@@ -912,7 +1595,7 @@ function App() {
 
   async function onToggleWatchlistLiveData(liveData) {
     try {
-      const response = await fetchJson('/api/watchlist/live', {
+      const response = await fetchJson(watchlistUrl('/api/watchlist/live'), {
         method: 'PATCH',
         body: JSON.stringify({ liveData }),
       });
@@ -925,7 +1608,7 @@ function App() {
   async function onRefreshWatchlistQuotes() {
     setWatchlistLoading(true);
     try {
-      const response = await fetchJson('/api/watchlist/refresh', {
+      const response = await fetchJson(watchlistUrl('/api/watchlist/refresh'), {
         method: 'POST',
       });
       applyWatchlistSnapshot(response);
@@ -950,95 +1633,415 @@ function App() {
     }
   }
 
-  async function onAddPosition(event) {
+  async function onAddTransaction(event) {
     event.preventDefault();
 
     try {
-      const response = await fetchJson('/api/portfolio', {
+      const response = await fetchJson('/api/portfolio/transactions', {
         method: 'POST',
-        body: JSON.stringify({
-          symbol: positionForm.symbol,
-          quantity: Number(positionForm.quantity),
-          avgPrice: Number(positionForm.avgPrice),
-        }),
+        body: JSON.stringify(toTransactionPayload(transactionForm)),
       });
 
       setPortfolio(response);
-      setPositionForm({ symbol: '', quantity: '', avgPrice: '' });
-      await loadAll();
+      setTransactionForm((prev) => ({ ...createTransactionForm(), type: prev.type, date: prev.date }));
+      setError('');
     } catch (requestError) {
       setError(requestError.message);
     }
   }
 
-  async function onDeletePosition(id) {
+  async function onDeleteTransaction(id) {
     try {
-      const response = await fetchJson(`/api/portfolio/${encodeURIComponent(id)}`, {
+      const response = await fetchJson(`/api/portfolio/transactions/${encodeURIComponent(id)}`, {
         method: 'DELETE',
       });
       setPortfolio(response);
+      setError('');
     } catch (requestError) {
       setError(requestError.message);
     }
   }
 
-  async function onRunScreener(event) {
-    event.preventDefault();
+  async function onDeletePosition(symbol) {
+    if (!window.confirm(`Delete all ${symbol} transactions? This removes its trade history.`)) {
+      return;
+    }
 
     try {
-      const params = new URLSearchParams();
-      Object.entries(screenerFilters).forEach(([key, value]) => {
-        if (String(value).trim()) {
-          params.set(key, value);
-        }
+      const response = await fetchJson(`/api/portfolio/${encodeURIComponent(symbol)}`, {
+        method: 'DELETE',
       });
-
-      const response = await fetchJson(`/api/screener?${params.toString()}`);
-      setScreener(response);
-      setActiveTab('screener');
+      setPortfolio(response);
     } catch (requestError) {
       setError(requestError.message);
     }
   }
 
-  async function onLoadEvents(event) {
+  function onImportFileChange(event) {
+    const file = event.target.files && event.target.files[0];
+    setImportPreview(null);
+    setImportResult(null);
+    if (!file) {
+      setImportForm((prev) => ({ ...prev, fileName: '', csv: '' }));
+      return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = () => setImportForm((prev) => ({ ...prev, fileName: file.name, csv: String(reader.result || '') }));
+    reader.onerror = () => setError(`Could not read ${file.name}.`);
+    reader.readAsText(file);
+  }
+
+  // The raw file is posted as text/csv; kind/date/skipErrors travel in the query string.
+  function postImport(path, extraParams = {}) {
+    const params = new URLSearchParams({ kind: importForm.kind, ...extraParams });
+    if (importForm.date) {
+      params.set('date', importForm.date);
+    }
+    return fetchJson(`${path}?${params.toString()}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/csv' },
+      body: importForm.csv,
+    });
+  }
+
+  async function onPreviewImport(event) {
     event.preventDefault();
-    setEventsLoading(true);
+    setImportLoading(true);
+    try {
+      setImportPreview(await postImport('/api/portfolio/import/preview'));
+      setError('');
+    } catch (requestError) {
+      setImportPreview(null);
+      setError(requestError.message);
+    } finally {
+      setImportLoading(false);
+    }
+  }
 
+  async function onCommitImport() {
+    setImportLoading(true);
     try {
-      const params = new URLSearchParams({
-        scope: eventsFilters.scope,
-        type: eventsFilters.type,
-        days: String(eventsFilters.days),
-      });
-      const response = await fetchJson(`/api/events?${params.toString()}`);
-      setEventsCalendar({
-        scope: response.scope || eventsFilters.scope,
-        total: Number(response.total || 0),
-        groups: Array.isArray(response.groups) ? response.groups : [],
-        updatedAt: response.updatedAt || '',
-      });
-      setActiveTab('events');
+      const response = await postImport('/api/portfolio/import', { skipErrors: 'true' });
+      setPortfolio(response.portfolio);
+      setImportPreview(null);
+      setImportForm((prev) => ({ ...prev, fileName: '', csv: '' }));
+      setImportResult(response);
+      setError('');
     } catch (requestError) {
       setError(requestError.message);
     } finally {
-      setEventsLoading(false);
+      setImportLoading(false);
     }
   }
 
-  function onWatchlistSort(key) {
-    setWatchlistSort((previous) => {
-      if (previous.key === key) {
-        return {
-          key,
-          direction: previous.direction === 'asc' ? 'desc' : 'asc',
-        };
-      }
-      return { key, direction: 'asc' };
-    });
+  async function loadAlerts() {
+    setAlertsLoading(true);
+    try {
+      setAlertsData(await fetchJson('/api/alerts'));
+    } catch (requestError) {
+      setError(requestError.message);
+    } finally {
+      setAlertsLoading(false);
+    }
   }
 
-  const headerMetrics = [
+  async function onCreateAlert(event) {
+    event.preventDefault();
+    try {
+      const response = await fetchJson('/api/alerts', {
+        method: 'POST',
+        body: JSON.stringify({
+          ...alertForm,
+          value: alertForm.value === '' ? null : Number(alertForm.value),
+          cooldownMinutes: Number(alertForm.cooldownMinutes),
+        }),
+      });
+      setAlertsData(response);
+      setAlertForm((prev) => ({ ...EMPTY_ALERT_FORM, condition: prev.condition, mode: prev.mode }));
+      setError('');
+    } catch (requestError) {
+      setError(requestError.message);
+    }
+  }
+
+  async function onSetAlertStatus(alert, status) {
+    try {
+      setAlertsData(await fetchJson(`/api/alerts/${encodeURIComponent(alert.id)}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ status }),
+      }));
+    } catch (requestError) {
+      setError(requestError.message);
+    }
+  }
+
+  async function onDeleteAlert(alert) {
+    if (!window.confirm(`Delete the ${alert.symbol} alert?`)) {
+      return;
+    }
+
+    try {
+      setAlertsData(await fetchJson(`/api/alerts/${encodeURIComponent(alert.id)}`, { method: 'DELETE' }));
+    } catch (requestError) {
+      setError(requestError.message);
+    }
+  }
+
+  async function onEvaluateAlerts() {
+    setAlertsLoading(true);
+    try {
+      const response = await fetchJson('/api/alerts/evaluate', { method: 'POST' });
+      setAlertsData(response);
+      setAlertsTriggered(response.triggered);
+    } catch (requestError) {
+      setError(requestError.message);
+    } finally {
+      setAlertsLoading(false);
+    }
+  }
+
+  async function onClearAlertHistory() {
+    try {
+      setAlertsData(await fetchJson('/api/alerts/history', { method: 'DELETE' }));
+    } catch (requestError) {
+      setError(requestError.message);
+    }
+  }
+
+  async function loadDigest(id = '') {
+    setDigestLoading(true);
+    try {
+      setDigestData(await fetchJson(id ? `/api/digest/${encodeURIComponent(id)}` : '/api/digest'));
+    } catch (requestError) {
+      setError(requestError.message);
+    } finally {
+      setDigestLoading(false);
+    }
+  }
+
+  async function onGenerateDigest(deliver) {
+    setDigestLoading(true);
+    try {
+      setDigestData(await fetchJson('/api/digest', {
+        method: 'POST',
+        body: JSON.stringify({ session: digestSession || undefined, deliver }),
+      }));
+      setError('');
+    } catch (requestError) {
+      setError(requestError.message);
+    } finally {
+      setDigestLoading(false);
+    }
+  }
+
+  async function loadNotifications() {
+    try {
+      const [channelsResponse, deliveriesResponse] = await Promise.all([
+        fetchJson('/api/notifications/channels'),
+        fetchJson('/api/notifications/deliveries?limit=50'),
+      ]);
+      setNotificationData(channelsResponse);
+      setNotificationDeliveries(deliveriesResponse.deliveries);
+    } catch (requestError) {
+      setError(requestError.message);
+    }
+  }
+
+  async function onCreateChannel(event) {
+    event.preventDefault();
+    const { type, name, to, url, chatId, botToken } = channelForm;
+    const channelConfig = {
+      email: { to },
+      webhook: { url },
+      telegram: botToken ? { chatId, botToken } : { chatId },
+    }[type];
+
+    try {
+      const response = await fetchJson('/api/notifications/channels', {
+        method: 'POST',
+        body: JSON.stringify({ type, name: name || undefined, config: channelConfig }),
+      });
+      setNotificationData(response);
+      setChannelForm((prev) => ({ ...EMPTY_CHANNEL_FORM, type: prev.type }));
+      setChannelNotice(type === 'webhook'
+        ? `Webhook signing secret (shown once): ${response.channel.config.secret}`
+        : `${response.channel.name} added. Send a test to check delivery.`);
+      setError('');
+    } catch (requestError) {
+      setError(requestError.message);
+    }
+  }
+
+  async function onUpdateChannel(channel, patch) {
+    try {
+      setNotificationData(await fetchJson(`/api/notifications/channels/${encodeURIComponent(channel.id)}`, {
+        method: 'PATCH',
+        body: JSON.stringify(patch),
+      }));
+    } catch (requestError) {
+      setError(requestError.message);
+    }
+  }
+
+  function onToggleChannelEvent(channel, eventName) {
+    const events = channel.events.includes(eventName)
+      ? channel.events.filter((item) => item !== eventName)
+      : [...channel.events, eventName];
+    onUpdateChannel(channel, { events });
+  }
+
+  async function onDeleteChannel(channel) {
+    if (!window.confirm(`Delete the "${channel.name}" channel?`)) {
+      return;
+    }
+
+    try {
+      setNotificationData(await fetchJson(`/api/notifications/channels/${encodeURIComponent(channel.id)}`, { method: 'DELETE' }));
+    } catch (requestError) {
+      setError(requestError.message);
+    }
+  }
+
+  async function onTestChannel(channel) {
+    try {
+      const { delivery } = await fetchJson(`/api/notifications/channels/${encodeURIComponent(channel.id)}/test`, { method: 'POST' });
+      setChannelNotice(delivery.status === 'sent'
+        ? `Test sent to ${channel.name}.`
+        : `Test to ${channel.name} failed: ${delivery.error}`);
+      await loadNotifications();
+    } catch (requestError) {
+      setError(requestError.message);
+    }
+  }
+
+  async function loadCorporateActions({ sync = false } = {}) {
+    setCorporateActionsLoading(true);
+    try {
+      if (sync) {
+        const response = await fetchJson('/api/portfolio/corporate-actions/sync', { method: 'POST' });
+        setPortfolio(response.portfolio);
+      }
+      setCorporateActions(await fetchJson('/api/portfolio/corporate-actions'));
+      setError('');
+    } catch (requestError) {
+      setError(requestError.message);
+    } finally {
+      setCorporateActionsLoading(false);
+    }
+  }
+
+  async function loadPerformance({ snapshot = false } = {}) {
+    setPerformanceLoading(true);
+    try {
+      const response = await fetchJson(
+        snapshot ? '/api/portfolio/snapshots' : '/api/portfolio/performance',
+        snapshot ? { method: 'POST' } : undefined,
+      );
+      setPerformance(response);
+    } catch (requestError) {
+      setError(requestError.message);
+    } finally {
+      setPerformanceLoading(false);
+    }
+  }
+
+  async function loadTaxReport(fy = taxFy) {
+    setTaxLoading(true);
+    try {
+      const params = new URLSearchParams();
+      if (fy) {
+        params.set('fy', fy);
+      }
+      const response = await fetchJson(`/api/tax/capital-gains?${params.toString()}`);
+      setTaxReport(response);
+    } catch (requestError) {
+      setError(requestError.message);
+    } finally {
+      setTaxLoading(false);
+    }
+  }
+
+  function onExportTaxCsv() {
+    const params = new URLSearchParams({ format: 'csv' });
+    if (taxFy) {
+      params.set('fy', taxFy);
+    }
+    window.location.href = `/api/tax/capital-gains?${params.toString()}`;
+  }
+
+  async function onSaveFmv(event) {
+    event.preventDefault();
+    try {
+      await fetchJson(`/api/tax/fmv/${encodeURIComponent(fmvForm.symbol.trim())}`, {
+        method: 'PUT',
+        body: JSON.stringify({ fmv: fmvForm.fmv === '' ? null : Number(fmvForm.fmv) }),
+      });
+      setFmvForm({ symbol: '', fmv: '' });
+      setError('');
+      await loadTaxReport();
+    } catch (requestError) {
+      setError(requestError.message);
+    }
+  }
+
+  async function onRunScreener(event) {
+    event.preventDefault();
+
+    try {
+      const params = new URLSearchParams();
+      Object.entries(screenerFilters).forEach(([key, value]) => {
+        if (String(value).trim()) {
+          params.set(key, value);
+        }
+      });
+
+      const response = await fetchJson(`/api/screener?${params.toString()}`);
+      setScreener(response);
+      setActiveTab('screener');
+    } catch (requestError) {
+      setError(requestError.message);
+    }
+  }
+
+  async function onLoadEvents(event) {
+    event.preventDefault();
+    setEventsLoading(true);
+
+    try {
+      const params = new URLSearchParams({
+        scope: eventsFilters.scope,
+        type: eventsFilters.type,
+        days: String(eventsFilters.days),
+      });
+      const response = await fetchJson(`/api/events?${params.toString()}`);
+      setEventsCalendar({
+        scope: response.scope || eventsFilters.scope,
+        total: Number(response.total || 0),
+        groups: Array.isArray(response.groups) ? response.groups : [],
+        updatedAt: response.updatedAt || '',
+      });
+      setActiveTab('events');
+    } catch (requestError) {
+      setError(requestError.message);
+    } finally {
+      setEventsLoading(false);
+    }
+  }
+
+  function onWatchlistSort(key) {
+    setWatchlistSort((previous) => {
+      if (previous.key === key) {
+        return {
+          key,
+          direction: previous.direction === 'asc' ? 'desc' : 'asc',
+        };
+      }
+      return { key, direction: 'asc' };
+    });
+  }
+
+  const headerMetrics = [
     { label: 'Watchlist', value: watchlist.length },
     { label: 'Portfolio Value', value: formatCurrency(portfolio.summary.current) },
     { label: 'Net P&L', value: formatCurrency(portfolio.summary.pnl) },
@@ -1073,6 +2076,12 @@ function App() {
         <div className="symbol-cell">
           <div className="symbol-ticker">{row.symbol}</div>
           {row.displayName ? <div className="symbol-name">{row.displayName}</div> : null}
+          {row.tags.length > 0 ? (
+            <div className="watchlist-tags">
+              {row.tags.map((tag) => <span className="watchlist-tag" key={tag}>{tag}</span>)}
+            </div>
+          ) : null}
+          {row.note ? <div className="watchlist-note" title={row.note}>{row.note}</div> : null}
           {row.salesSummary ? (
             <div className={`symbol-sales ${row.salesStatus === 'available' ? '' : 'muted'}`}>{row.salesSummary}</div>
           ) : (
@@ -1125,66 +2134,354 @@ function App() {
       label: 'Stage',
       sortable: true,
       renderCell: (row) => (
-        <span className={`stage-pill ${stageClass(row.quote?.marketCycleStage)}`}>
-          {formatStage(row.quote?.marketCycleStage)}
-        </span>
+        <>
+          <span className={`stage-pill ${stageClass(row.quote?.marketCycleStage)}`}>
+            {formatStage(row.quote?.marketCycleStage)}
+          </span>
+          <StageTransition quote={row.quote} />
+        </>
+      ),
+    },
+    {
+      key: 'rsi',
+      label: 'RSI D / W',
+      sortable: true,
+      renderCell: (row) => <span title={formatIndicatorTitle(row.quote)}>{formatRsiPair(row.quote)}</span>,
+    },
+    {
+      key: 'macd',
+      label: 'MACD Hist',
+      sortable: true,
+      cellClassName: (row) => pctClass(row.quote?.macdHistogram),
+      renderCell: (row) => formatNum(row.quote?.macdHistogram),
+    },
+    {
+      key: 'adx',
+      label: 'ADX',
+      sortable: true,
+      renderCell: (row) => formatNum(row.quote?.adx14),
+    },
+    {
+      key: 'rs',
+      label: 'RS vs Nifty',
+      sortable: true,
+      cellClassName: (row) => pctClass(row.quote?.mansfieldRs),
+      renderCell: (row) => formatNum(row.quote?.mansfieldRs),
+    },
+    {
+      key: 'levels',
+      label: 'Target / Stop',
+      renderCell: (row) => {
+        const price = row.quote?.regularMarketPrice;
+        const distance = (level) => (price > 0 && level ? ` (${formatPercent(((level - price) / price) * 100)})` : '');
+        if (!row.targetPrice && !row.stopPrice) return '--';
+        return (
+          <div className="watchlist-levels">
+            <div>T {row.targetPrice ? `${formatCurrency(row.targetPrice)}${distance(row.targetPrice)}` : '--'}</div>
+            <div>S {row.stopPrice ? `${formatCurrency(row.stopPrice)}${distance(row.stopPrice)}` : '--'}</div>
+          </div>
+        );
+      },
+    },
+    {
+      key: 'source',
+      label: 'Source',
+      sortable: true,
+      className: 'source-col',
+      cellClassName: 'source-cell',
+      renderCell: (row) => (
+        <span title={row.sourceTitle}>{row.sourceText}</span>
+      ),
+    },
+    {
+      key: 'action',
+      label: 'Action',
+      className: 'action-col',
+      cellClassName: 'action-cell',
+      renderCell: (row) => (
+        <>
+          <button
+            className="icon-remove-btn"
+            type="button"
+            onClick={(event) => {
+              event.stopPropagation();
+              onEditWatchlistEntry(row);
+            }}
+            onKeyDown={(event) => event.stopPropagation()}
+            title={`Edit tags, note and levels for ${row.symbol}`}
+            aria-label={`Edit ${row.symbol} notes`}
+          >
+            <span aria-hidden="true">Edit</span>
+          </button>
+          <button
+            className="icon-remove-btn"
+            type="button"
+            onClick={(event) => {
+              event.stopPropagation();
+              onDeleteWatchlist(row.symbol);
+            }}
+            onKeyDown={(event) => event.stopPropagation()}
+            title={`Remove ${row.symbol}`}
+            aria-label={`Remove ${row.symbol} from watchlist`}
+          >
+            <span aria-hidden="true">Remove</span>
+          </button>
+        </>
+      ),
+    },
+  ];
+  const portfolioColumns = [
+    { key: 'symbol', label: 'Symbol', renderCell: (row) => row.symbol },
+    { key: 'quantity', label: 'Qty', renderCell: (row) => formatNum(row.quantity) },
+    { key: 'avgPrice', label: 'Avg Cost', renderCell: (row) => formatCurrency(row.avgPrice) },
+    { key: 'lots', label: 'Lots', renderCell: (row) => (row.lots?.length ? `${row.lots.length} (since ${formatLedgerDate(row.firstBuyDate)})` : '--') },
+    { key: 'ltp', label: 'LTP', renderCell: (row) => formatCurrency(row.quote?.regularMarketPrice) },
+    { key: 'invested', label: 'Invested', renderCell: (row) => formatCurrency(row.invested) },
+    { key: 'current', label: 'Current', renderCell: (row) => formatCurrency(row.current) },
+    {
+      key: 'pnl',
+      label: 'Unrealized',
+      cellClassName: (row) => pctClass(row.pnl),
+      renderCell: (row) => `${formatCurrency(row.pnl)} (${formatPercent(row.pnlPercent)})`,
+    },
+    {
+      key: 'realizedPnl',
+      label: 'Realized',
+      cellClassName: (row) => pctClass(row.realizedPnl),
+      renderCell: (row) => formatCurrency(row.realizedPnl),
+    },
+    { key: 'dividendIncome', label: 'Dividends', renderCell: (row) => (row.dividendIncome ? formatCurrency(row.dividendIncome) : '--') },
+    {
+      key: 'action',
+      label: 'Action',
+      cellClassName: 'action-cell',
+      renderCell: (row) => (
+        <button className="danger" type="button" onClick={() => onDeletePosition(row.symbol)}>
+          Delete
+        </button>
+      ),
+    },
+  ];
+  const realizedColumns = [
+    { key: 'sellDate', label: 'Sold', renderCell: (row) => formatLedgerDate(row.sellDate) },
+    { key: 'symbol', label: 'Symbol', renderCell: (row) => row.symbol },
+    { key: 'quantity', label: 'Qty', renderCell: (row) => formatNum(row.quantity) },
+    { key: 'buy', label: 'Bought', renderCell: (row) => `${formatLedgerDate(row.buyDate)} @ ${formatCurrency(row.buyPrice)}` },
+    { key: 'sellPrice', label: 'Sell Price', renderCell: (row) => formatCurrency(row.sellPrice) },
+    { key: 'holdingDays', label: 'Held (days)', renderCell: (row) => formatNum(row.holdingDays) },
+    {
+      key: 'pnl',
+      label: 'Realized P&L',
+      cellClassName: (row) => pctClass(row.pnl),
+      renderCell: (row) => formatCurrency(row.pnl),
+    },
+  ];
+  const transactionColumns = [
+    { key: 'date', label: 'Date', renderCell: (row) => formatLedgerDate(row.date) },
+    { key: 'type', label: 'Type', renderCell: (row) => <span className={`ledger-type ledger-type-${row.type.toLowerCase()}`}>{row.type}</span> },
+    { key: 'symbol', label: 'Symbol', renderCell: (row) => row.symbol || '--' },
+    {
+      key: 'quantity',
+      label: 'Qty',
+      renderCell: (row) => {
+        if (row.type === 'SPLIT' || row.type === 'BONUS') return `${formatNum(row.ratioNew)}:${formatNum(row.ratioOld)}`;
+        return row.quantity === undefined ? '--' : formatNum(row.quantity);
+      },
+    },
+    {
+      key: 'price',
+      label: 'Price',
+      renderCell: (row) => {
+        if (row.type === 'DIVIDEND') return `${formatCurrency(row.amountPerShare)}/sh`;
+        return row.price === undefined ? '--' : formatCurrency(row.price);
+      },
+    },
+    {
+      key: 'charges',
+      label: 'Charges',
+      renderCell: (row) => {
+        if (row.type === 'CHARGE') return formatCurrency(row.amount);
+        return row.charges === undefined ? '--' : formatCurrency(row.charges);
+      },
+    },
+    { key: 'note', label: 'Note', renderCell: (row) => row.note || '--' },
+    {
+      key: 'action',
+      label: 'Action',
+      cellClassName: 'action-cell',
+      renderCell: (row) => (
+        <button className="danger" type="button" onClick={() => onDeleteTransaction(row.id)}>
+          Delete
+        </button>
+      ),
+    },
+  ];
+  const corporateActionColumns = [
+    { key: 'exDate', label: 'Ex-Date', renderCell: (row) => formatLedgerDate(row.exDate) },
+    { key: 'symbol', label: 'Symbol', renderCell: (row) => row.symbol },
+    { key: 'type', label: 'Type', renderCell: (row) => <span className={`ledger-type ledger-type-${row.type.toLowerCase()}`}>{row.type}</span> },
+    { key: 'subject', label: 'Announcement', renderCell: (row) => row.subject },
+    { key: 'heldQuantity', label: 'Held Before', renderCell: (row) => formatNum(row.heldQuantity) },
+    {
+      key: 'status',
+      label: 'Status',
+      renderCell: (row) => <span className={`ledger-type ledger-type-${row.status === 'new' ? 'ok' : 'skipped'}`}>{row.status.replace('_', ' ')}</span>,
+    },
+  ];
+  const alertConditionLabels = Object.fromEntries((alertsData?.conditions || []).map((item) => [item.id, item.label]));
+  const describeAlertRule = (row) => {
+    const label = alertConditionLabels[row.condition] || row.condition;
+    if (row.condition.startsWith('PRICE_')) return `${label} ${formatCurrency(row.value)}`;
+    if (row.condition.startsWith('CHANGE_PCT_')) return `${label} ${formatNum(row.value)}%`;
+    if (row.condition === 'STAGE_CHANGE' && row.stage) return `${label} to ${row.stage}`;
+    return label;
+  };
+  const alertColumns = [
+    { key: 'symbol', label: 'Symbol', renderCell: (row) => row.symbol },
+    {
+      key: 'condition',
+      label: 'Condition',
+      renderCell: (row) => (
+        <div>
+          <div>{describeAlertRule(row)}</div>
+          {row.note ? <div className="watchlist-note" title={row.note}>{row.note}</div> : null}
+        </div>
+      ),
+    },
+    {
+      key: 'mode',
+      label: 'Mode',
+      renderCell: (row) => (row.mode === 'recurring' ? `Recurring (${formatNum(row.cooldownMinutes)}m cooldown)` : 'Once'),
+    },
+    {
+      key: 'status',
+      label: 'Status',
+      renderCell: (row) => <span className={`ledger-type ledger-type-${ALERT_STATUS_CLASSES[row.status]}`}>{row.status}</span>,
+    },
+    {
+      key: 'lastTriggeredAt',
+      label: 'Last Triggered',
+      renderCell: (row) => (row.lastTriggeredAt ? `${formatCalendarTimestamp(row.lastTriggeredAt)} (${formatNum(row.triggerCount)}x)` : '--'),
+    },
+    {
+      key: 'actions',
+      label: '',
+      renderCell: (row) => (
+        <>
+          {row.status === 'active' ? (
+            <button className="icon-remove-btn" type="button" onClick={() => onSetAlertStatus(row, 'paused')}>Pause</button>
+          ) : (
+            <button className="icon-remove-btn" type="button" onClick={() => onSetAlertStatus(row, 'active')}>
+              {row.status === 'triggered' ? 'Re-arm' : 'Resume'}
+            </button>
+          )}
+          <button className="icon-remove-btn" type="button" onClick={() => onDeleteAlert(row)}>Delete</button>
+        </>
+      ),
+    },
+  ];
+  const alertHistoryColumns = [
+    { key: 'triggeredAt', label: 'Triggered', renderCell: (row) => formatCalendarTimestamp(row.triggeredAt) },
+    { key: 'symbol', label: 'Symbol', renderCell: (row) => row.symbol },
+    { key: 'message', label: 'Alert', renderCell: (row) => row.message },
+  ];
+  const describeChannelTarget = (row) => {
+    if (row.type === 'email') return row.config.to;
+    if (row.type === 'webhook') return `${row.config.url} (secret ${row.config.secret})`;
+    return `chat ${row.config.chatId}${row.config.botToken ? ` via bot ${row.config.botToken}` : ''}`;
+  };
+  const channelColumns = [
+    { key: 'name', label: 'Channel', renderCell: (row) => `${row.name} (${row.type})` },
+    { key: 'target', label: 'Destination', renderCell: describeChannelTarget },
+    {
+      key: 'events',
+      label: 'Events',
+      renderCell: (row) => (
+        <div className="notification-events">
+          {(notificationData?.events || []).map((eventName) => (
+            <label key={eventName}>
+              <input
+                type="checkbox"
+                checked={row.events.includes(eventName)}
+                onChange={() => onToggleChannelEvent(row, eventName)}
+              />
+              {NOTIFICATION_EVENT_LABELS[eventName] || eventName}
+            </label>
+          ))}
+        </div>
       ),
     },
     {
-      key: 'source',
-      label: 'Source',
-      sortable: true,
-      className: 'source-col',
-      cellClassName: 'source-cell',
+      key: 'enabled',
+      label: 'Status',
+      renderCell: (row) => <span className={`ledger-type ledger-type-${row.enabled ? 'ok' : 'skipped'}`}>{row.enabled ? 'on' : 'off'}</span>,
+    },
+    {
+      key: 'actions',
+      label: '',
       renderCell: (row) => (
-        <span title={row.sourceTitle}>{row.sourceText}</span>
+        <>
+          <button className="icon-remove-btn" type="button" onClick={() => onTestChannel(row)}>Test</button>
+          <button className="icon-remove-btn" type="button" onClick={() => onUpdateChannel(row, { enabled: !row.enabled })}>
+            {row.enabled ? 'Disable' : 'Enable'}
+          </button>
+          <button className="icon-remove-btn" type="button" onClick={() => onDeleteChannel(row)}>Delete</button>
+        </>
       ),
     },
+  ];
+  const deliveryColumns = [
+    { key: 'createdAt', label: 'Time', renderCell: (row) => formatCalendarTimestamp(row.createdAt) },
+    { key: 'channel', label: 'Channel', renderCell: (row) => `${row.channelName} (${row.channelType})` },
+    { key: 'eventType', label: 'Event', renderCell: (row) => NOTIFICATION_EVENT_LABELS[row.eventType] || row.eventType },
+    { key: 'subject', label: 'Message', renderCell: (row) => row.subject },
     {
-      key: 'action',
-      label: 'Action',
-      className: 'action-col',
-      cellClassName: 'action-cell',
+      key: 'status',
+      label: 'Result',
       renderCell: (row) => (
-        <button
-          className="icon-remove-btn"
-          type="button"
-          onClick={(event) => {
-            event.stopPropagation();
-            onDeleteWatchlist(row.symbol);
-          }}
-          onKeyDown={(event) => event.stopPropagation()}
-          title={`Remove ${row.symbol}`}
-          aria-label={`Remove ${row.symbol} from watchlist`}
-        >
-          <span aria-hidden="true">Remove</span>
-        </button>
+        <span className={`ledger-type ledger-type-${row.status === 'sent' ? 'ok' : 'error'}`} title={row.error || row.detail}>
+          {row.status}{row.attempts > 1 ? ` (${row.attempts} tries)` : ''}
+        </span>
       ),
     },
   ];
-  const portfolioColumns = [
+  const alertConditionNeedsValue = (alertsData?.conditions || []).find((item) => item.id === alertForm.condition)?.needsValue ?? true;
+  const importColumns = [
+    { key: 'line', label: 'Line', renderCell: (row) => row.line },
+    { key: 'status', label: 'Status', renderCell: (row) => <span className={`ledger-type ledger-type-${row.status}`}>{row.status}</span> },
+    { key: 'instrument', label: 'Instrument', renderCell: (row) => row.raw.symbol || row.raw.name || row.raw.isin || '--' },
+    { key: 'symbol', label: 'Symbol', renderCell: (row) => (row.input && row.input.symbol) || '--' },
+    { key: 'type', label: 'Type', renderCell: (row) => (row.input && row.input.type) || '--' },
+    { key: 'date', label: 'Date', renderCell: (row) => (row.input && row.input.date ? formatLedgerDate(row.input.date) : '--') },
+    { key: 'quantity', label: 'Qty', renderCell: (row) => (row.input && row.input.quantity ? formatNum(row.input.quantity) : '--') },
+    { key: 'price', label: 'Price', renderCell: (row) => (row.input && row.input.price ? formatCurrency(row.input.price) : '--') },
+    { key: 'errors', label: 'Notes', renderCell: (row) => row.errors.join(' ') || '--' },
+  ];
+  const taxColumns = [
+    { key: 'sellDate', label: 'Sold', renderCell: (row) => formatLedgerDate(row.sellDate) },
     { key: 'symbol', label: 'Symbol', renderCell: (row) => row.symbol },
+    { key: 'term', label: 'Term', renderCell: (row) => <span className={`ledger-type ledger-type-${row.term.toLowerCase()}`}>{row.term}</span> },
     { key: 'quantity', label: 'Qty', renderCell: (row) => formatNum(row.quantity) },
-    { key: 'avgPrice', label: 'Avg Price', renderCell: (row) => formatCurrency(row.avgPrice) },
-    { key: 'ltp', label: 'LTP', renderCell: (row) => formatCurrency(row.quote?.regularMarketPrice) },
-    { key: 'invested', label: 'Invested', renderCell: (row) => formatCurrency(row.invested) },
-    { key: 'current', label: 'Current', renderCell: (row) => formatCurrency(row.current) },
+    { key: 'buyDate', label: 'Bought', renderCell: (row) => `${formatLedgerDate(row.buyDate)} (${formatNum(row.holdingDays)}d)` },
+    { key: 'actualCost', label: 'Actual Cost', renderCell: (row) => formatCurrency(row.actualCost) },
     {
-      key: 'pnl',
-      label: 'P&L',
-      cellClassName: (row) => pctClass(row.pnl),
-      renderCell: (row) => `${formatCurrency(row.pnl)} (${formatPercent(row.pnlPercent)})`,
+      key: 'fmv',
+      label: 'FMV 31-Jan-18',
+      renderCell: (row) => {
+        if (!row.fmvSource) return '--';
+        if (row.fmvSource === 'missing') return 'Missing';
+        return `${formatCurrency(row.fmvPerShare)}${row.fmvSource === 'market' ? ' (market)' : ''}`;
+      },
     },
+    { key: 'costOfAcquisition', label: 'Cost of Acq.', renderCell: (row) => formatCurrency(row.costOfAcquisition) },
+    { key: 'saleValue', label: 'Sale Value', renderCell: (row) => formatCurrency(row.saleValue) },
     {
-      key: 'action',
-      label: 'Action',
-      cellClassName: 'action-cell',
-      renderCell: (row) => (
-        <button className="danger" type="button" onClick={() => onDeletePosition(row.id)}>
-          Delete
-        </button>
-      ),
+      key: 'gain',
+      label: 'Gain/Loss',
+      cellClassName: (row) => pctClass(row.gain),
+      renderCell: (row) => formatCurrency(row.gain),
     },
+    { key: 'taxRate', label: 'Rate', renderCell: (row) => formatPercent(row.taxRate) },
   ];
   const screenerColumns = [
     { key: 'symbol', label: 'Symbol', renderCell: (row) => row.symbol },
@@ -1197,6 +2494,34 @@ function App() {
     },
     { key: 'volume', label: 'Volume', renderCell: (row) => formatNum(row.regularMarketVolume) },
     { key: 'marketCap', label: 'Market Cap', renderCell: (row) => formatMarketCapInCrores(row.marketCap) },
+    {
+      key: 'stage',
+      label: 'Stage',
+      renderCell: (row) => (
+        <>
+          <span className={`stage-pill ${stageClass(row.marketCycleStage)}`}>{formatStage(row.marketCycleStage)}</span>
+          <StageTransition quote={row} />
+        </>
+      ),
+    },
+    {
+      key: 'rsi',
+      label: 'RSI D / W',
+      renderCell: (row) => <span title={formatIndicatorTitle(row)}>{formatRsiPair(row)}</span>,
+    },
+    {
+      key: 'macd',
+      label: 'MACD Hist',
+      cellClassName: (row) => pctClass(row.macdHistogram),
+      renderCell: (row) => formatNum(row.macdHistogram),
+    },
+    { key: 'adx', label: 'ADX', renderCell: (row) => formatNum(row.adx14) },
+    {
+      key: 'rs',
+      label: 'RS vs Nifty',
+      cellClassName: (row) => pctClass(row.mansfieldRs),
+      renderCell: (row) => formatNum(row.mansfieldRs),
+    },
     {
       key: 'source',
       label: 'Source',
@@ -1204,7 +2529,8 @@ function App() {
       cellClassName: 'source-cell',
       renderCell: (row) => (
         <span title={formatSourceTitle(row)}>
-          {formatSourceCellValue(row.source, row.dataStatus)}
+          {formatSourceCellValue(row.source, row.dataStatus, sourceLabels)}
+          {row.atLastClose ? ' · last close' : ''}
         </span>
       ),
     },
@@ -1262,6 +2588,9 @@ function App() {
                 { key: 'screener', label: 'Screener' },
                 { key: 'feed', label: 'Market Feed' },
                 { key: 'events', label: 'Events' },
+                { key: 'tax', label: 'Tax' },
+                { key: 'alerts', label: 'Alerts' },
+                { key: 'digest', label: 'Digest' },
               ].map((tab) => (
                 <button
                   key={tab.key}
@@ -1306,12 +2635,81 @@ function App() {
                     <span className="watchlist-table-note">
                       Last updated: {formatWatchlistTimestamp(watchlistLastUpdated)}
                       {watchlistSomeLive && !watchlistAllLive ? ' | Mixed Mode' : ''}
+                      {marketStatus ? ` | ${formatMarketStatusLabel(marketStatus)}` : ''}
+                      {watchlistSomeLive && quoteStream === 'live' && marketStatus?.active ? ' | Streaming' : ''}
+                      {watchlistSomeLive && quoteStream === 'connecting' ? ' | Connecting stream...' : ''}
                       {salesSnapshotStatus?.updatedAt ? ` | Sales snapshot: ${formatCalendarTimestamp(salesSnapshotStatus.updatedAt)}` : ''}
 
                     </span>
                   </div>
                 )}
               >
+                <div className="watchlist-switcher">
+                  <div className="tabs" role="tablist" aria-label="Watchlists">
+                    {watchlists.map((list) => (
+                      <button
+                        key={list.id}
+                        className={`tab-button ${list.id === activeWatchlistId ? 'active' : ''}`}
+                        onClick={() => onSelectWatchlist(list.id)}
+                        type="button"
+                        role="tab"
+                        aria-selected={list.id === activeWatchlistId}
+                      >
+                        {list.name} ({list.count})
+                      </button>
+                    ))}
+                  </div>
+                  <button type="button" className="secondary" onClick={() => onMoveWatchlist(-1)} title="Move list left">&lt;</button>
+                  <button type="button" className="secondary" onClick={() => onMoveWatchlist(1)} title="Move list right">&gt;</button>
+                  <button type="button" className="secondary" onClick={onRenameWatchlist}>Rename</button>
+                  <button type="button" className="danger" onClick={onDeleteWatchlistList} disabled={watchlists.length <= 1}>Delete list</button>
+                  <form className="watchlist-create" onSubmit={onCreateWatchlist}>
+                    <input
+                      value={newWatchlistName}
+                      onChange={(event) => setNewWatchlistName(event.target.value)}
+                      placeholder="New list (e.g. Results season)"
+                      maxLength={60}
+                    />
+                    <button type="submit" disabled={!newWatchlistName.trim()}>Add list</button>
+                  </form>
+                </div>
+
+                {watchlistEntryForm && (
+                  <form className="action-row watchlist-entry-form" onSubmit={onSaveWatchlistEntry}>
+                    <strong>{watchlistEntryForm.symbol}</strong>
+                    <input
+                      value={watchlistEntryForm.tags}
+                      onChange={(event) => setWatchlistEntryForm((prev) => ({ ...prev, tags: event.target.value }))}
+                      placeholder="Tags (comma separated)"
+                    />
+                    <input
+                      value={watchlistEntryForm.targetPrice}
+                      onChange={(event) => setWatchlistEntryForm((prev) => ({ ...prev, targetPrice: event.target.value }))}
+                      placeholder="Target price"
+                      type="number"
+                      step="0.01"
+                      min="0"
+                    />
+                    <input
+                      value={watchlistEntryForm.stopPrice}
+                      onChange={(event) => setWatchlistEntryForm((prev) => ({ ...prev, stopPrice: event.target.value }))}
+                      placeholder="Stop price"
+                      type="number"
+                      step="0.01"
+                      min="0"
+                    />
+                    <textarea
+                      value={watchlistEntryForm.note}
+                      onChange={(event) => setWatchlistEntryForm((prev) => ({ ...prev, note: event.target.value }))}
+                      placeholder="Thesis / notes"
+                      rows={2}
+                      maxLength={2000}
+                    />
+                    <button className="primary" type="submit">Save</button>
+                    <button type="button" className="secondary" onClick={() => setWatchlistEntryForm(null)}>Cancel</button>
+                  </form>
+                )}
+
                 <form className="action-row" onSubmit={onAddToWatchlist}>
                   <input
                     value={newSymbol}
@@ -1361,11 +2759,11 @@ function App() {
                     sortState={watchlistSort}
                     onSort={onWatchlistSort}
                     getRowClassName={() => 'watchlist-row-clickable'}
-                    getRowTitle={(row) => `Open quarterly financials for ${row.symbol}`}
+                    getRowTitle={(row) => `Open chart and quarterly financials for ${row.symbol}`}
                     onRowClick={(row) => onOpenQuarterlyModal(row.symbol)}
                     onRowKeyDown={(event, row) => onWatchlistRowKeyDown(event, row.symbol)}
                     pageSize={100}
-                    minWidth={1060}
+                    minWidth={1400}
                     emptyMessage="Your watchlist is empty. Add a ticker to begin."
                   />
                 )}
@@ -1375,50 +2773,283 @@ function App() {
             {!loading && activeTab === 'portfolio' && (
               <TabSection
                 title="Portfolio Health"
-                description="Review holdings, exposure, and live P&L in a single at-a-glance panel."
+                description="Record dated buys, sells and charges; holdings, FIFO lots and realized vs unrealized P&L are derived from the ledger."
                 footer={(
                   <span>
                     Summary: Invested {formatCurrency(portfolio.summary.invested)} | Current {formatCurrency(portfolio.summary.current)} |
-                    <span className={pctClass(portfolio.summary.pnl)}> P&L {formatCurrency(portfolio.summary.pnl)} ({formatPercent(portfolio.summary.pnlPercent)})</span>
+                    <span className={pctClass(portfolio.summary.pnl)}> Unrealized {formatCurrency(portfolio.summary.pnl)} ({formatPercent(portfolio.summary.pnlPercent)})</span> |
+                    <span className={pctClass(portfolio.summary.realizedPnl)}> Realized {formatCurrency(portfolio.summary.realizedPnl)}</span> |
+                    <span> Dividends {formatCurrency(portfolio.summary.dividendIncome || 0)}</span> |
+                    <span className={pctClass(portfolio.summary.totalPnl)}> Total {formatCurrency(portfolio.summary.totalPnl)}</span>
                   </span>
                 )}
               >
-                <form className="action-row" onSubmit={onAddPosition}>
+                <form className="action-row" onSubmit={onAddTransaction}>
+                  <select
+                    value={transactionForm.type}
+                    onChange={(event) => setTransactionForm((prev) => ({ ...prev, type: event.target.value }))}
+                    aria-label="Transaction type"
+                  >
+                    <option value="BUY">Buy</option>
+                    <option value="SELL">Sell</option>
+                    <option value="CHARGE">Charge</option>
+                    <option value="DIVIDEND">Dividend</option>
+                    <option value="SPLIT">Split</option>
+                    <option value="BONUS">Bonus</option>
+                  </select>
                   <input
-                    value={positionForm.symbol}
-                    onChange={(event) => setPositionForm((prev) => ({ ...prev, symbol: event.target.value }))}
-                    placeholder="Symbol"
+                    value={transactionForm.symbol}
+                    onChange={(event) => setTransactionForm((prev) => ({ ...prev, symbol: event.target.value }))}
+                    placeholder={transactionForm.type === 'CHARGE' ? 'Symbol (optional)' : 'Symbol'}
                   />
                   <input
-                    value={positionForm.quantity}
-                    onChange={(event) => setPositionForm((prev) => ({ ...prev, quantity: event.target.value }))}
-                    placeholder="Quantity"
-                    type="number"
-                    step="0.01"
-                    min="0"
+                    value={transactionForm.date}
+                    onChange={(event) => setTransactionForm((prev) => ({ ...prev, date: event.target.value }))}
+                    type="date"
+                    max={todayIsoDate()}
+                    aria-label={['DIVIDEND', 'SPLIT', 'BONUS'].includes(transactionForm.type) ? 'Ex-date' : 'Trade date'}
                   />
+                  {transactionForm.type === 'CHARGE' && (
+                    <input
+                      value={transactionForm.amount}
+                      onChange={(event) => setTransactionForm((prev) => ({ ...prev, amount: event.target.value }))}
+                      placeholder="Amount"
+                      type="number"
+                      step="0.01"
+                      min="0"
+                    />
+                  )}
+                  {transactionForm.type === 'DIVIDEND' && (
+                    <input
+                      value={transactionForm.amountPerShare}
+                      onChange={(event) => setTransactionForm((prev) => ({ ...prev, amountPerShare: event.target.value }))}
+                      placeholder="Dividend per share"
+                      type="number"
+                      step="0.01"
+                      min="0"
+                    />
+                  )}
+                  {(transactionForm.type === 'SPLIT' || transactionForm.type === 'BONUS') && (
+                    <>
+                      <input
+                        value={transactionForm.ratioNew}
+                        onChange={(event) => setTransactionForm((prev) => ({ ...prev, ratioNew: event.target.value }))}
+                        placeholder={transactionForm.type === 'SPLIT' ? 'New shares' : 'Bonus shares'}
+                        type="number"
+                        step="any"
+                        min="0"
+                      />
+                      <input
+                        value={transactionForm.ratioOld}
+                        onChange={(event) => setTransactionForm((prev) => ({ ...prev, ratioOld: event.target.value }))}
+                        placeholder={transactionForm.type === 'SPLIT' ? 'For old shares' : 'Per shares held'}
+                        type="number"
+                        step="any"
+                        min="0"
+                      />
+                    </>
+                  )}
+                  {(transactionForm.type === 'BUY' || transactionForm.type === 'SELL') && (
+                    <>
+                      <input
+                        value={transactionForm.quantity}
+                        onChange={(event) => setTransactionForm((prev) => ({ ...prev, quantity: event.target.value }))}
+                        placeholder="Quantity"
+                        type="number"
+                        step="0.01"
+                        min="0"
+                      />
+                      <input
+                        value={transactionForm.price}
+                        onChange={(event) => setTransactionForm((prev) => ({ ...prev, price: event.target.value }))}
+                        placeholder="Price"
+                        type="number"
+                        step="0.01"
+                        min="0"
+                      />
+                      <input
+                        value={transactionForm.charges}
+                        onChange={(event) => setTransactionForm((prev) => ({ ...prev, charges: event.target.value }))}
+                        placeholder="Brokerage + charges"
+                        type="number"
+                        step="0.01"
+                        min="0"
+                      />
+                    </>
+                  )}
                   <input
-                    value={positionForm.avgPrice}
-                    onChange={(event) => setPositionForm((prev) => ({ ...prev, avgPrice: event.target.value }))}
-                    placeholder="Average Buy Price"
-                    type="number"
-                    step="0.01"
-                    min="0"
+                    value={transactionForm.note}
+                    onChange={(event) => setTransactionForm((prev) => ({ ...prev, note: event.target.value }))}
+                    placeholder="Note"
                   />
-                  <button className="primary" type="submit">Add Position</button>
+                  <button className="primary" type="submit">Record</button>
                 </form>
 
+                {(portfolio.warnings || []).map((warning) => (
+                  <div className="alert-banner" key={`${warning.transactionId}-${warning.code}`}>{warning.message}</div>
+                ))}
+
+                <h4 className="subsection-title">Holdings</h4>
                 {portfolio.positions.length === 0 ? (
-                  <div className="empty-state">No positions yet. Add your first holding above.</div>
+                  <div className="empty-state">No open holdings. Record a BUY above.</div>
                 ) : (
                   <DataTable
                     columns={portfolioColumns}
                     rows={portfolio.positions}
-                    rowKey={(row) => row.id}
+                    rowKey={(row) => row.symbol}
                     pageSize={15}
+                    minWidth={1040}
+                    emptyMessage="No open holdings. Record a BUY above."
+                  />
+                )}
+
+                <h4 className="subsection-title">Performance</h4>
+                {performance ? (
+                  <div className="performance-card">
+                    <div className="performance-grid">
+                      {[
+                        { label: 'XIRR', value: performance.metrics.xirrPercent },
+                        { label: 'TWR', value: performance.metrics.twrPercent },
+                        { label: 'TWR (annualized)', value: performance.metrics.twrAnnualizedPercent },
+                        { label: 'Max Drawdown', value: performance.metrics.maxDrawdown.percent },
+                        { label: performance.benchmark.name, value: performance.metrics.benchmarkReturnPercent },
+                        { label: 'Excess vs NIFTY', value: performance.metrics.excessReturnPercent },
+                      ].map((stat) => (
+                        <div className="performance-stat" key={stat.label}>
+                          <div className="performance-stat-label">{stat.label}</div>
+                          <div className={`performance-stat-value ${stat.value === null ? '' : pctClass(stat.value)}`}>
+                            {formatPercent(stat.value)}
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                    <PerformanceSparkline points={performance.points} />
+                    <div className="performance-meta">
+                      <span>
+                        {performance.from} to {performance.to} | {performance.metrics.snapshots} daily snapshot(s)
+                        {performance.metrics.maxDrawdown.troughDate
+                          ? ` | Drawdown ${performance.metrics.maxDrawdown.peakDate} to ${performance.metrics.maxDrawdown.troughDate}`
+                          : ''}
+                      </span>
+                      <button type="button" onClick={() => loadPerformance({ snapshot: true })} disabled={performanceLoading}>
+                        {performanceLoading ? 'Updating...' : 'Snapshot Now'}
+                      </button>
+                    </div>
+                  </div>
+                ) : (
+                  <div className="empty-state">{performanceLoading ? 'Loading performance...' : 'No performance data yet.'}</div>
+                )}
+
+                <h4 className="subsection-title">Realized Trades (FIFO)</h4>
+                <DataTable
+                  columns={realizedColumns}
+                  rows={(portfolio.realized || []).slice().reverse()}
+                  rowKey={(row) => `${row.sellTransactionId}-${row.buyTransactionId}`}
+                  pageSize={10}
+                  minWidth={900}
+                  emptyMessage="No sells recorded yet."
+                />
+
+                <h4 className="subsection-title">Transactions</h4>
+                <DataTable
+                  columns={transactionColumns}
+                  rows={portfolio.transactions || []}
+                  rowKey={(row) => row.id}
+                  pageSize={15}
+                  minWidth={960}
+                  emptyMessage="No transactions yet."
+                />
+
+                <h4 className="subsection-title">Corporate Actions</h4>
+                <div className="performance-meta">
+                  <span>
+                    {corporateActions
+                      ? `${corporateActions.pending} new NSE announcement(s) for your holdings | ${corporateActions.recorded.length} recorded`
+                      : 'Splits, bonuses and dividends from NSE for symbols you have bought.'}
+                  </span>
+                  <span>
+                    <button type="button" onClick={() => loadCorporateActions()} disabled={corporateActionsLoading}>
+                      {corporateActionsLoading ? 'Checking...' : 'Check NSE'}
+                    </button>
+                    {corporateActions && corporateActions.pending > 0 && (
+                      <button className="primary" type="button" onClick={() => loadCorporateActions({ sync: true })} disabled={corporateActionsLoading}>
+                        Record {corporateActions.pending} New
+                      </button>
+                    )}
+                  </span>
+                </div>
+                {corporateActions && (corporateActions.errors || []).map((item) => (
+                  <div className="alert-banner" key={item.symbol}>{item.symbol}: {item.error}</div>
+                ))}
+                {corporateActions && (
+                  <DataTable
+                    columns={corporateActionColumns}
+                    rows={corporateActions.actions}
+                    rowKey={(row) => row.externalId}
+                    pageSize={10}
                     minWidth={900}
-                    emptyMessage="No positions yet. Add your first holding above."
+                    emptyMessage="No splits, bonuses or dividends announced since your first buy."
+                  />
+                )}
+
+                <h4 className="subsection-title">Import Broker CSV</h4>
+                <form className="action-row" onSubmit={onPreviewImport}>
+                  <input type="file" accept=".csv,text/csv" onChange={onImportFileChange} aria-label="Broker CSV file" />
+                  <select
+                    value={importForm.kind}
+                    onChange={(event) => setImportForm((prev) => ({ ...prev, kind: event.target.value }))}
+                    aria-label="Import kind"
+                  >
+                    <option value="auto">Detect</option>
+                    <option value="tradebook">Tradebook</option>
+                    <option value="holdings">Holdings</option>
+                  </select>
+                  <input
+                    value={importForm.date}
+                    onChange={(event) => setImportForm((prev) => ({ ...prev, date: event.target.value }))}
+                    type="date"
+                    max={todayIsoDate()}
+                    aria-label="Holdings as-of date"
+                    title="Buy date recorded for holdings imports (defaults to today)"
                   />
+                  <button type="submit" disabled={!importForm.csv || importLoading}>
+                    {importLoading && !importPreview ? 'Reading...' : 'Preview'}
+                  </button>
+                  {importPreview && (
+                    <button
+                      className="primary"
+                      type="button"
+                      onClick={onCommitImport}
+                      disabled={importLoading || importPreview.summary.valid === 0}
+                    >
+                      Import {importPreview.summary.valid} Row(s)
+                    </button>
+                  )}
+                </form>
+                {importResult && (
+                  <div className="alert-banner success">
+                    Imported {importResult.imported} {importResult.broker} {importResult.kind} row(s);
+                    {' '}{importResult.duplicates} duplicate(s) and {importResult.skipped} skipped row(s) left out.
+                  </div>
+                )}
+                {importPreview && (
+                  <>
+                    <div className="performance-meta">
+                      <span>
+                        {importForm.fileName} | {importPreview.broker} {importPreview.kind} | {importPreview.summary.total} row(s):
+                        {' '}{importPreview.summary.valid} valid, {importPreview.summary.errors} with errors,
+                        {' '}{importPreview.summary.duplicates} already imported, {importPreview.summary.skipped} skipped
+                      </span>
+                    </div>
+                    <DataTable
+                      columns={importColumns}
+                      rows={importPreview.rows}
+                      rowKey={(row) => row.line}
+                      pageSize={15}
+                      minWidth={960}
+                      emptyMessage="No data rows found in the file."
+                    />
+                  </>
                 )}
               </TabSection>
             )}
@@ -1426,7 +3057,7 @@ function App() {
             {!loading && activeTab === 'screener' && (
               <TabSection
                 title="Momentum Screener"
-                description="Filter tracked symbols with volume, price range, and momentum thresholds."
+                description="Filter tracked symbols with volume, price range, momentum, indicator (RSI, MACD, ADX, relative strength) and fresh Stage 2 thresholds."
                 footer={<span>Matched {screener.matched} of {screener.total} watchlist stocks.</span>}
               >
                 <form className="action-row" onSubmit={onRunScreener}>
@@ -1458,6 +3089,25 @@ function App() {
                     type="number"
                     step="0.01"
                   />
+                  {SCREENER_INDICATOR_INPUTS.map((input) => (
+                    <input
+                      key={input.key}
+                      placeholder={input.label}
+                      value={screenerFilters[input.key]}
+                      onChange={(event) => setScreenerFilters((prev) => ({ ...prev, [input.key]: event.target.value }))}
+                      type="number"
+                      step={input.step}
+                    />
+                  ))}
+                  <select
+                    value={screenerFilters.macd}
+                    onChange={(event) => setScreenerFilters((prev) => ({ ...prev, macd: event.target.value }))}
+                    aria-label="MACD histogram"
+                  >
+                    <option value="">Any MACD</option>
+                    <option value="bullish">MACD bullish</option>
+                    <option value="bearish">MACD bearish</option>
+                  </select>
                   <button className="primary" type="submit">Run Screener</button>
                 </form>
 
@@ -1469,7 +3119,7 @@ function App() {
                     rows={screener.results}
                     rowKey={(row) => row.symbol}
                     pageSize={100}
-                    minWidth={860}
+                    minWidth={1320}
                     emptyMessage="No screener results yet. Set filters and run."
                   />
                 )}
@@ -1555,6 +3205,334 @@ function App() {
               </TabSection>
             )}
 
+            {!loading && activeTab === 'tax' && (
+              <TabSection
+                title="Capital Gains (India)"
+                description="Realized FIFO lots per financial year, classified as short-term (held 12 months or less) or long-term, with 31-Jan-2018 grandfathering."
+                toolbar={(
+                  <div className="action-row">
+                    <select value={taxFy} onChange={(event) => setTaxFy(event.target.value)} aria-label="Financial year">
+                      <option value="">All financial years</option>
+                      {(taxReport?.financialYears || []).map((fy) => (
+                        <option key={fy} value={fy}>FY {fy}</option>
+                      ))}
+                    </select>
+                    <button className="secondary" type="button" onClick={onExportTaxCsv}>Export CSV</button>
+                  </div>
+                )}
+                footer={<span>{taxReport?.note || ''}</span>}
+              >
+                <form className="action-row" onSubmit={onSaveFmv}>
+                  <input
+                    value={fmvForm.symbol}
+                    onChange={(event) => setFmvForm((prev) => ({ ...prev, symbol: event.target.value }))}
+                    placeholder="Symbol"
+                  />
+                  <input
+                    value={fmvForm.fmv}
+                    onChange={(event) => setFmvForm((prev) => ({ ...prev, fmv: event.target.value }))}
+                    placeholder="FMV on 31-Jan-2018 (blank clears)"
+                    type="number"
+                    step="0.01"
+                    min="0"
+                  />
+                  <button className="primary" type="submit">Save FMV</button>
+                </form>
+
+                {(taxReport?.warnings || []).map((warning) => (
+                  <div className="alert-banner" key={`${warning.code}-${warning.symbol || warning.transactionId}`}>{warning.message}</div>
+                ))}
+
+                {taxLoading && !taxReport ? <div className="empty-state">Loading tax report...</div> : null}
+                {taxReport && taxReport.years.length === 0 ? (
+                  <div className="empty-state">No realized gains yet. Sells recorded in the Portfolio tab appear here.</div>
+                ) : null}
+
+                {(taxReport?.years || []).map((year) => (
+                  <div key={year.fy}>
+                    <h4 className="subsection-title">FY {year.fy}</h4>
+                    <div className="performance-card">
+                      <div className="performance-grid">
+                        {[
+                          { label: 'STCG (net)', value: year.stcg.net },
+                          { label: 'LTCG (net)', value: year.ltcg.net },
+                          {
+                            label: 'LTCG Exemption',
+                            value: year.ltcgFullyExempt ? 'Exempt (10(38))' : `${formatCurrency(year.ltcgExemptionUsed)} of ${formatCurrency(year.ltcgExemptionLimit)}`,
+                          },
+                          { label: 'Taxable STCG', value: year.taxableStcg },
+                          { label: 'Taxable LTCG', value: year.taxableLtcg },
+                          { label: 'Estimated Tax', value: year.estimatedTax.total },
+                        ].map((stat) => (
+                          <div className="performance-stat" key={stat.label}>
+                            <div className="performance-stat-label">{stat.label}</div>
+                            <div className={`performance-stat-value ${typeof stat.value === 'number' && stat.label.includes('net') ? pctClass(stat.value) : ''}`}>
+                              {typeof stat.value === 'number' ? formatCurrency(stat.value) : stat.value}
+                            </div>
+                          </div>
+                        ))}
+                      </div>
+                      {year.shortTermLossSetOff > 0 || year.carryForwardLoss.shortTerm > 0 || year.carryForwardLoss.longTerm > 0 ? (
+                        <div className="performance-meta">
+                          <span>
+                            Short-term loss set off against LTCG {formatCurrency(year.shortTermLossSetOff)} |
+                            Carry forward: short-term {formatCurrency(year.carryForwardLoss.shortTerm)}, long-term {formatCurrency(year.carryForwardLoss.longTerm)}
+                          </span>
+                        </div>
+                      ) : null}
+                    </div>
+                    <DataTable
+                      columns={taxColumns}
+                      rows={year.rows}
+                      rowKey={(row) => `${row.sellTransactionId}-${row.buyTransactionId}`}
+                      pageSize={15}
+                      minWidth={1100}
+                      emptyMessage="No realized lots in this financial year."
+                    />
+                  </div>
+                ))}
+              </TabSection>
+            )}
+
+            {!loading && activeTab === 'alerts' && (
+              <TabSection
+                title="Alerts"
+                description="Price, day-change, EMA crossover, 52-week high and market-cycle stage alerts, checked on a schedule against live quotes."
+                toolbar={(
+                  <div className="action-row">
+                    <button className="secondary" type="button" onClick={onEvaluateAlerts} disabled={alertsLoading}>
+                      {alertsLoading ? 'Checking...' : 'Check Now'}
+                    </button>
+                  </div>
+                )}
+                footer={(
+                  <span>
+                    {alertsData?.evaluator?.schedulerMode === 'cron'
+                      ? `Evaluated on cron ${alertsData.evaluator.schedulerExpression} (${alertsData.evaluator.schedulerTimezone})`
+                      : 'Scheduled evaluation is disabled; use Check Now.'}
+                    {alertsData?.evaluator?.run?.finishedAt ? ` | Last run ${formatCalendarTimestamp(alertsData.evaluator.run.finishedAt)}` : ''}
+                  </span>
+                )}
+              >
+                <form className="action-row" onSubmit={onCreateAlert}>
+                  <input
+                    value={alertForm.symbol}
+                    onChange={(event) => setAlertForm((prev) => ({ ...prev, symbol: event.target.value }))}
+                    placeholder="Symbol"
+                  />
+                  <select
+                    value={alertForm.condition}
+                    onChange={(event) => setAlertForm((prev) => ({ ...prev, condition: event.target.value }))}
+                    aria-label="Condition"
+                  >
+                    {(alertsData?.conditions || []).map((item) => (
+                      <option key={item.id} value={item.id}>{item.label}</option>
+                    ))}
+                  </select>
+                  {alertConditionNeedsValue ? (
+                    <input
+                      value={alertForm.value}
+                      onChange={(event) => setAlertForm((prev) => ({ ...prev, value: event.target.value }))}
+                      placeholder={alertForm.condition.startsWith('PRICE_') ? 'Price' : 'Percent'}
+                      type="number"
+                      step="0.01"
+                      min="0"
+                    />
+                  ) : null}
+                  {alertForm.condition === 'STAGE_CHANGE' ? (
+                    <select
+                      value={alertForm.stage}
+                      onChange={(event) => setAlertForm((prev) => ({ ...prev, stage: event.target.value }))}
+                      aria-label="Stage"
+                    >
+                      <option value="">Any stage</option>
+                      {(alertsData?.stages || []).map((stage) => <option key={stage} value={stage}>{stage}</option>)}
+                    </select>
+                  ) : null}
+                  <select
+                    value={alertForm.mode}
+                    onChange={(event) => setAlertForm((prev) => ({ ...prev, mode: event.target.value }))}
+                    aria-label="Mode"
+                  >
+                    <option value="once">Once</option>
+                    <option value="recurring">Recurring</option>
+                  </select>
+                  {alertForm.mode === 'recurring' ? (
+                    <input
+                      value={alertForm.cooldownMinutes}
+                      onChange={(event) => setAlertForm((prev) => ({ ...prev, cooldownMinutes: event.target.value }))}
+                      placeholder="Cooldown (minutes)"
+                      type="number"
+                      step="1"
+                      min="0"
+                    />
+                  ) : null}
+                  <input
+                    value={alertForm.note}
+                    onChange={(event) => setAlertForm((prev) => ({ ...prev, note: event.target.value }))}
+                    placeholder="Note (optional)"
+                  />
+                  <button className="primary" type="submit" disabled={!alertForm.symbol.trim()}>Add Alert</button>
+                </form>
+
+                {alertsTriggered ? (
+                  <div className="alert-banner success">
+                    {alertsTriggered.length > 0
+                      ? alertsTriggered.map((trigger) => trigger.message).join(' | ')
+                      : 'No alerts triggered on this check.'}
+                  </div>
+                ) : null}
+
+                {alertsLoading && !alertsData ? <div className="empty-state">Loading alerts...</div> : null}
+                <DataTable
+                  columns={alertColumns}
+                  rows={alertsData?.alerts || []}
+                  rowKey={(row) => row.id}
+                  pageSize={15}
+                  minWidth={900}
+                  emptyMessage="No alerts yet. Add one above."
+                />
+
+                <div className="action-row">
+                  <h4 className="subsection-title">Trigger History</h4>
+                  {(alertsData?.history || []).length > 0 ? (
+                    <button className="secondary" type="button" onClick={onClearAlertHistory}>Clear</button>
+                  ) : null}
+                </div>
+                <DataTable
+                  columns={alertHistoryColumns}
+                  rows={alertsData?.history || []}
+                  rowKey={(row) => row.id}
+                  pageSize={15}
+                  minWidth={700}
+                  emptyMessage="Nothing has triggered yet."
+                />
+
+                <h4 className="subsection-title">Notification Channels</h4>
+                <form className="action-row" onSubmit={onCreateChannel}>
+                  <select
+                    value={channelForm.type}
+                    onChange={(event) => setChannelForm((prev) => ({ ...prev, type: event.target.value }))}
+                    aria-label="Channel type"
+                  >
+                    {(notificationData?.types || []).map((item) => (
+                      <option key={item.type} value={item.type}>
+                        {item.type}{item.available ? '' : ' (not configured on server)'}
+                      </option>
+                    ))}
+                  </select>
+                  <input
+                    value={channelForm.name}
+                    onChange={(event) => setChannelForm((prev) => ({ ...prev, name: event.target.value }))}
+                    placeholder="Name (optional)"
+                  />
+                  {channelForm.type === 'email' ? (
+                    <input
+                      value={channelForm.to}
+                      onChange={(event) => setChannelForm((prev) => ({ ...prev, to: event.target.value }))}
+                      placeholder="you@example.com"
+                      type="email"
+                    />
+                  ) : null}
+                  {channelForm.type === 'webhook' ? (
+                    <input
+                      value={channelForm.url}
+                      onChange={(event) => setChannelForm((prev) => ({ ...prev, url: event.target.value }))}
+                      placeholder="https://example.com/hooks/stocks"
+                    />
+                  ) : null}
+                  {channelForm.type === 'telegram' ? (
+                    <>
+                      <input
+                        value={channelForm.chatId}
+                        onChange={(event) => setChannelForm((prev) => ({ ...prev, chatId: event.target.value }))}
+                        placeholder="Chat id or @channel"
+                      />
+                      <input
+                        value={channelForm.botToken}
+                        onChange={(event) => setChannelForm((prev) => ({ ...prev, botToken: event.target.value }))}
+                        placeholder="Bot token (optional)"
+                      />
+                    </>
+                  ) : null}
+                  <button className="primary" type="submit">Add Channel</button>
+                </form>
+                {channelNotice ? <div className="alert-banner success">{channelNotice}</div> : null}
+                <DataTable
+                  columns={channelColumns}
+                  rows={notificationData?.channels || []}
+                  rowKey={(row) => row.id}
+                  pageSize={10}
+                  minWidth={900}
+                  emptyMessage="No channels yet. Alerts only show up here until you add one."
+                />
+
+                <h4 className="subsection-title">Delivery Log</h4>
+                <DataTable
+                  columns={deliveryColumns}
+                  rows={notificationDeliveries}
+                  rowKey={(row) => row.id}
+                  pageSize={15}
+                  minWidth={800}
+                  emptyMessage="No notifications sent yet."
+                />
+              </TabSection>
+            )}
+
+            {!loading && activeTab === 'digest' && (
+              <TabSection
+                title="Daily Digest"
+                description="Pre-market and post-market summary of watchlist movers, portfolio day P&L, stage changes, new results, upcoming events and headlines."
+                toolbar={(
+                  <div className="action-row">
+                    <select value={digestSession} onChange={(event) => setDigestSession(event.target.value)}>
+                      <option value="">Session by time of day</option>
+                      {(digestData?.sessions || []).map((session) => (
+                        <option key={session.value} value={session.value}>{session.label}</option>
+                      ))}
+                    </select>
+                    <button className="secondary" type="button" onClick={() => onGenerateDigest(false)} disabled={digestLoading}>
+                      {digestLoading ? 'Building...' : 'Build Now'}
+                    </button>
+                    <button className="secondary" type="button" onClick={() => onGenerateDigest(true)} disabled={digestLoading}>
+                      Build &amp; Send
+                    </button>
+                  </div>
+                )}
+                footer={(
+                  <span>
+                    {digestData?.scheduler?.schedulerMode === 'cron'
+                      ? `Scheduled ${digestData.scheduler.schedulerExpressions.join(', ')} (${digestData.scheduler.schedulerTimezone})`
+                      : 'Scheduled digests are disabled; use Build Now.'}
+                    {' | Build & Send delivers to channels subscribed to Daily digest.'}
+                  </span>
+                )}
+              >
+                {digestData?.history?.length > 0 ? (
+                  <div className="action-row">
+                    <select value={digestData.digest?.id || ''} onChange={(event) => loadDigest(event.target.value)}>
+                      {digestData.history.map((item) => (
+                        <option key={item.id} value={item.id}>{`${item.date} ${item.sessionLabel}`}</option>
+                      ))}
+                    </select>
+                    {digestData.digest ? <span>{`Built ${formatCalendarTimestamp(digestData.digest.createdAt)}`}</span> : null}
+                  </div>
+                ) : null}
+                {digestLoading && !digestData ? <div className="empty-state">Loading digest...</div> : null}
+                {digestData && !digestData.digest ? (
+                  <div className="empty-state">No digest yet. Build one now or wait for the next scheduled run.</div>
+                ) : null}
+                {digestData?.digest ? (
+                  <iframe
+                    className="digest-frame"
+                    title="Daily digest"
+                    sandbox="allow-popups allow-popups-to-escape-sandbox"
+                    srcDoc={digestData.digest.html}
+                  />
+                ) : null}
+              </TabSection>
+            )}
+
             {!loading && activeTab === 'feed' && (
               <TabSection
                 title="Market Feed"
@@ -1605,9 +3583,7 @@ function App() {
           <section className="financial-modal" onClick={(event) => event.stopPropagation()}>
             <header className="financial-modal-header">
               <div>
-                <h3 className="financial-modal-title">
-                  {quarterlyModal.symbol} Quarterly Metrics
-                </h3>
+                <h3 className="financial-modal-title">{quarterlyModal.symbol}</h3>
                 <div className="financial-modal-subtitle">
                   {quarterlyModal.data?.companyName || '--'}
                   {quarterlyLabels.length > 0 ? ` | Last ${quarterlyLabels.length} quarters` : ''}
@@ -1617,13 +3593,42 @@ function App() {
                 className="financial-close-btn"
                 type="button"
                 onClick={closeQuarterlyModal}
-                aria-label="Close quarterly financial popup"
+                aria-label="Close symbol details"
               >
                 <span aria-hidden="true">Close</span>
               </button>
             </header>
 
             <div className="financial-modal-body">
+              <div className="symbol-chart-header">
+                <h4 className="symbol-detail-heading">Price chart</h4>
+                <div className="symbol-chart-ranges" role="group" aria-label="Chart range">
+                  {CHART_RANGE_PRESETS.map((range) => (
+                    <button
+                      key={range}
+                      type="button"
+                      className={range === symbolChart.range ? 'primary' : 'secondary'}
+                      onClick={() => loadSymbolChart(quarterlyModal.symbol, range)}
+                      disabled={symbolChart.loading && range === symbolChart.range}
+                    >
+                      {range}
+                    </button>
+                  ))}
+                </div>
+              </div>
+              {symbolChart.loading && !symbolChart.data ? <div className="empty-state">Loading price history...</div> : null}
+              {!symbolChart.loading && symbolChart.error ? <div className="empty-state">{symbolChart.error}</div> : null}
+              {symbolChart.data && !symbolChart.error ? <SymbolChart chart={symbolChart.data} /> : null}
+              {symbolChart.data ? (
+                <div className="financial-modal-note">
+                  {symbolChart.loading ? 'Updating... | ' : ''}
+                  {symbolChart.data.interval === '1wk' ? 'Weekly' : 'Daily'} candles from {symbolChart.data.source || '--'}
+                  {symbolChart.data.stale ? ' | Providers unavailable, showing stored history' : ''}
+                  {(symbolChart.data.warnings || []).length > 0 ? ` | ${symbolChart.data.warnings.join(' | ')}` : ''}
+                </div>
+              ) : null}
+
+              <h4 className="symbol-detail-heading">Quarterly metrics</h4>
               {quarterlyModal.loading ? (
                 <div className="empty-state">Loading quarterly financials...</div>
               ) : null}
@@ -1666,6 +3671,27 @@ function App() {
           </section>
         </div>
       ) : null}
+
+      {sessionExpired ? (
+        <div className="financial-modal-backdrop">
+          <section className="financial-modal session-modal" role="alertdialog" aria-labelledby="session-expired-title">
+            <header className="financial-modal-header">
+              <div>
+                <h3 className="financial-modal-title" id="session-expired-title">Session expired</h3>
+                <div className="financial-modal-subtitle">Your sign-in is no longer valid.</div>
+              </div>
+            </header>
+            <div className="financial-modal-body">
+              <p className="session-modal-text">
+                Sign in again to keep working. Unsaved form input on this page will be lost.
+              </p>
+              <div className="session-modal-actions">
+                <a className="session-login-link" href="/login">Sign in again</a>
+              </div>
+            </div>
+          </section>
+        </div>
+      ) : null}
     </div>
   );
 }
@@ -1,8 +1,9 @@
 const dns = require('dns').promises;
 const net = require('net');
 const { config } = require('../src/config');
-const { readDb, initializeStore } = require('../src/store');
-const { getQuotes } = require('../src/services/marketDataService');
+const { getStoreStats, initializeStore } = require('../src/store');
+const { getQuotes, getEffectiveProviderOrder, listMarketProviders } = require('../src/services/marketDataService');
+const { installHttpFixtures, getFixtureStatus } = require('../src/services/fixtureService');
 
 function printHeader() {
   console.log('== stock tracker doctor ==');
@@ -12,20 +13,31 @@ function printHeader() {
   console.log(`host: ${config.host}`);
   console.log(`port: ${config.port}`);
   console.log(`dataFile: ${config.dataFilePath}`);
-  console.log(`marketProviders: ${config.marketDataProviderOrder.join(' -> ')}`);
-  if (config.marketDataProviderOrder.includes('twelvedata')) {
-    console.log(`twelveDataKey: ${config.twelveDataApiKey ? 'configured' : 'missing'}`);
+  const order = getEffectiveProviderOrder();
+  console.log(`marketProviders: ${order.join(' -> ')}`);
+  const fixtures = getFixtureStatus();
+  if (fixtures.mode !== 'off') {
+    console.log(`marketDataFixtures: ${fixtures.mode} (${fixtures.dir})`);
   }
-  if (config.marketDataProviderOrder.includes('alphavantage')) {
-    console.log(`alphaVantageKey: ${config.alphaVantageApiKey ? 'configured' : 'missing'}`);
+  for (const provider of listMarketProviders()) {
+    if (!order.includes(provider.provider)) {
+      continue;
+    }
+    if (!provider.registered) {
+      console.error(`provider: ${provider.provider} is not registered`);
+      process.exitCode = 1;
+    } else if (provider.credentials.length > 0) {
+      const missing = provider.missingCredentials;
+      console.log(`${provider.provider}: ${missing.length > 0 ? `missing ${missing.join(', ')}` : 'credentials configured'}`);
+    }
   }
 }
 
 async function checkStorage() {
   try {
     await initializeStore();
-    const db = readDb();
-    console.log(`storage: ok (watchlist=${db.watchlist.length}, portfolio=${db.portfolio.length}, chat=${db.chatHistory.length})`);
+    const stats = getStoreStats();
+    console.log(`storage: ok (users=${stats.users}, watchlist=${stats.watchlist}, transactions=${stats.transactions})`);
   } catch (error) {
     console.error('storage: failed');
     console.error(error);
@@ -34,17 +46,11 @@ async function checkStorage() {
 }
 
 async function checkProviderDns() {
-  const providerHostMap = {
-    nseindia: 'www.nseindia.com',
-    alphavantage: 'www.alphavantage.co',
-    tradingview: 'scanner.tradingview.com',
-    twelvedata: 'api.twelvedata.com',
-    yahoo: 'query1.finance.yahoo.com',
-  };
-
+  const order = getEffectiveProviderOrder();
   const hosts = Array.from(new Set(
-    config.marketDataProviderOrder
-      .map((provider) => providerHostMap[provider])
+    listMarketProviders()
+      .filter((provider) => order.includes(provider.provider))
+      .flatMap((provider) => provider.hosts)
       .filter(Boolean),
   ));
 
@@ -107,6 +113,7 @@ function checkPort() {
 }
 
 async function main() {
+  installHttpFixtures();
   printHeader();
   await checkStorage();
   await checkProviderDns();
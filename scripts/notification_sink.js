@@ -0,0 +1,88 @@
+// Local sink for testing notification channels without real providers.
+//   HTTP (webhook + Telegram Bot API): http://127.0.0.1:8025
+//     webhook channel url:      http://127.0.0.1:8025/webhook (needs NOTIFICATION_ALLOW_PRIVATE_WEBHOOKS=true)
+//     TELEGRAM_API_BASE_URL:    http://127.0.0.1:8025
+//   SMTP: SMTP_HOST=127.0.0.1 SMTP_PORT=2525 SMTP_SECURE=false
+// Set NOTIFY_SINK_SECRET to the webhook channel secret to check signatures.
+// NOTIFY_SINK_FAIL=2 answers the first two HTTP requests with 503 to exercise retries.
+const crypto = require('crypto');
+const http = require('http');
+const net = require('net');
+
+const httpPort = Number(process.env.NOTIFY_SINK_HTTP_PORT) || 8025;
+const smtpPort = Number(process.env.NOTIFY_SINK_SMTP_PORT) || 2525;
+const secret = process.env.NOTIFY_SINK_SECRET || '';
+let failuresLeft = Number(process.env.NOTIFY_SINK_FAIL) || 0;
+
+http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => {
+    body += chunk;
+  });
+  req.on('end', () => {
+    if (failuresLeft > 0) {
+      failuresLeft -= 1;
+      console.log(`[sink] http ${req.method} ${req.url} -> 503 (simulated failure)`);
+      res.writeHead(503).end();
+      return;
+    }
+
+    if (/\/bot[^/]+\/sendMessage$/.test(req.url)) {
+      console.log(`[sink] telegram ${body}`);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true, result: { message_id: Date.now() } }));
+      return;
+    }
+
+    const timestamp = req.headers['x-tracker-timestamp'];
+    const expected = `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+    const verdict = secret
+      ? (req.headers['x-tracker-signature'] === expected ? 'signature ok' : 'SIGNATURE MISMATCH')
+      : 'signature not checked';
+    console.log(`[sink] webhook ${req.headers['x-tracker-event'] || '-'} (${verdict}) ${body}`);
+    res.writeHead(secret && verdict !== 'signature ok' ? 401 : 204).end();
+  });
+}).listen(httpPort, '127.0.0.1', () => {
+  console.log(`[sink] http listening on 127.0.0.1:${httpPort}`);
+});
+
+// Just enough SMTP for nodemailer: every command is accepted and each message is printed.
+net.createServer((socket) => {
+  let buffer = '';
+  let inData = false;
+  socket.write('220 notification-sink ESMTP\r\n');
+  socket.on('data', (chunk) => {
+    buffer += chunk.toString('utf8');
+    while (buffer) {
+      if (inData) {
+        const end = buffer.indexOf('\r\n.\r\n');
+        if (end < 0) return;
+        console.log(`[sink] smtp message\n${buffer.slice(0, end)}\n`);
+        buffer = buffer.slice(end + 5);
+        inData = false;
+        socket.write('250 OK queued\r\n');
+        continue;
+      }
+
+      const lineEnd = buffer.indexOf('\r\n');
+      if (lineEnd < 0) return;
+      const command = buffer.slice(0, lineEnd).toUpperCase();
+      buffer = buffer.slice(lineEnd + 2);
+      if (command.startsWith('EHLO')) {
+        socket.write('250-notification-sink\r\n250 AUTH PLAIN\r\n');
+      } else if (command.startsWith('DATA')) {
+        inData = true;
+        socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+      } else if (command.startsWith('AUTH')) {
+        socket.write('235 Authenticated\r\n');
+      } else if (command.startsWith('QUIT')) {
+        socket.end('221 Bye\r\n');
+        return;
+      } else {
+        socket.write('250 OK\r\n');
+      }
+    }
+  });
+}).listen(smtpPort, '127.0.0.1', () => {
+  console.log(`[sink] smtp listening on 127.0.0.1:${smtpPort}`);
+});
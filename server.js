@@ -4,17 +4,39 @@ const path = require('path');
 const {
   getWatchlist,
   getWatchlistEntries,
+  getWatchlists,
+  resolveWatchlistId,
+  createWatchlist,
+  renameWatchlist,
+  reorderWatchlists,
+  deleteWatchlist,
   addToWatchlist,
+  updateWatchlistEntry,
   removeFromWatchlist,
   setWatchlistLiveData,
   setAllWatchlistLiveData,
   updateWatchlistQuoteCaches,
   getPortfolio,
+  getTransactions,
   addPortfolioPosition,
-  updatePortfolioPosition,
-  deletePortfolioPosition,
+  addTransactions,
+  updateTransaction,
+  deleteTransaction,
+  deletePortfolioSymbol,
   initializeStore,
-  readDb,
+  readUserDb,
+  getStoreStats,
+  getGrandfatheringFmv,
+  setGrandfatheringFmv,
+  getAlerts,
+  createAlert,
+  updateAlert,
+  deleteAlert,
+  clearAlertHistory,
+  getNotificationChannels,
+  createNotificationChannel,
+  updateNotificationChannel,
+  deleteNotificationChannel,
 } = require('./src/store');
 const {
   getQuotes,
@@ -22,6 +44,10 @@ const {
   getQuarterlyFinancials,
   calculatePortfolioAnalytics,
   runScreener,
+  getMarketProviderStatus,
+  setProviderBreaker,
+  getEffectiveProviderOrder,
+  listMarketProviders,
 } = require('./src/services/marketDataService');
 const {
   initializeDailySalesSnapshot,
@@ -33,6 +59,64 @@ const {
 } = require('./src/services/dailySalesService');
 const { getWatchlistNewsPage } = require('./src/services/newsService');
 const { getUpcomingCorporateEvents } = require('./src/services/eventsService');
+const { buildLedger } = require('./src/services/portfolioLedgerService');
+const {
+  initializePortfolioSnapshots,
+  takePortfolioSnapshots,
+  getPortfolioPerformance,
+  getPortfolioSnapshotStatus,
+  stopPortfolioSnapshots,
+} = require('./src/services/portfolioPerformanceService');
+const { getCapitalGainsReport, toCapitalGainsCsv } = require('./src/services/capitalGainsService');
+const { previewPortfolioImport, commitPortfolioImport } = require('./src/services/portfolioImportService');
+const { getCorporateActionSuggestions, syncCorporateActions } = require('./src/services/corporateActionsService');
+const { ALERT_CONDITIONS, MARKET_CYCLE_STAGES } = require('./src/services/alertRulesService');
+const {
+  initializeAlertEngine,
+  evaluateAlerts,
+  getAlertEngineStatus,
+  stopAlertEngine,
+} = require('./src/services/alertEngineService');
+const {
+  NOTIFICATION_EVENTS,
+  toPublicChannel,
+  getChannelTypes,
+} = require('./src/services/notificationChannels');
+const { sendTestNotification, listDeliveries } = require('./src/services/notificationService');
+const {
+  initializeResultsReminders,
+  getResultsReminderStatus,
+  stopResultsReminders,
+} = require('./src/services/resultsReminderService');
+const {
+  initializeMarketCalendar,
+  getMarketStatus,
+  getMarketCalendar,
+  getMarketCalendarStatus,
+  isCachedSinceLastClose,
+  updateMarketCalendar,
+  refreshMarketHolidays,
+  stopMarketCalendar,
+} = require('./src/services/marketCalendarService');
+const { getPriceHistory, getPriceHistoryStatus } = require('./src/services/priceHistoryService');
+const { getSymbolChart } = require('./src/services/chartService');
+const { getStageHistory, attachStageTransitions, getStageHistoryStatus } = require('./src/services/stageHistoryService');
+const { installHttpFixtures, getFixtureStatus } = require('./src/services/fixtureService');
+const { getCacheStats } = require('./src/services/cacheService');
+const {
+  subscribeQuoteStream,
+  publishQuoteUpdates,
+  getQuoteStreamStatus,
+  stopQuoteStream,
+} = require('./src/services/quoteStreamService');
+const {
+  DIGEST_SESSIONS,
+  initializeDigests,
+  generateDigests,
+  getUserDigest,
+  getDigestStatus,
+  stopDigests,
+} = require('./src/services/digestService');
 const {
   initializeSymbolMaster,
   refreshSymbolMaster,
@@ -46,10 +130,13 @@ const { startKeepAliveService } = require('./src/services/keepAliveService');
 const { config } = require('./src/config');
 const { ensureMongoIndexes, isMongoEnabled, closeMongo, getMongoStatus } = require('./src/db/mongoClient');
 const { normalizeIndianSymbol, stripExchangeSuffix } = require('./src/utils/symbols');
+const { createHttpError } = require('./src/utils/httpError');
 const {
   initializeSessionMiddleware,
   attachUserToLocals,
   requireAuth,
+  requireRole,
+  requireApiAuth,
 } = require('./src/middleware/authMiddleware');
 const { ensureDefaultAdmin } = require('./src/services/authService');
 const authRoutes = require('./src/routes/authRoutes');
@@ -61,12 +148,17 @@ const devReloadClients = new Set();
 let devWatcher = null;
 const WATCHLIST_TECHNICAL_RETRY_MS = 30 * 60 * 1000;
 
+// Record/replay of market-data HTTP responses (MARKET_DATA_FIXTURE_MODE); a no-op when off.
+installHttpFixtures();
+
 // Setup EJS as view engine
 app.set('view engine', 'ejs');
 // Use process.cwd() for Vercel/Serverless path resolution
 const rootDir = process.env.VERCEL ? process.cwd() : __dirname;
 app.set('views', path.join(rootDir, 'views'));
 
+// Needed for correct req.ip (per-IP login lockout) behind a reverse proxy; see TRUST_PROXY.
+app.set('trust proxy', config.trustProxy);
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -78,6 +170,7 @@ app.use((req, res, next) => {
 app.use(initializeSessionMiddleware());
 app.use(attachUserToLocals);
 app.use(express.static(path.join(rootDir, 'public')));
+app.use('/api', requireApiAuth);
 
 function parseBooleanLike(value, defaultValue = false) {
   if (value === undefined || value === null || value === '') {
@@ -92,6 +185,14 @@ function parseBooleanLike(value, defaultValue = false) {
   return ['1', 'true', 'yes', 'y', 'on'].includes(normalized);
 }
 
+function getRequestUsername(req) {
+  const username = String(req.user?.username || '').trim();
+  if (!username) {
+    throw createHttpError(401, 'Authentication required.', 'auth_required');
+  }
+  return username;
+}
+
 function parseCachedAtMs(entry) {
   const ms = Date.parse(String(entry?.cachedAt || '').trim());
   return Number.isFinite(ms) ? ms : 0;
@@ -115,11 +216,22 @@ function hasTechnicalEnrichmentTrace(entry) {
   return traces.some((item) => String(item || '').startsWith('technicals:'));
 }
 
+// While the market is shut, a quote cached after the last close cannot change; only missing data is worth fetching.
+function hasSettledWatchlistQuote(entry, nowMs = Date.now()) {
+  return Boolean(entry?.cachedQuote)
+    && !hasMissingWatchlistTechnicals(entry)
+    && isCachedSinceLastClose(entry.cachedAt, new Date(nowMs));
+}
+
 function shouldRefreshWatchlistEntry(entry, nowMs = Date.now()) {
   if (!entry?.symbol) {
     return false;
   }
 
+  if (hasSettledWatchlistQuote(entry, nowMs)) {
+    return false;
+  }
+
   if (entry.liveData) {
     return true;
   }
@@ -203,10 +315,12 @@ function applySymbolMasterNames(quotes) {
   }
 }
 
-async function getWatchlistSnapshot(options = {}) {
+// With `listId` the snapshot covers one named list; without it, every symbol across the user's lists.
+async function getWatchlistSnapshot(username, options = {}) {
   const forceRefresh = Boolean(options.forceRefresh);
+  const listId = options.listId || '';
   const nowMs = Date.now();
-  const initialEntries = await getWatchlistEntries();
+  const initialEntries = await getWatchlistEntries(username, { listId });
 
   // Only fetch external data if forced. Otherwise, rely on DB (cachedQuote).
   const symbolsToFetch = forceRefresh
@@ -220,13 +334,15 @@ async function getWatchlistSnapshot(options = {}) {
   if (symbolsToFetch.length > 0) {
     fetchedAtIso = new Date().toISOString();
     fetchedQuotes = await getQuotes(symbolsToFetch);
-    entries = await updateWatchlistQuoteCaches(
+    await updateWatchlistQuoteCaches(
+      username,
       fetchedQuotes.map((quote) => ({
         symbol: quote.symbol,
         quote,
         cachedAt: fetchedAtIso,
       })),
     );
+    entries = await getWatchlistEntries(username, { listId });
   }
 
   const fetchedMap = new Map((fetchedQuotes || []).map((quote) => [quote.symbol, quote]));
@@ -245,6 +361,7 @@ async function getWatchlistSnapshot(options = {}) {
   }
 
   applySymbolMasterNames(quotes);
+  const stagedQuotes = await attachStageTransitions(quotes);
 
   const salesSnapshots = {};
   for (const entry of entries) {
@@ -266,12 +383,20 @@ async function getWatchlistSnapshot(options = {}) {
   return {
     watchlist: entries.map((entry) => entry.symbol),
     watchlistEntries: entries,
-    quotes,
+    watchlists: await getWatchlists(username),
+    activeWatchlistId: listId,
+    quotes: stagedQuotes,
     salesSnapshots,
     salesSnapshotStatus,
+    marketStatus: getMarketStatus(),
   };
 }
 
+// `?list=<id>` (or body.listId) picks a named watchlist; omitted means the user's first list.
+async function getRequestWatchlistId(req) {
+  return resolveWatchlistId(getRequestUsername(req), req.query.list || req.body?.listId);
+}
+
 function emitDevReload(reason, file) {
   const payload = JSON.stringify({
     reason: reason || 'change',
@@ -338,7 +463,7 @@ app.get('/api/health', (_req, res) => {
 
 app.get('/api/storage/status', (_req, res) => {
   const mongo = getMongoStatus();
-  const db = readDb();
+  const stats = getStoreStats();
 
   res.json({
     ok: true,
@@ -349,10 +474,8 @@ app.get('/api/storage/status', (_req, res) => {
       mongoDb: config.mongoDbName || '',
     },
     mongo,
-    stats: {
-      watchlist: db.watchlist.length,
-      portfolio: db.portfolio.length,
-    },
+    stats,
+    cache: getCacheStats(),
     timestamp: new Date().toISOString(),
   });
 });
@@ -379,7 +502,7 @@ app.get('/api/symbols/search', (req, res, next) => {
   }
 });
 
-app.post('/api/symbols/refresh', async (_req, res, next) => {
+app.post('/api/symbols/refresh', requireRole('admin'), async (_req, res, next) => {
   try {
     const status = await refreshSymbolMaster({ reason: 'api' });
     res.json({ ok: true, ...status });
@@ -392,7 +515,7 @@ app.get('/api/sales/status', (_req, res) => {
   res.json(getDailySalesSnapshotStatus());
 });
 
-app.post('/api/sales/refresh', async (_req, res, next) => {
+app.post('/api/sales/refresh', requireRole('admin'), async (_req, res, next) => {
   try {
     refreshDailySalesSnapshot({ reason: 'api' }).catch((error) => {
       console.error('[sales] refresh run failed:', error.message);
@@ -426,9 +549,58 @@ app.get('/api/sales/:symbol', (req, res, next) => {
   }
 });
 
-app.get('/api/watchlist/entries', async (_req, res, next) => {
+app.get('/api/watchlists', async (req, res, next) => {
+  try {
+    res.json({ watchlists: await getWatchlists(getRequestUsername(req)) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post('/api/watchlists', async (req, res, next) => {
+  try {
+    const username = getRequestUsername(req);
+    const symbols = (Array.isArray(req.body?.symbols) ? req.body.symbols : [])
+      .map((input) => resolveSymbolQuery(String(input || '').trim()))
+      .filter(Boolean);
+    const watchlist = await createWatchlist(username, { name: req.body?.name, symbols });
+    res.status(201).json({ watchlist, watchlists: await getWatchlists(username) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Body { ids: [...] } with watchlist ids in display order.
+app.put('/api/watchlists/order', async (req, res, next) => {
+  try {
+    res.json({ watchlists: await reorderWatchlists(getRequestUsername(req), req.body?.ids) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.patch('/api/watchlists/:id', async (req, res, next) => {
+  try {
+    const username = getRequestUsername(req);
+    const watchlist = await renameWatchlist(username, req.params.id, req.body?.name);
+    res.json({ watchlist, watchlists: await getWatchlists(username) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.delete('/api/watchlists/:id', async (req, res, next) => {
   try {
-    const entries = await getWatchlistEntries();
+    res.json({ watchlists: await deleteWatchlist(getRequestUsername(req), req.params.id) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/api/watchlist/entries', async (req, res, next) => {
+  try {
+    const listId = await getRequestWatchlistId(req);
+    const entries = await getWatchlistEntries(getRequestUsername(req), { listId });
     const symbols = entries.map((entry) => entry.symbol);
     const salesSnapshotStatus = getDailySalesSnapshotStatus();
     // requestSalesSnapshotRefreshIfNeeded(symbols, { reason: 'watchlist-entries' });
@@ -436,6 +608,7 @@ app.get('/api/watchlist/entries', async (_req, res, next) => {
     res.json({
       watchlist: symbols,
       watchlistEntries: entries,
+      activeWatchlistId: listId,
       salesSnapshotStatus,
     });
   } catch (error) {
@@ -445,9 +618,9 @@ app.get('/api/watchlist/entries', async (_req, res, next) => {
 
 
 
-app.get('/api/watchlist', async (_req, res, next) => {
+app.get('/api/watchlist', async (req, res, next) => {
   try {
-    const snapshot = await getWatchlistSnapshot();
+    const snapshot = await getWatchlistSnapshot(getRequestUsername(req), { listId: await getRequestWatchlistId(req) });
     res.json(snapshot);
   } catch (error) {
     next(error);
@@ -456,15 +629,24 @@ app.get('/api/watchlist', async (_req, res, next) => {
 
 app.post('/api/watchlist', async (req, res, next) => {
   try {
+    const username = getRequestUsername(req);
     const input = String(req.body.symbol || '').trim();
     const symbol = resolveSymbolQuery(input);
     if (!symbol) {
       throw new Error(`Could not resolve symbol from input: ${input || 'empty'}`);
     }
 
+    const listId = await getRequestWatchlistId(req);
     const requestedLiveData = parseBooleanLike(req.body.liveData, false);
-    await addToWatchlist(symbol, { liveData: requestedLiveData });
-    const snapshot = await getWatchlistSnapshot();
+    await addToWatchlist(username, symbol, {
+      liveData: requestedLiveData,
+      listId,
+      tags: req.body.tags,
+      note: req.body.note,
+      targetPrice: req.body.targetPrice,
+      stopPrice: req.body.stopPrice,
+    });
+    const snapshot = await getWatchlistSnapshot(username, { listId });
 
     res.status(201).json({ ...snapshot, resolvedSymbol: symbol });
   } catch (error) {
@@ -474,6 +656,7 @@ app.post('/api/watchlist', async (req, res, next) => {
 
 app.patch('/api/watchlist/:symbol/live', async (req, res, next) => {
   try {
+    const username = getRequestUsername(req);
     if (req.body.liveData === undefined) {
       throw new Error('liveData is required.');
     }
@@ -484,8 +667,8 @@ app.patch('/api/watchlist/:symbol/live', async (req, res, next) => {
     }
 
     const liveData = parseBooleanLike(req.body.liveData, false);
-    await setWatchlistLiveData(symbol, liveData);
-    const snapshot = await getWatchlistSnapshot();
+    await setWatchlistLiveData(username, symbol, liveData);
+    const snapshot = await getWatchlistSnapshot(username, { listId: await getRequestWatchlistId(req) });
 
     res.json({
       ...snapshot,
@@ -499,13 +682,15 @@ app.patch('/api/watchlist/:symbol/live', async (req, res, next) => {
 
 app.patch('/api/watchlist/live', async (req, res, next) => {
   try {
+    const username = getRequestUsername(req);
     if (req.body.liveData === undefined) {
       throw new Error('liveData is required.');
     }
 
+    const listId = await getRequestWatchlistId(req);
     const liveData = parseBooleanLike(req.body.liveData, false);
-    await setAllWatchlistLiveData(liveData);
-    const snapshot = await getWatchlistSnapshot();
+    await setAllWatchlistLiveData(username, liveData, { listId });
+    const snapshot = await getWatchlistSnapshot(username, { listId });
 
     res.json({
       ...snapshot,
@@ -516,10 +701,26 @@ app.patch('/api/watchlist/live', async (req, res, next) => {
   }
 });
 
-app.post('/api/watchlist/refresh', async (_req, res, next) => {
+// Tags, thesis note and target/stop price for a symbol in one list; omitted fields are left as-is.
+app.patch('/api/watchlist/:symbol', async (req, res, next) => {
   try {
-    // Return cached data immediately for fast response
-    const cachedSnapshot = await getWatchlistSnapshot({ forceRefresh: false });
+    const username = getRequestUsername(req);
+    const listId = await getRequestWatchlistId(req);
+    const { tags, note, targetPrice, stopPrice } = req.body || {};
+    const entry = await updateWatchlistEntry(username, listId, req.params.symbol, { tags, note, targetPrice, stopPrice });
+    const snapshot = await getWatchlistSnapshot(username, { listId });
+    res.json({ ...snapshot, updatedEntry: entry });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post('/api/watchlist/refresh', async (req, res, next) => {
+  try {
+    const username = getRequestUsername(req);
+    const listId = await getRequestWatchlistId(req);
+    // Return cached data immediately for fast response; open quote streams get the fresh prices.
+    const cachedSnapshot = await getWatchlistSnapshot(username, { forceRefresh: false, listId });
     res.json({
       ...cachedSnapshot,
       refreshedAt: new Date().toISOString(),
@@ -529,18 +730,22 @@ app.post('/api/watchlist/refresh', async (_req, res, next) => {
     // Update prices in background without blocking the response
     setImmediate(async () => {
       try {
-        const entries = await getWatchlistEntries();
-        const symbolsToFetch = entries.map((entry) => entry.symbol);
+        const entries = await getWatchlistEntries(username, { listId });
+        const symbolsToFetch = entries
+          .filter((entry) => !hasSettledWatchlistQuote(entry))
+          .map((entry) => entry.symbol);
         if (symbolsToFetch.length > 0) {
           const fetchedAtIso = new Date().toISOString();
           const freshQuotes = await getQuotes(symbolsToFetch);
           await updateWatchlistQuoteCaches(
+            username,
             freshQuotes.map((quote) => ({
               symbol: quote.symbol,
               quote,
               cachedAt: fetchedAtIso,
             })),
           );
+          publishQuoteUpdates(username, freshQuotes, fetchedAtIso);
           console.log(`[watchlist-refresh] Updated ${freshQuotes.length} quotes in background`);
         }
       } catch (backgroundError) {
@@ -552,59 +757,441 @@ app.post('/api/watchlist/refresh', async (_req, res, next) => {
   }
 });
 
+// SSE: pushes quote changes for the live-flagged symbols of the caller's watchlist (`?list=<id>` for one list).
+app.get('/api/stream/quotes', async (req, res, next) => {
+  try {
+    await subscribeQuoteStream({
+      username: getRequestUsername(req),
+      listId: await getRequestWatchlistId(req),
+      req,
+      res,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/api/stream/status', (_req, res) => {
+  res.json(getQuoteStreamStatus());
+});
+
 app.delete('/api/watchlist/:symbol', async (req, res, next) => {
   try {
-    await removeFromWatchlist(req.params.symbol);
-    const snapshot = await getWatchlistSnapshot();
+    const username = getRequestUsername(req);
+    // ?list=<id> removes the symbol from that list only; without it, from every list.
+    const listId = req.query.list ? await getRequestWatchlistId(req) : '';
+    await removeFromWatchlist(username, req.params.symbol, { listId });
+    const snapshot = await getWatchlistSnapshot(username, { listId: listId || await getRequestWatchlistId(req) });
     res.json(snapshot);
   } catch (error) {
     next(error);
   }
 });
 
-app.get('/api/portfolio', async (_req, res, next) => {
-  try {
-    const portfolio = await getPortfolio();
-    const quotes = await getQuotes(portfolio.map((position) => position.symbol));
-    const analytics = calculatePortfolioAnalytics(portfolio, quotes);
+async function buildPortfolioAnalytics(transactions) {
+  const holdingSymbols = buildLedger(transactions).holdings.map((holding) => holding.symbol);
+  const quotes = await getQuotes(holdingSymbols);
+  return calculatePortfolioAnalytics(transactions, quotes);
+}
 
-    res.json(analytics);
+app.get('/api/portfolio', async (req, res, next) => {
+  try {
+    const transactions = await getTransactions(getRequestUsername(req));
+    res.json(await buildPortfolioAnalytics(transactions));
   } catch (error) {
     next(error);
   }
 });
 
+// Pre-ledger shape { symbol, quantity, avgPrice }: recorded as a BUY dated today (or `date`).
 app.post('/api/portfolio', async (req, res, next) => {
   try {
-    const portfolio = await addPortfolioPosition(req.body);
-    const quotes = await getQuotes(portfolio.map((position) => position.symbol));
-    const analytics = calculatePortfolioAnalytics(portfolio, quotes);
+    const transactions = await addPortfolioPosition(getRequestUsername(req), req.body);
+    res.status(201).json(await buildPortfolioAnalytics(transactions));
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/api/portfolio/transactions', async (req, res, next) => {
+  try {
+    const transactions = await getTransactions(getRequestUsername(req));
+    res.json({ total: transactions.length, transactions: transactions.reverse() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Body is one transaction or { transactions: [...] } (all-or-nothing).
+app.post('/api/portfolio/transactions', async (req, res, next) => {
+  try {
+    const inputs = Array.isArray(req.body?.transactions) ? req.body.transactions : [req.body];
+    const transactions = await addTransactions(getRequestUsername(req), inputs);
+    res.status(201).json(await buildPortfolioAnalytics(transactions));
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.patch('/api/portfolio/transactions/:id', async (req, res, next) => {
+  try {
+    const transactions = await updateTransaction(getRequestUsername(req), req.params.id, req.body);
+    res.json(await buildPortfolioAnalytics(transactions));
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.delete('/api/portfolio/transactions/:id', async (req, res, next) => {
+  try {
+    const transactions = await deleteTransaction(getRequestUsername(req), req.params.id);
+    res.json(await buildPortfolioAnalytics(transactions));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Broker CSV uploads arrive as the raw file (text/csv) with options in the query string,
+// or as JSON { csv, kind, date } for small files.
+const importBodyParser = express.text({
+  type: ['text/csv', 'text/plain', 'application/csv'],
+  limit: config.portfolioImportMaxBytes,
+});
+
+function readImportRequest(req) {
+  const body = req.body && typeof req.body === 'object' ? req.body : {};
+  const csv = typeof req.body === 'string' ? req.body : body.csv;
+  if (!csv || !String(csv).trim()) {
+    throw new Error('CSV content is required.');
+  }
+  return {
+    csv: String(csv),
+    kind: req.query.kind || body.kind || 'auto',
+    date: req.query.date || body.date || '',
+    skipErrors: ['1', 'true'].includes(String(req.query.skipErrors ?? body.skipErrors ?? '').toLowerCase()),
+  };
+}
+
+app.post('/api/portfolio/import/preview', importBodyParser, (req, res, next) => {
+  try {
+    const { csv, kind, date } = readImportRequest(req);
+    res.json(previewPortfolioImport(getRequestUsername(req), csv, { kind, date }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Re-validates the file and writes every valid row in one update; rows with errors block the
+// import unless skipErrors=true.
+app.post('/api/portfolio/import', importBodyParser, async (req, res, next) => {
+  try {
+    const username = getRequestUsername(req);
+    const { csv, kind, date, skipErrors } = readImportRequest(req);
+    const preview = previewPortfolioImport(username, csv, { kind, date });
+    if (preview.summary.errors > 0 && !skipErrors) {
+      return res.status(422).json({
+        error: `${preview.summary.errors} row(s) have errors. Fix them or import with skipErrors=true.`,
+        code: 'import_invalid',
+        preview,
+      });
+    }
+
+    const result = await commitPortfolioImport(username, preview);
+    return res.status(201).json({
+      broker: result.broker,
+      kind: result.kind,
+      imported: result.imported,
+      duplicates: result.duplicates,
+      skipped: preview.summary.skipped + (skipErrors ? preview.summary.errors : 0),
+      portfolio: await buildPortfolioAnalytics(result.transactions),
+    });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+// Splits, bonuses and dividends recorded in the ledger plus NSE announcements not yet recorded.
+// Manual entries go through POST /api/portfolio/transactions with type SPLIT, BONUS or DIVIDEND.
+app.get('/api/portfolio/corporate-actions', async (req, res, next) => {
+  try {
+    res.json(await getCorporateActionSuggestions(getRequestUsername(req)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post('/api/portfolio/corporate-actions/sync', async (req, res, next) => {
+  try {
+    const result = await syncCorporateActions(getRequestUsername(req));
+    res.json({
+      imported: result.imported.length,
+      errors: result.errors,
+      portfolio: await buildPortfolioAnalytics(result.transactions),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    res.status(201).json(analytics);
+// Value curve (daily snapshots + live point), XIRR, TWR, max drawdown and NIFTY 50 comparison.
+app.get('/api/portfolio/performance', async (req, res, next) => {
+  try {
+    const performance = await getPortfolioPerformance(getRequestUsername(req), {
+      from: req.query.from,
+      to: req.query.to,
+    });
+    res.json({ ...performance, snapshotStatus: getPortfolioSnapshotStatus() });
   } catch (error) {
     next(error);
   }
 });
 
-app.patch('/api/portfolio/:id', async (req, res, next) => {
+// Records today's snapshot for the caller now instead of waiting for the daily job.
+app.post('/api/portfolio/snapshots', async (req, res, next) => {
   try {
-    const portfolio = await updatePortfolioPosition(req.params.id, req.body);
-    const quotes = await getQuotes(portfolio.map((position) => position.symbol));
-    const analytics = calculatePortfolioAnalytics(portfolio, quotes);
+    const username = getRequestUsername(req);
+    await takePortfolioSnapshots({ reason: 'api', username });
+    res.status(201).json(await getPortfolioPerformance(username, {
+      from: req.query.from,
+      to: req.query.to,
+    }));
+  } catch (error) {
+    next(error);
+  }
+});
 
-    res.json(analytics);
+// Deletes every transaction of one holding.
+app.delete('/api/portfolio/:symbol', async (req, res, next) => {
+  try {
+    const transactions = await deletePortfolioSymbol(getRequestUsername(req), req.params.symbol);
+    res.json(await buildPortfolioAnalytics(transactions));
   } catch (error) {
     next(error);
   }
 });
 
-app.delete('/api/portfolio/:id', async (req, res, next) => {
+// Realized gains per financial year split into STCG/LTCG; `format=csv` downloads one row per lot.
+app.get('/api/tax/capital-gains', async (req, res, next) => {
   try {
-    const portfolio = await deletePortfolioPosition(req.params.id);
-    const quotes = await getQuotes(portfolio.map((position) => position.symbol));
-    const analytics = calculatePortfolioAnalytics(portfolio, quotes);
+    const report = await getCapitalGainsReport(getRequestUsername(req), { fy: req.query.fy });
+    if (String(req.query.format || '').toLowerCase() === 'csv') {
+      const fileName = `capital-gains-${report.fy ? `FY${report.fy}` : 'all'}.csv`;
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+      return res.send(toCapitalGainsCsv(report));
+    }
+    return res.json(report);
+  } catch (error) {
+    return next(error);
+  }
+});
 
-    res.json(analytics);
+app.get('/api/tax/fmv', async (req, res, next) => {
+  try {
+    res.json({ fmv: await getGrandfatheringFmv(getRequestUsername(req)) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Body { fmv }: 31-Jan-2018 FMV per share for grandfathering; empty/null clears the entry.
+app.put('/api/tax/fmv/:symbol', async (req, res, next) => {
+  try {
+    const fmv = await setGrandfatheringFmv(getRequestUsername(req), req.params.symbol, req.body?.fmv);
+    res.json({ fmv });
+  } catch (error) {
+    next(error);
+  }
+});
+
+async function buildAlertsPayload(username) {
+  return {
+    ...(await getAlerts(username)),
+    conditions: Object.entries(ALERT_CONDITIONS).map(([id, definition]) => ({
+      id,
+      label: definition.label,
+      needsValue: Boolean(definition.needsValue),
+    })),
+    stages: MARKET_CYCLE_STAGES,
+    evaluator: getAlertEngineStatus(),
+  };
+}
+
+app.get('/api/alerts', async (req, res, next) => {
+  try {
+    res.json(await buildAlertsPayload(getRequestUsername(req)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Body { symbol, condition, value?, stage?, mode: once|recurring, cooldownMinutes?, note? }.
+app.post('/api/alerts', async (req, res, next) => {
+  try {
+    const username = getRequestUsername(req);
+    const { alert } = await createAlert(username, req.body || {});
+    res.status(201).json({ alert, ...(await buildAlertsPayload(username)) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Evaluates the caller's active alerts now instead of waiting for the scheduled run.
+app.post('/api/alerts/evaluate', async (req, res, next) => {
+  try {
+    const username = getRequestUsername(req);
+    const { triggers } = await evaluateAlerts({ reason: 'api', username });
+    res.json({
+      triggered: triggers.filter((trigger) => trigger.username === username),
+      ...(await buildAlertsPayload(username)),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.delete('/api/alerts/history', async (req, res, next) => {
+  try {
+    const username = getRequestUsername(req);
+    await clearAlertHistory(username);
+    res.json(await buildAlertsPayload(username));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Same fields as POST plus `status: active|paused`; re-activating a triggered one-shot alert re-arms it.
+app.patch('/api/alerts/:id', async (req, res, next) => {
+  try {
+    const username = getRequestUsername(req);
+    const { alert } = await updateAlert(username, req.params.id, req.body || {});
+    res.json({ alert, ...(await buildAlertsPayload(username)) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.delete('/api/alerts/:id', async (req, res, next) => {
+  try {
+    const username = getRequestUsername(req);
+    await deleteAlert(username, req.params.id);
+    res.json(await buildAlertsPayload(username));
+  } catch (error) {
+    next(error);
+  }
+});
+
+async function buildNotificationChannelsPayload(username) {
+  const channels = await getNotificationChannels(username);
+  return {
+    channels: channels.map((channel) => toPublicChannel(channel)),
+    events: NOTIFICATION_EVENTS,
+    types: getChannelTypes(),
+    resultsReminder: getResultsReminderStatus(),
+  };
+}
+
+app.get('/api/notifications/channels', async (req, res, next) => {
+  try {
+    res.json(await buildNotificationChannelsPayload(getRequestUsername(req)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Body { type: email|webhook|telegram, name, events?, templates?, enabled?, config }.
+// The response is the only place the webhook secret is shown unmasked.
+app.post('/api/notifications/channels', async (req, res, next) => {
+  try {
+    const username = getRequestUsername(req);
+    const channel = await createNotificationChannel(username, req.body || {});
+    res.status(201).json({
+      channel: toPublicChannel(channel, { revealSecrets: true }),
+      ...(await buildNotificationChannelsPayload(username)),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.patch('/api/notifications/channels/:id', async (req, res, next) => {
+  try {
+    const username = getRequestUsername(req);
+    const channel = await updateNotificationChannel(username, req.params.id, req.body || {});
+    res.json({ channel: toPublicChannel(channel), ...(await buildNotificationChannelsPayload(username)) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.delete('/api/notifications/channels/:id', async (req, res, next) => {
+  try {
+    const username = getRequestUsername(req);
+    await deleteNotificationChannel(username, req.params.id);
+    res.json(await buildNotificationChannelsPayload(username));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// One delivery attempt; the log entry says whether it arrived.
+app.post('/api/notifications/channels/:id/test', async (req, res, next) => {
+  try {
+    res.json({ delivery: await sendTestNotification(getRequestUsername(req), req.params.id) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/api/notifications/deliveries', async (req, res, next) => {
+  try {
+    res.json({
+      deliveries: await listDeliveries({ username: getRequestUsername(req), limit: req.query.limit }),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+function buildDigestPayload(username, id = '') {
+  return {
+    ...getUserDigest(username, id),
+    sessions: Object.entries(DIGEST_SESSIONS).map(([value, label]) => ({ value, label })),
+    scheduler: getDigestStatus(),
+  };
+}
+
+app.get('/api/digest', (req, res, next) => {
+  try {
+    res.json(buildDigestPayload(getRequestUsername(req)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/api/digest/:id', (req, res, next) => {
+  try {
+    res.json(buildDigestPayload(getRequestUsername(req), req.params.id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Builds the caller's digest now (`session` defaults by time of day); `deliver: true` also sends it.
+app.post('/api/digest', async (req, res, next) => {
+  try {
+    const username = getRequestUsername(req);
+    const digests = await generateDigests({
+      reason: 'api',
+      username,
+      session: req.body?.session,
+      deliver: req.body?.deliver === true,
+    });
+    const digest = digests.find((item) => item.username === username);
+    if (!digest) {
+      throw createHttpError(503, 'Digest could not be built right now; try again shortly.');
+    }
+    res.status(201).json(buildDigestPayload(username, digest.id));
   } catch (error) {
     next(error);
   }
@@ -612,7 +1199,7 @@ app.delete('/api/portfolio/:id', async (req, res, next) => {
 
 app.get('/api/feed', async (req, res, next) => {
   try {
-    const snapshot = await getWatchlistSnapshot();
+    const snapshot = await getWatchlistSnapshot(getRequestUsername(req));
     const limit = Math.min(Math.max(Number(req.query.limit) || 10, 1), 10);
     const cursor = String(req.query.cursor || '').trim();
     const newsPage = await getWatchlistNewsPage(snapshot.watchlist, { limit, cursor });
@@ -628,7 +1215,7 @@ app.get('/api/feed', async (req, res, next) => {
 
 app.get('/api/feed/news', async (req, res, next) => {
   try {
-    const watchlist = await getWatchlist();
+    const watchlist = await getWatchlist(getRequestUsername(req));
     const limit = Math.min(Math.max(Number(req.query.limit) || 10, 1), 10);
     const cursor = String(req.query.cursor || '').trim();
     const newsPage = await getWatchlistNewsPage(watchlist, { limit, cursor });
@@ -644,14 +1231,15 @@ app.get('/api/feed/news', async (req, res, next) => {
 
 app.get('/api/events', async (req, res, next) => {
   try {
+    const username = getRequestUsername(req);
     const requestedScope = String(req.query.scope || 'all').trim().toLowerCase();
     const scope = ['watchlist', 'portfolio', 'all'].includes(requestedScope) ? requestedScope : 'all';
     const daysAhead = Math.min(Math.max(Number(req.query.days) || 45, 1), 180);
     const typeFilter = String(req.query.type || 'all').trim().toLowerCase();
 
     const [watchlist, portfolio] = await Promise.all([
-      getWatchlist(),
-      getPortfolio(),
+      getWatchlist(username),
+      getPortfolio(username),
     ]);
     const portfolioSymbols = portfolio.map((position) => position.symbol);
 
@@ -678,6 +1266,81 @@ app.get('/api/events', async (req, res, next) => {
   }
 });
 
+app.get('/api/market/status', (_req, res) => {
+  res.json(getMarketStatus());
+});
+
+// `?year=2026` limits the list to one calendar year.
+app.get('/api/market/holidays', (req, res) => {
+  res.json({ ...getMarketCalendar({ year: req.query.year }), status: getMarketCalendarStatus() });
+});
+
+// Admin: `{ holidays?: [{ date, description }], specialSessions?: [{ date, label?, open, close }] }`; each list given replaces the stored one.
+app.put('/api/market/holidays', requireRole('admin'), async (req, res, next) => {
+  try {
+    res.json({ ...(await updateMarketCalendar(req.body || {})), status: getMarketCalendarStatus() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post('/api/market/holidays/refresh', requireRole('admin'), async (_req, res, next) => {
+  try {
+    res.json({ ...(await refreshMarketHolidays({ reason: 'api' })), status: getMarketCalendarStatus() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/api/market/providers', (_req, res) => {
+  res.json({ ...getMarketProviderStatus(), fixtures: getFixtureStatus() });
+});
+
+// Admin: `{ action: 'open' | 'reset' }` force-opens a provider's circuit breaker or closes it again.
+app.post('/api/market/providers/:provider/breaker', requireRole('admin'), (req, res, next) => {
+  try {
+    const provider = setProviderBreaker(req.params.provider, String(req.body?.action || '').trim().toLowerCase());
+    res.json({ provider, status: getMarketProviderStatus() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// `?interval=1d|1wk&from=YYYY-MM-DD&to=YYYY-MM-DD` (defaults: 1d, the last year up to today).
+app.get('/api/market/history/:symbol', async (req, res, next) => {
+  try {
+    const history = await getPriceHistory(req.params.symbol, {
+      interval: req.query.interval,
+      from: req.query.from,
+      to: req.query.to,
+    });
+    res.json({ ...history, status: getPriceHistoryStatus() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Weekly stage timeline: every week's stage, the stage segments and the transitions between them.
+app.get('/api/market/stage-history/:symbol', async (req, res, next) => {
+  try {
+    const history = await getStageHistory(req.params.symbol, {
+      forceRefresh: parseBooleanLike(req.query.refresh, false),
+    });
+    res.json({ ...history, status: getStageHistoryStatus() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// `?range=1M|3M|6M|1Y|2Y|5Y` (default 6M): candles with overlays, stage bands and results/news markers.
+app.get('/api/market/chart/:symbol', async (req, res, next) => {
+  try {
+    res.json(await getSymbolChart(req.params.symbol, { range: req.query.range }));
+  } catch (error) {
+    next(error);
+  }
+});
+
 app.get('/api/market/snapshot', async (req, res, next) => {
   try {
     const symbols = String(req.query.symbols || '')
@@ -685,7 +1348,7 @@ app.get('/api/market/snapshot', async (req, res, next) => {
       .map((item) => normalizeIndianSymbol(item))
       .filter(Boolean);
 
-    const targetSymbols = symbols.length > 0 ? symbols : await getWatchlist();
+    const targetSymbols = symbols.length > 0 ? symbols : await getWatchlist(getRequestUsername(req));
     const quotes = await getQuotes(targetSymbols);
 
     res.json({ symbols: targetSymbols, quotes });
@@ -718,7 +1381,7 @@ app.get('/api/market/financials/:symbol', async (req, res, next) => {
 
 app.get('/api/screener', async (req, res, next) => {
   try {
-    const snapshot = await getWatchlistSnapshot();
+    const snapshot = await getWatchlistSnapshot(getRequestUsername(req));
     const quotes = snapshot.quotes || [];
     const screened = runScreener(quotes, req.query);
 
@@ -734,9 +1397,15 @@ app.get('/api/screener', async (req, res, next) => {
   }
 });
 
-app.get('/api/db', (_req, res) => {
+app.get('/api/db', (req, res, next) => {
   // Convenience route for local inspection during development.
-  res.json(readDb());
+  try {
+    const userDb = readUserDb(getRequestUsername(req));
+    // Channel secrets (webhook secret, Telegram bot token) stay masked here too.
+    res.json({ ...userDb, notificationChannels: userDb.notificationChannels.map((channel) => toPublicChannel(channel)) });
+  } catch (error) {
+    next(error);
+  }
 });
 
 // Mount authentication routes
@@ -754,29 +1423,18 @@ app.get('*', (_req, res) => {
 });
 
 app.use((error, _req, res, _next) => {
-  const status = /not found/i.test(error.message) ? 404 : 400;
+  const exposed = Boolean(error.expose && Number(error.status));
+  const status = exposed ? Number(error.status) : (/not found/i.test(error.message) ? 404 : 400);
 
   res.status(status).json({
     error: error.message || 'Unexpected error',
+    ...(exposed && error.code ? { code: error.code } : {}),
     timestamp: new Date().toISOString(),
   });
 });
 
 function printBootBanner() {
-  const effectiveProviders = Array.from(new Set(
-    (config.marketDataProviderOrder || []).filter(Boolean),
-  ));
-  if (!effectiveProviders.includes('bseindia')) {
-    const nseIndex = effectiveProviders.indexOf('nseindia');
-    if (nseIndex >= 0) {
-      effectiveProviders.splice(nseIndex + 1, 0, 'bseindia');
-    } else {
-      effectiveProviders.unshift('bseindia');
-    }
-  }
-  if (!effectiveProviders.includes('screener')) {
-    effectiveProviders.push('screener');
-  }
+  const effectiveProviders = getEffectiveProviderOrder();
 
   console.log(`[boot] ${startupTime} starting stock tracker`);
   console.log(`[boot] node=${process.version} pid=${process.pid}`);
@@ -788,28 +1446,43 @@ function printBootBanner() {
     console.log(`[boot] host=${config.host} port=${config.port} dataFile=${config.dataFilePath}`);
   }
   console.log(`[boot] marketProviders=${effectiveProviders.join(' -> ')}`);
-  const providerKeys = [];
-  if (effectiveProviders.includes('twelvedata')) {
-    providerKeys.push(`twelveDataKey=${config.twelveDataApiKey ? 'configured' : 'missing'}`);
-  }
-  if (effectiveProviders.includes('alphavantage')) {
-    providerKeys.push(`alphaVantageKey=${config.alphaVantageApiKey ? 'configured' : 'missing'}`);
-  }
+  const providerKeys = listMarketProviders()
+    .filter((provider) => effectiveProviders.includes(provider.provider))
+    .map((provider) => {
+      if (!provider.registered) {
+        return `${provider.provider}=not-registered`;
+      }
+      if (provider.credentials.length === 0) {
+        return '';
+      }
+      return provider.missingCredentials.length > 0
+        ? `${provider.provider}Key=missing(${provider.missingCredentials.join(',')})`
+        : `${provider.provider}Key=configured`;
+    })
+    .filter(Boolean);
   if (providerKeys.length > 0) {
     console.log(`[boot] ${providerKeys.join(' ')}`);
   }
+  const cache = getCacheStats();
+  console.log(`[boot] cache=${cache.backend}${cache.backend === 'memory' ? '' : ` persistence=${cache.persistence}`} staleWhileRevalidate=${cache.staleWhileRevalidate}`);
+  const fixtures = getFixtureStatus();
+  if (fixtures.mode !== 'off') {
+    console.log(`[boot] marketDataFixtures=${fixtures.mode} dir=${fixtures.dir}`);
+  }
 }
 
 async function bootstrapStorage() {
   try {
     await initializeStore();
     await ensureMongoIndexes();
+    // On first run (no users yet) seeds the `admin`/`admin` account, sent to /setup on first sign-in.
+    await ensureDefaultAdmin();
     const mongoStatus = getMongoStatus();
     if (mongoStatus.configured && !mongoStatus.connected) {
       console.warn('[boot] mongo unavailable; using JSON storage');
     }
-    const db = readDb();
-    console.log(`[boot] storage ok (watchlist=${db.watchlist.length}, portfolio=${db.portfolio.length})`);
+    const stats = getStoreStats();
+    console.log(`[boot] storage ok (users=${stats.users}, watchlist=${stats.watchlist}, transactions=${stats.transactions})`);
   } catch (error) {
     console.error('[boot] storage init failed:', error);
     process.exit(1);
@@ -823,10 +1496,30 @@ async function startServer() {
   console.log(
     `[boot] symbolMaster loaded=${symbolMasterStatus.totalSymbols} lastRefresh=${symbolMasterStatus.lastRefreshAt || 'never'} scheduler=${symbolMasterStatus.schedulerMode}${symbolMasterStatus.schedulerExpression ? `(${symbolMasterStatus.schedulerExpression} ${symbolMasterStatus.schedulerTimezone})` : ''}`,
   );
+  const marketCalendarStatus = await initializeMarketCalendar();
+  console.log(
+    `[boot] marketCalendar holidays=${marketCalendarStatus.holidays} source=${marketCalendarStatus.source} scheduler=${marketCalendarStatus.schedulerMode}${marketCalendarStatus.schedulerExpression ? `(${marketCalendarStatus.schedulerExpression} ${marketCalendarStatus.schedulerTimezone})` : ''}`,
+  );
   const salesSnapshotStatus = await initializeDailySalesSnapshot();
   console.log(
     `[boot] salesSnapshot stored=${salesSnapshotStatus.totalStoredSymbols} scheduler=${salesSnapshotStatus.schedulerMode}${salesSnapshotStatus.schedulerExpression ? `(${salesSnapshotStatus.schedulerExpression} ${salesSnapshotStatus.schedulerTimezone})` : ''} enabled=${salesSnapshotStatus.enabled ? 'yes' : 'no'}`,
   );
+  const portfolioSnapshotStatus = await initializePortfolioSnapshots();
+  console.log(
+    `[boot] portfolioSnapshots stored=${portfolioSnapshotStatus.totalSnapshots} scheduler=${portfolioSnapshotStatus.schedulerMode}${portfolioSnapshotStatus.schedulerExpression ? `(${portfolioSnapshotStatus.schedulerExpression} ${portfolioSnapshotStatus.schedulerTimezone})` : ''}`,
+  );
+  const resultsReminderStatus = initializeResultsReminders();
+  console.log(
+    `[boot] resultsReminder scheduler=${resultsReminderStatus.schedulerMode}${resultsReminderStatus.schedulerExpression ? `(${resultsReminderStatus.schedulerExpression} ${resultsReminderStatus.schedulerTimezone})` : ''}`,
+  );
+  const digestStatus = await initializeDigests();
+  console.log(
+    `[boot] digest scheduler=${digestStatus.schedulerMode}${digestStatus.schedulerExpressions.length > 0 ? `(${digestStatus.schedulerExpressions.join(', ')} ${digestStatus.schedulerTimezone})` : ''}`,
+  );
+  const alertEngineStatus = initializeAlertEngine();
+  console.log(
+    `[boot] alerts scheduler=${alertEngineStatus.schedulerMode}${alertEngineStatus.schedulerExpression ? `(${alertEngineStatus.schedulerExpression} ${alertEngineStatus.schedulerTimezone})` : ''}`,
+  );
 
   const server = app.listen(config.port, config.host, () => {
     console.log(`[boot] listening on http://${config.host}:${config.port}`);
@@ -853,6 +1546,12 @@ async function startServer() {
     }
     stopSymbolMasterRefresh();
     stopDailySalesSnapshot();
+    stopPortfolioSnapshots();
+    stopAlertEngine();
+    stopResultsReminders();
+    stopDigests();
+    stopQuoteStream();
+    stopMarketCalendar();
     closeMongo().catch((error) => {
       console.error('[boot] mongo close failed:', error);
     });
@@ -865,11 +1564,17 @@ async function startServer() {
 async function boot() {
   await bootstrapStorage();
   await initializeSymbolMaster();
+  await initializeMarketCalendar();
   await initializeDailySalesSnapshot();
+  await initializePortfolioSnapshots();
+  initializeAlertEngine();
+  initializeResultsReminders();
+  await initializeDigests();
 }
 
 module.exports = app;
 module.exports.boot = boot;
+module.exports.bootstrapStorage = bootstrapStorage;
 
 // Only start server if running directly
 if (require.main === module) {
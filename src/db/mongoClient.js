@@ -110,8 +110,28 @@ async function ensureMongoIndexes() {
 
   await Promise.allSettled([
     createIndexWithFallback(database.collection('users'), { username: 1 }, { unique: true }, 'users.username'),
+    createIndexWithFallback(database.collection('user_state'), { username: 1 }, { unique: true }, 'user_state.username'),
     createIndexWithFallback(database.collection('symbol_master'), { symbol: 1 }, { unique: true }, 'symbol_master.symbol'),
     createIndexWithFallback(database.collection('sales_snapshots'), { symbol: 1 }, { unique: true }, 'sales_snapshots.symbol'),
+    createIndexWithFallback(database.collection('auth_audit'), { createdAt: -1 }, {}, 'auth_audit.createdAt'),
+    createIndexWithFallback(
+      database.collection('portfolio_snapshots'),
+      { username: 1, date: 1 },
+      { unique: true },
+      'portfolio_snapshots.username_date',
+    ),
+    createIndexWithFallback(
+      database.collection('notification_deliveries'),
+      { username: 1, createdAt: -1 },
+      {},
+      'notification_deliveries.username_createdAt',
+    ),
+    createIndexWithFallback(
+      database.collection('cache_entries'),
+      { expiresAt: 1 },
+      { expireAfterSeconds: 0 },
+      'cache_entries.expiresAt',
+    ),
   ]);
 }
 
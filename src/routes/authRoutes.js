@@ -1,12 +1,40 @@
 const express = require('express');
 const {
   requireAuth,
+  requireRole,
   optionalAuth,
-  getUserByUsername,
   verifyPassword,
   updateUserPreferences,
   getUserPreferences,
 } = require('../middleware/authMiddleware');
+const {
+  findUserForLogin,
+  buildSessionUser,
+  listApiTokens,
+  createApiToken,
+  revokeApiToken,
+  USER_ROLES,
+  listUsers,
+  createUser,
+  setUserRole,
+  setUserDisabled,
+  resetUserPassword,
+  changePassword,
+  requiresPasswordChange,
+  completePasswordSetup,
+  deleteUser,
+} = require('../services/authService');
+const {
+  getLoginBlock,
+  recordLoginFailure,
+  recordLoginSuccess,
+  clearLoginFailures,
+} = require('../services/loginGuardService');
+const { recordAuthEvent, listAuthEvents } = require('../services/authAuditService');
+const { deleteUserState } = require('../store');
+const { deleteUserSnapshots } = require('../services/portfolioPerformanceService');
+const { deleteUserDeliveries } = require('../services/notificationService');
+const { deleteUserDigests } = require('../services/digestService');
 
 const router = express.Router();
 
@@ -18,75 +46,122 @@ router.get('/login', (req, res) => {
   res.render('login', { error: null });
 });
 
+function formatRetryAfter(retryAfterMs) {
+  const minutes = Math.max(Math.ceil(retryAfterMs / 60000), 1);
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
 // Handle login
 router.post('/login', async (req, res, next) => {
   try {
-    const { username, password } = req.body;
-
-    console.log('[auth] Login attempt for username:', username);
-
-    if (username === 'admin' && password === 'admin') {
-      console.log('[auth] Admin bypass used');
-      req.session.user = {
-        id: 'admin_bypass',
-        username: 'admin',
-        email: 'admin@example.com',
-        fullName: 'Administrator',
-        createdAt: new Date(),
-        preferences: {
-          watchlist: true,
-          portfolio: true,
-          screener: true,
-          news: true,
-          earnings: true,
-          darkMode: false,
-        },
-      };
-      return res.redirect('/');
-    }
+    // Usernames are case-insensitive at sign-in (see findUserForLogin).
+    const username = String(req.body.username || '').trim().toLowerCase();
+    const password = String(req.body.password || '');
+    const ip = req.ip;
 
     if (!username || !password) {
-      console.log('[auth] Missing username or password');
-      return res.render('login', { error: 'Username and password are required' });
+      return res.status(400).render('login', { error: 'Username and password are required' });
     }
 
-    const user = await getUserByUsername(username);
-    console.log('[auth] User found:', !!user);
-
-    if (!user) {
-      console.log('[auth] User not found');
-      return res.render('login', { error: 'Invalid username or password' });
+    const block = getLoginBlock({ username, ip });
+    if (block) {
+      recordAuthEvent({
+        type: 'login_blocked',
+        username,
+        ip,
+        detail: { scope: block.scope, lockedUntil: block.lockedUntil },
+      }).catch(() => {});
+      res.set('Retry-After', String(Math.ceil(block.retryAfterMs / 1000)));
+      return res.status(429).render('login', {
+        error: `Too many failed sign-in attempts. Try again in ${formatRetryAfter(block.retryAfterMs)}.`,
+      });
     }
 
-    const passwordMatch = verifyPassword(password, user.password);
-    console.log('[auth] Password match:', passwordMatch);
+    const user = await findUserForLogin(username);
+    if (!user || !verifyPassword(password, user.password)) {
+      const { lockouts } = recordLoginFailure({ username, ip });
+      await recordAuthEvent({
+        type: 'login_failure',
+        username,
+        ip,
+        detail: { reason: user ? 'bad_password' : 'unknown_user' },
+      });
+      for (const lockout of lockouts) {
+        await recordAuthEvent({
+          type: 'lockout',
+          username,
+          ip,
+          detail: {
+            scope: lockout.scope,
+            lockouts: lockout.lockouts,
+            durationMs: lockout.durationMs,
+            lockedUntil: lockout.lockedUntil,
+          },
+        });
+      }
+      return res.status(401).render('login', { error: 'Invalid username or password' });
+    }
 
-    if (!passwordMatch) {
-      console.log('[auth] Password does not match');
-      return res.render('login', { error: 'Invalid username or password' });
+    if (user.disabled) {
+      await recordAuthEvent({ type: 'login_failure', username: user.username, ip, detail: { reason: 'disabled' } });
+      return res.status(403).render('login', { error: 'This account is disabled. Contact an administrator.' });
     }
 
-    // Create session
-    console.log('[auth] Creating session for user:', username);
+    recordLoginSuccess({ username });
+    const mustChangePassword = requiresPasswordChange(user, password);
     req.session.user = {
-      id: user.id || user._id,
-      username: user.username,
-      email: user.email,
-      fullName: user.fullName,
-      createdAt: user.createdAt,
-      preferences: user.preferences || await getUserPreferences(username),
+      ...buildSessionUser(user),
+      preferences: user.preferences || await getUserPreferences(user.username),
+      mustChangePassword,
     };
+    await recordAuthEvent({ type: 'login_success', username: user.username, ip, detail: { mustChangePassword } });
 
-    console.log('[auth] Login successful, redirecting to /');
-    return res.redirect('/');
+    console.log(`[auth] Login successful username=${user.username}`);
+    return res.redirect(mustChangePassword ? '/setup' : '/');
   } catch (error) {
     console.error('[auth] Login failed:', error);
     return next(error);
   }
 });
 
+// First-run / forced password change
+router.get('/setup', requireAuth, (req, res) => {
+  if (!req.session.user.mustChangePassword) {
+    return res.redirect('/');
+  }
+  return res.render('setup', { user: req.session.user, error: null });
+});
+
+router.post('/setup', requireAuth, async (req, res, next) => {
+  try {
+    if (!req.session.user.mustChangePassword) {
+      return res.redirect('/');
+    }
+
+    const { newPassword, confirmPassword } = req.body;
+    if (String(newPassword || '') !== String(confirmPassword || '')) {
+      return res.status(400).render('setup', { user: req.session.user, error: 'Passwords do not match.' });
+    }
+
+    try {
+      await completePasswordSetup(req.session.user.username, newPassword);
+    } catch (error) {
+      return res.status(400).render('setup', { user: req.session.user, error: error.message });
+    }
+
+    req.session.user.mustChangePassword = false;
+    await recordAuthEvent({ type: 'password_setup', username: req.session.user.username, ip: req.ip });
+    return res.redirect('/');
+  } catch (error) {
+    return next(error);
+  }
+});
+
 // Logout
 router.get('/logout', (req, res) => {
+  if (req.session && req.session.user) {
+    recordAuthEvent({ type: 'logout', username: req.session.user.username, ip: req.ip }).catch(() => {});
+  }
   req.session.destroy((err) => {
     if (err) {
       console.error('Error destroying session:', err);
@@ -95,11 +170,174 @@ router.get('/logout', (req, res) => {
   });
 });
 
+async function renderProfile(req, res, {
+  message = null,
+  error = null,
+  newToken = null,
+  passwordMessage = null,
+  passwordError = null,
+} = {}) {
+  const apiTokens = await listApiTokens(req.session.user.username).catch(() => []);
+  return res.render('profile', {
+    user: req.session.user,
+    apiTokens,
+    message,
+    error,
+    newToken,
+    passwordMessage,
+    passwordError,
+  });
+}
+
 // Profile page
-router.get('/profile', requireAuth, (req, res) => {
-  res.render('profile', { user: req.session.user });
+router.get('/profile', requireAuth, async (req, res, next) => {
+  try {
+    return await renderProfile(req, res);
+  } catch (error) {
+    return next(error);
+  }
 });
 
+// Create a personal API token; the raw value is shown once on the rendered page.
+router.post('/profile/tokens', requireAuth, async (req, res, next) => {
+  try {
+    const created = await createApiToken(req.session.user.username, {
+      name: req.body.name,
+      scope: req.body.scope,
+      expiresInDays: req.body.expiresInDays,
+    });
+    return await renderProfile(req, res, {
+      message: `API token "${created.record.name}" created. Copy it now; it will not be shown again.`,
+      newToken: created.token,
+    });
+  } catch (error) {
+    return renderProfile(req, res, { error: error.message }).catch(next);
+  }
+});
+
+router.post('/profile/tokens/:id/revoke', requireAuth, async (req, res, next) => {
+  try {
+    await revokeApiToken(req.session.user.username, req.params.id);
+    return await renderProfile(req, res, { message: 'API token revoked.' });
+  } catch (error) {
+    return renderProfile(req, res, { error: error.message }).catch(next);
+  }
+});
+
+// Self-service password change
+router.post('/profile/password', requireAuth, async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword, confirmPassword } = req.body;
+    if (String(newPassword || '') !== String(confirmPassword || '')) {
+      return await renderProfile(req, res, { passwordError: 'New passwords do not match.' });
+    }
+
+    await changePassword(req.session.user.username, currentPassword, newPassword);
+    await recordAuthEvent({ type: 'password_changed', username: req.session.user.username, ip: req.ip });
+    return await renderProfile(req, res, { passwordMessage: 'Password updated.' });
+  } catch (error) {
+    return renderProfile(req, res, { passwordError: error.message }).catch(next);
+  }
+});
+
+async function renderAdminUsers(req, res, { message = null, error = null } = {}) {
+  const [users, authEvents] = await Promise.all([
+    listUsers(),
+    listAuthEvents({ limit: 25 }),
+  ]);
+  return res.render('admin-users', {
+    user: req.session.user,
+    users,
+    authEvents,
+    roles: USER_ROLES,
+    message,
+    error,
+  });
+}
+
+// Runs one admin action against a user and re-renders the list with the outcome.
+function adminUserAction(handler) {
+  return async (req, res, next) => {
+    try {
+      const message = await handler(req);
+      return await renderAdminUsers(req, res, { message });
+    } catch (error) {
+      return renderAdminUsers(req, res, { error: error.message }).catch(next);
+    }
+  };
+}
+
+router.get('/admin/users', requireAuth, requireRole('admin'), async (req, res, next) => {
+  try {
+    return await renderAdminUsers(req, res);
+  } catch (error) {
+    return next(error);
+  }
+});
+
+router.post('/admin/users', requireAuth, requireRole('admin'), adminUserAction(async (req) => {
+  const created = await createUser({
+    username: req.body.username,
+    password: req.body.password,
+    email: req.body.email,
+    fullName: req.body.fullName,
+    role: req.body.role,
+  });
+  return `User ${created.username} created.`;
+}));
+
+router.post('/admin/users/:username/role', requireAuth, requireRole('admin'), adminUserAction(async (req) => {
+  const updated = await setUserRole(req.params.username, req.body.role);
+  return `${updated.username} is now ${updated.role}.`;
+}));
+
+router.post('/admin/users/:username/disable', requireAuth, requireRole('admin'), adminUserAction(async (req) => {
+  if (req.params.username === req.session.user.username) {
+    throw new Error('You cannot disable your own account.');
+  }
+  await setUserDisabled(req.params.username, true);
+  return `${req.params.username} disabled.`;
+}));
+
+router.post('/admin/users/:username/enable', requireAuth, requireRole('admin'), adminUserAction(async (req) => {
+  await setUserDisabled(req.params.username, false);
+  return `${req.params.username} enabled.`;
+}));
+
+router.post('/admin/users/:username/password', requireAuth, requireRole('admin'), adminUserAction(async (req) => {
+  await resetUserPassword(req.params.username, req.body.password);
+  await recordAuthEvent({
+    type: 'password_reset',
+    username: req.params.username,
+    ip: req.ip,
+    detail: { by: req.session.user.username },
+  });
+  return `Password reset for ${req.params.username}. They will be asked to choose a new one at next sign-in.`;
+}));
+
+router.post('/admin/users/:username/unlock', requireAuth, requireRole('admin'), adminUserAction(async (req) => {
+  clearLoginFailures({ username: req.params.username });
+  await recordAuthEvent({
+    type: 'unlock',
+    username: req.params.username,
+    ip: req.ip,
+    detail: { by: req.session.user.username },
+  });
+  return `Sign-in lockout cleared for ${req.params.username}.`;
+}));
+
+router.post('/admin/users/:username/delete', requireAuth, requireRole('admin'), adminUserAction(async (req) => {
+  if (req.params.username === req.session.user.username) {
+    throw new Error('You cannot delete your own account.');
+  }
+  await deleteUser(req.params.username);
+  await deleteUserState(req.params.username);
+  await deleteUserSnapshots(req.params.username);
+  await deleteUserDeliveries(req.params.username);
+  await deleteUserDigests(req.params.username);
+  return `${req.params.username} deleted.`;
+}));
+
 // Settings page
 router.get('/settings', requireAuth, (req, res) => {
   res.render('settings', { user: req.session.user, message: null });
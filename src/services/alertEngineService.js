@@ -0,0 +1,220 @@
+const cron = require('node-cron');
+const { config } = require('../config');
+const { readDb, recordAlertEvaluations } = require('../store');
+const { evaluateAlert } = require('./alertRulesService');
+const { getQuotes } = require('./marketDataService');
+const { publishNotification } = require('./notificationService');
+const { isMarketActive } = require('./marketCalendarService');
+
+const DEFAULT_RUN_STATE = Object.freeze({
+  status: 'idle',
+  reason: '',
+  startedAt: '',
+  finishedAt: '',
+  users: 0,
+  symbols: 0,
+  evaluated: 0,
+  triggered: 0,
+  failed: 0,
+});
+
+let initialized = false;
+let schedulerTask = null;
+let runPromise = null;
+// Username the in-flight run is limited to; '' while it covers every user.
+let runScope = '';
+let state = {
+  run: { ...DEFAULT_RUN_STATE },
+  schedulerMode: 'disabled',
+  schedulerExpression: '',
+  schedulerTimezone: '',
+  running: false,
+  lastSkippedAt: '',
+  lastError: '',
+};
+
+function collectActiveAlerts(onlyUsername) {
+  return Object.values(readDb().users || {})
+    .filter((userState) => !onlyUsername || userState.username === onlyUsername)
+    .map((userState) => ({
+      username: userState.username,
+      alerts: (userState.alerts || []).filter((alert) => alert.status === 'active'),
+    }))
+    .filter((entry) => entry.alerts.length > 0);
+}
+
+/**
+ * Fetches quotes once for every symbol with an active alert and evaluates each user's alerts.
+ * Only users whose alerts changed (new quote state or a trigger) are written back. `username` limits
+ * the run to one user; such runs leave `run` in the status (the last all-users run) alone.
+ * @returns {Promise<{ status: object, triggers: object[] }>}
+ */
+async function evaluateAlerts(options = {}) {
+  const reason = String(options.reason || 'manual');
+  const onlyUsername = options.username ? String(options.username) : '';
+  if (runPromise) {
+    if (!runScope || runScope === onlyUsername) {
+      return runPromise;
+    }
+    // The in-flight run is for someone else: evaluate this user's alerts once it has finished.
+    return runPromise.catch(() => {}).then(() => evaluateAlerts(options));
+  }
+
+  runScope = onlyUsername;
+  runPromise = (async () => {
+    const now = new Date();
+    let run = { ...DEFAULT_RUN_STATE, status: 'running', reason, startedAt: now.toISOString() };
+    const setRun = (next) => {
+      run = next;
+      if (!onlyUsername) {
+        state.run = run;
+      }
+    };
+    state.running = true;
+    setRun(run);
+    const triggers = [];
+
+    try {
+      const entries = collectActiveAlerts(onlyUsername);
+      const symbols = [...new Set(entries.flatMap((entry) => entry.alerts.map((alert) => alert.symbol)))];
+      const quotes = symbols.length > 0 ? await getQuotes(symbols) : [];
+      const quoteBySymbol = new Map(quotes.map((quote) => [quote.symbol, quote]));
+
+      for (const { username, alerts } of entries) {
+        const changed = [];
+        const userTriggers = [];
+        alerts.forEach((alert) => {
+          const result = evaluateAlert(alert, quoteBySymbol.get(alert.symbol), { now });
+          if (!result) {
+            return;
+          }
+          setRun({ ...run, evaluated: run.evaluated + 1 });
+          if (result.trigger) {
+            userTriggers.push(result.trigger);
+          }
+          if (JSON.stringify(result.alert) !== JSON.stringify(alert)) {
+            changed.push(result.alert);
+          }
+        });
+
+        if (changed.length === 0) {
+          continue;
+        }
+
+        try {
+          await recordAlertEvaluations(username, changed, userTriggers);
+          triggers.push(...userTriggers.map((trigger) => ({ ...trigger, username })));
+        } catch (error) {
+          setRun({ ...run, failed: run.failed + 1 });
+          state.lastError = `alerts-user:${username}:${error.message}`;
+        }
+      }
+
+      triggers.forEach((trigger) => {
+        console.log(`[alerts] ${trigger.username}: ${trigger.message}`);
+        const { username, ...payload } = trigger;
+        publishNotification('alert.triggered', payload, { usernames: [username] })
+          .catch((error) => {
+            console.error(`[alerts] notification failed: ${error.message}`);
+          });
+      });
+      setRun({
+        ...run,
+        status: 'completed',
+        finishedAt: new Date().toISOString(),
+        users: entries.length,
+        symbols: symbols.length,
+        triggered: triggers.length,
+      });
+    } catch (error) {
+      setRun({ ...run, status: 'failed', finishedAt: new Date().toISOString() });
+      state.lastError = `alerts-run:${error.message}`;
+      throw error;
+    } finally {
+      state.running = false;
+      runPromise = null;
+      runScope = '';
+    }
+    return { status: getAlertEngineStatus(), triggers };
+  })();
+
+  return runPromise;
+}
+
+function getAlertEngineStatus() {
+  return {
+    enabled: Boolean(config.alertEvaluatorEnabled),
+    schedulerMode: state.schedulerMode,
+    schedulerExpression: state.schedulerExpression,
+    schedulerTimezone: state.schedulerTimezone,
+    running: state.running,
+    run: { ...state.run },
+    lastSkippedAt: state.lastSkippedAt,
+    lastError: state.lastError || '',
+  };
+}
+
+function scheduleAlertJob() {
+  if (schedulerTask) {
+    schedulerTask.stop();
+    schedulerTask = null;
+  }
+
+  if (!config.alertEvaluatorEnabled) {
+    state.schedulerMode = 'disabled';
+    state.schedulerExpression = '';
+    state.schedulerTimezone = '';
+    return;
+  }
+
+  const cronExpression = String(config.alertEvaluatorCron || '').trim();
+  const timezone = String(config.alertEvaluatorCronTimezone || 'Asia/Kolkata');
+  if (!cronExpression || !cron.validate(cronExpression)) {
+    state.schedulerMode = 'disabled';
+    state.schedulerExpression = cronExpression;
+    state.schedulerTimezone = timezone;
+    state.lastError = `alerts-cron-invalid:${cronExpression || 'empty'}`;
+    return;
+  }
+
+  schedulerTask = cron.schedule(cronExpression, () => {
+    // Prices do not move on holidays or outside the session, so nothing new can trigger.
+    if (!isMarketActive()) {
+      state.lastSkippedAt = new Date().toISOString();
+      return;
+    }
+    evaluateAlerts({ reason: 'scheduled-cron' })
+      .catch((error) => {
+        state.lastError = `alerts-cron-run:${error.message}`;
+      });
+  }, {
+    scheduled: true,
+    timezone,
+  });
+
+  state.schedulerMode = 'cron';
+  state.schedulerExpression = cronExpression;
+  state.schedulerTimezone = timezone;
+}
+
+function initializeAlertEngine() {
+  if (!initialized) {
+    scheduleAlertJob();
+    initialized = true;
+  }
+  return getAlertEngineStatus();
+}
+
+function stopAlertEngine() {
+  if (schedulerTask) {
+    schedulerTask.stop();
+    schedulerTask = null;
+  }
+}
+
+module.exports = {
+  initializeAlertEngine,
+  evaluateAlerts,
+  getAlertEngineStatus,
+  stopAlertEngine,
+};
@@ -0,0 +1,277 @@
+const { randomUUID } = require('crypto');
+const { normalizeIndianSymbol } = require('../utils/symbols');
+
+// User-defined quote alerts. `kind` decides how a condition fires:
+// - level: fires when the condition becomes true (a recurring alert re-arms once it is false again);
+// - cross: fires when the price moves to the other side of an EMA between two evaluations;
+// - change: fires when the observed value differs from the previous evaluation.
+const ALERT_CONDITIONS = Object.freeze({
+  PRICE_ABOVE: { kind: 'level', needsValue: true, label: 'Price at or above' },
+  PRICE_BELOW: { kind: 'level', needsValue: true, label: 'Price at or below' },
+  CHANGE_PCT_UP: { kind: 'level', needsValue: true, label: 'Day change up by %' },
+  CHANGE_PCT_DOWN: { kind: 'level', needsValue: true, label: 'Day change down by %' },
+  CROSS_ABOVE_EMA50: { kind: 'cross', field: 'ema50', direction: 'above', label: 'Crosses above EMA50' },
+  CROSS_BELOW_EMA50: { kind: 'cross', field: 'ema50', direction: 'below', label: 'Crosses below EMA50' },
+  CROSS_ABOVE_EMA200: { kind: 'cross', field: 'ema200', direction: 'above', label: 'Crosses above EMA200' },
+  CROSS_BELOW_EMA200: { kind: 'cross', field: 'ema200', direction: 'below', label: 'Crosses below EMA200' },
+  NEW_52W_HIGH: { kind: 'level', needsValue: false, label: 'New 52-week high' },
+  STAGE_CHANGE: { kind: 'change', needsValue: false, label: 'Market cycle stage changes' },
+});
+const ALERT_MODES = Object.freeze(['once', 'recurring']);
+const ALERT_STATUSES = Object.freeze(['active', 'paused', 'triggered']);
+const MARKET_CYCLE_STAGES = Object.freeze(['Accumulation', 'Markup', 'Distribution', 'Markdown']);
+const DEFAULT_COOLDOWN_MINUTES = 60;
+const MAX_COOLDOWN_MINUTES = 7 * 24 * 60;
+const MINUTE_MS = 60 * 1000;
+
+function toFiniteOrNull(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+function normalizeStage(value) {
+  const text = String(value || '').trim().toLowerCase();
+  return MARKET_CYCLE_STAGES.find((stage) => stage.toLowerCase() === text) || '';
+}
+
+function normalizeCooldown(value) {
+  const minutes = toFiniteOrNull(value);
+  return minutes === null ? DEFAULT_COOLDOWN_MINUTES : Math.min(Math.max(Math.round(minutes), 0), MAX_COOLDOWN_MINUTES);
+}
+
+// Lenient normalizer for persisted alerts: never throws, drops alerts that cannot be evaluated.
+function normalizeAlert(raw) {
+  if (!raw || typeof raw !== 'object') {
+    return null;
+  }
+
+  const condition = String(raw.condition || '').trim().toUpperCase();
+  const definition = ALERT_CONDITIONS[condition];
+  const symbol = normalizeIndianSymbol(raw.symbol);
+  const value = toFiniteOrNull(raw.value);
+  if (!definition || !symbol || (definition.needsValue && value === null)) {
+    return null;
+  }
+
+  const nowIso = new Date().toISOString();
+  return {
+    id: String(raw.id || randomUUID()),
+    symbol,
+    condition,
+    value: definition.needsValue ? value : null,
+    stage: condition === 'STAGE_CHANGE' ? normalizeStage(raw.stage) : '',
+    mode: ALERT_MODES.includes(raw.mode) ? raw.mode : 'once',
+    cooldownMinutes: normalizeCooldown(raw.cooldownMinutes),
+    status: ALERT_STATUSES.includes(raw.status) ? raw.status : 'active',
+    note: String(raw.note || ''),
+    lastState: raw.lastState && typeof raw.lastState === 'object' ? { ...raw.lastState } : null,
+    lastTriggeredAt: raw.lastTriggeredAt ? String(raw.lastTriggeredAt) : '',
+    triggerCount: Math.max(Number(raw.triggerCount) || 0, 0),
+    createdAt: raw.createdAt || nowIso,
+    updatedAt: raw.updatedAt || raw.createdAt || nowIso,
+  };
+}
+
+/**
+ * Validates an alert from the API. With `existing`, missing fields keep their current value
+ * (PATCH semantics). Throws an Error with a user-facing message on invalid input.
+ */
+function validateAlertInput(input = {}, existing = null) {
+  const pick = (key) => (input[key] !== undefined ? input[key] : existing?.[key]);
+
+  const symbol = normalizeIndianSymbol(pick('symbol'));
+  if (!symbol) {
+    throw new Error('Alert requires a valid symbol.');
+  }
+
+  const condition = String(pick('condition') || '').trim().toUpperCase();
+  const definition = ALERT_CONDITIONS[condition];
+  if (!definition) {
+    throw new Error(`Alert condition must be one of: ${Object.keys(ALERT_CONDITIONS).join(', ')}.`);
+  }
+
+  let value = null;
+  if (definition.needsValue) {
+    value = toFiniteOrNull(pick('value'));
+    if (value === null || value <= 0) {
+      throw new Error(condition.startsWith('PRICE_')
+        ? 'Alert price must be greater than zero.'
+        : 'Alert percentage must be greater than zero.');
+    }
+  }
+
+  const stageInput = condition === 'STAGE_CHANGE' ? pick('stage') : '';
+  const stage = normalizeStage(stageInput);
+  if (stageInput && !stage) {
+    throw new Error(`Stage must be one of: ${MARKET_CYCLE_STAGES.join(', ')}.`);
+  }
+
+  const mode = String(pick('mode') || 'once').trim().toLowerCase();
+  if (!ALERT_MODES.includes(mode)) {
+    throw new Error(`Alert mode must be one of: ${ALERT_MODES.join(', ')}.`);
+  }
+
+  const cooldownInput = pick('cooldownMinutes');
+  const cooldown = toFiniteOrNull(cooldownInput);
+  if (cooldownInput !== undefined && cooldownInput !== null && cooldownInput !== ''
+    && (cooldown === null || cooldown < 0 || cooldown > MAX_COOLDOWN_MINUTES)) {
+    throw new Error(`Cooldown must be between 0 and ${MAX_COOLDOWN_MINUTES} minutes.`);
+  }
+
+  return {
+    symbol,
+    condition,
+    value,
+    stage,
+    mode,
+    cooldownMinutes: normalizeCooldown(cooldown),
+    note: String(pick('note') || '').trim().slice(0, 200),
+  };
+}
+
+// What the condition sees in one quote; `null` when the quote lacks the fields it needs.
+function observeQuote(alert, quote) {
+  const price = toFiniteOrNull(quote?.regularMarketPrice);
+  if (price === null || price <= 0 || quote?.dataStatus === 'unavailable') {
+    return null;
+  }
+
+  const definition = ALERT_CONDITIONS[alert.condition];
+  switch (alert.condition) {
+    case 'PRICE_ABOVE':
+      return { active: price >= alert.value, price };
+    case 'PRICE_BELOW':
+      return { active: price <= alert.value, price };
+    case 'CHANGE_PCT_UP':
+    case 'CHANGE_PCT_DOWN': {
+      const changePercent = toFiniteOrNull(quote.regularMarketChangePercent);
+      if (changePercent === null) {
+        return null;
+      }
+      const active = alert.condition === 'CHANGE_PCT_UP'
+        ? changePercent >= alert.value
+        : changePercent <= -alert.value;
+      return { active, price, changePercent };
+    }
+    case 'NEW_52W_HIGH': {
+      const high = toFiniteOrNull(quote.fiftyTwoWeekHigh);
+      return high === null ? null : { active: price >= high, price, high };
+    }
+    case 'STAGE_CHANGE': {
+      const stage = normalizeStage(quote.marketCycleStage);
+      return stage ? { stage, price } : null;
+    }
+    default: {
+      const level = toFiniteOrNull(quote[definition.field]);
+      return level === null ? null : { above: price >= level, price, [definition.field]: level };
+    }
+  }
+}
+
+function hasFired(alert, previous, observed) {
+  const definition = ALERT_CONDITIONS[alert.condition];
+  if (definition.kind === 'level') {
+    return observed.active && !previous?.active;
+  }
+  if (definition.kind === 'cross') {
+    if (!previous || typeof previous.above !== 'boolean') {
+      return false;
+    }
+    return definition.direction === 'above'
+      ? !previous.above && observed.above
+      : previous.above && !observed.above;
+  }
+  return Boolean(previous?.stage)
+    && observed.stage !== previous.stage
+    && (!alert.stage || observed.stage === alert.stage);
+}
+
+function formatNumber(value) {
+  return Number(value).toLocaleString('en-IN', { maximumFractionDigits: 2 });
+}
+
+function describeTrigger(alert, previous, observed) {
+  const price = formatNumber(observed.price);
+  switch (alert.condition) {
+    case 'PRICE_ABOVE':
+      return `${alert.symbol} at ${price} is at or above ${formatNumber(alert.value)}`;
+    case 'PRICE_BELOW':
+      return `${alert.symbol} at ${price} is at or below ${formatNumber(alert.value)}`;
+    case 'CHANGE_PCT_UP':
+    case 'CHANGE_PCT_DOWN':
+      return `${alert.symbol} is ${observed.changePercent >= 0 ? 'up' : 'down'} ${formatNumber(Math.abs(observed.changePercent))}% today at ${price}`;
+    case 'NEW_52W_HIGH':
+      return `${alert.symbol} at ${price} made a new 52-week high`;
+    case 'STAGE_CHANGE':
+      return `${alert.symbol} moved from ${previous.stage} to ${observed.stage} at ${price}`;
+    default: {
+      const definition = ALERT_CONDITIONS[alert.condition];
+      return `${alert.symbol} at ${price} crossed ${definition.direction} ${definition.field.toUpperCase()} ${formatNumber(observed[definition.field])}`;
+    }
+  }
+}
+
+/**
+ * Evaluates one active alert against a quote.
+ * Returns `{ alert, trigger }` where `alert` carries the updated `lastState`/trigger bookkeeping
+ * and `trigger` is a history entry or null; returns null when the quote cannot be evaluated.
+ * A trigger held back by the cooldown leaves `lastState` as it was, so it fires on the first
+ * evaluation after the cooldown if the condition still holds.
+ */
+function evaluateAlert(alert, quote, { now = new Date() } = {}) {
+  if (alert.status !== 'active') {
+    return null;
+  }
+
+  const observed = observeQuote(alert, quote);
+  if (!observed) {
+    return null;
+  }
+
+  const previous = alert.lastState;
+  if (!hasFired(alert, previous, observed)) {
+    return { alert: { ...alert, lastState: observed }, trigger: null };
+  }
+
+  const lastTriggeredMs = Date.parse(alert.lastTriggeredAt || '');
+  const coolingDown = alert.mode === 'recurring'
+    && Number.isFinite(lastTriggeredMs)
+    && now.getTime() - lastTriggeredMs < alert.cooldownMinutes * MINUTE_MS;
+  if (coolingDown) {
+    return { alert, trigger: null };
+  }
+
+  const triggeredAt = now.toISOString();
+  return {
+    alert: {
+      ...alert,
+      lastState: observed,
+      lastTriggeredAt: triggeredAt,
+      triggerCount: alert.triggerCount + 1,
+      status: alert.mode === 'once' ? 'triggered' : 'active',
+    },
+    trigger: {
+      id: randomUUID(),
+      alertId: alert.id,
+      symbol: alert.symbol,
+      condition: alert.condition,
+      value: alert.value,
+      message: describeTrigger(alert, previous, observed),
+      observed,
+      triggeredAt,
+    },
+  };
+}
+
+module.exports = {
+  ALERT_CONDITIONS,
+  ALERT_MODES,
+  ALERT_STATUSES,
+  MARKET_CYCLE_STAGES,
+  normalizeAlert,
+  validateAlertInput,
+  evaluateAlert,
+};
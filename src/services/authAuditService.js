@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { config } = require('../config');
+const { getDb, isMongoEnabled } = require('../db/mongoClient');
+
+const AUDIT_COLLECTION = 'auth_audit';
+
+function ensureAuditDir() {
+  const dir = path.dirname(config.authAuditFilePath);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+}
+
+function loadEventsFromDisk() {
+  try {
+    if (!config.authAuditFilePath || !fs.existsSync(config.authAuditFilePath)) {
+      return [];
+    }
+    const parsed = JSON.parse(fs.readFileSync(config.authAuditFilePath, 'utf8'));
+    return Array.isArray(parsed.events) ? parsed.events : [];
+  } catch (error) {
+    console.error('[auth-audit] Failed to read audit log from disk:', error.message);
+    return [];
+  }
+}
+
+function appendEventToDisk(event) {
+  try {
+    if (!config.authAuditFilePath) return;
+    const maxEntries = Math.max(Number(config.authAuditMaxEntries) || 0, 100);
+    // Newest first, capped so the file cannot grow without bound.
+    const events = [event, ...loadEventsFromDisk()].slice(0, maxEntries);
+    ensureAuditDir();
+    fs.writeFileSync(config.authAuditFilePath, JSON.stringify({ events }, null, 2));
+  } catch (error) {
+    console.error('[auth-audit] Failed to write audit log to disk:', error.message);
+  }
+}
+
+/**
+ * Records an authentication event (login success/failure, lockout, password change...).
+ * Never throws: auditing must not break the login flow.
+ */
+async function recordAuthEvent({ type, username = '', ip = '', detail = {} } = {}) {
+  const event = {
+    id: crypto.randomUUID(),
+    type: String(type || 'unknown'),
+    username: String(username || '').trim(),
+    ip: String(ip || ''),
+    detail: detail && typeof detail === 'object' ? detail : {},
+    createdAt: new Date().toISOString(),
+  };
+
+  if (['lockout', 'login_blocked'].includes(event.type)) {
+    console.warn(`[auth-audit] ${event.type} username=${event.username || '-'} ip=${event.ip || '-'}`);
+  }
+
+  if (isMongoEnabled()) {
+    try {
+      const db = await getDb();
+      if (db) {
+        await db.collection(AUDIT_COLLECTION).insertOne({ ...event });
+        return event;
+      }
+    } catch (error) {
+      console.error('[auth-audit] Failed to write audit event to MongoDB:', error.message);
+    }
+  }
+
+  appendEventToDisk(event);
+  return event;
+}
+
+async function listAuthEvents({ limit = 50, type = '', username = '' } = {}) {
+  const safeLimit = Math.min(Math.max(Number(limit) || 50, 1), 500);
+  const filter = {};
+  if (type) filter.type = String(type);
+  if (username) filter.username = String(username);
+
+  if (isMongoEnabled()) {
+    try {
+      const db = await getDb();
+      if (db) {
+        const docs = await db.collection(AUDIT_COLLECTION)
+          .find(filter, { projection: { _id: 0 } })
+          .sort({ createdAt: -1 })
+          .limit(safeLimit)
+          .toArray();
+        return docs;
+      }
+    } catch (error) {
+      console.error('[auth-audit] Failed to read audit events from MongoDB:', error.message);
+    }
+  }
+
+  return loadEventsFromDisk()
+    .filter((event) => (!filter.type || event.type === filter.type)
+      && (!filter.username || event.username === filter.username))
+    .slice(0, safeLimit);
+}
+
+module.exports = {
+  AUDIT_COLLECTION,
+  recordAuthEvent,
+  listAuthEvents,
+};
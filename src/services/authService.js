@@ -1,9 +1,23 @@
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
+const { config } = require('../config');
 const { getDb, isMongoEnabled } = require('../db/mongoClient');
 
-const USERS_FILE_PATH = path.join(__dirname, '../../data/users.json');
+const USERS_FILE_PATH = config.usersFilePath;
+const USER_ROLES = ['admin', 'member', 'viewer'];
+const USERNAME_PATTERN = /^[a-z0-9._-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+// Password the seeded admin is created with; logging in with it forces the first-run setup.
+const DEFAULT_ADMIN_USERNAME = 'admin';
+const DEFAULT_ADMIN_PASSWORD = 'admin';
+const API_TOKEN_PREFIX = 'sdt_';
+const API_TOKEN_SCOPES = ['read', 'write'];
+const API_TOKEN_MAX_PER_USER = 20;
+const API_TOKEN_MAX_EXPIRY_DAYS = 365;
+// lastUsedAt is only persisted when it is older than this, so busy scripts don't write on every call.
+const API_TOKEN_TOUCH_INTERVAL_MS = 60 * 1000;
 
 function ensureDataDir() {
   const dir = path.dirname(USERS_FILE_PATH);
@@ -20,6 +34,11 @@ function normalizeUser(user) {
   const { _id, ...rest } = user;
   return {
     ...rest,
+    // Accounts created before roles existed: the seeded admin keeps full access, everyone else is a member.
+    role: USER_ROLES.includes(rest.role) ? rest.role : (rest.username === DEFAULT_ADMIN_USERNAME ? 'admin' : 'member'),
+    disabled: Boolean(rest.disabled),
+    mustChangePassword: Boolean(rest.mustChangePassword),
+    apiTokens: Array.isArray(rest.apiTokens) ? rest.apiTokens : [],
     preferences: rest.preferences || {
       watchlist: true,
       portfolio: true,
@@ -30,11 +49,6 @@ function normalizeUser(user) {
     },
   };
 }
-
-
-
-
-
 async function readUsers() {
   let users = [];
   if (isMongoEnabled()) {
@@ -64,15 +78,37 @@ async function readUsers() {
 }
 
 async function writeUsers(data) {
+  const users = (Array.isArray(data?.users) ? data.users : []).filter((user) => user && user.username);
+
   if (isMongoEnabled()) {
-    // We don't support full write logic here for Mongo yet (handled by separate updates)
-    // But if we did, we'd do it here.
+    try {
+      const db = await getDb();
+      if (db) {
+        const collection = db.collection('users');
+        const usernames = users.map((user) => user.username);
+        if (users.length > 0) {
+          await collection.bulkWrite(users.map((user) => {
+            const { _id, ...doc } = user;
+            return {
+              replaceOne: {
+                filter: { username: user.username },
+                replacement: doc,
+                upsert: true,
+              },
+            };
+          }), { ordered: false });
+        }
+        await collection.deleteMany({ username: { $nin: usernames } });
+      }
+    } catch (error) {
+      console.error('[auth] Error writing users to MongoDB:', error);
+    }
   }
 
   // Always write to disk as backup/primary if mongo disabled
   try {
     ensureDataDir();
-    fs.writeFileSync(USERS_FILE_PATH, JSON.stringify(data, null, 2));
+    fs.writeFileSync(USERS_FILE_PATH, JSON.stringify({ users }, null, 2));
   } catch (error) {
     console.error('Error writing users to disk:', error);
   }
@@ -83,6 +119,15 @@ async function getUserByUsername(username) {
   return data.users.find((user) => user.username === username);
 }
 
+// Sign-in lookup: new usernames are stored lowercase, but accounts created before that keep their
+// original case, so an exact match wins and otherwise the case-insensitive one is used.
+async function findUserForLogin(username) {
+  const key = String(username || '').trim().toLowerCase();
+  const { users } = await readUsers();
+  return users.find((user) => user.username === key)
+    || users.find((user) => user.username.toLowerCase() === key);
+}
+
 function verifyPassword(password, hash) {
   return bcrypt.compareSync(password, hash);
 }
@@ -144,6 +189,446 @@ async function updateUserPreferences(username, preferences) {
   return updatedUser;
 }
 
+function readDiskUsers() {
+  if (!fs.existsSync(USERS_FILE_PATH)) {
+    return [];
+  }
+  const raw = fs.readFileSync(USERS_FILE_PATH, 'utf8');
+  return JSON.parse(raw).users || [];
+}
+
+function writeDiskUsers(diskUsers) {
+  ensureDataDir();
+  fs.writeFileSync(USERS_FILE_PATH, JSON.stringify({ users: diskUsers }, null, 2));
+}
+
+// Sets top-level fields on one user in Mongo (when enabled) and keeps the disk copy in sync,
+// mirroring updateUserPreferences. Returns the updated user or null when not found.
+async function setUserFields(username, fields) {
+  let updatedUser = null;
+
+  if (isMongoEnabled()) {
+    try {
+      const db = await getDb();
+      if (db) {
+        const result = await db.collection('users').findOneAndUpdate(
+          { username },
+          { $set: fields },
+          { returnDocument: 'after' }
+        );
+        if (result) {
+          updatedUser = normalizeUser(result);
+        }
+      }
+    } catch (error) {
+      console.error('[auth] Error updating user in MongoDB:', error);
+    }
+  }
+
+  try {
+    const diskUsers = readDiskUsers();
+    const index = diskUsers.findIndex((u) => u.username === username);
+    if (index >= 0) {
+      diskUsers[index] = { ...diskUsers[index], ...fields };
+      writeDiskUsers(diskUsers);
+      if (!updatedUser) {
+        updatedUser = normalizeUser(diskUsers[index]);
+      }
+    }
+  } catch (error) {
+    console.error('[auth] Error updating user on disk:', error);
+  }
+
+  return updatedUser;
+}
+
+function normalizeRole(value) {
+  const role = String(value || '').trim().toLowerCase();
+  if (!USER_ROLES.includes(role)) {
+    throw new Error(`Role must be one of: ${USER_ROLES.join(', ')}.`);
+  }
+  return role;
+}
+
+function validateNewPassword(password) {
+  const value = String(password || '');
+  if (value.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+  }
+  return value;
+}
+
+// Admin-facing view of a user record: no password hash or token hashes.
+function toUserSummary(user) {
+  return {
+    username: user.username,
+    email: user.email || '',
+    fullName: user.fullName || '',
+    role: user.role,
+    disabled: user.disabled,
+    createdAt: user.createdAt || '',
+    updatedAt: user.updatedAt || '',
+    apiTokens: user.apiTokens.length,
+  };
+}
+
+async function requireUser(username) {
+  const user = await getUserByUsername(username);
+  if (!user) {
+    throw new Error(`User not found: ${username}`);
+  }
+  return user;
+}
+
+// Refuses changes that would leave nobody able to manage users.
+async function assertAnotherActiveAdmin(username) {
+  const { users } = await readUsers();
+  const otherAdmins = users.filter((user) => user.username !== username && user.role === 'admin' && !user.disabled);
+  if (otherAdmins.length === 0) {
+    throw new Error('At least one active admin is required.');
+  }
+}
+
+async function listUsers() {
+  const { users } = await readUsers();
+  return users
+    .map((user) => toUserSummary(user))
+    .sort((left, right) => left.username.localeCompare(right.username));
+}
+
+async function createUser(input = {}) {
+  const username = String(input.username || '').trim().toLowerCase();
+  if (!USERNAME_PATTERN.test(username)) {
+    throw new Error('Username must be 3-32 characters: lowercase letters, digits, ".", "_" or "-".');
+  }
+  if (await getUserByUsername(username)) {
+    throw new Error(`User already exists: ${username}`);
+  }
+
+  const nowIso = new Date().toISOString();
+  const user = {
+    id: crypto.randomUUID(),
+    username,
+    password: hashPassword(validateNewPassword(input.password)),
+    email: String(input.email || '').trim(),
+    fullName: String(input.fullName || '').trim(),
+    role: normalizeRole(input.role || 'member'),
+    disabled: false,
+    createdAt: nowIso,
+    updatedAt: nowIso,
+    preferences: normalizeUser({}).preferences,
+    apiTokens: [],
+  };
+
+  if (isMongoEnabled()) {
+    try {
+      const db = await getDb();
+      if (db) {
+        await db.collection('users').insertOne({ ...user });
+      }
+    } catch (error) {
+      console.error('[auth] Error creating user in MongoDB:', error);
+      throw new Error('Unable to create user.');
+    }
+  }
+
+  try {
+    const diskUsers = readDiskUsers();
+    diskUsers.push(user);
+    writeDiskUsers(diskUsers);
+  } catch (error) {
+    console.error('[auth] Error creating user on disk:', error);
+  }
+
+  console.log(`[auth] User created username=${username} role=${user.role}`);
+  return toUserSummary(normalizeUser(user));
+}
+
+async function setUserRole(username, roleInput) {
+  const user = await requireUser(username);
+  const role = normalizeRole(roleInput);
+  if (user.role === 'admin' && role !== 'admin') {
+    await assertAnotherActiveAdmin(username);
+  }
+
+  const updated = await setUserFields(username, { role, updatedAt: new Date().toISOString() });
+  console.log(`[auth] Role changed username=${username} role=${role}`);
+  return toUserSummary(updated);
+}
+
+async function setUserDisabled(username, disabled) {
+  const user = await requireUser(username);
+  if (disabled && user.role === 'admin') {
+    await assertAnotherActiveAdmin(username);
+  }
+
+  const updated = await setUserFields(username, { disabled: Boolean(disabled), updatedAt: new Date().toISOString() });
+  console.log(`[auth] User ${disabled ? 'disabled' : 'enabled'} username=${username}`);
+  return toUserSummary(updated);
+}
+
+// The user has to pick their own password at next login.
+async function resetUserPassword(username, newPassword) {
+  await requireUser(username);
+  const updated = await setUserFields(username, {
+    password: hashPassword(validateNewPassword(newPassword)),
+    mustChangePassword: true,
+    updatedAt: new Date().toISOString(),
+  });
+  console.log(`[auth] Password reset username=${username}`);
+  return toUserSummary(updated);
+}
+
+async function changePassword(username, currentPassword, newPassword) {
+  const user = await requireUser(username);
+  if (!verifyPassword(String(currentPassword || ''), user.password)) {
+    throw new Error('Current password is incorrect.');
+  }
+  if (String(currentPassword) === String(newPassword || '')) {
+    throw new Error('New password must be different from the current password.');
+  }
+
+  await setUserFields(username, {
+    password: hashPassword(validateNewPassword(newPassword)),
+    mustChangePassword: false,
+    updatedAt: new Date().toISOString(),
+  });
+  console.log(`[auth] Password changed username=${username}`);
+  return { ok: true };
+}
+
+// True when the user must set a new password before using the app: either flagged
+// (seeded admin, admin reset) or still on the seeded admin's default password.
+function requiresPasswordChange(user, plainPassword = '') {
+  if (!user) {
+    return false;
+  }
+  if (user.mustChangePassword) {
+    return true;
+  }
+  return user.username === DEFAULT_ADMIN_USERNAME && plainPassword === DEFAULT_ADMIN_PASSWORD;
+}
+
+// First-run / forced password change: the caller is already authenticated, so no current password is asked.
+async function completePasswordSetup(username, newPassword) {
+  const user = await requireUser(username);
+  const password = validateNewPassword(newPassword);
+  if (password === DEFAULT_ADMIN_PASSWORD || verifyPassword(password, user.password)) {
+    throw new Error('Choose a password different from the current one.');
+  }
+
+  await setUserFields(username, {
+    password: hashPassword(password),
+    mustChangePassword: false,
+    updatedAt: new Date().toISOString(),
+  });
+  console.log(`[auth] Password set during setup username=${username}`);
+  return { ok: true };
+}
+
+async function deleteUser(username) {
+  const user = await requireUser(username);
+  if (user.role === 'admin') {
+    await assertAnotherActiveAdmin(username);
+  }
+
+  if (isMongoEnabled()) {
+    try {
+      const db = await getDb();
+      if (db) {
+        await db.collection('users').deleteOne({ username });
+      }
+    } catch (error) {
+      console.error('[auth] Error deleting user in MongoDB:', error);
+      throw new Error('Unable to delete user.');
+    }
+  }
+
+  try {
+    writeDiskUsers(readDiskUsers().filter((u) => u.username !== username));
+  } catch (error) {
+    console.error('[auth] Error deleting user on disk:', error);
+  }
+
+  console.log(`[auth] User deleted username=${username}`);
+  return { username, deleted: true };
+}
+
+function hashApiToken(rawToken) {
+  return crypto.createHash('sha256').update(String(rawToken || '')).digest('hex');
+}
+
+function isApiTokenExpired(token, now = Date.now()) {
+  if (!token.expiresAt) {
+    return false;
+  }
+  const expiresAtMs = new Date(token.expiresAt).getTime();
+  return Number.isFinite(expiresAtMs) && expiresAtMs <= now;
+}
+
+// Public view of a stored token: never exposes the hash.
+function toApiTokenSummary(token) {
+  return {
+    id: token.id,
+    name: token.name,
+    prefix: token.prefix,
+    scope: token.scope,
+    createdAt: token.createdAt,
+    expiresAt: token.expiresAt || '',
+    lastUsedAt: token.lastUsedAt || '',
+    expired: isApiTokenExpired(token),
+  };
+}
+
+async function listApiTokens(username) {
+  const user = await getUserByUsername(username);
+  if (!user) {
+    throw new Error('User not found.');
+  }
+  return user.apiTokens
+    .map((token) => toApiTokenSummary(token))
+    .sort((left, right) => String(right.createdAt).localeCompare(String(left.createdAt)));
+}
+
+async function createApiToken(username, input = {}) {
+  const user = await getUserByUsername(username);
+  if (!user) {
+    throw new Error('User not found.');
+  }
+
+  const name = String(input.name || '').trim().slice(0, 60);
+  if (!name) {
+    throw new Error('Token name is required.');
+  }
+
+  const scope = String(input.scope || 'read').trim().toLowerCase();
+  if (!API_TOKEN_SCOPES.includes(scope)) {
+    throw new Error(`Token scope must be one of: ${API_TOKEN_SCOPES.join(', ')}.`);
+  }
+
+  const activeTokens = user.apiTokens.filter((token) => !isApiTokenExpired(token));
+  if (activeTokens.length >= API_TOKEN_MAX_PER_USER) {
+    throw new Error(`You can have at most ${API_TOKEN_MAX_PER_USER} active tokens. Revoke one first.`);
+  }
+
+  const expiresInDays = Number(input.expiresInDays || 0);
+  if (!Number.isFinite(expiresInDays) || expiresInDays < 0 || expiresInDays > API_TOKEN_MAX_EXPIRY_DAYS) {
+    throw new Error(`Expiry must be between 0 (never) and ${API_TOKEN_MAX_EXPIRY_DAYS} days.`);
+  }
+
+  const now = new Date();
+  const rawToken = `${API_TOKEN_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  const record = {
+    id: crypto.randomUUID(),
+    name,
+    prefix: rawToken.slice(0, API_TOKEN_PREFIX.length + 6),
+    tokenHash: hashApiToken(rawToken),
+    scope,
+    createdAt: now.toISOString(),
+    expiresAt: expiresInDays > 0
+      ? new Date(now.getTime() + expiresInDays * 24 * 60 * 60 * 1000).toISOString()
+      : '',
+    lastUsedAt: '',
+  };
+
+  // Expired tokens are pruned whenever a new one is issued.
+  const updatedUser = await setUserFields(username, { apiTokens: [...activeTokens, record] });
+  if (!updatedUser) {
+    throw new Error('Unable to save API token.');
+  }
+
+  console.log(`[auth] API token created user=${username} id=${record.id} scope=${scope}`);
+  return { token: rawToken, record: toApiTokenSummary(record) };
+}
+
+async function revokeApiToken(username, tokenId) {
+  const user = await getUserByUsername(username);
+  if (!user) {
+    throw new Error('User not found.');
+  }
+
+  const id = String(tokenId || '').trim();
+  const remaining = user.apiTokens.filter((token) => token.id !== id);
+  if (remaining.length === user.apiTokens.length) {
+    throw new Error('API token not found.');
+  }
+
+  await setUserFields(username, { apiTokens: remaining });
+  console.log(`[auth] API token revoked user=${username} id=${id}`);
+  return { id, revoked: true };
+}
+
+async function touchApiToken(username, tokenId, usedAtIso) {
+  if (isMongoEnabled()) {
+    try {
+      const db = await getDb();
+      if (db) {
+        await db.collection('users').updateOne(
+          { username, 'apiTokens.id': tokenId },
+          { $set: { 'apiTokens.$.lastUsedAt': usedAtIso } }
+        );
+      }
+    } catch (error) {
+      console.error('[auth] Error updating token usage in MongoDB:', error);
+    }
+  }
+
+  try {
+    const diskUsers = readDiskUsers();
+    const diskUser = diskUsers.find((u) => u.username === username);
+    const diskToken = (diskUser?.apiTokens || []).find((token) => token.id === tokenId);
+    if (diskToken) {
+      diskToken.lastUsedAt = usedAtIso;
+      writeDiskUsers(diskUsers);
+    }
+  } catch (error) {
+    console.error('[auth] Error updating token usage on disk:', error);
+  }
+}
+
+// Resolves a raw bearer token to its user. Returns null for unknown or expired tokens.
+async function authenticateApiToken(rawToken) {
+  const value = String(rawToken || '').trim();
+  if (!value.startsWith(API_TOKEN_PREFIX)) {
+    return null;
+  }
+
+  const tokenHash = hashApiToken(value);
+  const { users } = await readUsers();
+  for (const user of users) {
+    const token = user.apiTokens.find((entry) => entry.tokenHash === tokenHash);
+    if (!token) {
+      continue;
+    }
+    if (user.disabled || isApiTokenExpired(token)) {
+      return null;
+    }
+
+    const now = Date.now();
+    const lastUsedMs = token.lastUsedAt ? new Date(token.lastUsedAt).getTime() : 0;
+    if (!Number.isFinite(lastUsedMs) || now - lastUsedMs >= API_TOKEN_TOUCH_INTERVAL_MS) {
+      await touchApiToken(user.username, token.id, new Date(now).toISOString());
+    }
+
+    return { user, token: toApiTokenSummary(token) };
+  }
+
+  return null;
+}
+
+// Shape stored in req.session.user (and req.user for token requests).
+function buildSessionUser(user) {
+  return {
+    id: user.id || user._id,
+    username: user.username,
+    email: user.email,
+    fullName: user.fullName,
+    createdAt: user.createdAt,
+    role: user.role,
+    preferences: user.preferences,
+  };
+}
+
 async function getUserPreferences(username) {
   const user = await getUserByUsername(username);
   if (user) {
@@ -166,10 +651,15 @@ async function getUserPreferences(username) {
   };
 }
 
+// First run only: seeds `admin`/`admin` while there are no users at all. Once any account exists
+// (including after `admin` itself was deleted) nothing is recreated.
 async function ensureDefaultAdmin() {
   const adminUser = {
-    username: 'admin',
-    password: bcrypt.hashSync('admin', 10), // Default password 'admin'
+    username: DEFAULT_ADMIN_USERNAME,
+    role: 'admin',
+    password: bcrypt.hashSync(DEFAULT_ADMIN_PASSWORD, 10),
+    mustChangePassword: true,
+    createdAt: new Date().toISOString(),
     preferences: {
       watchlist: true,
       portfolio: true,
@@ -180,13 +670,14 @@ async function ensureDefaultAdmin() {
     },
   };
 
+  let mongoHasUsers = false;
   if (isMongoEnabled()) {
     try {
       const db = await getDb();
       if (db) {
         const users = db.collection('users');
-        const existing = await users.findOne({ username: 'admin' });
-        if (!existing) {
+        mongoHasUsers = (await users.countDocuments({}, { limit: 1 })) > 0;
+        if (!mongoHasUsers) {
           console.log('[auth] Creating default admin user in Mongo...');
           await users.insertOne(adminUser);
         }
@@ -198,18 +689,9 @@ async function ensureDefaultAdmin() {
 
   // Ensure in disk as well
   try {
-    let diskUsers = [];
-    if (fs.existsSync(USERS_FILE_PATH)) {
-      const raw = fs.readFileSync(USERS_FILE_PATH, 'utf8');
-      diskUsers = JSON.parse(raw).users || [];
-    }
-
-    const existing = diskUsers.find(u => u.username === 'admin');
-    if (!existing) {
+    if (!mongoHasUsers && readDiskUsers().length === 0) {
       console.log('[auth] Creating default admin user on disk...');
-      diskUsers.push(adminUser);
-      ensureDataDir();
-      fs.writeFileSync(USERS_FILE_PATH, JSON.stringify({ users: diskUsers }, null, 2));
+      writeDiskUsers([adminUser]);
     }
   } catch (error) {
     console.error('[auth] Failed to ensure default admin on disk:', error);
@@ -220,9 +702,26 @@ module.exports = {
   readUsers,
   writeUsers,
   getUserByUsername,
+  findUserForLogin,
   verifyPassword,
   hashPassword,
   updateUserPreferences,
   getUserPreferences,
   ensureDefaultAdmin,
+  buildSessionUser,
+  USER_ROLES,
+  listUsers,
+  createUser,
+  setUserRole,
+  setUserDisabled,
+  resetUserPassword,
+  changePassword,
+  requiresPasswordChange,
+  completePasswordSetup,
+  deleteUser,
+  API_TOKEN_SCOPES,
+  listApiTokens,
+  createApiToken,
+  revokeApiToken,
+  authenticateApiToken,
 };
@@ -0,0 +1,354 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { config } = require('../config');
+const { getDb, isMongoEnabled } = require('../db/mongoClient');
+
+const CACHE_BACKENDS = ['memory', 'disk', 'mongo'];
+const CACHE_COLLECTION = 'cache_entries';
+const NAMESPACE_PATTERN = /^[a-z0-9-]+$/;
+// Longer keys (news/events keys list every watchlist symbol) are hashed into the Mongo `_id`.
+const MAX_DOC_ID_KEY_LENGTH = 200;
+// Disk writes are batched: each namespace file is rewritten at most once per delay.
+const DISK_FLUSH_DELAY_MS = 1000;
+
+const caches = new Map();
+let exitHookInstalled = false;
+let state = {
+  lastError: '',
+  lastErrorAt: '',
+};
+
+function now() {
+  return Date.now();
+}
+
+// `CACHE_BACKEND` wins; otherwise entries are shared through Mongo when it is configured.
+function getCacheBackend() {
+  if (CACHE_BACKENDS.includes(config.cacheBackend)) {
+    return config.cacheBackend;
+  }
+  return config.mongoUri ? 'mongo' : 'memory';
+}
+
+// Where entries are persisted right now: Mongo falls back to disk files while it is unreachable.
+function getPersistentTarget() {
+  const backend = getCacheBackend();
+  if (backend === 'mongo') {
+    return isMongoEnabled() ? 'mongo' : 'disk';
+  }
+  return backend === 'disk' ? 'disk' : '';
+}
+
+function recordError(cache, label, error) {
+  cache.stats.errors += 1;
+  state.lastError = `${cache.namespace}-${label}:${error?.message || error}`;
+  state.lastErrorAt = new Date().toISOString();
+}
+
+function resolveMs(option, value) {
+  const resolved = typeof option === 'function' ? option(value) : option;
+  const ms = Number(resolved);
+  return Number.isFinite(ms) && ms > 0 ? ms : 0;
+}
+
+function diskFilePath(namespace) {
+  return path.join(config.cacheDir, `${namespace}.json`);
+}
+
+function loadFromDisk(cache) {
+  if (cache.diskLoaded) {
+    return;
+  }
+  cache.diskLoaded = true;
+
+  try {
+    const filePath = diskFilePath(cache.namespace);
+    if (!fs.existsSync(filePath)) {
+      return;
+    }
+    const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const nowMs = now();
+    for (const [key, entry] of Object.entries(parsed?.entries || {})) {
+      // Entries written by this process since startup are newer than anything on disk.
+      if (entry && entry.staleUntil > nowMs && !cache.memory.has(key)) {
+        cache.memory.set(key, entry);
+      }
+    }
+  } catch (error) {
+    recordError(cache, 'disk-load', error);
+  }
+}
+
+function flushToDisk(cache) {
+  if (cache.flushTimer) {
+    clearTimeout(cache.flushTimer);
+    cache.flushTimer = null;
+  }
+  if (!cache.diskDirty) {
+    return;
+  }
+  cache.diskDirty = false;
+
+  try {
+    if (!fs.existsSync(config.cacheDir)) {
+      fs.mkdirSync(config.cacheDir, { recursive: true });
+    }
+    const nowMs = now();
+    const entries = Object.fromEntries(Array.from(cache.memory.entries()).filter(([, entry]) => entry.staleUntil > nowMs));
+    fs.writeFileSync(diskFilePath(cache.namespace), JSON.stringify({
+      namespace: cache.namespace,
+      savedAt: new Date(nowMs).toISOString(),
+      entries,
+    }));
+  } catch (error) {
+    recordError(cache, 'disk-save', error);
+  }
+}
+
+function scheduleDiskFlush(cache) {
+  cache.diskDirty = true;
+  if (!exitHookInstalled) {
+    exitHookInstalled = true;
+    process.on('exit', flushCacheFiles);
+  }
+  if (cache.flushTimer) {
+    return;
+  }
+  cache.flushTimer = setTimeout(() => flushToDisk(cache), DISK_FLUSH_DELAY_MS);
+  if (typeof cache.flushTimer.unref === 'function') {
+    cache.flushTimer.unref();
+  }
+}
+
+function toDocId(namespace, key) {
+  if (key.length <= MAX_DOC_ID_KEY_LENGTH) {
+    return `${namespace}:${key}`;
+  }
+  return `${namespace}:sha1:${crypto.createHash('sha1').update(key).digest('hex')}`;
+}
+
+async function loadFromMongo(cache, keys) {
+  const db = await getDb();
+  if (!db) {
+    return;
+  }
+
+  const nowMs = now();
+  const docs = await db.collection(CACHE_COLLECTION)
+    .find({ _id: { $in: keys.map((key) => toDocId(cache.namespace, key)) } })
+    .toArray();
+  for (const doc of docs) {
+    const current = cache.memory.get(doc.key);
+    // Another process may have refreshed the entry since this one cached it.
+    if (doc.staleUntil > nowMs && (!current || doc.fetchedAt > current.fetchedAt)) {
+      cache.memory.set(doc.key, {
+        value: doc.value,
+        fetchedAt: doc.fetchedAt,
+        freshUntil: doc.freshUntil,
+        staleUntil: doc.staleUntil,
+      });
+      cache.stats.backendHits += 1;
+    }
+  }
+}
+
+async function saveToMongo(cache, key, entry) {
+  const db = await getDb();
+  if (!db) {
+    return;
+  }
+
+  // The TTL index on `expiresAt` drops entries once their stale window has passed.
+  await db.collection(CACHE_COLLECTION).updateOne(
+    { _id: toDocId(cache.namespace, key) },
+    {
+      $set: {
+        namespace: cache.namespace,
+        key,
+        ...entry,
+        expiresAt: new Date(entry.staleUntil),
+      },
+    },
+    { upsert: true },
+  );
+}
+
+// Fresh and stale-but-servable entries for `keys`, each with a `fresh` flag. Memory first; keys that are
+// missing or expired there are looked up in the persistent backend.
+async function getEntries(cache, keys) {
+  const target = getPersistentTarget();
+  if (target === 'disk') {
+    loadFromDisk(cache);
+  }
+
+  const lookup = keys.filter((key) => !(cache.memory.get(key)?.freshUntil > now()));
+  if (target === 'mongo' && lookup.length > 0) {
+    cache.stats.backendReads += 1;
+    try {
+      await loadFromMongo(cache, lookup);
+    } catch (error) {
+      recordError(cache, 'mongo-load', error);
+    }
+  }
+
+  const nowMs = now();
+  const result = new Map();
+  for (const key of keys) {
+    const entry = cache.memory.get(key);
+    if (!entry || entry.staleUntil <= nowMs) {
+      if (entry) {
+        cache.memory.delete(key);
+      }
+      cache.stats.misses += 1;
+      continue;
+    }
+
+    const fresh = entry.freshUntil > nowMs;
+    cache.stats[fresh ? 'hits' : 'staleHits'] += 1;
+    result.set(key, { ...entry, fresh });
+  }
+  return result;
+}
+
+async function setEntry(cache, key, value, options = {}) {
+  const ttlMs = resolveMs(options.ttlMs === undefined ? cache.ttlMs : options.ttlMs, value);
+  if (ttlMs === 0) {
+    return;
+  }
+
+  const fetchedAt = Number(options.fetchedAt) || now();
+  const entry = {
+    value,
+    fetchedAt,
+    freshUntil: fetchedAt + ttlMs,
+    staleUntil: fetchedAt + ttlMs + resolveMs(cache.staleMs, value),
+  };
+  cache.memory.set(key, entry);
+  cache.stats.writes += 1;
+
+  const target = getPersistentTarget();
+  if (target === 'disk') {
+    scheduleDiskFlush(cache);
+  } else if (target === 'mongo') {
+    saveToMongo(cache, key, entry).catch((error) => {
+      recordError(cache, 'mongo-save', error);
+    });
+  }
+}
+
+// Runs `task(keys)` in the background unless every key is already being refreshed; the task stores its own results.
+function revalidate(cache, keys, task) {
+  const pending = Array.from(new Set(keys)).filter((key) => !cache.refreshing.has(key));
+  if (pending.length === 0) {
+    return;
+  }
+
+  pending.forEach((key) => cache.refreshing.add(key));
+  cache.stats.refreshes += 1;
+  Promise.resolve()
+    .then(() => task(pending))
+    .catch((error) => {
+      recordError(cache, 'refresh', error);
+    })
+    .finally(() => {
+      pending.forEach((key) => cache.refreshing.delete(key));
+    });
+}
+
+/**
+ * Named cache with an in-memory layer in front of the configured backend.
+ * `ttlMs` and `staleMs` are numbers or functions of the cached value. Entries stay fresh for `ttlMs`
+ * and may then be served for another `staleMs` while a refresh runs (stale-while-revalidate);
+ * a value whose TTL resolves to 0 is not cached.
+ */
+function createCache(namespace, options = {}) {
+  if (!NAMESPACE_PATTERN.test(String(namespace || ''))) {
+    throw new Error(`Invalid cache namespace: ${namespace}`);
+  }
+  if (caches.has(namespace)) {
+    throw new Error(`Cache already exists: ${namespace}`);
+  }
+
+  const cache = {
+    namespace,
+    ttlMs: options.ttlMs,
+    staleMs: options.staleMs || 0,
+    memory: new Map(),
+    refreshing: new Set(),
+    diskLoaded: false,
+    diskDirty: false,
+    flushTimer: null,
+    stats: {
+      hits: 0,
+      staleHits: 0,
+      misses: 0,
+      backendReads: 0,
+      backendHits: 0,
+      writes: 0,
+      refreshes: 0,
+      errors: 0,
+    },
+  };
+  caches.set(namespace, cache);
+
+  return {
+    namespace,
+    get: async (key) => (await getEntries(cache, [key])).get(key) || null,
+    getMany: (keys) => getEntries(cache, keys),
+    set: (key, value, setOptions) => setEntry(cache, key, value, setOptions),
+    revalidate: (keys, task) => revalidate(cache, keys, task),
+    // Fresh value, else the stale value (refreshed in the background), else `loader()` awaited and cached.
+    wrap: async (key, loader, setOptions) => {
+      const entry = (await getEntries(cache, [key])).get(key);
+      if (entry && entry.fresh) {
+        return entry.value;
+      }
+      if (entry && config.cacheStaleWhileRevalidate) {
+        revalidate(cache, [key], async () => setEntry(cache, key, await loader(), setOptions));
+        return entry.value;
+      }
+
+      const value = await loader();
+      await setEntry(cache, key, value, setOptions);
+      return value;
+    },
+  };
+}
+
+// Writes pending disk entries synchronously (also runs on process exit).
+function flushCacheFiles() {
+  for (const cache of caches.values()) {
+    flushToDisk(cache);
+  }
+}
+
+function getCacheStats() {
+  return {
+    backend: getCacheBackend(),
+    configured: config.cacheBackend || 'auto',
+    persistence: getPersistentTarget() || 'none',
+    dir: config.cacheDir,
+    staleWhileRevalidate: config.cacheStaleWhileRevalidate,
+    lastError: state.lastError,
+    lastErrorAt: state.lastErrorAt,
+    caches: Array.from(caches.values()).map((cache) => {
+      const lookups = cache.stats.hits + cache.stats.staleHits + cache.stats.misses;
+      return {
+        namespace: cache.namespace,
+        entries: cache.memory.size,
+        refreshing: cache.refreshing.size,
+        ...cache.stats,
+        hitRate: lookups > 0 ? Number(((cache.stats.hits + cache.stats.staleHits) / lookups).toFixed(4)) : null,
+      };
+    }),
+  };
+}
+
+module.exports = {
+  CACHE_COLLECTION,
+  createCache,
+  flushCacheFiles,
+  getCacheBackend,
+  getCacheStats,
+};
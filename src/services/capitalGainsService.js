@@ -0,0 +1,337 @@
+const { readUserDb } = require('../store');
+const { buildLedger } = require('./portfolioLedgerService');
+const { getGrandfatheringFmv } = require('./marketDataService');
+const { toCsvCell } = require('../utils/csv');
+
+// Listed equity held for more than 12 months is long-term (section 112A); otherwise short-term (111A).
+const LONG_TERM_MONTHS = 12;
+// Gains accrued up to 31-Jan-2018 are grandfathered for shares bought on or before that date.
+const GRANDFATHERING_DATE = '2018-01-31';
+// LTCG on listed equity was exempt (section 10(38)) for transfers before 1-Apr-2018.
+const LTCG_TAXABLE_FROM = '2018-04-01';
+// Finance (No. 2) Act 2024 rates apply to transfers on or after 23-Jul-2024.
+const TAX_RATE_PERIODS = Object.freeze([
+  { from: '2024-07-23', stcgRate: 20, ltcgRate: 12.5 },
+  { from: LTCG_TAXABLE_FROM, stcgRate: 15, ltcgRate: 10 },
+  { from: '0000-01-01', stcgRate: 15, ltcgRate: 0 },
+]);
+const TAX_NOTE = 'Estimate for listed equity (STT paid). Excludes surcharge, health & education cess, '
+  + 'basic exemption adjustment and losses carried forward from earlier years.';
+
+function round(value, digits = 2) {
+  const factor = 10 ** digits;
+  return Math.round((Number(value) || 0) * factor) / factor;
+}
+
+/**
+ * Indian financial year (April-March) for a date, e.g. 2024-09-10 -> { label: '2024-25', ... }.
+ */
+function getFinancialYear(isoDate) {
+  const year = Number(String(isoDate).slice(0, 4));
+  const month = Number(String(isoDate).slice(5, 7));
+  const startYear = month >= 4 ? year : year - 1;
+  return {
+    label: `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`,
+    startYear,
+    start: `${startYear}-04-01`,
+    end: `${startYear + 1}-03-31`,
+  };
+}
+
+// Accepts "2024-25", "FY2024-25", "FY 24-25" or a start year ("2024").
+function parseFinancialYear(input) {
+  const text = String(input || '').trim().toUpperCase().replace(/^FY\s*/, '');
+  if (!text) {
+    return null;
+  }
+
+  const match = text.match(/^(\d{2}|\d{4})(?:\s*[-/]\s*(\d{2}|\d{4}))?$/);
+  if (!match) {
+    throw new Error('fy must look like 2024-25.');
+  }
+
+  const startYear = match[1].length === 2 ? 2000 + Number(match[1]) : Number(match[1]);
+  if (match[2] && Number(match[2].slice(-2)) !== (startYear + 1) % 100) {
+    throw new Error('fy must span consecutive years, e.g. 2024-25.');
+  }
+  return getFinancialYear(`${startYear}-04-01`);
+}
+
+function addMonths(isoDate, months) {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  const target = new Date(Date.UTC(year, month - 1 + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(day, lastDay));
+  return target.toISOString().slice(0, 10);
+}
+
+function isLongTerm(buyDate, sellDate) {
+  return sellDate > addMonths(buyDate, LONG_TERM_MONTHS);
+}
+
+function getTaxRates(sellDate) {
+  return TAX_RATE_PERIODS.find((period) => sellDate >= period.from);
+}
+
+// LTCG exemption per financial year: none before FY2018-19 (gains were exempt outright).
+function getLtcgExemptionLimit(startYear) {
+  if (startYear < 2018) {
+    return null;
+  }
+  return startYear >= 2024 ? 125000 : 100000;
+}
+
+function needsGrandfathering(lot) {
+  return lot.buyDate <= GRANDFATHERING_DATE
+    && lot.sellDate >= LTCG_TAXABLE_FROM
+    && isLongTerm(lot.buyDate, lot.sellDate);
+}
+
+/**
+ * Classifies one realized FIFO lot. For grandfathered lots the cost of acquisition is
+ * max(actual cost, min(FMV on 31-Jan-2018, sale value)); transfer expenses (sell charges)
+ * stay deductible, so the gain is always net proceeds minus cost of acquisition.
+ */
+function classifyRealizedLot(lot, { fmvBySymbol = {}, fmvSources = {} } = {}) {
+  const longTerm = isLongTerm(lot.buyDate, lot.sellDate);
+  const rates = getTaxRates(lot.sellDate);
+  const saleValue = lot.quantity * lot.sellPrice;
+  const transferExpenses = Math.max(saleValue - lot.proceeds, 0);
+  let costOfAcquisition = lot.costBasis;
+  let fmvPerShare = null;
+  let fmvSource = '';
+  let grandfathered = false;
+
+  if (needsGrandfathering(lot)) {
+    fmvPerShare = Number(fmvBySymbol[lot.symbol]) > 0 ? Number(fmvBySymbol[lot.symbol]) : null;
+    fmvSource = fmvPerShare === null ? 'missing' : (fmvSources[lot.symbol] || 'user');
+    if (fmvPerShare !== null) {
+      const grandfatheredCost = Math.max(lot.costBasis, Math.min(fmvPerShare * lot.quantity, saleValue));
+      grandfathered = grandfatheredCost > lot.costBasis;
+      costOfAcquisition = grandfatheredCost;
+    }
+  }
+
+  return {
+    fy: getFinancialYear(lot.sellDate).label,
+    symbol: lot.symbol,
+    term: longTerm ? 'LTCG' : 'STCG',
+    quantity: lot.quantity,
+    buyDate: lot.buyDate,
+    sellDate: lot.sellDate,
+    holdingDays: lot.holdingDays,
+    buyPrice: lot.buyPrice,
+    sellPrice: lot.sellPrice,
+    actualCost: round(lot.costBasis),
+    fmvPerShare,
+    fmvSource,
+    grandfathered,
+    costOfAcquisition: round(costOfAcquisition),
+    saleValue: round(saleValue),
+    transferExpenses: round(transferExpenses),
+    gain: round(lot.proceeds - costOfAcquisition),
+    taxRate: longTerm ? rates.ltcgRate : rates.stcgRate,
+    buyTransactionId: lot.buyTransactionId,
+    sellTransactionId: lot.sellTransactionId,
+  };
+}
+
+// Taxable amount is taken from the lowest-rate gains first: losses, set-off and the
+// exemption are assumed to absorb the highest-rate gains, which is the taxpayer's best case.
+function estimateTax(rows, taxableAmount) {
+  const gainsByRate = new Map();
+  rows.filter((row) => row.gain > 0).forEach((row) => {
+    gainsByRate.set(row.taxRate, (gainsByRate.get(row.taxRate) || 0) + row.gain);
+  });
+
+  let remaining = Math.max(taxableAmount, 0);
+  let tax = 0;
+  Array.from(gainsByRate.entries())
+    .sort((left, right) => left[0] - right[0])
+    .forEach(([rate, gains]) => {
+      const portion = Math.min(gains, remaining);
+      tax += (portion * rate) / 100;
+      remaining -= portion;
+    });
+  return tax;
+}
+
+function summarizeTerm(rows) {
+  const gains = rows.filter((row) => row.gain > 0).reduce((total, row) => total + row.gain, 0);
+  const losses = rows.filter((row) => row.gain < 0).reduce((total, row) => total + row.gain, 0);
+  return { gains, losses, net: gains + losses, lots: rows.length };
+}
+
+/**
+ * Per-FY totals. Short-term losses are set off against long-term gains after short-term
+ * gains; long-term losses only against long-term gains. Leftover losses are reported as
+ * carry-forward (they are not applied to later years here).
+ */
+function summarizeFinancialYear(fy, rows) {
+  const shortTermRows = rows.filter((row) => row.term === 'STCG');
+  const longTermRows = rows.filter((row) => row.term === 'LTCG');
+  const stcg = summarizeTerm(shortTermRows);
+  const ltcg = summarizeTerm(longTermRows);
+
+  let netShortTerm = stcg.net;
+  let netLongTerm = ltcg.net;
+  let shortTermLossSetOff = 0;
+  if (netShortTerm < 0 && netLongTerm > 0) {
+    shortTermLossSetOff = Math.min(-netShortTerm, netLongTerm);
+    netShortTerm += shortTermLossSetOff;
+    netLongTerm -= shortTermLossSetOff;
+  }
+
+  const exemptionLimit = getLtcgExemptionLimit(fy.startYear);
+  const ltcgFullyExempt = exemptionLimit === null;
+  const exemptionUsed = ltcgFullyExempt ? Math.max(netLongTerm, 0) : Math.min(Math.max(netLongTerm, 0), exemptionLimit);
+  const taxableShortTerm = Math.max(netShortTerm, 0);
+  const taxableLongTerm = Math.max(netLongTerm, 0) - exemptionUsed;
+  const stcgTax = estimateTax(shortTermRows, taxableShortTerm);
+  const ltcgTax = estimateTax(longTermRows, taxableLongTerm);
+
+  return {
+    fy: fy.label,
+    start: fy.start,
+    end: fy.end,
+    stcg: { gains: round(stcg.gains), losses: round(stcg.losses), net: round(stcg.net), lots: stcg.lots },
+    ltcg: { gains: round(ltcg.gains), losses: round(ltcg.losses), net: round(ltcg.net), lots: ltcg.lots },
+    shortTermLossSetOff: round(shortTermLossSetOff),
+    ltcgExemptionLimit: exemptionLimit,
+    ltcgFullyExempt,
+    ltcgExemptionUsed: round(exemptionUsed),
+    ltcgExemptionRemaining: exemptionLimit === null ? null : round(exemptionLimit - exemptionUsed),
+    taxableStcg: round(taxableShortTerm),
+    taxableLtcg: round(taxableLongTerm),
+    estimatedTax: {
+      stcg: round(stcgTax),
+      ltcg: round(ltcgTax),
+      total: round(stcgTax + ltcgTax),
+    },
+    carryForwardLoss: {
+      shortTerm: round(Math.max(-netShortTerm, 0)),
+      longTerm: round(Math.max(-netLongTerm, 0)),
+    },
+    grandfatheredLots: longTermRows.filter((row) => row.grandfathered).length,
+  };
+}
+
+/**
+ * Pure report builder over a ledger. `fmvBySymbol` holds 31-Jan-2018 FMV per share.
+ * @returns {{ financialYears: string[], years: object[], warnings: object[], note: string }}
+ */
+function buildCapitalGainsReport(transactions, { fy = null, fmvBySymbol = {}, fmvSources = {} } = {}) {
+  const ledger = buildLedger(transactions);
+  const rows = ledger.realized.map((lot) => classifyRealizedLot(lot, { fmvBySymbol, fmvSources }));
+  const financialYears = Array.from(new Set(rows.map((row) => row.fy))).sort().reverse();
+  const selected = fy ? rows.filter((row) => row.fy === fy.label) : rows;
+
+  const rowsByYear = new Map();
+  selected.forEach((row) => {
+    rowsByYear.set(row.fy, [...(rowsByYear.get(row.fy) || []), row]);
+  });
+  const years = Array.from(rowsByYear.entries())
+    .sort((left, right) => right[0].localeCompare(left[0]))
+    .map(([label, yearRows]) => ({
+      ...summarizeFinancialYear(getFinancialYear(`${label.slice(0, 4)}-04-01`), yearRows),
+      rows: yearRows.sort((left, right) => left.sellDate.localeCompare(right.sellDate) || left.symbol.localeCompare(right.symbol)),
+    }));
+
+  if (fy && years.length === 0) {
+    years.push({ ...summarizeFinancialYear(fy, []), rows: [] });
+  }
+
+  const missingFmv = Array.from(new Set(selected.filter((row) => row.fmvSource === 'missing').map((row) => row.symbol)));
+  const warnings = [
+    ...ledger.warnings,
+    ...missingFmv.map((symbol) => ({
+      code: 'fmv_missing',
+      symbol,
+      message: `No 31-Jan-2018 FMV for ${symbol}; long-term gains on lots bought before 1-Feb-2018 use the actual cost. Enter the FMV to apply grandfathering.`,
+    })),
+  ];
+
+  return {
+    financialYears,
+    years,
+    warnings,
+    note: TAX_NOTE,
+  };
+}
+
+/**
+ * Report for one user. Missing FMVs for grandfathered lots are looked up from market
+ * history (highest price on 31-Jan-2018); the user's own FMV entries always win.
+ */
+async function getCapitalGainsReport(username, { fy: fyInput = '' } = {}) {
+  const fy = parseFinancialYear(fyInput);
+  const userState = readUserDb(username);
+  const transactions = userState.transactions || [];
+  const userFmv = userState.grandfatheringFmv || {};
+
+  const fmvBySymbol = { ...userFmv };
+  const fmvSources = Object.fromEntries(Object.keys(userFmv).map((symbol) => [symbol, 'user']));
+  const lookups = Array.from(new Set(
+    buildLedger(transactions).realized
+      .filter((lot) => needsGrandfathering(lot) && !fmvBySymbol[lot.symbol])
+      .map((lot) => lot.symbol),
+  ));
+  for (const symbol of lookups) {
+    const fmv = await getGrandfatheringFmv(symbol).catch(() => null);
+    if (fmv) {
+      fmvBySymbol[symbol] = fmv;
+      fmvSources[symbol] = 'market';
+    }
+  }
+
+  return {
+    username,
+    fy: fy ? fy.label : '',
+    generatedAt: new Date().toISOString(),
+    ...buildCapitalGainsReport(transactions, { fy, fmvBySymbol, fmvSources }),
+  };
+}
+
+const CSV_COLUMNS = Object.freeze([
+  ['fy', 'Financial Year'],
+  ['symbol', 'Symbol'],
+  ['term', 'Term'],
+  ['quantity', 'Quantity'],
+  ['buyDate', 'Buy Date'],
+  ['sellDate', 'Sell Date'],
+  ['holdingDays', 'Holding Days'],
+  ['buyPrice', 'Buy Price'],
+  ['sellPrice', 'Sell Price'],
+  ['actualCost', 'Actual Cost'],
+  ['fmvPerShare', 'FMV 31-Jan-2018'],
+  ['grandfathered', 'Grandfathered'],
+  ['costOfAcquisition', 'Cost of Acquisition'],
+  ['saleValue', 'Sale Value'],
+  ['transferExpenses', 'Transfer Expenses'],
+  ['gain', 'Gain/Loss'],
+  ['taxRate', 'Tax Rate %'],
+]);
+
+// One row per realized lot, oldest FY first, matching the order of Schedule CG / 112A entries.
+function toCapitalGainsCsv(report) {
+  const lines = [CSV_COLUMNS.map(([, label]) => toCsvCell(label)).join(',')];
+  report.years
+    .slice()
+    .reverse()
+    .forEach((year) => {
+      year.rows.forEach((row) => {
+        lines.push(CSV_COLUMNS.map(([key]) => toCsvCell(row[key])).join(','));
+      });
+    });
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  getFinancialYear,
+  parseFinancialYear,
+  isLongTerm,
+  classifyRealizedLot,
+  buildCapitalGainsReport,
+  getCapitalGainsReport,
+  toCapitalGainsCsv,
+};
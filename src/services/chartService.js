@@ -0,0 +1,186 @@
+const { normalizeIndianSymbol } = require('../utils/symbols');
+const { classifyWeinsteinStage } = require('./marketDataService');
+const { getPriceHistory } = require('./priceHistoryService');
+const { getResultsDates } = require('./eventsService');
+const { getWatchlistNewsPage } = require('./newsService');
+const { emaSeries } = require('./indicatorService');
+
+// Up to a year the chart shows daily candles; longer ranges switch to weekly ones.
+const CHART_RANGES = {
+  '1M': { days: 31, interval: '1d' },
+  '3M': { days: 92, interval: '1d' },
+  '6M': { days: 183, interval: '1d' },
+  '1Y': { days: 365, interval: '1d' },
+  '2Y': { days: 730, interval: '1wk' },
+  '5Y': { days: 1826, interval: '1wk' },
+};
+// Extra daily history loaded before the range (~290 sessions) so EMA200 and the 30-week SMA
+// already have values on the first visible bar.
+const WARMUP_DAYS = 420;
+const NEWS_MARKER_LIMIT = 30;
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function getIstDate(date = new Date()) {
+  return new Date(date.getTime() + IST_OFFSET_MS).toISOString().slice(0, 10);
+}
+
+function shiftIsoDate(isoDate, days) {
+  return new Date(Date.parse(`${isoDate}T00:00:00Z`) + (days * DAY_MS)).toISOString().slice(0, 10);
+}
+
+function toWeekStart(isoDate) {
+  const day = new Date(`${isoDate}T00:00:00Z`).getUTCDay() || 7;
+  return shiftIsoDate(isoDate, 1 - day);
+}
+
+function round(value) {
+  return value === null ? null : Number(value.toFixed(4));
+}
+
+function average(values) {
+  return values.reduce((total, value) => total + value, 0) / values.length;
+}
+
+/**
+ * 30-week SMA and Weinstein stage as they stood on each trading day: the current week counts
+ * with that day's close, exactly like the live technical snapshot.
+ */
+function weeklyStageSeries(dailyCandles) {
+  const completedCloses = [];
+  let currentWeek = '';
+  let currentClose = null;
+  return dailyCandles.map((candle) => {
+    const week = toWeekStart(candle.date);
+    if (week !== currentWeek) {
+      if (currentClose !== null) {
+        completedCloses.push(currentClose);
+      }
+      currentWeek = week;
+    }
+    currentClose = candle.close;
+
+    const closes = [...completedCloses.slice(-30), currentClose];
+    const sma30Week = closes.length >= 30 ? average(closes.slice(-30)) : null;
+    const prevSma30Week = closes.length >= 31 ? average(closes.slice(-31, -1)) : null;
+    return {
+      sma30w: round(sma30Week),
+      stage: classifyWeinsteinStage({ close: candle.close, sma30Week, prevSma30Week }),
+    };
+  });
+}
+
+function buildStageBands(bars) {
+  const bands = [];
+  for (const bar of bars) {
+    const last = bands[bands.length - 1];
+    if (last && last.stage === bar.stage) {
+      last.to = bar.date;
+    } else if (bar.stage) {
+      bands.push({ stage: bar.stage, from: bar.date, to: bar.date });
+    }
+  }
+  return bands;
+}
+
+async function loadResultsMarkers(symbol, from, to) {
+  const dates = await getResultsDates(symbol, { from, to });
+  return dates.map((item) => ({ type: 'results', date: item.date, title: item.title }));
+}
+
+async function loadNewsMarkers(symbol, from, to) {
+  const page = await getWatchlistNewsPage([symbol], { limit: NEWS_MARKER_LIMIT });
+  return page.news
+    .filter((article) => article.source !== 'Local Fallback')
+    .map((article) => ({
+      type: 'news',
+      date: getIstDate(new Date(article.publishedAt)),
+      title: article.title,
+      source: article.source,
+      url: article.url || '',
+    }))
+    .filter((marker) => marker.date >= from && marker.date <= to);
+}
+
+/**
+ * Everything the symbol chart draws for one range preset: OHLCV bars with EMA50/EMA200 (daily),
+ * the 30-week SMA and the Weinstein stage on every bar, stage bands, and results/news markers.
+ * Weekly bars carry the overlay values of their last trading day. Marker sources are optional:
+ * a failing one adds a warning instead of failing the chart.
+ */
+async function getSymbolChart(symbolInput, options = {}) {
+  const symbol = normalizeIndianSymbol(symbolInput);
+  if (!symbol) {
+    throw new Error('Symbol is required.');
+  }
+  const range = String(options.range || '6M').toUpperCase();
+  const preset = CHART_RANGES[range];
+  if (!preset) {
+    throw new Error(`range must be one of ${Object.keys(CHART_RANGES).join(', ')}.`);
+  }
+
+  const to = getIstDate();
+  const from = shiftIsoDate(to, -preset.days);
+  const daily = await getPriceHistory(symbol, { interval: '1d', from: shiftIsoDate(from, -WARMUP_DAYS), to });
+  const closes = daily.candles.map((candle) => candle.close);
+  const ema50 = emaSeries(closes, 50).map(round);
+  const ema200 = emaSeries(closes, 200).map(round);
+  const weekly = weeklyStageSeries(daily.candles);
+  const overlayByDate = new Map(daily.candles.map((candle, index) => [candle.date, {
+    ema50: ema50[index],
+    ema200: ema200[index],
+    ...weekly[index],
+  }]));
+
+  let bars;
+  let source = daily.source;
+  if (preset.interval === '1wk') {
+    const weeklyHistory = await getPriceHistory(symbol, { interval: '1wk', from, to });
+    source = weeklyHistory.source;
+    const lastDayOfWeek = new Map(daily.candles.map((candle) => [toWeekStart(candle.date), candle.date]));
+    bars = weeklyHistory.candles.map((candle) => ({
+      ...candle,
+      ...(overlayByDate.get(lastDayOfWeek.get(candle.date)) || { ema50: null, ema200: null, sma30w: null, stage: '' }),
+    }));
+  } else {
+    bars = daily.candles
+      .filter((candle) => candle.date >= from)
+      .map((candle) => ({ ...candle, ...overlayByDate.get(candle.date) }));
+  }
+
+  const warnings = [];
+  const markers = [];
+  const firstDate = bars.length > 0 ? bars[0].date : from;
+  const markerResults = await Promise.allSettled([
+    loadResultsMarkers(symbol, firstDate, to),
+    loadNewsMarkers(symbol, firstDate, to),
+  ]);
+  markerResults.forEach((result, index) => {
+    if (result.status === 'fulfilled') {
+      markers.push(...result.value);
+    } else {
+      warnings.push(`${index === 0 ? 'results' : 'news'} markers unavailable: ${result.reason?.message || result.reason}`);
+    }
+  });
+  markers.sort((left, right) => left.date.localeCompare(right.date));
+
+  return {
+    symbol,
+    range,
+    interval: preset.interval,
+    from: firstDate,
+    to,
+    candles: bars,
+    stageBands: buildStageBands(bars),
+    markers,
+    source,
+    fetchedAt: daily.fetchedAt,
+    stale: daily.stale,
+    warnings,
+  };
+}
+
+module.exports = {
+  CHART_RANGES,
+  getSymbolChart,
+};
@@ -0,0 +1,91 @@
+const { readUserDb, importTransactions } = require('../store');
+const { getCorporateActions } = require('./eventsService');
+const { CORPORATE_ACTION_TYPES, buildLedger, sortTransactions } = require('./portfolioLedgerService');
+
+function previousIsoDate(isoDate) {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() - 1);
+  return date.toISOString().slice(0, 10);
+}
+
+function toLedgerInput(action) {
+  const base = {
+    type: action.type,
+    symbol: action.symbol,
+    date: action.exDate,
+    note: action.subject,
+    externalId: action.externalId,
+  };
+  return action.type === 'DIVIDEND'
+    ? { ...base, amountPerShare: action.amountPerShare }
+    : { ...base, ratioNew: action.ratioNew, ratioOld: action.ratioOld };
+}
+
+/**
+ * Announced corporate actions for every symbol the user has bought, checked against the ledger.
+ * `status` is `recorded` (already in the ledger, by NSE reference or same type/symbol/ex-date),
+ * `not_held` (no shares going into the ex-date) or `new`.
+ */
+async function getCorporateActionSuggestions(username) {
+  const transactions = sortTransactions(readUserDb(username).transactions);
+  const fromBySymbol = {};
+  transactions
+    .filter((transaction) => transaction.type === 'BUY')
+    .forEach((transaction) => {
+      fromBySymbol[transaction.symbol] = fromBySymbol[transaction.symbol] || transaction.date;
+    });
+
+  const today = new Date().toISOString().slice(0, 10);
+  const recorded = transactions.filter((transaction) => CORPORATE_ACTION_TYPES.includes(transaction.type));
+  const knownIds = new Set(recorded.map((transaction) => transaction.externalId).filter(Boolean));
+  const knownKeys = new Set(recorded.map((transaction) => `${transaction.type}|${transaction.symbol}|${transaction.date}`));
+
+  const result = await getCorporateActions(Object.keys(fromBySymbol), { fromBySymbol });
+  const actions = result.actions
+    .filter((action) => action.exDate <= today)
+    .map((action) => {
+      const holding = buildLedger(transactions, { asOf: previousIsoDate(action.exDate) }).holdings
+        .find((item) => item.symbol === action.symbol);
+      const heldQuantity = holding ? holding.quantity : 0;
+      let status = 'new';
+      if (knownIds.has(action.externalId) || knownKeys.has(`${action.type}|${action.symbol}|${action.exDate}`)) {
+        status = 'recorded';
+      } else if (heldQuantity <= 0) {
+        status = 'not_held';
+      }
+      return { ...action, heldQuantity, status };
+    });
+
+  return {
+    recorded: recorded.slice().reverse(),
+    actions: actions.slice().reverse(),
+    pending: actions.filter((action) => action.status === 'new').length,
+    errors: result.errors,
+    updatedAt: result.updatedAt,
+  };
+}
+
+// Records every `new` suggestion in one ledger write (earlier ex-dates first).
+async function syncCorporateActions(username) {
+  const suggestions = await getCorporateActionSuggestions(username);
+  const pending = suggestions.actions
+    .filter((action) => action.status === 'new')
+    .sort((left, right) => left.exDate.localeCompare(right.exDate));
+
+  if (pending.length === 0) {
+    return {
+      imported: [],
+      duplicates: 0,
+      transactions: sortTransactions(readUserDb(username).transactions),
+      errors: suggestions.errors,
+    };
+  }
+
+  const result = await importTransactions(username, pending.map(toLedgerInput), { source: 'corporate-action:nse' });
+  return { ...result, errors: suggestions.errors };
+}
+
+module.exports = {
+  getCorporateActionSuggestions,
+  syncCorporateActions,
+};
@@ -4,9 +4,11 @@ const cron = require('node-cron');
 const { config } = require('../config');
 const { getDb, isMongoEnabled } = require('../db/mongoClient');
 const { normalizeIndianSymbol, stripExchangeSuffix } = require('../utils/symbols');
-const { getWatchlist } = require('../store');
+const { getAllWatchlistSymbols } = require('../store');
 const { getSymbolMasterItems } = require('./symbolMasterService');
 const { getQuarterlyFinancials } = require('./marketDataService');
+const { publishNotification } = require('./notificationService');
+const { getLastClose } = require('./marketCalendarService');
 
 const MIN_CONCURRENCY = 1;
 const MAX_CONCURRENCY = 8;
@@ -34,6 +36,7 @@ let state = {
   schedulerExpression: '',
   schedulerTimezone: '',
   running: false,
+  lastSkippedAt: '',
   lastError: '',
 };
 
@@ -392,7 +395,7 @@ function buildSalesRecord(symbolItem, financials, snapshotDate, capturedAt) {
 }
 
 async function buildWatchlistSymbolItems() {
-  const watchlist = await getWatchlist();
+  const watchlist = await getAllWatchlistSymbols();
   const list = Array.isArray(watchlist) ? watchlist : [];
   const index = buildSymbolMasterSymbolIndex();
   const deduped = new Map();
@@ -449,6 +452,14 @@ async function getTargetSymbolItems() {
   return items;
 }
 
+// Fire-and-forget: subscribers hear about every finished run, successful or not.
+function notifySnapshotFinished(run) {
+  publishNotification('sales.snapshot.completed', { ...run })
+    .catch((error) => {
+      state.lastError = `sales-snapshot-notify:${error.message}`;
+    });
+}
+
 async function refreshDailySalesSnapshot(options = {}) {
   if (runPromise) {
     return runPromise;
@@ -580,6 +591,7 @@ async function refreshDailySalesSnapshot(options = {}) {
       state.snapshot = nextSnapshot;
       state.lastError = '';
       await saveSnapshotToStore(nextSnapshot);
+      notifySnapshotFinished(nextSnapshot.run);
       return getDailySalesSnapshotStatus();
     } catch (error) {
       const failedAtIso = new Date().toISOString();
@@ -599,6 +611,7 @@ async function refreshDailySalesSnapshot(options = {}) {
         },
       };
       await saveSnapshotToStore(state.snapshot);
+      notifySnapshotFinished(state.snapshot.run);
       return getDailySalesSnapshotStatus();
     } finally {
       runPromise = null;
@@ -688,10 +701,21 @@ function getDailySalesSnapshotStatus() {
     updatedAt: state.snapshot.updatedAt || '',
     totalStoredSymbols,
     run: normalizeRunState(state.snapshot.run),
+    lastSkippedAt: state.lastSkippedAt,
     lastError: state.lastError || '',
   };
 }
 
+// Scheduled runs after a weekend or holiday would only refetch what the previous run stored.
+function hasSessionClosedSinceLastRun() {
+  const { status, finishedAt } = state.snapshot.run || {};
+  const lastClose = getLastClose();
+  if (status !== 'completed' || !finishedAt || !lastClose) {
+    return true;
+  }
+  return Date.parse(finishedAt) < lastClose.at.getTime();
+}
+
 function getDailySalesForSymbol(symbolInput) {
   const symbol = normalizeIndianSymbol(symbolInput);
   if (!symbol) {
@@ -773,6 +797,11 @@ function scheduleDailySnapshotJob() {
 
   const timezone = String(config.salesSnapshotCronTimezone || 'Asia/Kolkata');
   schedulerTask = cron.schedule(cronExpression, () => {
+    if (!hasSessionClosedSinceLastRun()) {
+      state.lastSkippedAt = new Date().toISOString();
+      console.log('[sales-snapshot] scheduled run skipped: no trading session since the last run');
+      return;
+    }
     refreshDailySalesSnapshot({ reason: 'scheduled-cron' })
       .catch((error) => {
         state.lastError = `sales-snapshot-cron-run:${error.message}`;
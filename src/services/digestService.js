@@ -0,0 +1,725 @@
+const fs = require('fs');
+const path = require('path');
+const cron = require('node-cron');
+const { config } = require('../config');
+const { getDb, isMongoEnabled } = require('../db/mongoClient');
+const { readDb, readUserDb, getWatchlist } = require('../store');
+const { buildLedger } = require('./portfolioLedgerService');
+const { getQuotes } = require('./marketDataService');
+const { getUpcomingCorporateEvents } = require('./eventsService');
+const { getWatchlistNewsPage } = require('./newsService');
+const { getDailySalesForSymbol } = require('./dailySalesService');
+const { publishNotification } = require('./notificationService');
+const { isTradingDay } = require('./marketCalendarService');
+
+const DIGEST_COLLECTION = 'digests';
+const DIGEST_SESSIONS = Object.freeze({
+  'pre-market': 'Pre-market',
+  'post-market': 'Post-market',
+});
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+const MOVERS_LIMIT = 5;
+const EVENTS_DAYS_AHEAD = 7;
+const EVENTS_LIMIT = 10;
+const HEADLINES_LIMIT = 5;
+const DEFAULT_RUN_STATE = Object.freeze({
+  status: 'idle',
+  reason: '',
+  session: '',
+  startedAt: '',
+  finishedAt: '',
+  users: 0,
+  digests: 0,
+  delivered: 0,
+  failed: 0,
+});
+
+let initialized = false;
+let schedulerTasks = [];
+let runPromise = null;
+// What the in-flight run builds: `username` is '' while it covers every user.
+let runScope = null;
+let state = {
+  digestsByUser: {},
+  run: { ...DEFAULT_RUN_STATE },
+  schedulerMode: 'disabled',
+  schedulerExpressions: [],
+  schedulerTimezone: '',
+  running: false,
+  lastSkippedAt: '',
+  lastError: '',
+};
+
+function round(value, digits = 2) {
+  const factor = 10 ** digits;
+  return Math.round((Number(value) || 0) * factor) / factor;
+}
+
+function toFiniteOrNull(value) {
+  const parsed = Number(value);
+  return value !== null && value !== undefined && value !== '' && Number.isFinite(parsed) ? parsed : null;
+}
+
+function getIstDate(now = new Date()) {
+  return new Date(now.getTime() + IST_OFFSET_MS).toISOString().slice(0, 10);
+}
+
+// Before noon IST the useful digest is the pre-market one; after that, the post-market one.
+function defaultSession(now = new Date()) {
+  return new Date(now.getTime() + IST_OFFSET_MS).getUTCHours() < 12 ? 'pre-market' : 'post-market';
+}
+
+function normalizeSession(value, now = new Date()) {
+  const session = String(value || '').trim().toLowerCase();
+  if (!session) {
+    return defaultSession(now);
+  }
+  if (!DIGEST_SESSIONS[session]) {
+    throw new Error(`Digest session must be one of: ${Object.keys(DIGEST_SESSIONS).join(', ')}.`);
+  }
+  return session;
+}
+
+function formatNumber(value, digits = 2) {
+  return Number(value || 0).toLocaleString('en-IN', { maximumFractionDigits: digits, minimumFractionDigits: digits });
+}
+
+function formatSigned(value, suffix = '') {
+  const number = Number(value) || 0;
+  return `${number >= 0 ? '+' : '-'}${formatNumber(Math.abs(number))}${suffix}`;
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function valueAt(values, index) {
+  return Array.isArray(values) ? toFiniteOrNull(values[index]) : null;
+}
+
+function isUsableQuote(quote) {
+  return quote && quote.dataStatus !== 'unavailable' && toFiniteOrNull(quote.regularMarketPrice) > 0;
+}
+
+function buildMovers(watchlistSymbols, quoteBySymbol) {
+  const moves = watchlistSymbols
+    .map((symbol) => quoteBySymbol.get(symbol))
+    .filter((quote) => isUsableQuote(quote) && toFiniteOrNull(quote.regularMarketChangePercent) !== null)
+    .map((quote) => ({
+      symbol: quote.symbol,
+      name: quote.shortName || quote.symbol,
+      price: round(quote.regularMarketPrice),
+      changePercent: round(quote.regularMarketChangePercent),
+    }))
+    .sort((left, right) => right.changePercent - left.changePercent);
+
+  return {
+    gainers: moves.filter((move) => move.changePercent > 0).slice(0, MOVERS_LIMIT),
+    losers: moves.filter((move) => move.changePercent < 0).reverse().slice(0, MOVERS_LIMIT),
+  };
+}
+
+// Day P&L: today's price change on every share held (shares bought today included).
+function buildPortfolioDay(holdings, quoteBySymbol) {
+  const contributions = holdings
+    .map((holding) => {
+      const quote = quoteBySymbol.get(holding.symbol);
+      if (!isUsableQuote(quote)) {
+        return null;
+      }
+      const change = toFiniteOrNull(quote.regularMarketChange) || 0;
+      return {
+        symbol: holding.symbol,
+        quantity: holding.quantity,
+        value: round(holding.quantity * quote.regularMarketPrice),
+        dayPnl: round(holding.quantity * change),
+        changePercent: round(quote.regularMarketChangePercent),
+      };
+    })
+    .filter(Boolean);
+
+  const value = contributions.reduce((total, item) => total + item.value, 0);
+  const dayPnl = contributions.reduce((total, item) => total + item.dayPnl, 0);
+  const previousValue = value - dayPnl;
+  return {
+    holdings: holdings.length,
+    priced: contributions.length,
+    value: round(value),
+    dayPnl: round(dayPnl),
+    dayPnlPercent: previousValue > 0 ? round((dayPnl / previousValue) * 100) : 0,
+    contributors: contributions
+      .sort((left, right) => Math.abs(right.dayPnl) - Math.abs(left.dayPnl))
+      .slice(0, MOVERS_LIMIT),
+  };
+}
+
+/**
+ * Collects everything a digest shows for one user. Stage changes and new quarterly results are
+ * measured against the `baseline` kept in the user's previous digest, so the first digest has none.
+ * A failing source adds a warning instead of failing the whole digest.
+ */
+async function buildDigestSections(userState, previous) {
+  const warnings = [];
+  const watchlistSymbols = await getWatchlist(userState.username);
+  const holdings = buildLedger(userState.transactions || []).holdings.filter((holding) => holding.quantity > 0);
+  const symbols = Array.from(new Set([...watchlistSymbols, ...holdings.map((holding) => holding.symbol)]));
+  const baseline = { stages: {}, quarters: {} };
+
+  let quotes = [];
+  try {
+    quotes = symbols.length > 0 ? await getQuotes(symbols) : [];
+  } catch (error) {
+    warnings.push(`Quotes unavailable: ${error.message}`);
+  }
+  const quoteBySymbol = new Map(quotes.map((quote) => [quote.symbol, quote]));
+
+  const stageChanges = [];
+  const results = [];
+  symbols.forEach((symbol) => {
+    const stage = quoteBySymbol.get(symbol)?.marketCycleStage || '';
+    const previousStage = previous?.baseline?.stages?.[symbol] || '';
+    if (stage) {
+      baseline.stages[symbol] = stage;
+      if (previousStage && previousStage !== stage) {
+        stageChanges.push({ symbol, from: previousStage, to: stage });
+      }
+    }
+
+    let record = null;
+    try {
+      record = getDailySalesForSymbol(symbol);
+    } catch (_error) {
+      record = null;
+    }
+    const latestIndex = (record?.quarterLabels?.length || 0) - 1;
+    const quarter = latestIndex >= 0 ? record.quarterLabels[latestIndex] : '';
+    const previousQuarter = previous?.baseline?.quarters?.[symbol] || '';
+    if (quarter) {
+      baseline.quarters[symbol] = quarter;
+      if (previousQuarter && previousQuarter !== quarter) {
+        results.push({
+          symbol,
+          companyName: record.companyName || '',
+          quarter,
+          sales: valueAt(record.sales, latestIndex),
+          salesYoy: valueAt(record.salesYoy, latestIndex),
+          pat: valueAt(record.pat, latestIndex),
+          patYoy: valueAt(record.patYoy, latestIndex),
+        });
+      }
+    }
+  });
+
+  let events = [];
+  try {
+    const calendar = await getUpcomingCorporateEvents(symbols, { daysAhead: EVENTS_DAYS_AHEAD });
+    events = calendar.events.slice(0, EVENTS_LIMIT).map((event) => ({
+      symbol: event.symbol,
+      companyName: event.companyName,
+      eventLabel: event.eventLabel,
+      eventDate: event.eventDate,
+      title: event.title,
+      url: event.url,
+    }));
+  } catch (error) {
+    warnings.push(`Events unavailable: ${error.message}`);
+  }
+
+  let headlines = [];
+  try {
+    const page = await getWatchlistNewsPage(watchlistSymbols, { limit: HEADLINES_LIMIT * 2 });
+    headlines = page.news
+      .filter((article) => article.source !== 'Local Fallback')
+      .slice(0, HEADLINES_LIMIT)
+      .map((article) => ({
+        title: article.title,
+        source: article.source,
+        url: article.url,
+        publishedAt: article.publishedAt,
+      }));
+  } catch (error) {
+    warnings.push(`Headlines unavailable: ${error.message}`);
+  }
+
+  return {
+    sections: {
+      movers: buildMovers(watchlistSymbols, quoteBySymbol),
+      portfolio: buildPortfolioDay(holdings, quoteBySymbol),
+      stageChanges,
+      results,
+      events,
+      headlines,
+    },
+    baseline,
+    warnings,
+  };
+}
+
+function renderDigestText(digest) {
+  const { movers, portfolio, stageChanges, results, events, headlines } = digest.sections;
+  const lines = [`${DIGEST_SESSIONS[digest.session]} digest for ${digest.date}`, ''];
+
+  lines.push('Portfolio');
+  if (portfolio.holdings === 0) {
+    lines.push('  No open holdings.');
+  } else {
+    lines.push(`  Day P&L ${formatSigned(portfolio.dayPnl)} (${formatSigned(portfolio.dayPnlPercent, '%')}) on value ${formatNumber(portfolio.value)}`);
+    portfolio.contributors.forEach((item) => {
+      lines.push(`  ${item.symbol}: ${formatSigned(item.dayPnl)} (${formatSigned(item.changePercent, '%')})`);
+    });
+  }
+
+  lines.push('', 'Watchlist movers');
+  if (movers.gainers.length === 0 && movers.losers.length === 0) {
+    lines.push('  No price moves yet.');
+  }
+  [...movers.gainers, ...movers.losers].forEach((move) => {
+    lines.push(`  ${move.symbol} ${formatNumber(move.price)} (${formatSigned(move.changePercent, '%')})`);
+  });
+
+  if (stageChanges.length > 0) {
+    lines.push('', 'Stage changes');
+    stageChanges.forEach((change) => lines.push(`  ${change.symbol}: ${change.from} -> ${change.to}`));
+  }
+
+  if (results.length > 0) {
+    lines.push('', 'New quarterly results');
+    results.forEach((result) => {
+      lines.push(`  ${result.symbol} ${result.quarter}: sales ${result.sales ?? '--'} (YoY ${result.salesYoy ?? '--'}%), PAT ${result.pat ?? '--'} (YoY ${result.patYoy ?? '--'}%)`);
+    });
+  }
+
+  lines.push('', `Upcoming events (${EVENTS_DAYS_AHEAD} days)`);
+  if (events.length === 0) {
+    lines.push('  None scheduled.');
+  }
+  events.forEach((event) => lines.push(`  ${event.eventDate} ${event.symbol} ${event.eventLabel}: ${event.title}`));
+
+  if (headlines.length > 0) {
+    lines.push('', 'Headlines');
+    headlines.forEach((article) => lines.push(`  ${article.title} (${article.source})${article.url && article.url !== '#' ? ` ${article.url}` : ''}`));
+  }
+
+  digest.warnings.forEach((warning, index) => {
+    if (index === 0) lines.push('');
+    lines.push(`Note: ${warning}`);
+  });
+  return lines.join('\n');
+}
+
+function renderHtmlTable(headers, rows) {
+  if (rows.length === 0) {
+    return '';
+  }
+  const cell = 'padding:4px 8px;border-bottom:1px solid #e5e7eb;text-align:left;';
+  return `<table style="border-collapse:collapse;width:100%;font-size:13px;">`
+    + `<tr>${headers.map((header) => `<th style="${cell}color:#6b7280;">${escapeHtml(header)}</th>`).join('')}</tr>`
+    + rows.map((row) => `<tr>${row.map((value) => `<td style="${cell}">${value}</td>`).join('')}</tr>`).join('')
+    + '</table>';
+}
+
+function colored(value, text) {
+  return `<span style="color:${Number(value) >= 0 ? '#047857' : '#b91c1c'};">${escapeHtml(text)}</span>`;
+}
+
+function link(url, text) {
+  return url && url !== '#' ? `<a href="${escapeHtml(url)}">${escapeHtml(text)}</a>` : escapeHtml(text);
+}
+
+function renderDigestHtml(digest) {
+  const { movers, portfolio, stageChanges, results, events, headlines } = digest.sections;
+  const heading = (text) => `<h3 style="margin:18px 0 6px;font-size:15px;">${escapeHtml(text)}</h3>`;
+  const empty = (text) => `<p style="color:#6b7280;margin:4px 0;">${escapeHtml(text)}</p>`;
+  const parts = [
+    `<h2 style="margin:0 0 4px;font-size:18px;">${escapeHtml(DIGEST_SESSIONS[digest.session])} digest</h2>`,
+    `<p style="color:#6b7280;margin:0;">${escapeHtml(digest.date)}</p>`,
+    heading('Portfolio'),
+  ];
+
+  if (portfolio.holdings === 0) {
+    parts.push(empty('No open holdings.'));
+  } else {
+    parts.push(`<p style="margin:4px 0;">Day P&amp;L ${colored(portfolio.dayPnl, `${formatSigned(portfolio.dayPnl)} (${formatSigned(portfolio.dayPnlPercent, '%')})`)} on value ${escapeHtml(formatNumber(portfolio.value))}</p>`);
+    parts.push(renderHtmlTable(['Symbol', 'Qty', 'Day P&L', 'Change'], portfolio.contributors.map((item) => [
+      escapeHtml(item.symbol),
+      escapeHtml(formatNumber(item.quantity, 0)),
+      colored(item.dayPnl, formatSigned(item.dayPnl)),
+      colored(item.changePercent, formatSigned(item.changePercent, '%')),
+    ])));
+  }
+
+  parts.push(heading('Watchlist movers'));
+  const moverRows = [...movers.gainers, ...movers.losers].map((move) => [
+    escapeHtml(move.symbol),
+    escapeHtml(formatNumber(move.price)),
+    colored(move.changePercent, formatSigned(move.changePercent, '%')),
+  ]);
+  parts.push(moverRows.length > 0 ? renderHtmlTable(['Symbol', 'Price', 'Change'], moverRows) : empty('No price moves yet.'));
+
+  if (stageChanges.length > 0) {
+    parts.push(heading('Stage changes'));
+    parts.push(renderHtmlTable(['Symbol', 'From', 'To'], stageChanges.map((change) => [
+      escapeHtml(change.symbol), escapeHtml(change.from), escapeHtml(change.to),
+    ])));
+  }
+
+  if (results.length > 0) {
+    parts.push(heading('New quarterly results'));
+    parts.push(renderHtmlTable(['Symbol', 'Quarter', 'Sales', 'Sales YoY', 'PAT', 'PAT YoY'], results.map((result) => [
+      escapeHtml(result.symbol),
+      escapeHtml(result.quarter),
+      escapeHtml(result.sales ?? '--'),
+      result.salesYoy === null ? '--' : colored(result.salesYoy, `${result.salesYoy}%`),
+      escapeHtml(result.pat ?? '--'),
+      result.patYoy === null ? '--' : colored(result.patYoy, `${result.patYoy}%`),
+    ])));
+  }
+
+  parts.push(heading(`Upcoming events (${EVENTS_DAYS_AHEAD} days)`));
+  parts.push(events.length > 0
+    ? renderHtmlTable(['Date', 'Symbol', 'Event', 'Details'], events.map((event) => [
+      escapeHtml(event.eventDate), escapeHtml(event.symbol), escapeHtml(event.eventLabel), link(event.url, event.title),
+    ]))
+    : empty('None scheduled.'));
+
+  if (headlines.length > 0) {
+    parts.push(heading('Headlines'));
+    parts.push(`<ul style="margin:4px 0;padding-left:18px;">${headlines.map((article) => (
+      `<li style="margin:2px 0;">${link(article.url, article.title)} <span style="color:#6b7280;">${escapeHtml(article.source)}</span></li>`
+    )).join('')}</ul>`);
+  }
+
+  digest.warnings.forEach((warning) => parts.push(`<p style="color:#b45309;font-size:12px;">${escapeHtml(warning)}</p>`));
+
+  return `<!doctype html><html><head><meta charset="utf-8"><base target="_blank"></head><body style="font-family:Arial,Helvetica,sans-serif;color:#111827;max-width:640px;margin:0 auto;padding:16px;">${parts.join('')}</body></html>`;
+}
+
+function ensureDigestDir() {
+  const dir = path.dirname(config.digestFilePath);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+}
+
+function indexDigests(records) {
+  const byUser = {};
+  (Array.isArray(records) ? records : []).forEach((record) => {
+    if (!record || !record.id || !record.username || !DIGEST_SESSIONS[record.session]) {
+      return;
+    }
+    byUser[record.username] = byUser[record.username] || [];
+    byUser[record.username].push(record);
+  });
+  Object.values(byUser).forEach((list) => list.sort((left, right) => right.createdAt.localeCompare(left.createdAt)));
+  return byUser;
+}
+
+function loadDigestsFromDisk() {
+  try {
+    if (!config.digestFilePath || !fs.existsSync(config.digestFilePath)) {
+      return {};
+    }
+    const parsed = JSON.parse(fs.readFileSync(config.digestFilePath, 'utf8'));
+    if (parsed?.run && typeof parsed.run === 'object') {
+      state.run = { ...DEFAULT_RUN_STATE, ...parsed.run };
+    }
+    return indexDigests(parsed?.digests);
+  } catch (error) {
+    state.lastError = `digest-load:${error.message}`;
+    return {};
+  }
+}
+
+function saveDigestsToDisk() {
+  try {
+    if (!config.digestFilePath) return;
+    ensureDigestDir();
+    const digests = Object.values(state.digestsByUser).flat();
+    fs.writeFileSync(config.digestFilePath, JSON.stringify({ version: 1, run: state.run, digests }, null, 2));
+  } catch (error) {
+    state.lastError = `digest-save:${error.message}`;
+  }
+}
+
+async function loadDigestsFromStore() {
+  if (isMongoEnabled()) {
+    try {
+      const db = await getDb();
+      if (db) {
+        const records = await db.collection(DIGEST_COLLECTION).find({}, { projection: { _id: 0 } }).toArray();
+        if (records.length > 0) {
+          return indexDigests(records);
+        }
+      }
+    } catch (error) {
+      state.lastError = `digest-mongo-load:${error.message}`;
+    }
+  }
+  return loadDigestsFromDisk();
+}
+
+// Upserts the new digests and drops each affected user's digests beyond the kept history.
+async function saveDigestsToStore(records) {
+  if (isMongoEnabled()) {
+    try {
+      const db = await getDb();
+      if (db) {
+        const collection = db.collection(DIGEST_COLLECTION);
+        for (const record of records) {
+          await collection.updateOne({ id: record.id }, { $set: record }, { upsert: true });
+          const keptIds = (state.digestsByUser[record.username] || []).map((digest) => digest.id);
+          await collection.deleteMany({ username: record.username, id: { $nin: keptIds } });
+        }
+        return;
+      }
+    } catch (error) {
+      state.lastError = `digest-mongo-save:${error.message}`;
+    }
+  }
+  saveDigestsToDisk();
+}
+
+function rememberDigest(record) {
+  const maxPerUser = Math.max(Number(config.digestMaxPerUser) || 0, 1);
+  const existing = (state.digestsByUser[record.username] || []).filter((digest) => digest.id !== record.id);
+  state.digestsByUser[record.username] = [record, ...existing]
+    .sort((left, right) => right.createdAt.localeCompare(left.createdAt))
+    .slice(0, maxPerUser);
+}
+
+async function createUserDigest(userState, session, now) {
+  const date = getIstDate(now);
+  const id = `${userState.username}:${date}:${session}`;
+  const previous = (state.digestsByUser[userState.username] || []).find((digest) => digest.id !== id) || null;
+  const built = await buildDigestSections(userState, previous);
+  const digest = {
+    id,
+    username: userState.username,
+    session,
+    date,
+    createdAt: now.toISOString(),
+    ...built,
+  };
+  return { ...digest, text: renderDigestText(digest), html: renderDigestHtml(digest) };
+}
+
+// Sends the digest to the user's channels subscribed to `digest.ready` (email gets the HTML version).
+async function deliverDigest(digest) {
+  const deliveries = await publishNotification('digest.ready', {
+    id: digest.id,
+    session: digest.session,
+    sessionLabel: DIGEST_SESSIONS[digest.session],
+    date: digest.date,
+    text: digest.text,
+    sections: digest.sections,
+  }, {
+    usernames: [digest.username],
+    dedupeKey: `digest:${digest.id}`,
+    html: digest.html,
+  });
+  return deliveries.filter((entry) => entry.status === 'sent').length;
+}
+
+/**
+ * Builds (and by default delivers) the digest for every user, or only `username`.
+ * Re-running the same session on the same IST date replaces that digest without re-sending it.
+ * Runs limited to one user leave `run` in the status (the last all-users run) alone.
+ */
+async function generateDigests(options = {}) {
+  const now = new Date();
+  const session = normalizeSession(options.session, now);
+  const reason = String(options.reason || 'manual');
+  const onlyUsername = options.username ? String(options.username) : '';
+  const deliver = options.deliver !== false;
+  if (runPromise) {
+    const covered = (!runScope.username || runScope.username === onlyUsername)
+      && runScope.session === session
+      && runScope.deliver === deliver;
+    if (covered) {
+      return runPromise;
+    }
+    // The in-flight run is for someone else or builds another session: run this one once it has finished.
+    return runPromise.catch(() => {}).then(() => generateDigests(options));
+  }
+
+  runScope = { username: onlyUsername, session, deliver };
+  runPromise = (async () => {
+    let run = { ...DEFAULT_RUN_STATE, status: 'running', reason, session, startedAt: now.toISOString() };
+    const setRun = (next) => {
+      run = next;
+      if (!onlyUsername) {
+        state.run = run;
+      }
+    };
+    state.running = true;
+    setRun(run);
+    const records = [];
+
+    try {
+      const users = onlyUsername
+        ? [readUserDb(onlyUsername)]
+        : Object.values(readDb().users || {});
+
+      for (const userState of users) {
+        try {
+          const digest = await createUserDigest(userState, session, now);
+          rememberDigest(digest);
+          records.push(digest);
+          if (deliver) {
+            const delivered = await deliverDigest(digest);
+            setRun({ ...run, delivered: run.delivered + delivered });
+          }
+        } catch (error) {
+          setRun({ ...run, failed: run.failed + 1 });
+          state.lastError = `digest-user:${userState.username}:${error.message}`;
+        }
+      }
+
+      setRun({
+        ...run,
+        status: 'completed',
+        finishedAt: new Date().toISOString(),
+        users: users.length,
+        digests: records.length,
+      });
+      await saveDigestsToStore(records);
+      console.log(`[digest] ${reason}: ${records.length} ${session} digest(s), ${run.delivered} delivered`);
+    } catch (error) {
+      setRun({ ...run, status: 'failed', finishedAt: new Date().toISOString() });
+      state.lastError = `digest-run:${error.message}`;
+      throw error;
+    } finally {
+      state.running = false;
+      runPromise = null;
+      runScope = null;
+    }
+    return records;
+  })();
+
+  return runPromise;
+}
+
+function toDigestSummary(digest) {
+  return {
+    id: digest.id,
+    session: digest.session,
+    sessionLabel: DIGEST_SESSIONS[digest.session],
+    date: digest.date,
+    createdAt: digest.createdAt,
+  };
+}
+
+// Latest digest (or `id`) for the user plus the list of stored ones; `digest` is null when none exist.
+function getUserDigest(username, id = '') {
+  const list = state.digestsByUser[username] || [];
+  const digest = id ? list.find((item) => item.id === id) : list[0];
+  if (id && !digest) {
+    throw new Error('Digest not found.');
+  }
+  const { baseline: _baseline, ...visible } = digest || {};
+  return {
+    digest: digest ? visible : null,
+    history: list.map(toDigestSummary),
+  };
+}
+
+async function deleteUserDigests(username) {
+  delete state.digestsByUser[username];
+  if (isMongoEnabled()) {
+    const db = await getDb();
+    if (db) {
+      await db.collection(DIGEST_COLLECTION).deleteMany({ username });
+      return;
+    }
+  }
+  saveDigestsToDisk();
+}
+
+function getDigestStatus() {
+  return {
+    enabled: Boolean(config.digestEnabled),
+    schedulerMode: state.schedulerMode,
+    schedulerExpressions: [...state.schedulerExpressions],
+    schedulerTimezone: state.schedulerTimezone,
+    running: state.running,
+    run: { ...state.run },
+    lastSkippedAt: state.lastSkippedAt,
+    lastError: state.lastError || '',
+  };
+}
+
+function stopDigests() {
+  schedulerTasks.forEach((task) => task.stop());
+  schedulerTasks = [];
+}
+
+function scheduleDigestJobs() {
+  stopDigests();
+  state.schedulerExpressions = [];
+
+  if (!config.digestEnabled) {
+    state.schedulerMode = 'disabled';
+    state.schedulerTimezone = '';
+    return;
+  }
+
+  const timezone = String(config.digestCronTimezone || 'Asia/Kolkata');
+  state.schedulerTimezone = timezone;
+  const jobs = [
+    { session: 'pre-market', expression: String(config.digestPreMarketCron || '').trim() },
+    { session: 'post-market', expression: String(config.digestPostMarketCron || '').trim() },
+  ];
+
+  jobs.forEach(({ session, expression }) => {
+    // An empty expression turns that session off.
+    if (!expression) {
+      return;
+    }
+    if (!cron.validate(expression)) {
+      state.lastError = `digest-cron-invalid:${session}:${expression}`;
+      return;
+    }
+    schedulerTasks.push(cron.schedule(expression, () => {
+      if (!isTradingDay(getIstDate())) {
+        state.lastSkippedAt = new Date().toISOString();
+        console.log(`[digest] scheduled ${session} digest skipped: not a trading day`);
+        return;
+      }
+      generateDigests({ reason: 'scheduled-cron', session })
+        .catch((error) => {
+          state.lastError = `digest-cron-run:${error.message}`;
+        });
+    }, {
+      scheduled: true,
+      timezone,
+    }));
+    state.schedulerExpressions.push(`${session}=${expression}`);
+  });
+
+  state.schedulerMode = schedulerTasks.length > 0 ? 'cron' : 'disabled';
+}
+
+async function initializeDigests() {
+  if (initialized) {
+    return getDigestStatus();
+  }
+
+  state.digestsByUser = await loadDigestsFromStore();
+  scheduleDigestJobs();
+  initialized = true;
+  return getDigestStatus();
+}
+
+module.exports = {
+  DIGEST_SESSIONS,
+  initializeDigests,
+  generateDigests,
+  getUserDigest,
+  getDigestStatus,
+  deleteUserDigests,
+  stopDigests,
+};
@@ -1,9 +1,19 @@
 const axios = require('axios');
 const { config } = require('../config');
 const { normalizeIndianSymbol, stripExchangeSuffix } = require('../utils/symbols');
+const { fetchNseCorporateActions, fetchNseBoardMeetings } = require('./marketDataService');
+const { createCache } = require('./cacheService');
 
-const eventsCache = new Map();
+// An expired events payload is still served for this long while it is rebuilt in the background.
+const EVENTS_CACHE_STALE_MS = 6 * 60 * 60 * 1000;
+
+const eventsCache = createCache('events', {
+  ttlMs: () => config.eventsCacheTtlMs,
+  staleMs: EVENTS_CACHE_STALE_MS,
+});
 const pageCache = new Map();
+const corporateActionsCache = new Map();
+const resultsDatesCache = new Map();
 
 const MONTH_INDEX = {
   jan: 0,
@@ -452,12 +462,13 @@ async function getUpcomingCorporateEvents(symbols, options = {}) {
     };
   }
 
-  const key = cacheKey(sanitizedSymbols, daysAhead, typeFilter);
-  const cached = eventsCache.get(key);
-  if (isFresh(cached, config.eventsCacheTtlMs)) {
-    return cached.value;
-  }
+  return eventsCache.wrap(
+    cacheKey(sanitizedSymbols, daysAhead, typeFilter),
+    () => buildUpcomingEvents(sanitizedSymbols, daysAhead, typeFilter),
+  );
+}
 
+async function buildUpcomingEvents(sanitizedSymbols, daysAhead, typeFilter) {
   const today = toStartOfDay(new Date());
   const maxDate = new Date(today);
   maxDate.setDate(maxDate.getDate() + daysAhead);
@@ -484,7 +495,7 @@ async function getUpcomingCorporateEvents(symbols, options = {}) {
   }
 
   const groups = groupEventsByDay(events);
-  const payload = {
+  return {
     symbols: sanitizedSymbols,
     daysAhead,
     typeFilter,
@@ -493,15 +504,144 @@ async function getUpcomingCorporateEvents(symbols, options = {}) {
     groups,
     updatedAt: new Date().toISOString(),
   };
+}
 
-  eventsCache.set(key, {
-    value: payload,
-    fetchedAt: now(),
-  });
+// NSE subjects: "Interim Dividend - Rs 18 Per Share", "Bonus 1:1",
+// "Face Value Split (Sub-Division) - From Rs 10/- Per Share To Rs 2/- Per Share".
+function parseCorporateActionSubject(subjectInput) {
+  const subject = cleanText(subjectInput);
+  const actions = [];
+
+  const split = subject.match(/split|sub-?division|consolidation/i)
+    && subject.match(/from\s*(?:rs|re|inr)\.?\s*([\d.]+).*?to\s*(?:rs|re|inr)\.?\s*([\d.]+)/i);
+  if (split && Number(split[1]) > 0 && Number(split[2]) > 0 && Number(split[1]) !== Number(split[2])) {
+    // Face value Rs 10 -> Rs 2 turns every share into five.
+    actions.push({ type: 'SPLIT', ratioNew: Number(split[1]), ratioOld: Number(split[2]) });
+  }
+
+  const bonus = subject.match(/bonus\s*(\d+(?:\.\d+)?)\s*:\s*(\d+(?:\.\d+)?)/i);
+  if (bonus && Number(bonus[1]) > 0 && Number(bonus[2]) > 0) {
+    actions.push({ type: 'BONUS', ratioNew: Number(bonus[1]), ratioOld: Number(bonus[2]) });
+  }
+
+  if (/dividend/i.test(subject)) {
+    // "Final Dividend - Rs 2.50 Per Share And Special Dividend - Rs 5 Per Share" is one payout of Rs 7.50.
+    const amountPerShare = Array.from(subject.matchAll(/(?:rs|re|inr)\.?\s*([\d.]+)\s*(?:\/-)?\s*per\s*share/gi))
+      .reduce((total, match) => total + (Number(match[1]) || 0), 0);
+    if (amountPerShare > 0) {
+      actions.push({ type: 'DIVIDEND', amountPerShare: Number(amountPerShare.toFixed(4)) });
+    }
+  }
+
+  return actions;
+}
+
+async function fetchSymbolCorporateActions(symbol, fromDate, toDate) {
+  const key = `${symbol}|${toIsoDate(fromDate)}|${toIsoDate(toDate)}`;
+  const cached = corporateActionsCache.get(key);
+  if (isFresh(cached, config.eventsCacheTtlMs)) {
+    return cached.value;
+  }
+
+  const rows = await fetchNseCorporateActions(symbol, { from: fromDate, to: toDate });
+  const actions = [];
+  for (const row of rows) {
+    const exDate = parseFlexibleDate(row?.exDate);
+    if (!exDate || exDate < fromDate || exDate > toDate) {
+      continue;
+    }
+    const exDateIso = toIsoDate(exDate);
+    const recordDate = parseFlexibleDate(row?.recDate);
+    for (const parsed of parseCorporateActionSubject(row?.subject)) {
+      actions.push({
+        ...parsed,
+        symbol,
+        exDate: exDateIso,
+        recordDate: recordDate ? toIsoDate(recordDate) : '',
+        subject: cleanText(row.subject),
+        source: 'nse',
+        externalId: `nse:${parsed.type.toLowerCase()}:${symbol}:${exDateIso}`,
+      });
+    }
+  }
+
+  corporateActionsCache.set(key, { value: actions, fetchedAt: now() });
+  return actions;
+}
+
+/**
+ * Past splits, bonuses and dividends for NSE-listed symbols, parsed from NSE's corporate-action
+ * announcements. `fromBySymbol` limits each symbol to ex-dates on or after its own start date.
+ */
+async function getCorporateActions(symbols, options = {}) {
+  const sanitizedSymbols = asUniqueSymbols(symbols);
+  const toDate = toStartOfDay(options.to ? fromIsoDate(options.to) || new Date() : new Date());
+  const fromBySymbol = options.fromBySymbol || {};
+  const actions = [];
+  const errors = [];
+
+  // Sequential on purpose: NSE throttles bursts from one cookie.
+  for (const symbol of sanitizedSymbols) {
+    if (!symbol.endsWith('.NS')) {
+      errors.push({ symbol, error: 'Corporate actions are only available for NSE-listed symbols.' });
+      continue;
+    }
+    const fromDate = toStartOfDay(fromIsoDate(fromBySymbol[symbol]) || new Date(toDate.getFullYear() - 5, 0, 1));
+    try {
+      actions.push(...await fetchSymbolCorporateActions(symbol, fromDate, toDate));
+    } catch (error) {
+      errors.push({ symbol, error: error.message });
+    }
+  }
+
+  actions.sort((left, right) => left.exDate.localeCompare(right.exDate) || left.symbol.localeCompare(right.symbol));
+  return {
+    symbols: sanitizedSymbols,
+    total: actions.length,
+    actions,
+    errors,
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Past (and already announced) results board meetings for an NSE-listed symbol between `from`
+ * and `to` (`YYYY-MM-DD`), oldest first: `[{ date, title }]`. Other symbols get an empty list.
+ */
+async function getResultsDates(symbolInput, options = {}) {
+  const symbol = normalizeIndianSymbol(symbolInput);
+  const toDate = toStartOfDay(fromIsoDate(options.to) || new Date());
+  const fromDate = toStartOfDay(fromIsoDate(options.from) || new Date(toDate.getFullYear() - 1, toDate.getMonth(), 1));
+  if (!symbol.endsWith('.NS')) {
+    return [];
+  }
+
+  const key = `${symbol}|${toIsoDate(fromDate)}|${toIsoDate(toDate)}`;
+  const cached = resultsDatesCache.get(key);
+  if (isFresh(cached, config.eventsCacheTtlMs)) {
+    return cached.value;
+  }
+
+  const rows = await fetchNseBoardMeetings(symbol, { from: fromDate, to: toDate });
+  const byDate = new Map();
+  for (const row of rows) {
+    const purpose = cleanText(row?.bm_purpose);
+    const date = parseFlexibleDate(row?.bm_date);
+    if (!date || date < fromDate || date > toDate || !/result/i.test(purpose)) {
+      continue;
+    }
+    byDate.set(toIsoDate(date), { date: toIsoDate(date), title: purpose });
+  }
 
-  return payload;
+  const dates = Array.from(byDate.values()).sort((left, right) => left.date.localeCompare(right.date));
+  resultsDatesCache.set(key, { value: dates, fetchedAt: now() });
+  return dates;
 }
 
 module.exports = {
   getUpcomingCorporateEvents,
+  getCorporateActions,
+  getResultsDates,
+  parseCorporateActionSubject,
+  parseEventsFromScreenerHtml,
 };
@@ -0,0 +1,203 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { config } = require('../config');
+const { listProviders } = require('./providers/registry');
+
+const FIXTURE_MODES = ['off', 'record', 'replay'];
+// Left out of the fixture key: credentials must never end up in fixture files, and date windows
+// move every day, so a recording would stop matching the day after it was made.
+const SECRET_PARAM_PATTERN = /key|token|secret|password|crumb/i;
+const VOLATILE_PARAMS = new Set(['_', 'from', 'to', 'from_date', 'to_date', 'period1', 'period2']);
+const RECENT_MISS_LIMIT = 20;
+
+let installed = false;
+let state = {
+  recorded: 0,
+  replayed: 0,
+  misses: 0,
+  recentMisses: [],
+  lastError: '',
+};
+
+/**
+ * `MARKET_DATA_FIXTURE_MODE` (`off` | `record` | `replay`); without it, listing `fixture` in
+ * `MARKET_DATA_PROVIDER_ORDER` means replay.
+ */
+function getFixtureMode() {
+  if (FIXTURE_MODES.includes(config.marketDataFixtureMode)) {
+    return config.marketDataFixtureMode;
+  }
+  const order = Array.isArray(config.marketDataProviderOrder) ? config.marketDataProviderOrder : [];
+  return order.includes('fixture') ? 'replay' : 'off';
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch (error) {
+    return '';
+  }
+}
+
+// Market-data, news and events hosts. Notification webhooks, keep-alive pings and symbol-master
+// downloads always go to the network.
+function getFixtureHosts() {
+  return new Set([
+    ...listProviders().flatMap((provider) => provider.hosts),
+    ...[config.newsApiBaseUrl, config.googleNewsRssBaseUrl, config.twitterSearchRssUrl].map(hostOf),
+  ].filter(Boolean));
+}
+
+function describeRequest(requestConfig) {
+  const url = new URL(axios.getUri(requestConfig));
+  const params = Array.from(url.searchParams.entries())
+    .filter(([name]) => !SECRET_PARAM_PATTERN.test(name) && !VOLATILE_PARAMS.has(name.toLowerCase()))
+    .sort(([left], [right]) => left.localeCompare(right));
+  url.search = new URLSearchParams(params).toString();
+
+  const method = String(requestConfig.method || 'get').toUpperCase();
+  const { data } = requestConfig;
+  const body = data === undefined || data === null ? '' : (typeof data === 'string' ? data : JSON.stringify(data));
+  const digest = crypto.createHash('sha1').update(`${method} ${url.toString()}\n${body}`).digest('hex').slice(0, 16);
+  return {
+    method,
+    url: url.toString(),
+    host: url.host,
+    file: path.join(config.marketDataFixtureDir, url.host.replace(/[^A-Za-z0-9._-]/g, '_'), `${digest}.json`),
+  };
+}
+
+// Session cookies are only checked for presence (NSE bootstrap), so their values are not kept.
+function redactCookies(setCookie) {
+  return (Array.isArray(setCookie) ? setCookie : [setCookie])
+    .filter(Boolean)
+    .map((cookie) => `${String(cookie).split('=')[0]}=fixture; Path=/`);
+}
+
+function saveFixture(fixture, response) {
+  try {
+    const headers = { 'content-type': String(response.headers?.['content-type'] || '') };
+    if (response.headers?.['set-cookie']) {
+      headers['set-cookie'] = redactCookies(response.headers['set-cookie']);
+    }
+    fs.mkdirSync(path.dirname(fixture.file), { recursive: true });
+    fs.writeFileSync(fixture.file, JSON.stringify({
+      method: fixture.method,
+      url: fixture.url,
+      status: response.status,
+      headers,
+      data: Buffer.isBuffer(response.data) ? response.data.toString('utf8') : response.data,
+      recordedAt: new Date().toISOString(),
+    }, null, 2));
+    state.recorded += 1;
+  } catch (error) {
+    state.lastError = `fixture-save:${error.message}`;
+  }
+}
+
+function noteMiss(fixture) {
+  const request = `${fixture.method} ${fixture.url}`;
+  state.misses += 1;
+  if (!state.recentMisses.includes(request)) {
+    console.warn(`[fixtures] no fixture for ${request}`);
+    state.recentMisses = [request, ...state.recentMisses].slice(0, RECENT_MISS_LIMIT);
+  }
+}
+
+// Axios adapter for replay: answers from the fixture file and never touches the network.
+async function replayFixture(requestConfig) {
+  const { fixture } = requestConfig;
+  let recorded;
+  try {
+    recorded = JSON.parse(await fs.promises.readFile(fixture.file, 'utf8'));
+  } catch (error) {
+    noteMiss(fixture);
+    throw new axios.AxiosError(`No market-data fixture for ${fixture.method} ${fixture.url}`, 'ENOFIXTURE', requestConfig);
+  }
+
+  state.replayed += 1;
+  const response = {
+    data: recorded.data,
+    status: recorded.status,
+    statusText: 'fixture',
+    headers: new axios.AxiosHeaders(recorded.headers || {}),
+    config: requestConfig,
+    request: {},
+  };
+  if (!requestConfig.validateStatus || requestConfig.validateStatus(response.status)) {
+    return response;
+  }
+  throw new axios.AxiosError(
+    `Request failed with status code ${response.status}`,
+    response.status >= 500 ? axios.AxiosError.ERR_BAD_RESPONSE : axios.AxiosError.ERR_BAD_REQUEST,
+    requestConfig,
+    response.request,
+    response,
+  );
+}
+
+/**
+ * Hooks record/replay into the shared axios instance used by the market-data, news and events
+ * services. Recording writes every response from a fixture host to
+ * `MARKET_DATA_FIXTURE_DIR/<host>/<hash>.json`; replay serves those files and fails requests
+ * that have none with `ENOFIXTURE`, like a network error.
+ */
+function installHttpFixtures() {
+  if (installed) {
+    return;
+  }
+  installed = true;
+
+  axios.interceptors.request.use((requestConfig) => {
+    const mode = getFixtureMode();
+    if (mode === 'off') {
+      return requestConfig;
+    }
+    const fixture = describeRequest(requestConfig);
+    if (!getFixtureHosts().has(fixture.host)) {
+      return requestConfig;
+    }
+    return {
+      ...requestConfig,
+      fixture,
+      ...(mode === 'replay' ? { adapter: replayFixture } : {}),
+    };
+  });
+
+  axios.interceptors.response.use(
+    (response) => {
+      if (response.config?.fixture && getFixtureMode() === 'record') {
+        saveFixture(response.config.fixture, response);
+      }
+      return response;
+    },
+    (error) => {
+      if (error.response?.config?.fixture && getFixtureMode() === 'record') {
+        saveFixture(error.response.config.fixture, error.response);
+      }
+      return Promise.reject(error);
+    },
+  );
+}
+
+function getFixtureStatus() {
+  return {
+    mode: getFixtureMode(),
+    installed,
+    dir: config.marketDataFixtureDir,
+    hosts: Array.from(getFixtureHosts()),
+    recorded: state.recorded,
+    replayed: state.replayed,
+    misses: state.misses,
+    recentMisses: state.recentMisses,
+    lastError: state.lastError || '',
+  };
+}
+
+module.exports = {
+  getFixtureMode,
+  installHttpFixtures,
+  getFixtureStatus,
+};
@@ -0,0 +1,272 @@
+// Technical indicators computed from a daily OHLC series (oldest first). Series helpers return one
+// value per input bar, null until enough bars exist. Smoothing follows the usual charting defaults:
+// Wilder's moving average for RSI, ATR and ADX; EMAs seeded with the SMA of the first period.
+
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const INDICATOR_FIELDS = [
+  'rsi14',
+  'rsi14Weekly',
+  'macd',
+  'macdSignal',
+  'macdHistogram',
+  'atr14',
+  'atrPercent',
+  'bollingerUpper',
+  'bollingerMiddle',
+  'bollingerLower',
+  'bollingerPercentB',
+  'adx14',
+  'plusDi14',
+  'minusDi14',
+  'mansfieldRs',
+];
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function round(value, decimals = 4) {
+  return isNumber(value) ? Number(value.toFixed(decimals)) : null;
+}
+
+function last(values) {
+  return values.length > 0 ? values[values.length - 1] : null;
+}
+
+function smaSeries(values, period) {
+  const series = new Array(values.length).fill(null);
+  let sum = 0;
+  for (let index = 0; index < values.length; index += 1) {
+    sum += values[index];
+    if (index >= period) {
+      sum -= values[index - period];
+    }
+    if (index >= period - 1) {
+      series[index] = sum / period;
+    }
+  }
+  return series;
+}
+
+function emaSeries(values, period) {
+  const series = new Array(values.length).fill(null);
+  if (values.length < period) {
+    return series;
+  }
+  const multiplier = 2 / (period + 1);
+  let ema = values.slice(0, period).reduce((total, value) => total + value, 0) / period;
+  series[period - 1] = ema;
+  for (let index = period; index < values.length; index += 1) {
+    ema = ((values[index] - ema) * multiplier) + ema;
+    series[index] = ema;
+  }
+  return series;
+}
+
+// Wilder smoothing: the first value is the plain average of `period` inputs, then
+// avg = (prev * (period - 1) + value) / period.
+function wilderSeries(values, period, offset = 0) {
+  const series = new Array(values.length).fill(null);
+  if (values.length - offset < period) {
+    return series;
+  }
+  let average = values.slice(offset, offset + period).reduce((total, value) => total + value, 0) / period;
+  series[offset + period - 1] = average;
+  for (let index = offset + period; index < values.length; index += 1) {
+    average = ((average * (period - 1)) + values[index]) / period;
+    series[index] = average;
+  }
+  return series;
+}
+
+function rsiSeries(closes, period = 14) {
+  const gains = [0];
+  const losses = [0];
+  for (let index = 1; index < closes.length; index += 1) {
+    const change = closes[index] - closes[index - 1];
+    gains.push(Math.max(change, 0));
+    losses.push(Math.max(-change, 0));
+  }
+  const averageGains = wilderSeries(gains, period, 1);
+  const averageLosses = wilderSeries(losses, period, 1);
+  return closes.map((_close, index) => {
+    if (averageGains[index] === null) {
+      return null;
+    }
+    if (averageLosses[index] === 0) {
+      return averageGains[index] === 0 ? 50 : 100;
+    }
+    return 100 - (100 / (1 + (averageGains[index] / averageLosses[index])));
+  });
+}
+
+function macdSeries(closes, fast = 12, slow = 26, signalPeriod = 9) {
+  const fastEma = emaSeries(closes, fast);
+  const slowEma = emaSeries(closes, slow);
+  const macd = closes.map((_close, index) => (slowEma[index] === null ? null : fastEma[index] - slowEma[index]));
+  const firstMacd = macd.findIndex((value) => value !== null);
+  const signal = new Array(closes.length).fill(null);
+  if (firstMacd >= 0) {
+    emaSeries(macd.slice(firstMacd), signalPeriod).forEach((value, index) => {
+      signal[firstMacd + index] = value;
+    });
+  }
+  const histogram = macd.map((value, index) => (value === null || signal[index] === null ? null : value - signal[index]));
+  return { macd, signal, histogram };
+}
+
+function trueRanges(candles) {
+  return candles.map((candle, index) => {
+    if (index === 0) {
+      return candle.high - candle.low;
+    }
+    const previousClose = candles[index - 1].close;
+    return Math.max(candle.high - candle.low, Math.abs(candle.high - previousClose), Math.abs(candle.low - previousClose));
+  });
+}
+
+function atrSeries(candles, period = 14) {
+  return wilderSeries(trueRanges(candles), period, 1);
+}
+
+function bollingerBands(closes, period = 20, deviations = 2) {
+  if (closes.length < period) {
+    return null;
+  }
+  const window = closes.slice(-period);
+  const middle = window.reduce((total, value) => total + value, 0) / period;
+  const variance = window.reduce((total, value) => total + ((value - middle) ** 2), 0) / period;
+  const spread = Math.sqrt(variance) * deviations;
+  const upper = middle + spread;
+  const lower = middle - spread;
+  return {
+    upper,
+    middle,
+    lower,
+    percentB: upper === lower ? 0.5 : (last(closes) - lower) / (upper - lower),
+  };
+}
+
+function adxSeries(candles, period = 14) {
+  const plusDm = [0];
+  const minusDm = [0];
+  for (let index = 1; index < candles.length; index += 1) {
+    const upMove = candles[index].high - candles[index - 1].high;
+    const downMove = candles[index - 1].low - candles[index].low;
+    plusDm.push(upMove > downMove && upMove > 0 ? upMove : 0);
+    minusDm.push(downMove > upMove && downMove > 0 ? downMove : 0);
+  }
+  const atr = atrSeries(candles, period);
+  const smoothedPlus = wilderSeries(plusDm, period, 1);
+  const smoothedMinus = wilderSeries(minusDm, period, 1);
+  const plusDi = atr.map((value, index) => (value ? (smoothedPlus[index] / value) * 100 : null));
+  const minusDi = atr.map((value, index) => (value ? (smoothedMinus[index] / value) * 100 : null));
+  const dx = plusDi.map((value, index) => {
+    if (value === null || minusDi[index] === null) {
+      return null;
+    }
+    const total = value + minusDi[index];
+    return total === 0 ? 0 : (Math.abs(value - minusDi[index]) / total) * 100;
+  });
+  const firstDx = dx.findIndex((value) => value !== null);
+  const adx = new Array(candles.length).fill(null);
+  if (firstDx >= 0) {
+    wilderSeries(dx.slice(firstDx), period).forEach((value, index) => {
+      adx[firstDx + index] = value;
+    });
+  }
+  return { adx, plusDi, minusDi };
+}
+
+function toIsoDate(item) {
+  if (item.date) {
+    return String(item.date).slice(0, 10);
+  }
+  return new Date((Number(item.ts) * 1000) + IST_OFFSET_MS).toISOString().slice(0, 10);
+}
+
+function toWeekStart(isoDate) {
+  const day = new Date(`${isoDate}T00:00:00Z`).getUTCDay() || 7;
+  return new Date(Date.parse(`${isoDate}T00:00:00Z`) - ((day - 1) * DAY_MS)).toISOString().slice(0, 10);
+}
+
+// Last close of each week, keyed by the week's Monday (the current week counts as it stands).
+function weeklyCloses(series) {
+  const byWeek = new Map();
+  series.forEach((item) => byWeek.set(toWeekStart(toIsoDate(item)), item.close));
+  return Array.from(byWeek.entries())
+    .sort(([left], [right]) => left.localeCompare(right))
+    .map(([week, close]) => ({ week, close }));
+}
+
+/**
+ * Mansfield relative strength: the stock/benchmark ratio against its own 52-week average, in %.
+ * Above 0 the stock has been outperforming the benchmark; weeks missing on either side are skipped.
+ */
+function mansfieldRelativeStrength(series, benchmarkSeries, period = 52) {
+  const benchmarkByWeek = new Map(weeklyCloses(benchmarkSeries).map((item) => [item.week, item.close]));
+  const ratios = weeklyCloses(series)
+    .filter((item) => benchmarkByWeek.get(item.week) > 0)
+    .map((item) => item.close / benchmarkByWeek.get(item.week));
+  const average = last(smaSeries(ratios, period));
+  return average ? ((last(ratios) / average) - 1) * 100 : null;
+}
+
+/**
+ * Latest value of every indicator for a daily series (`[{ ts | date, close, high?, low? }]`,
+ * oldest first) as flat quote fields. ATR and ADX need highs and lows on every bar and are null
+ * otherwise; `mansfieldRs` needs a benchmark series (`[{ date | ts, close }]`).
+ */
+function computeIndicators(dailySeries, benchmarkSeries = []) {
+  const series = (dailySeries || []).filter((item) => item && isNumber(item.close));
+  const result = Object.fromEntries(INDICATOR_FIELDS.map((field) => [field, null]));
+  if (series.length < 2) {
+    return result;
+  }
+
+  const closes = series.map((item) => item.close);
+  result.rsi14 = round(last(rsiSeries(closes)), 2);
+  result.rsi14Weekly = round(last(rsiSeries(weeklyCloses(series).map((item) => item.close))), 2);
+
+  const macd = macdSeries(closes);
+  result.macd = round(last(macd.macd));
+  result.macdSignal = round(last(macd.signal));
+  result.macdHistogram = round(last(macd.histogram));
+
+  const bands = bollingerBands(closes);
+  if (bands) {
+    result.bollingerUpper = round(bands.upper);
+    result.bollingerMiddle = round(bands.middle);
+    result.bollingerLower = round(bands.lower);
+    result.bollingerPercentB = round(bands.percentB);
+  }
+
+  if (series.every((item) => isNumber(item.high) && isNumber(item.low))) {
+    const atr = last(atrSeries(series));
+    result.atr14 = round(atr);
+    result.atrPercent = atr === null ? null : round((atr / last(closes)) * 100, 2);
+    const adx = adxSeries(series);
+    result.adx14 = round(last(adx.adx), 2);
+    result.plusDi14 = round(last(adx.plusDi), 2);
+    result.minusDi14 = round(last(adx.minusDi), 2);
+  }
+
+  const benchmark = (benchmarkSeries || []).filter((item) => item && isNumber(item.close));
+  result.mansfieldRs = benchmark.length > 0 ? round(mansfieldRelativeStrength(series, benchmark), 2) : null;
+  return result;
+}
+
+module.exports = {
+  INDICATOR_FIELDS,
+  smaSeries,
+  emaSeries,
+  rsiSeries,
+  macdSeries,
+  atrSeries,
+  adxSeries,
+  bollingerBands,
+  weeklyCloses,
+  mansfieldRelativeStrength,
+  computeIndicators,
+};
@@ -0,0 +1,164 @@
+const { config } = require('../config');
+
+// Failed-login tracking per username and per client IP.
+// Kept in memory: lockouts reset on restart, which is acceptable for a single-instance deployment.
+const state = {
+  usernames: new Map(),
+  ips: new Map(),
+};
+
+// Entries idle for this long are forgotten, which also resets the backoff level.
+const ENTRY_IDLE_RESET_MS = 24 * 60 * 60 * 1000;
+const MAX_TRACKED_KEYS = 10000;
+
+function normalizeUsernameKey(username) {
+  return String(username || '').trim().toLowerCase();
+}
+
+function normalizeIpKey(ip) {
+  return String(ip || '').trim() || 'unknown';
+}
+
+function getThreshold(scope) {
+  const value = scope === 'ip' ? config.authLockoutIpThreshold : config.authLockoutUsernameThreshold;
+  return Math.max(Number(value) || 1, 1);
+}
+
+function getLockoutDurationMs(previousLockouts) {
+  const baseMs = Math.max(Number(config.authLockoutBaseMs) || 0, 1000);
+  const maxMs = Math.max(Number(config.authLockoutMaxMs) || 0, baseMs);
+  // Doubles with every lockout in the same streak: 5m, 10m, 20m... capped at maxMs.
+  return Math.min(baseMs * (2 ** Math.min(previousLockouts, 20)), maxMs);
+}
+
+function pruneEntries(map, now) {
+  if (map.size < MAX_TRACKED_KEYS) {
+    return;
+  }
+
+  for (const [key, entry] of map.entries()) {
+    if (entry.lockedUntil <= now && now - entry.lastFailureAt > config.authLockoutWindowMs) {
+      map.delete(key);
+    }
+  }
+}
+
+function getEntry(map, key, now) {
+  const entry = map.get(key);
+  if (!entry) {
+    return null;
+  }
+
+  if (entry.lockedUntil <= now && now - entry.lastFailureAt > ENTRY_IDLE_RESET_MS) {
+    map.delete(key);
+    return null;
+  }
+
+  return entry;
+}
+
+function checkScope(scope, map, key, now) {
+  const entry = getEntry(map, key, now);
+  if (!entry || entry.lockedUntil <= now) {
+    return null;
+  }
+
+  return {
+    scope,
+    key,
+    lockedUntil: new Date(entry.lockedUntil).toISOString(),
+    retryAfterMs: entry.lockedUntil - now,
+  };
+}
+
+// Returns the active lockout that blocks this attempt, or null.
+function getLoginBlock({ username, ip } = {}, now = Date.now()) {
+  return checkScope('username', state.usernames, normalizeUsernameKey(username), now)
+    || checkScope('ip', state.ips, normalizeIpKey(ip), now);
+}
+
+function registerFailure(scope, map, key, now) {
+  pruneEntries(map, now);
+  const entry = getEntry(map, key, now) || {
+    failures: [],
+    lockouts: 0,
+    lockedUntil: 0,
+    lastFailureAt: 0,
+  };
+
+  entry.failures = entry.failures.filter((timestamp) => now - timestamp <= config.authLockoutWindowMs);
+  entry.failures.push(now);
+  entry.lastFailureAt = now;
+  map.set(key, entry);
+
+  if (entry.failures.length < getThreshold(scope)) {
+    return null;
+  }
+
+  const durationMs = getLockoutDurationMs(entry.lockouts);
+  entry.lockouts += 1;
+  entry.lockedUntil = now + durationMs;
+  entry.failures = [];
+
+  return {
+    scope,
+    key,
+    lockouts: entry.lockouts,
+    durationMs,
+    lockedUntil: new Date(entry.lockedUntil).toISOString(),
+  };
+}
+
+// Records a failed attempt and returns any lockouts it triggered.
+function recordLoginFailure({ username, ip } = {}, now = Date.now()) {
+  const lockouts = [];
+  const usernameKey = normalizeUsernameKey(username);
+  if (usernameKey) {
+    const lockout = registerFailure('username', state.usernames, usernameKey, now);
+    if (lockout) {
+      lockouts.push(lockout);
+    }
+  }
+
+  const ipLockout = registerFailure('ip', state.ips, normalizeIpKey(ip), now);
+  if (ipLockout) {
+    lockouts.push(ipLockout);
+  }
+
+  return { lockouts };
+}
+
+// A successful login clears the username streak. The IP streak is kept so one valid
+// account cannot be used to reset a password-spraying client.
+function recordLoginSuccess({ username } = {}) {
+  state.usernames.delete(normalizeUsernameKey(username));
+}
+
+function clearLoginFailures({ username, ip } = {}) {
+  const cleared = [];
+  if (username && state.usernames.delete(normalizeUsernameKey(username))) {
+    cleared.push('username');
+  }
+  if (ip && state.ips.delete(normalizeIpKey(ip))) {
+    cleared.push('ip');
+  }
+  return cleared;
+}
+
+function getLoginGuardStatus(now = Date.now()) {
+  const countLocked = (map) => Array.from(map.values()).filter((entry) => entry.lockedUntil > now).length;
+  return {
+    trackedUsernames: state.usernames.size,
+    trackedIps: state.ips.size,
+    lockedUsernames: countLocked(state.usernames),
+    lockedIps: countLocked(state.ips),
+  };
+}
+
+module.exports = {
+  getLoginBlock,
+  recordLoginFailure,
+  recordLoginSuccess,
+  clearLoginFailures,
+  getLoginGuardStatus,
+};
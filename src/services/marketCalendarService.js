@@ -0,0 +1,552 @@
+const fs = require('fs');
+const path = require('path');
+const cron = require('node-cron');
+const { config } = require('../config');
+const { getDb, isMongoEnabled } = require('../db/mongoClient');
+const { fetchNseTradingHolidays } = require('./marketDataService');
+
+const CALENDAR_COLLECTION = 'market_calendar';
+const CALENDAR_DOC_ID = 'equity';
+const MARKET_TIMEZONE = 'Asia/Kolkata';
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Normal equity session on NSE and BSE (IST). Pre-open order entry and matching run 09:00-09:15;
+// the closing price is computed and traded in the post-close session up to 16:00.
+const REGULAR_SESSION = Object.freeze({
+  preOpen: '09:00',
+  open: '09:15',
+  close: '15:30',
+  postClose: '16:00',
+});
+// Special sessions (Muhurat trading) get a 15-minute pre-open and 10-minute post-close.
+const SPECIAL_PRE_OPEN_MINUTES = 15;
+const SPECIAL_POST_CLOSE_MINUTES = 10;
+const MAX_LOOKUP_DAYS = 30;
+const MONTHS = Object.freeze(['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec']);
+
+// Equity-segment trading holidays shared by NSE and BSE, as published by the exchanges.
+// Refreshed from NSE on a schedule; admins can also replace the list through the API.
+const DEFAULT_HOLIDAYS = Object.freeze([
+  { date: '2025-02-26', description: 'Mahashivratri' },
+  { date: '2025-03-14', description: 'Holi' },
+  { date: '2025-03-31', description: 'Id-Ul-Fitr (Ramadan Eid)' },
+  { date: '2025-04-10', description: 'Shri Mahavir Jayanti' },
+  { date: '2025-04-14', description: 'Dr. Baba Saheb Ambedkar Jayanti' },
+  { date: '2025-04-18', description: 'Good Friday' },
+  { date: '2025-05-01', description: 'Maharashtra Day' },
+  { date: '2025-08-15', description: 'Independence Day' },
+  { date: '2025-08-27', description: 'Ganesh Chaturthi' },
+  { date: '2025-10-02', description: 'Mahatma Gandhi Jayanti / Dussehra' },
+  { date: '2025-10-21', description: 'Diwali Laxmi Pujan' },
+  { date: '2025-10-22', description: 'Diwali Balipratipada' },
+  { date: '2025-11-05', description: 'Prakash Gurpurb Sri Guru Nanak Dev' },
+  { date: '2025-12-25', description: 'Christmas' },
+  { date: '2026-01-26', description: 'Republic Day' },
+  { date: '2026-03-03', description: 'Holi' },
+  { date: '2026-03-26', description: 'Shri Ram Navami' },
+  { date: '2026-03-31', description: 'Shri Mahavir Jayanti' },
+  { date: '2026-04-03', description: 'Good Friday' },
+  { date: '2026-04-14', description: 'Dr. Baba Saheb Ambedkar Jayanti' },
+  { date: '2026-05-01', description: 'Maharashtra Day' },
+  { date: '2026-05-28', description: 'Bakri Id' },
+  { date: '2026-06-26', description: 'Muharram' },
+  { date: '2026-09-14', description: 'Ganesh Chaturthi' },
+  { date: '2026-10-02', description: 'Mahatma Gandhi Jayanti' },
+  { date: '2026-10-20', description: 'Dussehra' },
+  { date: '2026-11-10', description: 'Diwali Balipratipada' },
+  { date: '2026-11-24', description: 'Prakash Gurpurb Sri Guru Nanak Dev' },
+  { date: '2026-12-25', description: 'Christmas' },
+]);
+const DEFAULT_SPECIAL_SESSIONS = Object.freeze([
+  { date: '2025-10-21', label: 'Muhurat trading', open: '13:45', close: '14:45' },
+]);
+
+let initialized = false;
+let schedulerTask = null;
+let refreshPromise = null;
+let state = {
+  calendar: createDefaultCalendar(),
+  schedulerMode: 'disabled',
+  schedulerExpression: '',
+  schedulerTimezone: '',
+  lastRefreshAt: '',
+  lastError: '',
+};
+
+function createDefaultCalendar() {
+  return {
+    holidays: DEFAULT_HOLIDAYS.map((holiday) => ({ ...holiday })),
+    specialSessions: DEFAULT_SPECIAL_SESSIONS.map((session) => ({ ...session })),
+    source: 'built-in',
+    updatedAt: '',
+  };
+}
+
+function isIsoDate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(`${value}T00:00:00Z`));
+}
+
+function parseClock(value) {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(String(value || '').trim());
+  return match ? (Number(match[1]) * 60) + Number(match[2]) : null;
+}
+
+function formatClock(minutes) {
+  const safe = Math.min(Math.max(minutes, 0), (24 * 60) - 1);
+  return `${String(Math.floor(safe / 60)).padStart(2, '0')}:${String(safe % 60).padStart(2, '0')}`;
+}
+
+function getIstDate(date = new Date()) {
+  return new Date(date.getTime() + IST_OFFSET_MS).toISOString().slice(0, 10);
+}
+
+function getIstMinutes(date = new Date()) {
+  const ist = new Date(date.getTime() + IST_OFFSET_MS);
+  return (ist.getUTCHours() * 60) + ist.getUTCMinutes();
+}
+
+function shiftIsoDate(isoDate, days) {
+  return new Date(Date.parse(`${isoDate}T00:00:00Z`) + (days * DAY_MS)).toISOString().slice(0, 10);
+}
+
+// `HH:MM` IST on `isoDate` as a Date.
+function toInstant(isoDate, clock) {
+  return new Date(Date.parse(`${isoDate}T00:00:00Z`) + (parseClock(clock) * 60 * 1000) - IST_OFFSET_MS);
+}
+
+function sortByDate(list) {
+  return [...list].sort((left, right) => left.date.localeCompare(right.date));
+}
+
+function normalizeHoliday(raw) {
+  const date = String(raw?.date || '').trim();
+  const description = String(raw?.description || '').trim().slice(0, 120);
+  if (!isIsoDate(date)) {
+    throw new Error(`Holiday date must be YYYY-MM-DD (got "${raw?.date ?? ''}").`);
+  }
+  if (!description) {
+    throw new Error(`Holiday on ${date} needs a description.`);
+  }
+  return { date, description };
+}
+
+function normalizeSpecialSession(raw) {
+  const date = String(raw?.date || '').trim();
+  if (!isIsoDate(date)) {
+    throw new Error(`Special session date must be YYYY-MM-DD (got "${raw?.date ?? ''}").`);
+  }
+  const open = parseClock(raw?.open);
+  const close = parseClock(raw?.close);
+  if (open === null || close === null || close <= open) {
+    throw new Error(`Special session on ${date} needs open and close times (HH:MM IST, open before close).`);
+  }
+  return {
+    date,
+    label: String(raw?.label || 'Muhurat trading').trim().slice(0, 60),
+    open: formatClock(open),
+    close: formatClock(close),
+  };
+}
+
+// One entry per date; a later duplicate replaces an earlier one.
+function uniqueByDate(list) {
+  return sortByDate(Array.from(new Map(list.map((item) => [item.date, item])).values()));
+}
+
+function normalizeCalendar(raw) {
+  try {
+    return {
+      holidays: uniqueByDate((Array.isArray(raw?.holidays) ? raw.holidays : []).map(normalizeHoliday)),
+      specialSessions: uniqueByDate((Array.isArray(raw?.specialSessions) ? raw.specialSessions : []).map(normalizeSpecialSession)),
+      source: String(raw?.source || 'manual'),
+      updatedAt: String(raw?.updatedAt || ''),
+    };
+  } catch (error) {
+    state.lastError = `market-calendar-invalid:${error.message}`;
+    return createDefaultCalendar();
+  }
+}
+
+function findHoliday(isoDate) {
+  return state.calendar.holidays.find((holiday) => holiday.date === isoDate) || null;
+}
+
+function findSpecialSession(isoDate) {
+  return state.calendar.specialSessions.find((session) => session.date === isoDate) || null;
+}
+
+/**
+ * The trading session on an IST date, or null when the market is shut all day.
+ * A special session (Muhurat trading) replaces the regular one, even on a weekend or holiday.
+ */
+function getSessionForDate(isoDate) {
+  const special = findSpecialSession(isoDate);
+  if (special) {
+    const open = parseClock(special.open);
+    const close = parseClock(special.close);
+    return {
+      date: isoDate,
+      label: special.label,
+      special: true,
+      preOpen: formatClock(open - SPECIAL_PRE_OPEN_MINUTES),
+      open: special.open,
+      close: special.close,
+      postClose: formatClock(close + SPECIAL_POST_CLOSE_MINUTES),
+    };
+  }
+
+  const day = new Date(`${isoDate}T00:00:00Z`).getUTCDay();
+  if (day === 0 || day === 6 || findHoliday(isoDate)) {
+    return null;
+  }
+  return { date: isoDate, label: 'Regular session', special: false, ...REGULAR_SESSION };
+}
+
+function isTradingDay(isoDate) {
+  return Boolean(getSessionForDate(isoDate));
+}
+
+// End (post-close) of the latest session that has finished by `date`; prices after it are final.
+function getLastClose(date = new Date()) {
+  const today = getIstDate(date);
+  for (let offset = 0; offset <= MAX_LOOKUP_DAYS; offset += 1) {
+    const session = getSessionForDate(shiftIsoDate(today, -offset));
+    if (session && toInstant(session.date, session.postClose) <= date) {
+      return { date: session.date, at: toInstant(session.date, session.postClose) };
+    }
+  }
+  return null;
+}
+
+function getNextOpen(date = new Date()) {
+  const today = getIstDate(date);
+  for (let offset = 0; offset <= MAX_LOOKUP_DAYS; offset += 1) {
+    const session = getSessionForDate(shiftIsoDate(today, offset));
+    if (session && toInstant(session.date, session.open) > date) {
+      return { date: session.date, at: toInstant(session.date, session.open), label: session.label };
+    }
+  }
+  return null;
+}
+
+function getPhase(session, minutes) {
+  if (!session) {
+    return 'closed';
+  }
+  if (minutes >= parseClock(session.open) && minutes < parseClock(session.close)) {
+    return 'open';
+  }
+  if (minutes >= parseClock(session.preOpen) && minutes < parseClock(session.open)) {
+    return 'pre-open';
+  }
+  if (minutes >= parseClock(session.close) && minutes < parseClock(session.postClose)) {
+    return 'post-close';
+  }
+  return 'closed';
+}
+
+/**
+ * Where the NSE/BSE equity market stands at `date`:
+ * `phase` is pre-open | open | post-close | closed; `active` is true in any of the first three
+ * (prices can still move); `reason` explains a closed market (weekend, holiday, before-open, after-close).
+ */
+function getMarketStatus(date = new Date()) {
+  const today = getIstDate(date);
+  const minutes = getIstMinutes(date);
+  const session = getSessionForDate(today);
+  const phase = getPhase(session, minutes);
+  const holiday = findHoliday(today);
+  const weekday = new Date(`${today}T00:00:00Z`).getUTCDay();
+  const lastClose = getLastClose(date);
+  const nextOpen = getNextOpen(date);
+
+  let reason = '';
+  if (phase === 'closed') {
+    if (!session) {
+      reason = holiday || (weekday !== 0 && weekday !== 6) ? 'holiday' : 'weekend';
+    } else {
+      reason = minutes < parseClock(session.preOpen) ? 'before-open' : 'after-close';
+    }
+  }
+
+  return {
+    timezone: MARKET_TIMEZONE,
+    now: date.toISOString(),
+    date: today,
+    time: formatClock(minutes),
+    phase,
+    isOpen: phase === 'open',
+    active: phase !== 'closed',
+    isTradingDay: Boolean(session),
+    reason,
+    holiday,
+    session,
+    lastClose: lastClose ? { date: lastClose.date, at: lastClose.at.toISOString() } : null,
+    nextOpen: nextOpen ? { date: nextOpen.date, at: nextOpen.at.toISOString(), label: nextOpen.label } : null,
+  };
+}
+
+function isMarketOpen(date = new Date()) {
+  return getPhase(getSessionForDate(getIstDate(date)), getIstMinutes(date)) === 'open';
+}
+
+function isMarketActive(date = new Date()) {
+  return getPhase(getSessionForDate(getIstDate(date)), getIstMinutes(date)) !== 'closed';
+}
+
+/**
+ * True when the market is shut and a quote cached at `cachedAt` was taken after the last session
+ * ended, i.e. fetching it again would return the same closing prices.
+ */
+function isCachedSinceLastClose(cachedAt, date = new Date()) {
+  const cachedAtMs = Date.parse(String(cachedAt || ''));
+  if (!Number.isFinite(cachedAtMs) || isMarketActive(date)) {
+    return false;
+  }
+  const lastClose = getLastClose(date);
+  return Boolean(lastClose) && cachedAtMs >= lastClose.at.getTime();
+}
+
+function ensureCalendarDir() {
+  const dir = path.dirname(config.marketCalendarFilePath);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+}
+
+function loadCalendarFromDisk() {
+  try {
+    if (!config.marketCalendarFilePath || !fs.existsSync(config.marketCalendarFilePath)) {
+      return null;
+    }
+    return normalizeCalendar(JSON.parse(fs.readFileSync(config.marketCalendarFilePath, 'utf8')));
+  } catch (error) {
+    state.lastError = `market-calendar-load:${error.message}`;
+    return null;
+  }
+}
+
+function saveCalendarToDisk(calendar) {
+  try {
+    if (!config.marketCalendarFilePath) return;
+    ensureCalendarDir();
+    fs.writeFileSync(config.marketCalendarFilePath, JSON.stringify(calendar, null, 2));
+  } catch (error) {
+    state.lastError = `market-calendar-save:${error.message}`;
+  }
+}
+
+async function loadCalendarFromStore() {
+  if (isMongoEnabled()) {
+    try {
+      const db = await getDb();
+      if (db) {
+        const doc = await db.collection(CALENDAR_COLLECTION).findOne({ _id: CALENDAR_DOC_ID });
+        if (doc) {
+          return normalizeCalendar(doc);
+        }
+      }
+    } catch (error) {
+      state.lastError = `market-calendar-mongo-load:${error.message}`;
+    }
+  }
+  return loadCalendarFromDisk();
+}
+
+async function saveCalendarToStore(calendar) {
+  if (isMongoEnabled()) {
+    try {
+      const db = await getDb();
+      if (db) {
+        await db.collection(CALENDAR_COLLECTION).updateOne(
+          { _id: CALENDAR_DOC_ID },
+          { $set: calendar },
+          { upsert: true },
+        );
+        return;
+      }
+    } catch (error) {
+      state.lastError = `market-calendar-mongo-save:${error.message}`;
+    }
+  }
+  saveCalendarToDisk(calendar);
+}
+
+function getMarketCalendar({ year = '' } = {}) {
+  const prefix = year ? `${String(year).trim()}-` : '';
+  return {
+    timezone: MARKET_TIMEZONE,
+    regularSession: { ...REGULAR_SESSION },
+    holidays: state.calendar.holidays.filter((holiday) => holiday.date.startsWith(prefix)),
+    specialSessions: state.calendar.specialSessions.filter((session) => session.date.startsWith(prefix)),
+    source: state.calendar.source,
+    updatedAt: state.calendar.updatedAt,
+  };
+}
+
+/**
+ * Replaces the holiday list and/or the special sessions (omitted keys are kept).
+ * Throws on the first invalid entry so a bad upload never half-applies.
+ */
+async function updateMarketCalendar(input = {}) {
+  if (input.holidays !== undefined && !Array.isArray(input.holidays)) {
+    throw new Error('holidays must be a list of { date, description }.');
+  }
+  if (input.specialSessions !== undefined && !Array.isArray(input.specialSessions)) {
+    throw new Error('specialSessions must be a list of { date, label?, open, close }.');
+  }
+
+  const calendar = {
+    holidays: input.holidays ? uniqueByDate(input.holidays.map(normalizeHoliday)) : state.calendar.holidays,
+    specialSessions: input.specialSessions
+      ? uniqueByDate(input.specialSessions.map(normalizeSpecialSession))
+      : state.calendar.specialSessions,
+    source: 'manual',
+    updatedAt: new Date().toISOString(),
+  };
+  state.calendar = calendar;
+  await saveCalendarToStore(calendar);
+  return getMarketCalendar();
+}
+
+function parseNseHolidayDate(value) {
+  const match = /^(\d{1,2})-([A-Za-z]{3})-(\d{4})$/.exec(String(value || '').trim());
+  const month = match ? MONTHS.indexOf(match[2].toLowerCase()) : -1;
+  return month < 0 ? '' : `${match[3]}-${String(month + 1).padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+}
+
+/**
+ * Pulls the trading-holiday list from NSE. Years present in the response replace the stored
+ * holidays for those years; other years and the special sessions are kept.
+ */
+async function refreshMarketHolidays(options = {}) {
+  if (refreshPromise) {
+    return refreshPromise;
+  }
+
+  const reason = String(options.reason || 'manual');
+  refreshPromise = (async () => {
+    try {
+      const fetched = (await fetchNseTradingHolidays())
+        .map((row) => ({ date: parseNseHolidayDate(row.tradingDate), description: String(row.description || '').trim() }))
+        .filter((holiday) => holiday.date && holiday.description);
+      if (fetched.length === 0) {
+        throw new Error('NSE returned no trading holidays.');
+      }
+
+      const years = new Set(fetched.map((holiday) => holiday.date.slice(0, 4)));
+      const calendar = {
+        holidays: uniqueByDate([
+          ...state.calendar.holidays.filter((holiday) => !years.has(holiday.date.slice(0, 4))),
+          ...fetched.map(normalizeHoliday),
+        ]),
+        specialSessions: state.calendar.specialSessions,
+        source: 'nse',
+        updatedAt: new Date().toISOString(),
+      };
+      state.calendar = calendar;
+      state.lastError = '';
+      await saveCalendarToStore(calendar);
+      console.log(`[market-calendar] ${reason}: ${fetched.length} NSE holidays for ${Array.from(years).sort().join(', ')}`);
+      return getMarketCalendar();
+    } catch (error) {
+      state.lastError = `market-calendar-refresh:${error.message}`;
+      throw error;
+    } finally {
+      state.lastRefreshAt = new Date().toISOString();
+      refreshPromise = null;
+    }
+  })();
+
+  return refreshPromise;
+}
+
+function getMarketCalendarStatus() {
+  return {
+    source: state.calendar.source,
+    updatedAt: state.calendar.updatedAt,
+    holidays: state.calendar.holidays.length,
+    specialSessions: state.calendar.specialSessions.length,
+    schedulerMode: state.schedulerMode,
+    schedulerExpression: state.schedulerExpression,
+    schedulerTimezone: state.schedulerTimezone,
+    lastRefreshAt: state.lastRefreshAt,
+    lastError: state.lastError || '',
+  };
+}
+
+function scheduleHolidayRefreshJob() {
+  if (schedulerTask) {
+    schedulerTask.stop();
+    schedulerTask = null;
+  }
+
+  if (!config.marketHolidayRefreshEnabled) {
+    state.schedulerMode = 'disabled';
+    state.schedulerExpression = '';
+    state.schedulerTimezone = '';
+    return;
+  }
+
+  const cronExpression = String(config.marketHolidayRefreshCron || '').trim();
+  const timezone = String(config.marketHolidayRefreshCronTimezone || MARKET_TIMEZONE);
+  if (!cronExpression || !cron.validate(cronExpression)) {
+    state.schedulerMode = 'disabled';
+    state.schedulerExpression = cronExpression;
+    state.schedulerTimezone = timezone;
+    state.lastError = `market-calendar-cron-invalid:${cronExpression || 'empty'}`;
+    return;
+  }
+
+  schedulerTask = cron.schedule(cronExpression, () => {
+    refreshMarketHolidays({ reason: 'scheduled-cron' })
+      .catch((error) => {
+        state.lastError = `market-calendar-cron-run:${error.message}`;
+      });
+  }, {
+    scheduled: true,
+    timezone,
+  });
+
+  state.schedulerMode = 'cron';
+  state.schedulerExpression = cronExpression;
+  state.schedulerTimezone = timezone;
+}
+
+async function initializeMarketCalendar() {
+  if (initialized) {
+    return getMarketCalendarStatus();
+  }
+
+  const stored = await loadCalendarFromStore();
+  if (stored) {
+    state.calendar = stored;
+  }
+  scheduleHolidayRefreshJob();
+  initialized = true;
+  return getMarketCalendarStatus();
+}
+
+function stopMarketCalendar() {
+  if (schedulerTask) {
+    schedulerTask.stop();
+    schedulerTask = null;
+  }
+}
+
+module.exports = {
+  REGULAR_SESSION,
+  initializeMarketCalendar,
+  getMarketStatus,
+  getMarketCalendar,
+  getMarketCalendarStatus,
+  getSessionForDate,
+  getLastClose,
+  isTradingDay,
+  isMarketOpen,
+  isMarketActive,
+  isCachedSinceLastClose,
+  updateMarketCalendar,
+  refreshMarketHolidays,
+  stopMarketCalendar,
+};
@@ -4,6 +4,27 @@ const { config } = require('../config');
 const { getDb, isMongoEnabled } = require('../db/mongoClient');
 const { normalizeIndianSymbol, stripExchangeSuffix } = require('../utils/symbols');
 const { getSymbolMasterItems } = require('./symbolMasterService');
+const { buildLedger, positionsToTransactions, sortTransactions } = require('./portfolioLedgerService');
+const { computeIndicators } = require('./indicatorService');
+const { createCache } = require('./cacheService');
+const {
+  acquireProvider,
+  isProviderAvailable,
+  recordProviderCall,
+  rankProviders,
+  getProviderHealth,
+  forceOpenBreaker,
+  resetBreaker,
+} = require('./providerHealthService');
+const {
+  registerProvider,
+  listProviders,
+  getProvider,
+  getProviderCapabilities,
+  hasCapability,
+  getMissingCredentials,
+  supportsSymbol,
+} = require('./providers/registry');
 
 const YAHOO_HOSTS = [
   'https://query1.finance.yahoo.com',
@@ -19,16 +40,25 @@ const BSE_GRAPH_PATHS = [
 ];
 const NSE_HISTORICAL_PATH = 'https://www.nseindia.com/api/historical/cm/equity';
 
-const quoteCache = new Map();
-const technicalCache = new Map();
-const quarterlyFinancialCache = new Map();
+const indicatorQueue = new Set();
+let indicatorWorker = null;
 const quarterlySnapshotCache = { snapshot: null, loadedAt: 0 };
 const quarterlySnapshotRecordCache = new Map();
+const benchmarkSeriesCache = new Map();
+const BENCHMARK_SYMBOL = '^NSEI';
+const BENCHMARK_CACHE_TTL_MS = 6 * 60 * 60 * 1000;
+const IST_OFFSET_SECONDS = 5.5 * 60 * 60;
+const grandfatheringFmvCache = new Map();
+const GRANDFATHERING_DATE = '2018-01-31';
 const TECHNICAL_CACHE_TTL_MS = 30 * 60 * 1000;
 const TECHNICAL_NULL_CACHE_TTL_MS = 2 * 60 * 1000;
 const QUARTERLY_FINANCIAL_CACHE_TTL_MS = 6 * 60 * 60 * 1000;
 const QUARTERLY_FINANCIAL_UNAVAILABLE_CACHE_TTL_MS = 0;
 const QUARTERLY_SNAPSHOT_TTL_MS = 5 * 60 * 1000;
+// How long past its TTL an entry may still be served while a background refresh runs.
+const QUOTE_CACHE_STALE_MS = 5 * 60 * 1000;
+const TECHNICAL_CACHE_STALE_MS = 6 * 60 * 60 * 1000;
+const QUARTERLY_FINANCIAL_CACHE_STALE_MS = 24 * 60 * 60 * 1000;
 const TECHNICAL_LOOKBACK_DAYS = 720;
 
 let nseCookieHeader = '';
@@ -227,24 +257,21 @@ function parseMarketDate(value) {
     return Number.isNaN(parsed.getTime()) ? null : parsed;
   }
 
+  // Indian feeds write DD/MM/YYYY; the native parser would read it as MM/DD.
+  const slashMatch = raw.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (slashMatch) {
+    const [, ddRaw, mmRaw, yyyyRaw] = slashMatch;
+    const slashDate = new Date(Number(yyyyRaw), Number(mmRaw) - 1, Number(ddRaw));
+    return Number.isNaN(slashDate.getTime()) ? null : slashDate;
+  }
+
   const asNse = parseNseDate(raw);
   if (asNse) {
     return asNse;
   }
 
   const parsed = new Date(raw);
-  if (!Number.isNaN(parsed.getTime())) {
-    return parsed;
-  }
-
-  const slashMatch = raw.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
-  if (!slashMatch) {
-    return null;
-  }
-
-  const [, ddRaw, mmRaw, yyyyRaw] = slashMatch;
-  const slashDate = new Date(Number(yyyyRaw), Number(mmRaw) - 1, Number(ddRaw));
-  return Number.isNaN(slashDate.getTime()) ? null : slashDate;
+  return Number.isNaN(parsed.getTime()) ? null : parsed;
 }
 
 function toIsoWeekKey(dateInput) {
@@ -290,18 +317,24 @@ function cacheKey(symbol) {
   return normalizeIndianSymbol(symbol);
 }
 
-function isFresh(entry) {
-  return entry && (now() - entry.fetchedAt) <= config.marketCacheTtlMs;
-}
-
-function isTechnicalFresh(entry) {
-  if (!entry) {
-    return false;
-  }
-
-  const ttl = entry.value ? TECHNICAL_CACHE_TTL_MS : TECHNICAL_NULL_CACHE_TTL_MS;
-  return (now() - entry.fetchedAt) <= ttl;
-}
+const quoteCache = createCache('quotes', {
+  ttlMs: () => config.marketCacheTtlMs,
+  staleMs: QUOTE_CACHE_STALE_MS,
+});
+// Misses are cached briefly so a symbol without technicals is not re-fetched on every quote.
+const technicalCache = createCache('technicals', {
+  ttlMs: (value) => (value ? TECHNICAL_CACHE_TTL_MS : TECHNICAL_NULL_CACHE_TTL_MS),
+  staleMs: (value) => (value ? TECHNICAL_CACHE_STALE_MS : 0),
+});
+const indicatorCache = createCache('indicators', {
+  ttlMs: (value) => (value ? TECHNICAL_CACHE_TTL_MS : TECHNICAL_NULL_CACHE_TTL_MS),
+  staleMs: (value) => (value ? TECHNICAL_CACHE_STALE_MS : 0),
+});
+// Unavailable results are not cached (TTL 0), so the next request tries Screener again.
+const quarterlyFinancialCache = createCache('quarterly-financials', {
+  ttlMs: getQuarterlyFinancialTtlMs,
+  staleMs: QUARTERLY_FINANCIAL_CACHE_STALE_MS,
+});
 
 function asList(input) {
   return Array.from(new Set(
@@ -363,6 +396,11 @@ function lastFinite(values) {
 }
 
 function toYahooSymbol(symbol) {
+  // Index tickers (for example ^NSEI) are already Yahoo symbols.
+  if (String(symbol || '').startsWith('^')) {
+    return String(symbol).trim().toUpperCase();
+  }
+
   const normalized = normalizeIndianSymbol(symbol);
   if (normalized.endsWith('.NS') || normalized.endsWith('.BO')) {
     return normalized;
@@ -1041,23 +1079,17 @@ function parseQuarterlyFinancialsFromScreenerHtml(symbol, html, options = {}) {
   };
 }
 
-function isQuarterlyFinancialFresh(entry) {
-  if (!entry || !entry.value) {
-    return false;
+function getQuarterlyFinancialTtlMs(value) {
+  if (!value) {
+    return 0;
   }
 
-  const hasRows = Array.isArray(entry.value.rows) && entry.value.rows.length > 0;
-  const dataStatus = String(entry.value.dataStatus || '').toLowerCase();
+  const hasRows = Array.isArray(value.rows) && value.rows.length > 0;
+  const dataStatus = String(value.dataStatus || '').toLowerCase();
   const isAvailable = hasRows || dataStatus === 'available';
-  const ttl = isAvailable
+  return isAvailable
     ? QUARTERLY_FINANCIAL_CACHE_TTL_MS
     : QUARTERLY_FINANCIAL_UNAVAILABLE_CACHE_TTL_MS;
-
-  if (ttl <= 0) {
-    return false;
-  }
-
-  return (now() - entry.fetchedAt) <= ttl;
 }
 
 function buildQuarterlyFinancialSymbolCandidates(symbol) {
@@ -2155,6 +2187,8 @@ async function fetchYahooCloseSeriesForSymbol(symbol, options = {}, host = YAHOO
   const closes = Array.isArray(result?.indicators?.quote?.[0]?.close)
     ? result.indicators.quote[0].close
     : [];
+  const highs = result?.indicators?.quote?.[0]?.high || [];
+  const lows = result?.indicators?.quote?.[0]?.low || [];
 
   const series = [];
   const count = Math.min(timestamps.length, closes.length);
@@ -2164,7 +2198,7 @@ async function fetchYahooCloseSeriesForSymbol(symbol, options = {}, host = YAHOO
     if (close === null || ts === null) {
       continue;
     }
-    series.push({ ts, close });
+    series.push({ ts, close, high: toNumber(highs[index]), low: toNumber(lows[index]) });
   }
 
   if (series.length === 0) {
@@ -2192,6 +2226,97 @@ async function fetchYahooCloseSeries(symbol, options = {}) {
   throw new Error(`yahoo-series-unavailable:${symbol}`);
 }
 
+function toIstDate(epochSeconds) {
+  return new Date((epochSeconds + IST_OFFSET_SECONDS) * 1000).toISOString().slice(0, 10);
+}
+
+/**
+ * Daily closes for a benchmark index (default NIFTY 50), keyed by IST trading date.
+ * Cached in-memory; a failed fetch falls back to the last cached series when one exists.
+ * @returns {Promise<Array<{ date: string, close: number }>>}
+ */
+async function getBenchmarkCloseSeries({ symbol = BENCHMARK_SYMBOL, range = '5y' } = {}) {
+  const cacheKey = `${symbol}:${range}`;
+  const cached = benchmarkSeriesCache.get(cacheKey);
+  if (cached && Date.now() - cached.fetchedAt < BENCHMARK_CACHE_TTL_MS) {
+    return cached.series;
+  }
+
+  try {
+    const raw = await fetchYahooCloseSeries(symbol, { interval: '1d', range });
+    const byDate = new Map();
+    raw.forEach((item) => byDate.set(toIstDate(item.ts), item.close));
+    const series = Array.from(byDate.entries())
+      .map(([date, close]) => ({ date, close }))
+      .sort((left, right) => left.date.localeCompare(right.date));
+    benchmarkSeriesCache.set(cacheKey, { series, fetchedAt: Date.now() });
+    return series;
+  } catch (error) {
+    logDebug(`benchmark series failed for ${symbol}`, shortError(error));
+    if (cached) {
+      return cached.series;
+    }
+    throw error;
+  }
+}
+
+async function fetchYahooDailyHigh(symbol, isoDate, host) {
+  const start = Math.floor(Date.parse(`${isoDate}T00:00:00+05:30`) / 1000);
+  const response = await axios.get(`${host}${YAHOO_CHART_PATH}/${encodeURIComponent(toYahooSymbol(symbol))}`, {
+    params: {
+      interval: '1d',
+      period1: start,
+      period2: start + 24 * 60 * 60,
+      includePrePost: false,
+      lang: 'en-US',
+      region: 'IN',
+    },
+    timeout: 9000,
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36',
+      Accept: 'application/json,text/plain,*/*',
+      'Accept-Language': 'en-US,en;q=0.9',
+      Referer: 'https://finance.yahoo.com/',
+    },
+  });
+
+  const result = response.data?.chart?.result?.[0];
+  const timestamps = Array.isArray(result?.timestamp) ? result.timestamp : [];
+  const highs = Array.isArray(result?.indicators?.quote?.[0]?.high) ? result.indicators.quote[0].high : [];
+  for (let index = 0; index < timestamps.length; index += 1) {
+    const high = toNumber(highs[index]);
+    if (high !== null && toIstDate(timestamps[index]) === isoDate) {
+      return high;
+    }
+  }
+  return null;
+}
+
+/**
+ * Highest traded price on 31-Jan-2018, the fair market value used for grandfathering
+ * long-term gains on equity bought before 1-Feb-2018. Returns null when no exchange
+ * history is available (unlisted then, or provider blocked).
+ */
+async function getGrandfatheringFmv(symbol) {
+  const normalized = normalizeIndianSymbol(symbol);
+  if (grandfatheringFmvCache.has(normalized)) {
+    return grandfatheringFmvCache.get(normalized);
+  }
+
+  for (const host of YAHOO_HOSTS) {
+    try {
+      const high = await fetchYahooDailyHigh(normalized, GRANDFATHERING_DATE, host);
+      // Historical value: cache hits and misses for the life of the process.
+      grandfatheringFmvCache.set(normalized, high);
+      return high;
+    } catch (error) {
+      logDebug(`grandfathering FMV lookup failed for ${normalized}`, shortError(error));
+    }
+  }
+
+  return null;
+}
+
 async function fetchTechnicalSnapshotFromYahoo(symbol) {
   const dailySeries = await fetchYahooCloseSeries(symbol, { interval: '1d', range: '2y' });
   let weeklySeries = [];
@@ -2290,6 +2415,8 @@ async function fetchNseHistoricalDailySeries(symbol, retryWithFreshCookie = true
           return {
             ts: Math.floor(dateObj.getTime() / 1000),
             close,
+            high: firstWithUnits(row?.CH_TRADE_HIGH_PRICE, row?.HIGH),
+            low: firstWithUnits(row?.CH_TRADE_LOW_PRICE, row?.LOW),
           };
         })
         .filter(Boolean)
@@ -2361,6 +2488,8 @@ async function fetchNseHistoricalDailySeriesArchive(symbol, retryWithFreshCookie
           return {
             ts: Math.floor(dateObj.getTime() / 1000),
             close,
+            high: firstWithUnits(row?.CH_TRADE_HIGH_PRICE, row?.HIGH),
+            low: firstWithUnits(row?.CH_TRADE_LOW_PRICE, row?.LOW),
           };
         })
         .filter(Boolean)
@@ -2586,73 +2715,61 @@ async function fetchTechnicalSnapshotFromAlphaVantage(symbol, priceHint = null)
 
 async function getTechnicalSnapshot(symbol, priceHint = null, nameHint = '') {
   const normalized = normalizeIndianSymbol(symbol);
-  const cached = technicalCache.get(normalized);
-  if (isTechnicalFresh(cached)) {
-    return cached.value;
-  }
+  return technicalCache.wrap(normalized, () => fetchTechnicalSnapshot(normalized, priceHint, nameHint));
+}
 
+async function fetchTechnicalSnapshot(normalized, priceHint, nameHint) {
   let snapshot = null;
   const mergeSnapshot = (candidate) => {
     snapshot = mergeTechnicalSnapshots(snapshot, candidate, priceHint);
   };
   const needsMoreEma = () => !hasCompleteEmaSnapshot(snapshot);
 
-  if (normalized.endsWith('.NS') && needsMoreEma()) {
-    try {
-      mergeSnapshot(await fetchTechnicalSnapshotFromNseHistory(normalized, priceHint));
-    } catch (error) {
-      logDebug(`nse history technical snapshot failed for ${normalized}`, shortError(error));
+  // Exchange feeds first, then the symbol/alias bridge (TradingView + Yahoo daily series), then
+  // the remaining providers in registration order.
+  const technicalProviders = listProviders()
+    .filter((provider) => hasCapability(provider, 'technicals') && getMissingCredentials(provider).length === 0);
+  const runAliasBridge = async () => {
+    const aliases = buildTechnicalAliasCandidates(normalized, nameHint);
+    if (aliases.length === 0) {
+      return;
     }
-  }
-
-  if (normalized.endsWith('.BO') && needsMoreEma()) {
     try {
-      mergeSnapshot(await fetchTechnicalSnapshotFromBseHistory(normalized, priceHint));
+      mergeSnapshot(await fetchTechnicalSnapshotFromSymbolAliases(aliases, priceHint, `symbol-alias-tech:${normalized}`));
     } catch (error) {
-      logDebug(`bse history technical snapshot failed for ${normalized}`, shortError(error));
+      logDebug(`symbol alias technical snapshot failed for ${normalized}`, shortError(error));
     }
-  }
+  };
 
-  if (needsMoreEma()) {
-    const aliases = buildTechnicalAliasCandidates(normalized, nameHint);
-    if (aliases.length > 0) {
-      try {
-        mergeSnapshot(await fetchTechnicalSnapshotFromSymbolAliases(aliases, priceHint, `symbol-alias-tech:${normalized}`));
-      } catch (error) {
-        logDebug(`symbol alias technical snapshot failed for ${normalized}`, shortError(error));
+  let aliasBridgeDone = false;
+  for (const provider of technicalProviders) {
+    if (!needsMoreEma()) {
+      break;
+    }
+    if (!provider.exchange && !aliasBridgeDone) {
+      aliasBridgeDone = true;
+      await runAliasBridge();
+      if (!needsMoreEma()) {
+        break;
       }
     }
-  }
-
-  if (needsMoreEma()) {
-    try {
-      mergeSnapshot(await fetchTechnicalSnapshotFromYahoo(normalized));
-    } catch (error) {
-      logDebug(`technical snapshot failed for ${normalized}`, shortError(error));
+    if (!supportsSymbol(provider, normalized)) {
+      continue;
     }
-  }
-
-  if (needsMoreEma()) {
     try {
-      mergeSnapshot(await fetchTechnicalSnapshotFromScreener(normalized, priceHint, nameHint));
+      mergeSnapshot(await provider.fetchTechnicals(normalized, { priceHint, nameHint }));
     } catch (error) {
-      logDebug(`screener technical snapshot failed for ${normalized}`, shortError(error));
+      logDebug(`${provider.id} technical snapshot failed for ${normalized}`, shortError(error));
     }
   }
-
-  if (needsMoreEma()) {
-    mergeSnapshot(await fetchTechnicalSnapshotFromTwelveData(normalized, priceHint));
-  }
-
-  if (needsMoreEma()) {
-    mergeSnapshot(await fetchTechnicalSnapshotFromAlphaVantage(normalized, priceHint));
+  if (!aliasBridgeDone && needsMoreEma()) {
+    await runAliasBridge();
   }
 
   if (!snapshot) {
     logDebug(`technical snapshot unavailable for ${normalized}`);
   }
 
-  technicalCache.set(normalized, { value: snapshot, fetchedAt: now() });
   return snapshot;
 }
 
@@ -2718,6 +2835,113 @@ async function enrichQuotesWithTechnicals(quotes) {
   return enriched;
 }
 
+// Daily series for indicators: exchange history first (NSE rows carry highs/lows; BSE graph data is
+// close-only), then Yahoo's daily chart.
+async function fetchIndicatorDailySeries(symbol) {
+  if (symbol.endsWith('.NS')) {
+    try {
+      const series = await fetchNseHistoricalDailySeries(symbol);
+      if (series.length >= 30) {
+        return series;
+      }
+    } catch (error) {
+      logDebug(`nse history for indicators failed for ${symbol}`, shortError(error));
+    }
+  }
+
+  if (symbol.endsWith('.BO')) {
+    try {
+      const series = await fetchBseHistoricalDailySeries(symbol);
+      if (series.length >= 30) {
+        return series;
+      }
+    } catch (error) {
+      logDebug(`bse history for indicators failed for ${symbol}`, shortError(error));
+    }
+  }
+
+  return fetchYahooCloseSeries(symbol, { interval: '1d', range: '2y' });
+}
+
+/**
+ * RSI (daily/weekly), MACD, ATR, Bollinger Bands, ADX and Mansfield RS vs NIFTY 50 for one symbol,
+ * cached like the technical snapshot. Returns null when no daily series is available.
+ */
+async function getIndicatorSnapshot(symbol) {
+  const normalized = normalizeIndianSymbol(symbol);
+  const cached = await indicatorCache.get(normalized);
+  if (cached && cached.fresh) {
+    return cached.value;
+  }
+
+  let series = [];
+  try {
+    series = await fetchIndicatorDailySeries(normalized);
+  } catch (error) {
+    logDebug(`indicator series failed for ${normalized}`, shortError(error));
+  }
+
+  let benchmark = [];
+  if (series.length >= 2) {
+    try {
+      benchmark = await getBenchmarkCloseSeries();
+    } catch (error) {
+      logDebug('benchmark series for relative strength failed', shortError(error));
+    }
+  }
+
+  const value = series.length >= 2 ? computeIndicators(series, benchmark) : null;
+  await indicatorCache.set(normalized, value);
+  return value;
+}
+
+// One symbol at a time in the background, so a large watchlist never blocks a quote request.
+function queueIndicatorRefresh(symbols) {
+  symbols.forEach((symbol) => indicatorQueue.add(symbol));
+  if (indicatorWorker) {
+    return;
+  }
+  indicatorWorker = (async () => {
+    while (indicatorQueue.size > 0) {
+      const [symbol] = indicatorQueue;
+      indicatorQueue.delete(symbol);
+      await getIndicatorSnapshot(symbol);
+    }
+  })()
+    .catch((error) => logDebug('indicator refresh failed', shortError(error)))
+    .finally(() => {
+      indicatorWorker = null;
+    });
+}
+
+// Attaches cached indicators; symbols without fresh ones are computed in the background and show
+// up on the next quote request (or quote-stream tick).
+async function enrichQuotesWithIndicators(quotes) {
+  if (!config.indicatorsEnabled) {
+    return quotes;
+  }
+
+  const cachedMap = await indicatorCache.getMany(quotes
+    .filter((quote) => quote && isUsableQuote(quote))
+    .map((quote) => normalizeIndianSymbol(quote.symbol)));
+  const stale = [];
+  const enriched = quotes.map((quote) => {
+    if (!quote || !isUsableQuote(quote)) {
+      return quote;
+    }
+    const cached = cachedMap.get(normalizeIndianSymbol(quote.symbol));
+    if (!cached || !cached.fresh) {
+      stale.push(quote.symbol);
+    }
+    return cached?.value ? { ...quote, ...cached.value } : quote;
+  });
+
+  if (stale.length > 0) {
+    queueIndicatorRefresh(stale);
+  }
+  return enriched;
+}
+
 async function ensureNseCookie(forceRefresh = false, symbolForBootstrap = 'RELIANCE') {
   if (!forceRefresh && nseCookieHeader && (now() - nseCookieFetchedAt) < config.nseCookieTtlMs) {
     return nseCookieHeader;
@@ -3489,6 +3713,223 @@ async function fetchTechnicalSnapshotFromBseHistory(symbol, priceHint = null) {
   return buildTechnicalSnapshotFromDailySeries(dailySeries, priceHint, 'bse-history-tech');
 }
 
+const NSE_HISTORY_CHUNK_DAYS = 365;
+
+function toCandle(date, row) {
+  const close = toNumber(row.close);
+  if (!date || close === null) {
+    return null;
+  }
+  return {
+    date,
+    open: toNumber(row.open),
+    high: toNumber(row.high),
+    low: toNumber(row.low),
+    close,
+    volume: toNumber(row.volume),
+  };
+}
+
+function dedupeCandles(candles, from, to) {
+  const byDate = new Map();
+  candles
+    .filter((candle) => candle && candle.date >= from && candle.date <= to)
+    .forEach((candle) => byDate.set(candle.date, candle));
+  return Array.from(byDate.values()).sort((left, right) => left.date.localeCompare(right.date));
+}
+
+function isoDateToLocalDate(isoDate) {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+function shiftIsoDay(isoDate, days) {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+// Monday of the ISO week holding `isoDate`; weekly candles are keyed by it (as Yahoo does).
+function toWeekStart(isoDate) {
+  const day = new Date(`${isoDate}T00:00:00Z`).getUTCDay() || 7;
+  return shiftIsoDay(isoDate, 1 - day);
+}
+
+function dailyToWeeklyCandles(candles) {
+  const weeks = new Map();
+  for (const candle of candles) {
+    const key = toWeekStart(candle.date);
+    const week = weeks.get(key);
+    if (!week) {
+      weeks.set(key, { ...candle, date: key });
+      continue;
+    }
+    week.high = week.high === null || candle.high === null ? null : Math.max(week.high, candle.high);
+    week.low = week.low === null || candle.low === null ? null : Math.min(week.low, candle.low);
+    week.close = candle.close;
+    week.volume = week.volume === null || candle.volume === null ? null : week.volume + candle.volume;
+  }
+  return Array.from(weeks.values());
+}
+
+async function fetchYahooCandlesForSymbol(symbol, { interval, from, to }, host = YAHOO_HOSTS[0]) {
+  const response = await axios.get(`${host}${YAHOO_CHART_PATH}/${encodeURIComponent(toYahooSymbol(symbol))}`, {
+    params: {
+      interval,
+      period1: Math.floor(Date.parse(`${from}T00:00:00+05:30`) / 1000),
+      period2: Math.floor(Date.parse(`${shiftIsoDay(to, 1)}T00:00:00+05:30`) / 1000),
+      includePrePost: false,
+      events: 'div,split',
+      lang: 'en-US',
+      region: 'IN',
+    },
+    timeout: 9000,
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36',
+      Accept: 'application/json,text/plain,*/*',
+      'Accept-Language': 'en-US,en;q=0.9',
+      Referer: 'https://finance.yahoo.com/',
+    },
+  });
+
+  const result = response.data?.chart?.result?.[0];
+  const timestamps = Array.isArray(result?.timestamp) ? result.timestamp : [];
+  const ohlcv = result?.indicators?.quote?.[0] || {};
+  return timestamps.map((ts, index) => toCandle(toIstDate(ts), {
+    open: ohlcv.open?.[index],
+    high: ohlcv.high?.[index],
+    low: ohlcv.low?.[index],
+    close: ohlcv.close?.[index],
+    volume: ohlcv.volume?.[index],
+  }));
+}
+
+async function fetchYahooCandles(symbol, options) {
+  let lastError = null;
+  for (const host of YAHOO_HOSTS) {
+    try {
+      return await fetchYahooCandlesForSymbol(symbol, options, host);
+    } catch (error) {
+      lastError = error;
+    }
+  }
+  throw lastError || new Error(`yahoo-candles-unavailable:${symbol}`);
+}
+
+// NSE only serves about a year per request, so longer ranges are fetched in chunks (oldest first).
+async function fetchNseHistoricalCandles(symbol, { from, to }, retryWithFreshCookie = true) {
+  if (!String(symbol).endsWith('.NS')) {
+    return [];
+  }
+
+  const baseSymbol = stripExchangeSuffix(symbol);
+  const requestChunk = async (cookieHeader, chunkFrom, chunkTo) => {
+    const response = await axios.get(NSE_HISTORICAL_PATH, {
+      params: {
+        symbol: baseSymbol,
+        series: '["EQ"]',
+        from: formatDateDdMmYyyy(isoDateToLocalDate(chunkFrom)),
+        to: formatDateDdMmYyyy(isoDateToLocalDate(chunkTo)),
+      },
+      timeout: 9000,
+      headers: buildNseHeaders(baseSymbol, cookieHeader),
+    });
+    const rows = Array.isArray(response.data?.data) ? response.data.data : [];
+    return rows.map((row) => {
+      const dateObj = parseNseDate(row?.CH_TIMESTAMP || row?.TIMESTAMP || row?.date);
+      return toCandle(dateObj ? toIstDate(Math.floor(dateObj.getTime() / 1000)) : '', {
+        open: firstWithUnits(row?.CH_OPENING_PRICE, row?.OPEN),
+        high: firstWithUnits(row?.CH_TRADE_HIGH_PRICE, row?.HIGH),
+        low: firstWithUnits(row?.CH_TRADE_LOW_PRICE, row?.LOW),
+        close: firstWithUnits(row?.CH_CLOSING_PRICE, row?.CLOSE, row?.close),
+        volume: firstWithUnits(row?.CH_TOT_TRADED_QTY, row?.VOLUME),
+      });
+    });
+  };
+
+  let cookie = await ensureNseCookie(false, baseSymbol);
+  const candles = [];
+  for (let chunkFrom = from; chunkFrom <= to; chunkFrom = shiftIsoDay(chunkFrom, NSE_HISTORY_CHUNK_DAYS)) {
+    const chunkTo = [shiftIsoDay(chunkFrom, NSE_HISTORY_CHUNK_DAYS - 1), to].sort()[0];
+    try {
+      candles.push(...await requestChunk(cookie, chunkFrom, chunkTo));
+    } catch (error) {
+      const status = error.response?.status;
+      if (!retryWithFreshCookie || !(status === 401 || status === 403 || status === 429)) {
+        throw error;
+      }
+      cookie = await ensureNseCookie(true, baseSymbol);
+      candles.push(...await requestChunk(cookie, chunkFrom, chunkTo));
+    }
+  }
+  return candles;
+}
+
+// BSE graph data only carries closes, so these candles have no open/high/low/volume.
+async function fetchBseHistoricalCandles(symbol) {
+  const series = await fetchBseHistoricalDailySeries(symbol);
+  return series.map((item) => toCandle(toIstDate(item.ts), { close: item.close }));
+}
+
+function getHistoryProviderOrder() {
+  const order = getEffectiveProviderOrder().filter((provider) => hasCapability(getProvider(provider), 'history'));
+  return order.includes('yahoo') || order.includes('fixture') ? order : [...order, 'yahoo'];
+}
+
+/**
+ * Daily (`1d`) or weekly (`1wk`) OHLCV candles for `from`..`to` (IST `YYYY-MM-DD`, inclusive),
+ * trying the history-capable providers in `MARKET_DATA_PROVIDER_ORDER` until one returns data.
+ * Weekly candles come from Yahoo's weekly chart, else are built from the daily ones.
+ * `open`/`high`/`low`/`volume` may be null (BSE graph data has closes only).
+ * @returns {Promise<{ candles: Array<{ date, open, high, low, close, volume }>, source: string, providerTrace: string[] }>}
+ */
+async function fetchHistoricalCandles(symbol, { interval = '1d', from, to } = {}) {
+  const normalized = normalizeIndianSymbol(symbol);
+  const providerTrace = [];
+
+  if (interval === '1wk') {
+    try {
+      const weekly = await fetchYahooCandles(normalized, { interval: '1wk', from, to });
+      const candles = dedupeCandles(
+        weekly.filter(Boolean).map((candle) => ({ ...candle, date: toWeekStart(candle.date) })),
+        toWeekStart(from),
+        to,
+      );
+      if (candles.length > 0) {
+        return { candles, source: 'yahoo', providerTrace: [...providerTrace, 'hit:yahoo'] };
+      }
+      providerTrace.push('yahoo:miss');
+    } catch (error) {
+      providerTrace.push(`yahoo:error(${shortError(error)})`);
+    }
+    const daily = await fetchHistoricalCandles(normalized, { interval: '1d', from: toWeekStart(from), to });
+    return {
+      candles: dailyToWeeklyCandles(daily.candles),
+      source: `${daily.source}-daily`,
+      providerTrace: [...providerTrace, ...daily.providerTrace],
+    };
+  }
+
+  for (const provider of getHistoryProviderOrder()) {
+    if (!isProviderAvailable(provider)) {
+      providerTrace.push(`${provider}:skip(circuit-open)`);
+      continue;
+    }
+    try {
+      const candles = dedupeCandles(await getProvider(provider).fetchDailyCandles(normalized, { from, to }), from, to);
+      if (candles.length > 0) {
+        return { candles, source: provider, providerTrace: [...providerTrace, `hit:${provider}`] };
+      }
+      providerTrace.push(`${provider}:miss`);
+    } catch (error) {
+      providerTrace.push(`${provider}:error(${shortError(error)})`);
+      logDebug(`history provider=${provider} failed for ${normalized}`, shortError(error));
+    }
+  }
+
+  return { candles: [], source: '', providerTrace };
+}
+
 function toAlphaVantageSymbol(symbol) {
   const normalized = normalizeIndianSymbol(symbol);
   const baseSymbol = stripExchangeSuffix(normalized);
@@ -3704,40 +4145,92 @@ async function fetchTwelveDataQuotes(symbols) {
   return results;
 }
 
-async function fetchProviderQuotes(provider, symbols) {
-  if (symbols.length === 0) {
-    return [];
-  }
-
-  if (provider === 'nseindia') {
-    return fetchNseQuotes(symbols);
-  }
-
-  if (provider === 'bseindia') {
-    return fetchBseQuotes(symbols);
-  }
-
-  if (provider === 'alphavantage') {
-    return fetchAlphaVantageQuotes(symbols);
-  }
-
-  if (provider === 'tradingview') {
-    return fetchTradingViewQuotes(symbols);
-  }
-
-  if (provider === 'twelvedata') {
-    return fetchTwelveDataQuotes(symbols);
+function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch (error) {
+    return '';
   }
+}
 
-  if (provider === 'screener') {
-    return fetchScreenerQuotes(symbols);
-  }
+// Built-in providers. Registration order is the technical-snapshot order (exchange feeds first);
+// quote and history order come from `MARKET_DATA_PROVIDER_ORDER`. More providers can be dropped
+// into `src/services/providers/` (see the interface in `providers/registry.js`).
+[
+  {
+    id: 'nseindia',
+    label: 'NSE',
+    name: 'NSE India',
+    hosts: ['www.nseindia.com'],
+    exchange: true,
+    supportsSymbol: (symbol) => symbol.endsWith('.NS'),
+    fetchQuotes: fetchNseQuotes,
+    fetchTechnicals: (symbol, { priceHint }) => fetchTechnicalSnapshotFromNseHistory(symbol, priceHint),
+    fetchDailyCandles: fetchNseHistoricalCandles,
+  },
+  {
+    id: 'bseindia',
+    label: 'BSE',
+    name: 'BSE India',
+    hosts: ['api.bseindia.com', 'www.bseindia.com'],
+    exchange: true,
+    supportsSymbol: (symbol) => symbol.endsWith('.BO'),
+    fetchQuotes: fetchBseQuotes,
+    fetchTechnicals: (symbol, { priceHint }) => fetchTechnicalSnapshotFromBseHistory(symbol, priceHint),
+    // BSE graph data only carries closes.
+    fetchDailyCandles: (symbol) => fetchBseHistoricalCandles(symbol),
+  },
+  {
+    id: 'tradingview',
+    label: 'TV',
+    name: 'TradingView scanner',
+    hosts: ['scanner.tradingview.com'],
+    fetchQuotes: fetchTradingViewQuotes,
+  },
+  {
+    id: 'yahoo',
+    label: 'YH',
+    name: 'Yahoo Finance',
+    hosts: YAHOO_HOSTS.map(hostOf),
+    fetchQuotes: fetchYahooQuotes,
+    fetchTechnicals: (symbol) => fetchTechnicalSnapshotFromYahoo(symbol),
+    fetchDailyCandles: (symbol, range) => fetchYahooCandles(symbol, { ...range, interval: '1d' }),
+  },
+  {
+    id: 'screener',
+    label: 'SCR',
+    name: 'Screener.in',
+    hosts: [hostOf(SCREENER_BASE_URL)],
+    fetchQuotes: fetchScreenerQuotes,
+    fetchTechnicals: (symbol, { priceHint, nameHint }) => fetchTechnicalSnapshotFromScreener(symbol, priceHint, nameHint),
+  },
+  {
+    id: 'twelvedata',
+    label: 'TD',
+    name: 'Twelve Data',
+    hosts: [hostOf(config.twelveDataBaseUrl)],
+    credentials: [{ configKey: 'twelveDataApiKey', env: 'TWELVE_DATA_API_KEY' }],
+    fetchQuotes: fetchTwelveDataQuotes,
+    fetchTechnicals: (symbol, { priceHint }) => fetchTechnicalSnapshotFromTwelveData(symbol, priceHint),
+    fetchProfile: fetchTwelveDataProfile,
+  },
+  {
+    id: 'alphavantage',
+    label: 'AV',
+    name: 'Alpha Vantage',
+    hosts: [hostOf(config.alphaVantageBaseUrl)],
+    credentials: [{ configKey: 'alphaVantageApiKey', env: 'ALPHA_VANTAGE_API_KEY' }],
+    fetchQuotes: fetchAlphaVantageQuotes,
+    fetchTechnicals: (symbol, { priceHint }) => fetchTechnicalSnapshotFromAlphaVantage(symbol, priceHint),
+  },
+].forEach((definition) => registerProvider(definition));
 
-  if (provider === 'yahoo') {
-    return fetchYahooQuotes(symbols);
+async function fetchProviderQuotes(provider, symbols) {
+  const definition = getProvider(provider);
+  if (symbols.length === 0 || !hasCapability(definition, 'quotes')) {
+    return [];
   }
-
-  return [];
+  return definition.fetchQuotes(symbols);
 }
 
 function getEffectiveProviderOrder() {
@@ -3745,6 +4238,10 @@ function getEffectiveProviderOrder() {
     ? config.marketDataProviderOrder
     : [];
   const order = Array.from(new Set(configured.filter(Boolean)));
+  // Fixture replay runs offline, so no live providers are added behind it.
+  if (order.includes('fixture')) {
+    return order;
+  }
 
   if (!order.includes('bseindia')) {
     const nseIndex = order.indexOf('nseindia');
@@ -3762,22 +4259,87 @@ function getEffectiveProviderOrder() {
 }
 
 function getProviderSkipReason(provider) {
-  if (provider === 'twelvedata' && !config.twelveDataApiKey) {
-    return 'missing-api-key';
+  const definition = getProvider(provider);
+  if (!definition) {
+    return 'not-registered';
   }
 
-  if (provider === 'alphavantage' && !config.alphaVantageApiKey) {
+  if (getMissingCredentials(definition).length > 0) {
     return 'missing-api-key';
   }
 
   return '';
 }
 
+// Quote providers in the order they are tried: the configured order, re-ranked by recent hit rate when adaptive.
+function getQuoteProviderOrder() {
+  const order = getEffectiveProviderOrder();
+  return config.providerAdaptiveOrder ? rankProviders(order) : order;
+}
+
+function getKnownProviders() {
+  return Array.from(new Set([...getEffectiveProviderOrder(), ...listProviders().map((provider) => provider.id)]));
+}
+
+// Registry metadata for the UI (source labels) and the doctor script (hosts, credentials).
+function describeMarketProvider(id) {
+  const provider = getProvider(id);
+  return {
+    provider: id,
+    label: provider?.label || id,
+    name: provider?.name || id,
+    registered: Boolean(provider),
+    capabilities: getProviderCapabilities(provider),
+    hosts: provider?.hosts || [],
+    credentials: (provider?.credentials || []).map((credential) => credential.env || credential.configKey),
+    missingCredentials: provider ? getMissingCredentials(provider) : [],
+  };
+}
+
+function listMarketProviders() {
+  return getKnownProviders().map(describeMarketProvider);
+}
+
+/**
+ * Health of every configured provider (recent success/hit rate, latency percentiles, last error,
+ * breaker state) and the order quotes are currently tried in.
+ */
+function getMarketProviderStatus() {
+  const configuredOrder = getEffectiveProviderOrder();
+  return {
+    adaptiveOrder: Boolean(config.providerAdaptiveOrder),
+    configuredOrder,
+    quoteOrder: getQuoteProviderOrder(),
+    historyOrder: getHistoryProviderOrder(),
+    providers: getKnownProviders().map((provider) => ({
+      ...describeMarketProvider(provider),
+      ...getProviderHealth(provider),
+      enabled: configuredOrder.includes(provider),
+      skipReason: getProviderSkipReason(provider),
+    })),
+  };
+}
+
+// Admin override: `open` keeps the provider skipped until `reset`; `reset` closes the breaker and clears its failure streak.
+function setProviderBreaker(provider, action) {
+  const name = String(provider || '').trim().toLowerCase();
+  if (!getKnownProviders().includes(name)) {
+    throw new Error(`Provider "${name}" not found.`);
+  }
+  if (action === 'open') {
+    return forceOpenBreaker(name);
+  }
+  if (action === 'reset') {
+    return resetBreaker(name);
+  }
+  throw new Error('action must be "open" or "reset".');
+}
+
 async function fetchQuotesFromProviders(symbols) {
   const resultMap = new Map();
   const pending = new Set(symbols);
   const attemptsBySymbol = new Map(symbols.map((symbol) => [symbol, []]));
-  const providerOrder = getEffectiveProviderOrder();
+  const providerOrder = getQuoteProviderOrder();
 
   for (const provider of providerOrder) {
     if (pending.size === 0) {
@@ -3787,7 +4349,7 @@ async function fetchQuotesFromProviders(symbols) {
     const targets = Array.from(pending);
     const consumed = new Set();
     const unusable = new Set();
-    const skipReason = getProviderSkipReason(provider);
+    const skipReason = getProviderSkipReason(provider) || acquireProvider(provider);
     if (skipReason) {
       for (const symbol of targets) {
         attemptsBySymbol.get(symbol).push(`${provider}:skip(${skipReason})`);
@@ -3796,6 +4358,7 @@ async function fetchQuotesFromProviders(symbols) {
     }
 
     let providerQuotes = [];
+    const startedAt = now();
     try {
       providerQuotes = await fetchProviderQuotes(provider, targets);
       logDebug(`provider=${provider} returned ${providerQuotes.length} quotes`, { targets });
@@ -3804,6 +4367,7 @@ async function fetchQuotesFromProviders(symbols) {
         attemptsBySymbol.get(symbol).push(`${provider}:error(${shortError(error)})`);
       }
       logDebug(`provider=${provider} failed`, shortError(error));
+      recordProviderCall(provider, { ok: false, latencyMs: now() - startedAt, requested: targets.length, error: shortError(error) });
       providerQuotes = [];
       continue;
     }
@@ -3837,6 +4401,14 @@ async function fetchQuotesFromProviders(symbols) {
         attemptsBySymbol.get(symbol).push(`${provider}:miss`);
       }
     }
+    // An empty answer without an error means none of the symbols belong to this provider.
+    recordProviderCall(provider, {
+      ok: true,
+      latencyMs: now() - startedAt,
+      requested: targets.length,
+      hits: consumed.size,
+      applicable: providerQuotes.length > 0,
+    });
   }
 
   // Second pass: enrich already resolved quotes with missing fields from remaining providers.
@@ -3849,8 +4421,7 @@ async function fetchQuotesFromProviders(symbols) {
       break;
     }
 
-    const skipReason = getProviderSkipReason(provider);
-    if (skipReason) {
+    if (getProviderSkipReason(provider) || !isProviderAvailable(provider)) {
       continue;
     }
 
@@ -3881,62 +4452,183 @@ async function fetchQuotesFromProviders(symbols) {
   return { resultMap, attemptsBySymbol };
 }
 
+// Fetches `symbols` from the providers and caches the results; symbols no provider returned are
+// cached as unavailable quotes that keep the last known values.
+async function fetchAndCacheQuotes(symbols, cachedMap = new Map()) {
+  const { resultMap: fetchedMap, attemptsBySymbol } = await fetchQuotesFromProviders(symbols);
+  const resolvedMap = new Map();
+
+  for (const symbol of symbols) {
+    const fetched = fetchedMap.get(symbol);
+    if (fetched) {
+      await quoteCache.set(cacheKey(symbol), fetched);
+      resolvedMap.set(symbol, fetched);
+      continue;
+    }
+
+    const stale = cachedMap.get(cacheKey(symbol))?.value || null;
+    const attempts = attemptsBySymbol.get(symbol) || [];
+    const unavailable = createUnavailableQuote(symbol, 'all providers failed', stale, attempts);
+    await quoteCache.set(cacheKey(symbol), unavailable);
+    resolvedMap.set(symbol, unavailable);
+  }
+
+  return resolvedMap;
+}
+
+// `fetchedAtMap` holds the cache time of quotes served from the cache; enrichment must not extend their TTL.
+async function enrichAndCacheQuotes(quotes, fetchedAtMap = new Map()) {
+  const enrichedQuotes = await enrichQuotesWithIndicators(await enrichQuotesWithTechnicals(quotes));
+
+  for (const quote of enrichedQuotes) {
+    if (!quote?.symbol) {
+      continue;
+    }
+    await quoteCache.set(cacheKey(quote.symbol), quote, { fetchedAt: fetchedAtMap.get(quote.symbol) });
+  }
+
+  return enrichedQuotes;
+}
+
 async function getQuotes(symbolInputs) {
   const symbols = asList(symbolInputs);
   if (symbols.length === 0) {
     return [];
   }
 
+  const cachedMap = await quoteCache.getMany(symbols.map(cacheKey));
   const resolvedMap = new Map();
+  const fetchedAtMap = new Map();
   const missing = [];
+  const stale = [];
 
   for (const symbol of symbols) {
-    const key = cacheKey(symbol);
-    const cached = quoteCache.get(key);
-
-    if (isFresh(cached) && cached.value) {
+    const cached = cachedMap.get(cacheKey(symbol));
+    if (cached && cached.value && (cached.fresh || config.cacheStaleWhileRevalidate)) {
       resolvedMap.set(symbol, cached.value);
+      fetchedAtMap.set(symbol, cached.fetchedAt);
+      if (!cached.fresh) {
+        stale.push(symbol);
+      }
     } else {
       missing.push(symbol);
     }
   }
 
-  if (missing.length > 0) {
-    const { resultMap: fetchedMap, attemptsBySymbol } = await fetchQuotesFromProviders(missing);
-
-    for (const symbol of missing) {
-      const fetched = fetchedMap.get(symbol);
-      if (fetched) {
-        quoteCache.set(cacheKey(symbol), { value: fetched, fetchedAt: now() });
-        resolvedMap.set(symbol, fetched);
-        continue;
-      }
+  if (stale.length > 0) {
+    quoteCache.revalidate(stale.map(cacheKey), async (keys) => {
+      const refreshed = await fetchAndCacheQuotes(keys, cachedMap);
+      await enrichAndCacheQuotes(keys.map((key) => refreshed.get(key)));
+    });
+  }
 
-      const stale = quoteCache.get(cacheKey(symbol))?.value || null;
-      const attempts = attemptsBySymbol.get(symbol) || [];
-      const unavailable = createUnavailableQuote(symbol, 'all providers failed', stale, attempts);
-      quoteCache.set(cacheKey(symbol), { value: unavailable, fetchedAt: now() });
-      resolvedMap.set(symbol, unavailable);
+  if (missing.length > 0) {
+    const fetchedMap = await fetchAndCacheQuotes(missing, cachedMap);
+    for (const [symbol, quote] of fetchedMap) {
+      resolvedMap.set(symbol, quote);
     }
   }
 
   const baseQuotes = symbols.map((symbol) => resolvedMap.get(symbol) || createUnavailableQuote(symbol, 'not resolved'));
-  const enrichedQuotes = await enrichQuotesWithTechnicals(baseQuotes);
+  return enrichAndCacheQuotes(baseQuotes, fetchedAtMap);
+}
 
-  for (const quote of enrichedQuotes) {
-    if (!quote?.symbol) {
-      continue;
+async function getSingleQuote(symbol) {
+  const quotes = await getQuotes([symbol]);
+  return quotes[0] || null;
+}
+
+/**
+ * Raw NSE corporate-action rows (`subject`, `exDate`, `recDate`, ...) for one NSE symbol between
+ * two dates. BSE-only symbols are not covered and return [].
+ */
+async function fetchNseCorporateActions(symbol, { from, to = new Date() } = {}, retryWithFreshCookie = true) {
+  const normalized = normalizeIndianSymbol(symbol);
+  if (!normalized.endsWith('.NS')) {
+    return [];
+  }
+
+  const baseSymbol = stripExchangeSuffix(normalized);
+  const cookie = await ensureNseCookie(!retryWithFreshCookie, baseSymbol);
+
+  try {
+    const response = await axios.get('https://www.nseindia.com/api/corporates-corporateActions', {
+      params: {
+        index: 'equities',
+        symbol: baseSymbol,
+        ...(from ? { from_date: formatDateDdMmYyyy(from), to_date: formatDateDdMmYyyy(to) } : {}),
+      },
+      timeout: 9000,
+      headers: buildNseHeaders(baseSymbol, cookie),
+    });
+    return Array.isArray(response.data) ? response.data : [];
+  } catch (error) {
+    const status = error.response?.status;
+    if (retryWithFreshCookie && (status === 401 || status === 403 || status === 429)) {
+      return fetchNseCorporateActions(symbol, { from, to }, false);
     }
-    quoteCache.set(cacheKey(quote.symbol), { value: quote, fetchedAt: now() });
-    resolvedMap.set(quote.symbol, quote);
+    throw error;
   }
+}
 
-  return enrichedQuotes;
+/**
+ * Board meetings announced on NSE for one symbol, newest first:
+ * `[{ bm_date: 'DD-Mon-YYYY', bm_purpose, bm_desc, ... }]`.
+ */
+async function fetchNseBoardMeetings(symbol, { from, to = new Date() } = {}, retryWithFreshCookie = true) {
+  const normalized = normalizeIndianSymbol(symbol);
+  if (!normalized.endsWith('.NS')) {
+    return [];
+  }
+
+  const baseSymbol = stripExchangeSuffix(normalized);
+  const cookie = await ensureNseCookie(!retryWithFreshCookie, baseSymbol);
+
+  try {
+    const response = await axios.get('https://www.nseindia.com/api/corporate-board-meetings', {
+      params: {
+        index: 'equities',
+        symbol: baseSymbol,
+        ...(from ? { from_date: formatDateDdMmYyyy(from), to_date: formatDateDdMmYyyy(to) } : {}),
+      },
+      timeout: 9000,
+      headers: buildNseHeaders(baseSymbol, cookie),
+    });
+    return Array.isArray(response.data) ? response.data : [];
+  } catch (error) {
+    const status = error.response?.status;
+    if (retryWithFreshCookie && (status === 401 || status === 403 || status === 429)) {
+      return fetchNseBoardMeetings(symbol, { from, to }, false);
+    }
+    throw error;
+  }
 }
 
-async function getSingleQuote(symbol) {
-  const quotes = await getQuotes([symbol]);
-  return quotes[0] || null;
+/**
+ * NSE capital-market trading holidays as published on the exchange holiday page:
+ * `[{ tradingDate: 'DD-Mon-YYYY', weekDay, description }]`. BSE equity holidays are the same list.
+ */
+async function fetchNseTradingHolidays(retryWithFreshCookie = true) {
+  const cookie = await ensureNseCookie(!retryWithFreshCookie);
+
+  try {
+    const response = await axios.get('https://www.nseindia.com/api/holiday-master', {
+      params: { type: 'trading' },
+      timeout: 9000,
+      headers: {
+        ...nseBaseHeaders,
+        Referer: 'https://www.nseindia.com/resources/exchange-communication-holidays',
+        cookie,
+      },
+    });
+    return Array.isArray(response.data?.CM) ? response.data.CM : [];
+  } catch (error) {
+    const status = error.response?.status;
+    if (retryWithFreshCookie && (status === 401 || status === 403 || status === 429)) {
+      return fetchNseTradingHolidays(false);
+    }
+    throw error;
+  }
 }
 
 async function fetchNseRawDetails(symbol) {
@@ -4031,6 +4723,24 @@ async function fetchTwelveDataProfile(symbol) {
   }
 }
 
+// First profile from the providers that have one (Twelve Data among the built-ins).
+async function fetchProviderProfile(symbol) {
+  const candidates = listProviders().filter((provider) => hasCapability(provider, 'profile')
+    && getMissingCredentials(provider).length === 0
+    && supportsSymbol(provider, symbol));
+  for (const provider of candidates) {
+    try {
+      const profile = await provider.fetchProfile(symbol);
+      if (profile) {
+        return profile;
+      }
+    } catch (error) {
+      logDebug(`${provider.id} profile failed for ${symbol}`, shortError(error));
+    }
+  }
+  return null;
+}
+
 async function getQuarterlyFinancials(symbolInput, options = {}) {
   const symbol = normalizeIndianSymbol(symbolInput);
   if (!symbol) {
@@ -4038,13 +4748,16 @@ async function getQuarterlyFinancials(symbolInput, options = {}) {
   }
 
   const limit = Math.min(Math.max(Number(options.limit) || 6, 1), 8);
-  const forceRefresh = Boolean(options.forceRefresh);
   const key = `${symbol}:${limit}`;
-  const cached = quarterlyFinancialCache.get(key);
-  if (!forceRefresh && isQuarterlyFinancialFresh(cached)) {
-    return cached.value;
+  if (options.forceRefresh) {
+    const response = await fetchQuarterlyFinancials(symbol, limit);
+    await quarterlyFinancialCache.set(key, response);
+    return response;
   }
+  return quarterlyFinancialCache.wrap(key, () => fetchQuarterlyFinancials(symbol, limit));
+}
 
+async function fetchQuarterlyFinancials(symbol, limit) {
   const nowIso = new Date().toISOString();
   const providerTrace = [];
   const candidates = buildQuarterlyFinancialSymbolCandidates(symbol);
@@ -4079,7 +4792,6 @@ async function getQuarterlyFinancials(symbolInput, options = {}) {
       };
 
       if (hasRows) {
-        quarterlyFinancialCache.set(key, { value: response, fetchedAt: now() });
         return response;
       }
 
@@ -4104,11 +4816,10 @@ async function getQuarterlyFinancials(symbolInput, options = {}) {
       message: '',
     };
 
-    quarterlyFinancialCache.set(key, { value: snapshotResponse, fetchedAt: now() });
     return snapshotResponse;
   }
 
-  const unavailable = lastUnavailable || {
+  return lastUnavailable || {
       symbol,
       companyName: stripExchangeSuffix(symbol),
       source: 'screener',
@@ -4120,9 +4831,6 @@ async function getQuarterlyFinancials(symbolInput, options = {}) {
       providerTrace: providerTrace.length > 0 ? providerTrace.slice(-40) : ['screener:miss'],
       message: 'Quarterly financial data is currently unavailable for this symbol. This might be due to: 1) The stock may not have quarterly financial data available, 2) The data source is temporarily unreachable, or 3) The symbol format may not be recognized. Please try refreshing the page or check if the symbol is correct.',
   };
-
-  quarterlyFinancialCache.set(key, { value: unavailable, fetchedAt: now() });
-  return unavailable;
 }
 
 async function getMarketDetails(symbolInput) {
@@ -4134,7 +4842,7 @@ async function getMarketDetails(symbolInput) {
   const quote = await getSingleQuote(symbol);
   const [nseDetails, profile] = await Promise.all([
     fetchNseRawDetails(symbol),
-    fetchTwelveDataProfile(symbol),
+    fetchProviderProfile(symbol),
   ]);
 
   return {
@@ -4148,25 +4856,32 @@ async function getMarketDetails(symbolInput) {
   };
 }
 
-function calculatePortfolioAnalytics(portfolio, quotes) {
+/**
+ * Values the portfolio ledger at the given quotes.
+ * `positions` are open holdings (FIFO lots, unrealized P&L); `realized` lists every matched
+ * buy/sell lot and `dividends` every dividend credited. Also accepts pre-ledger averaged
+ * positions, which are treated as opening BUYs.
+ */
+function calculatePortfolioAnalytics(transactions, quotes) {
   const quoteMap = new Map(quotes.map((quote) => [quote.symbol, quote]));
+  const rows = Array.isArray(transactions) ? transactions : [];
+  const ledgerRows = rows.some((row) => row && !row.type) ? positionsToTransactions(rows) : rows;
+  const ledger = buildLedger(ledgerRows);
 
-  const positions = portfolio.map((position) => {
-    const quote = quoteMap.get(position.symbol) || createUnavailableQuote(position.symbol, 'missing quote');
-
-    const marketPrice = quote.regularMarketPrice !== null && quote.regularMarketPrice > 0
-      ? quote.regularMarketPrice
-      : position.avgPrice;
+  const positions = ledger.holdings.map((holding) => {
+    const quote = quoteMap.get(holding.symbol) || createUnavailableQuote(holding.symbol, 'missing quote');
+    const hasMarketPrice = quote.regularMarketPrice !== null && quote.regularMarketPrice > 0;
+    const marketPrice = hasMarketPrice ? quote.regularMarketPrice : holding.avgPrice;
 
-    const invested = position.quantity * position.avgPrice;
-    const current = position.quantity * marketPrice;
+    const invested = holding.invested;
+    const current = holding.quantity * marketPrice;
     const pnl = current - invested;
     const pnlPercent = invested > 0 ? (pnl / invested) * 100 : 0;
 
     return {
-      ...position,
+      ...holding,
       quote,
-      valuationMode: quote.regularMarketPrice !== null && quote.regularMarketPrice > 0 ? 'market' : 'cost',
+      valuationMode: hasMarketPrice ? 'market' : 'cost',
       invested: Number(invested.toFixed(2)),
       current: Number(current.toFixed(2)),
       pnl: Number(pnl.toFixed(2)),
@@ -4182,14 +4897,26 @@ function calculatePortfolioAnalytics(portfolio, quotes) {
   }, { invested: 0, current: 0, pnl: 0 });
 
   const pnlPercent = summary.invested > 0 ? (summary.pnl / summary.invested) * 100 : 0;
+  const realizedPnl = ledger.summary.realizedPnl;
+  const dividendIncome = ledger.summary.dividendIncome;
 
   return {
     positions,
+    realized: ledger.realized,
+    dividends: ledger.dividends,
+    transactions: sortTransactions(ledgerRows).reverse(),
+    warnings: ledger.warnings,
     summary: {
       invested: Number(summary.invested.toFixed(2)),
       current: Number(summary.current.toFixed(2)),
       pnl: Number(summary.pnl.toFixed(2)),
       pnlPercent: Number(pnlPercent.toFixed(2)),
+      unrealizedPnl: Number(summary.pnl.toFixed(2)),
+      realizedPnl,
+      tradeCharges: ledger.summary.tradeCharges,
+      standaloneCharges: ledger.summary.standaloneCharges,
+      dividendIncome,
+      totalPnl: Number((summary.pnl + realizedPnl + dividendIncome).toFixed(2)),
     },
   };
 }
@@ -4201,11 +4928,56 @@ function parseScreenerFilters(rawFilters) {
     minChangePct: toNumber(rawFilters.minChangePct),
     minVolume: toNumber(rawFilters.minVolume),
     minMarketCap: toNumber(rawFilters.minMarketCap),
+    stage2WithinWeeks: toNumber(rawFilters.stage2WithinWeeks),
   };
 
-  return Object.fromEntries(
-    Object.entries(filters).filter(([, value]) => value !== null && value !== 0),
-  );
+  // Unlike the price/volume filters, 0 is a meaningful bound for indicators (e.g. RS above 0).
+  const indicatorFilters = {
+    minRsi: toNumber(rawFilters.minRsi),
+    maxRsi: toNumber(rawFilters.maxRsi),
+    minWeeklyRsi: toNumber(rawFilters.minWeeklyRsi),
+    maxWeeklyRsi: toNumber(rawFilters.maxWeeklyRsi),
+    minAdx: toNumber(rawFilters.minAdx),
+    minMansfieldRs: toNumber(rawFilters.minMansfieldRs),
+  };
+  const macd = String(rawFilters.macd || '').trim().toLowerCase();
+
+  return {
+    ...Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== null && value !== 0)),
+    ...Object.fromEntries(Object.entries(indicatorFilters).filter(([, value]) => value !== null)),
+    ...(macd === 'bullish' || macd === 'bearish' ? { macd } : {}),
+  };
+}
+
+// Quotes whose indicators are not computed yet (or unavailable) never pass an indicator filter.
+const INDICATOR_SCREENER_BOUNDS = [
+  ['minRsi', 'rsi14', 'min'],
+  ['maxRsi', 'rsi14', 'max'],
+  ['minWeeklyRsi', 'rsi14Weekly', 'min'],
+  ['maxWeeklyRsi', 'rsi14Weekly', 'max'],
+  ['minAdx', 'adx14', 'min'],
+  ['minMansfieldRs', 'mansfieldRs', 'min'],
+];
+
+function passesIndicatorFilters(quote, filters) {
+  for (const [filterKey, field, bound] of INDICATOR_SCREENER_BOUNDS) {
+    if (filters[filterKey] === undefined) {
+      continue;
+    }
+    const value = toNumber(quote[field]);
+    if (value === null || (bound === 'min' ? value < filters[filterKey] : value > filters[filterKey])) {
+      return false;
+    }
+  }
+
+  if (filters.macd) {
+    const histogram = toNumber(quote.macdHistogram);
+    if (histogram === null || (filters.macd === 'bullish' ? histogram <= 0 : histogram >= 0)) {
+      return false;
+    }
+  }
+
+  return true;
 }
 
 function runScreener(quotes, rawFilters) {
@@ -4236,7 +5008,17 @@ function runScreener(quotes, rawFilters) {
       return false;
     }
 
-    return true;
+    // Needs the weekly stage timeline fields the watchlist snapshot attaches (`stageWeeks`, `previousStage`).
+    if (filters.stage2WithinWeeks !== undefined && !(
+      quote.marketCycleStage === 'Markup'
+      && quote.previousStage
+      && toNumber(quote.stageWeeks) !== null
+      && quote.stageWeeks <= filters.stage2WithinWeeks
+    )) {
+      return false;
+    }
+
+    return passesIndicatorFilters(quote, filters);
   });
 }
 
@@ -4247,4 +5029,21 @@ module.exports = {
   getQuarterlyFinancials,
   calculatePortfolioAnalytics,
   runScreener,
+  getBenchmarkCloseSeries,
+  getGrandfatheringFmv,
+  classifyWeinsteinStage,
+  fetchNseCorporateActions,
+  fetchNseBoardMeetings,
+  fetchNseTradingHolidays,
+  fetchHistoricalCandles,
+  getIndicatorSnapshot,
+  getMarketProviderStatus,
+  setProviderBreaker,
+  getEffectiveProviderOrder,
+  listMarketProviders,
+  extractQuarterlyTableHtml,
+  parseQuarterlyFinancialTable,
+  parseBseQuotePayload,
+  parseBseGraphSeries,
+  BENCHMARK_SYMBOL,
 };
@@ -1,23 +1,22 @@
 const axios = require('axios');
 const { config } = require('../config');
 const { stripExchangeSuffix } = require('../utils/symbols');
+const { createCache } = require('./cacheService');
 
-const newsCache = new Map();
 const DEFAULT_PAGE_LIMIT = 10;
 const MAX_PAGE_LIMIT = 10;
+// An expired feed is still served for this long while it is refreshed in the background.
+const NEWS_CACHE_STALE_MS = 30 * 60 * 1000;
 
-function now() {
-  return Date.now();
-}
+const newsCache = createCache('news', {
+  ttlMs: () => config.newsCacheTtlMs,
+  staleMs: NEWS_CACHE_STALE_MS,
+});
 
 function cacheKey(symbols) {
   return symbols.slice().sort().join('|');
 }
 
-function isFresh(entry) {
-  return entry && (now() - entry.fetchedAt) <= config.newsCacheTtlMs;
-}
-
 function decodeHtmlEntities(raw) {
   return String(raw || '')
     .replace(/&#8377;|&\#x20B9;|&inr;/gi, 'INR')
@@ -310,12 +309,10 @@ async function getWatchlistNewsCollection(symbols) {
     return [];
   }
 
-  const key = cacheKey(sanitized);
-  const cached = newsCache.get(key);
-  if (isFresh(cached)) {
-    return cached.value;
-  }
+  return newsCache.wrap(cacheKey(sanitized), () => fetchWatchlistNews(sanitized));
+}
 
+async function fetchWatchlistNews(sanitized) {
   const providerResults = await Promise.allSettled([
     fetchGoogleNewsRssArticles(sanitized),
     fetchNewsApiArticles(sanitized),
@@ -331,11 +328,6 @@ async function getWatchlistNewsCollection(symbols) {
     articles = createFallbackNews(sanitized);
   }
 
-  newsCache.set(key, {
-    value: articles,
-    fetchedAt: now(),
-  });
-
   return articles;
 }
 
@@ -352,4 +344,5 @@ async function getWatchlistNews(symbols, options = {}) {
 module.exports = {
   getWatchlistNews,
   getWatchlistNewsPage,
+  parseRssItems,
 };
@@ -0,0 +1,340 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+const { config } = require('../config');
+
+// Events other services publish; a channel only receives the ones listed in its `events`.
+const NOTIFICATION_EVENTS = Object.freeze(['alert.triggered', 'sales.snapshot.completed', 'results.upcoming', 'digest.ready']);
+const CHANNEL_NAME_MAX_LENGTH = 60;
+const TEMPLATE_MAX_LENGTH = 1000;
+const SIGNATURE_HEADER = 'X-Tracker-Signature';
+
+let mailTransport = null;
+
+// Delivery failure; `retryable` false stops the retry loop (bad config, 4xx responses).
+function createDeliveryError(message, retryable = true, retryAfterMs = 0) {
+  const error = new Error(message);
+  error.retryable = retryable;
+  error.retryAfterMs = retryAfterMs;
+  return error;
+}
+
+function maskSecret(value) {
+  const text = String(value || '');
+  return text ? `****${text.slice(-4)}` : '';
+}
+
+function isHttpUrl(value) {
+  try {
+    const url = new URL(String(value || ''));
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (_error) {
+    return false;
+  }
+}
+
+// Loopback, private, link-local, CGNAT and unspecified ranges; webhooks may not target them
+// unless NOTIFICATION_ALLOW_PRIVATE_WEBHOOKS is set (IPv4-mapped IPv6 addresses match the IPv4 rules).
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+].forEach(([address, prefix, type]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, type));
+
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+function getUrlHostname(value) {
+  return new URL(value).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+}
+
+// Localhost names and literal private addresses; hostnames are resolved at delivery time.
+function isPrivateHostname(hostname) {
+  return hostname === 'localhost' || hostname.endsWith('.localhost') || isPrivateAddress(hostname);
+}
+
+// Checked again before each delivery because a public name can resolve to a private address.
+async function assertPublicWebhookHost(url) {
+  if (config.notificationAllowPrivateWebhooks) {
+    return;
+  }
+  const hostname = getUrlHostname(url);
+  let addresses = [{ address: hostname }];
+  if (!isPrivateHostname(hostname)) {
+    try {
+      addresses = await dns.promises.lookup(hostname, { all: true });
+    } catch (error) {
+      throw createDeliveryError(`Webhook host lookup failed: ${error.code || error.message}`);
+    }
+  }
+  if (addresses.some((entry) => isPrivateHostname(entry.address))) {
+    throw createDeliveryError(`Webhook host ${hostname} resolves to a private address.`, false);
+  }
+}
+
+function toAxiosDeliveryError(error, label) {
+  const status = error.response?.status;
+  if (!status) {
+    return createDeliveryError(`${label} request failed: ${error.code || error.message}`);
+  }
+  const retryAfterSeconds = Number(error.response.headers?.['retry-after'] || error.response.data?.parameters?.retry_after);
+  const description = error.response.data?.description ? ` (${error.response.data.description})` : '';
+  return createDeliveryError(
+    `${label} responded ${status}${description}`,
+    status === 408 || status === 429 || status >= 500,
+    Number.isFinite(retryAfterSeconds) ? retryAfterSeconds * 1000 : 0,
+  );
+}
+
+function getMailTransport() {
+  if (!mailTransport) {
+    mailTransport = nodemailer.createTransport({
+      host: config.smtpHost,
+      port: config.smtpPort,
+      secure: config.smtpSecure,
+      auth: config.smtpUser ? { user: config.smtpUser, pass: config.smtpPass } : undefined,
+      connectionTimeout: config.notificationTimeoutMs,
+      greetingTimeout: config.notificationTimeoutMs,
+      socketTimeout: config.notificationTimeoutMs,
+    });
+  }
+  return mailTransport;
+}
+
+const email = {
+  isAvailable: () => Boolean(config.smtpHost),
+  validateConfig(input = {}, existing = {}) {
+    const to = String(input.to ?? existing.to ?? '').trim();
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(to)) {
+      throw new Error('Email channel requires a valid recipient address (to).');
+    }
+    return { to };
+  },
+  maskConfig: (channelConfig) => ({ ...channelConfig }),
+  async send(channelConfig, message) {
+    if (!config.smtpHost) {
+      throw createDeliveryError('SMTP is not configured (SMTP_HOST).', false);
+    }
+    try {
+      const info = await getMailTransport().sendMail({
+        from: config.smtpFrom,
+        to: channelConfig.to,
+        subject: message.subject,
+        text: message.text,
+        ...(message.html ? { html: message.html } : {}),
+      });
+      return { detail: info.messageId || '' };
+    } catch (error) {
+      // 5xx SMTP replies are permanent rejections (bad recipient, auth); everything else may pass later.
+      throw createDeliveryError(`SMTP delivery failed: ${error.message}`, !(error.responseCode >= 500));
+    }
+  },
+};
+
+/**
+ * Signed JSON webhook. The receiver recomputes
+ * `sha256=` + HMAC-SHA256(secret, `${X-Tracker-Timestamp}.${rawBody}`) and compares it with
+ * the X-Tracker-Signature header.
+ */
+function signWebhookBody(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+const webhook = {
+  isAvailable: () => true,
+  validateConfig(input = {}, existing = {}) {
+    const url = String(input.url ?? existing.url ?? '').trim();
+    if (!isHttpUrl(url)) {
+      throw new Error('Webhook channel requires an http(s) URL.');
+    }
+    if (!config.notificationAllowPrivateWebhooks && isPrivateHostname(getUrlHostname(url))) {
+      throw new Error('Webhook URL must not point at a local or private network address.');
+    }
+    const secret = String(input.secret || existing.secret || crypto.randomBytes(24).toString('hex'));
+    return { url, secret };
+  },
+  maskConfig: (channelConfig) => ({ ...channelConfig, secret: maskSecret(channelConfig.secret) }),
+  async send(channelConfig, message) {
+    const body = JSON.stringify({
+      id: message.id,
+      type: message.eventType,
+      createdAt: message.createdAt,
+      username: message.username,
+      subject: message.subject,
+      text: message.text,
+      data: message.data,
+    });
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    await assertPublicWebhookHost(channelConfig.url);
+    try {
+      // Redirects are not followed so a public URL cannot bounce the request to a private one.
+      const response = await axios.post(channelConfig.url, body, {
+        timeout: config.notificationTimeoutMs,
+        maxRedirects: 0,
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'stock-tracker-notifier/1.0',
+          'X-Tracker-Event': message.eventType,
+          'X-Tracker-Delivery': message.id,
+          'X-Tracker-Timestamp': timestamp,
+          [SIGNATURE_HEADER]: signWebhookBody(channelConfig.secret, timestamp, body),
+        },
+      });
+      return { detail: `HTTP ${response.status}` };
+    } catch (error) {
+      throw toAxiosDeliveryError(error, 'Webhook');
+    }
+  },
+};
+
+// Uses TELEGRAM_BOT_TOKEN unless the channel brings its own bot token.
+const telegram = {
+  isAvailable: () => Boolean(config.telegramBotToken),
+  validateConfig(input = {}, existing = {}) {
+    const chatId = String(input.chatId ?? existing.chatId ?? '').trim();
+    if (!/^(-?\d+|@[A-Za-z0-9_]{5,})$/.test(chatId)) {
+      throw new Error('Telegram channel requires a numeric chat id or @channelname (chatId).');
+    }
+    const botToken = String(input.botToken || existing.botToken || '').trim();
+    if (!botToken && !config.telegramBotToken) {
+      throw new Error('Telegram channel requires a bot token (TELEGRAM_BOT_TOKEN is not set).');
+    }
+    return botToken ? { chatId, botToken } : { chatId };
+  },
+  maskConfig: (channelConfig) => (channelConfig.botToken
+    ? { ...channelConfig, botToken: maskSecret(channelConfig.botToken) }
+    : { ...channelConfig }),
+  async send(channelConfig, message) {
+    const token = channelConfig.botToken || config.telegramBotToken;
+    if (!token) {
+      throw createDeliveryError('Telegram bot token is not configured.', false);
+    }
+    try {
+      const response = await axios.post(
+        `${config.telegramApiBaseUrl.replace(/\/+$/, '')}/bot${token}/sendMessage`,
+        {
+          chat_id: channelConfig.chatId,
+          text: `${message.subject}\n\n${message.text}`.slice(0, 4096),
+          disable_web_page_preview: true,
+        },
+        { timeout: config.notificationTimeoutMs },
+      );
+      return { detail: `message ${response.data?.result?.message_id ?? ''}`.trim() };
+    } catch (error) {
+      throw toAxiosDeliveryError(error, 'Telegram');
+    }
+  },
+};
+
+const CHANNEL_ADAPTERS = Object.freeze({ email, webhook, telegram });
+
+function normalizeEvents(rawEvents) {
+  const list = Array.isArray(rawEvents) ? rawEvents.map((event) => String(event).trim()) : [];
+  return NOTIFICATION_EVENTS.filter((event) => list.includes(event));
+}
+
+function normalizeTemplates(rawTemplates) {
+  const templates = {};
+  if (!rawTemplates || typeof rawTemplates !== 'object') {
+    return templates;
+  }
+  for (const event of NOTIFICATION_EVENTS) {
+    const template = String(rawTemplates[event] || '').trim();
+    if (template) {
+      templates[event] = template.slice(0, TEMPLATE_MAX_LENGTH);
+    }
+  }
+  return templates;
+}
+
+// Lenient normalizer for persisted channels: never throws, drops unknown channel types.
+function normalizeNotificationChannel(raw) {
+  if (!raw || typeof raw !== 'object' || !CHANNEL_ADAPTERS[raw.type]) {
+    return null;
+  }
+
+  const nowIso = new Date().toISOString();
+  return {
+    id: String(raw.id || crypto.randomUUID()),
+    type: raw.type,
+    name: String(raw.name || raw.type).slice(0, CHANNEL_NAME_MAX_LENGTH),
+    enabled: raw.enabled !== false,
+    events: Array.isArray(raw.events) ? normalizeEvents(raw.events) : [...NOTIFICATION_EVENTS],
+    templates: normalizeTemplates(raw.templates),
+    config: raw.config && typeof raw.config === 'object' ? { ...raw.config } : {},
+    createdAt: raw.createdAt || nowIso,
+    updatedAt: raw.updatedAt || raw.createdAt || nowIso,
+  };
+}
+
+/**
+ * Validates a channel from the API. With `existing`, missing fields keep their current value
+ * and omitted secrets (webhook secret, Telegram bot token) are kept.
+ */
+function validateNotificationChannelInput(input = {}, existing = null) {
+  const type = String(input.type ?? existing?.type ?? '').trim().toLowerCase();
+  const adapter = CHANNEL_ADAPTERS[type];
+  if (!adapter) {
+    throw new Error(`Channel type must be one of: ${Object.keys(CHANNEL_ADAPTERS).join(', ')}.`);
+  }
+  if (existing && type !== existing.type) {
+    throw new Error('Channel type cannot be changed; create a new channel instead.');
+  }
+
+  const name = String(input.name ?? existing?.name ?? type).trim();
+  if (!name) {
+    throw new Error('Channel name is required.');
+  }
+
+  const eventsInput = input.events ?? existing?.events ?? NOTIFICATION_EVENTS;
+  const unknown = (Array.isArray(eventsInput) ? eventsInput : []).filter((event) => !NOTIFICATION_EVENTS.includes(event));
+  if (!Array.isArray(eventsInput) || unknown.length > 0) {
+    throw new Error(`Channel events must be a list of: ${NOTIFICATION_EVENTS.join(', ')}.`);
+  }
+
+  return {
+    type,
+    name: name.slice(0, CHANNEL_NAME_MAX_LENGTH),
+    enabled: input.enabled !== undefined ? Boolean(input.enabled) : existing?.enabled !== false,
+    events: normalizeEvents(eventsInput),
+    templates: normalizeTemplates(input.templates ?? existing?.templates),
+    config: adapter.validateConfig(input.config || {}, existing?.config || {}),
+  };
+}
+
+// API view of a channel: secrets are masked except right after creation.
+function toPublicChannel(channel, { revealSecrets = false } = {}) {
+  return revealSecrets ? channel : { ...channel, config: CHANNEL_ADAPTERS[channel.type].maskConfig(channel.config) };
+}
+
+function getChannelTypes() {
+  return Object.entries(CHANNEL_ADAPTERS).map(([type, adapter]) => ({ type, available: adapter.isAvailable() }));
+}
+
+async function sendToChannel(channel, message) {
+  return CHANNEL_ADAPTERS[channel.type].send(channel.config, message);
+}
+
+module.exports = {
+  NOTIFICATION_EVENTS,
+  SIGNATURE_HEADER,
+  normalizeNotificationChannel,
+  validateNotificationChannelInput,
+  toPublicChannel,
+  getChannelTypes,
+  sendToChannel,
+  signWebhookBody,
+};
@@ -0,0 +1,253 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { config } = require('../config');
+const { getDb, isMongoEnabled } = require('../db/mongoClient');
+const { readDb, readUserDb } = require('../store');
+const { sendToChannel } = require('./notificationChannels');
+
+const DELIVERY_COLLECTION = 'notification_deliveries';
+const MAX_RETRY_DELAY_MS = 60 * 1000;
+
+// `{{name}}` placeholders resolve against the event data (dotted paths allowed); unknown ones render empty.
+const DEFAULT_TEMPLATES = Object.freeze({
+  'alert.triggered': {
+    subject: 'Alert: {{symbol}}',
+    text: '{{message}}',
+  },
+  'sales.snapshot.completed': {
+    subject: 'Sales snapshot {{status}}',
+    text: 'Sales snapshot {{status}}: {{success}} of {{totalSymbols}} symbols refreshed, {{failed}} failed ({{reason}}).',
+  },
+  'results.upcoming': {
+    subject: '{{eventLabel}}: {{symbol}} on {{eventDate}}',
+    text: '{{companyName}} ({{symbol}}) {{eventLabel}} {{dayLabel}}: {{title}}\n{{url}}',
+  },
+  'digest.ready': {
+    subject: '{{sessionLabel}} digest for {{date}}',
+    text: '{{text}}',
+  },
+  'notification.test': {
+    subject: 'Test notification',
+    text: 'Test notification for "{{channelName}}" from the stock tracker. Delivery works.',
+  },
+});
+
+function renderTemplate(template, data = {}) {
+  return String(template || '').replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_match, key) => {
+    const value = key.split('.').reduce((current, part) => (current == null ? undefined : current[part]), data);
+    return value === undefined || value === null ? '' : String(value);
+  });
+}
+
+// `html` is an optional rich body for channels that can show it (email); templates only shape `text`.
+function buildMessage(username, channel, eventType, data, html = '') {
+  const defaults = DEFAULT_TEMPLATES[eventType];
+  const context = { ...data, username, channelName: channel.name };
+  return {
+    id: crypto.randomUUID(),
+    eventType,
+    username,
+    createdAt: new Date().toISOString(),
+    subject: renderTemplate(defaults.subject, context),
+    text: renderTemplate(channel.templates?.[eventType] || defaults.text, context),
+    html: channel.templates?.[eventType] ? '' : html,
+    data,
+  };
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => {
+    setTimeout(resolve, ms);
+  });
+}
+
+function getRetryDelayMs(attempt, error) {
+  const base = Math.max(Number(config.notificationRetryBaseMs) || 0, 0);
+  const backoff = base * (2 ** (attempt - 1));
+  const jitter = Math.round(Math.random() * base * 0.2);
+  return Math.min(Math.max(backoff + jitter, error.retryAfterMs || 0), MAX_RETRY_DELAY_MS);
+}
+
+function ensureLogDir() {
+  const dir = path.dirname(config.notificationLogFilePath);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+}
+
+function loadDeliveriesFromDisk() {
+  try {
+    if (!config.notificationLogFilePath || !fs.existsSync(config.notificationLogFilePath)) {
+      return [];
+    }
+    const parsed = JSON.parse(fs.readFileSync(config.notificationLogFilePath, 'utf8'));
+    return Array.isArray(parsed.deliveries) ? parsed.deliveries : [];
+  } catch (error) {
+    console.error('[notify] Failed to read delivery log from disk:', error.message);
+    return [];
+  }
+}
+
+function appendDeliveryToDisk(entry) {
+  try {
+    if (!config.notificationLogFilePath) return;
+    const maxEntries = Math.max(Number(config.notificationLogMaxEntries) || 0, 100);
+    const deliveries = [entry, ...loadDeliveriesFromDisk()].slice(0, maxEntries);
+    ensureLogDir();
+    fs.writeFileSync(config.notificationLogFilePath, JSON.stringify({ deliveries }, null, 2));
+  } catch (error) {
+    console.error('[notify] Failed to write delivery log to disk:', error.message);
+  }
+}
+
+async function recordDelivery(entry) {
+  if (isMongoEnabled()) {
+    try {
+      const db = await getDb();
+      if (db) {
+        await db.collection(DELIVERY_COLLECTION).insertOne({ ...entry });
+        return entry;
+      }
+    } catch (error) {
+      console.error('[notify] Failed to write delivery to MongoDB:', error.message);
+    }
+  }
+
+  appendDeliveryToDisk(entry);
+  return entry;
+}
+
+async function listDeliveries({ username = '', limit = 50, dedupeKey = '', status = '' } = {}) {
+  const safeLimit = Math.min(Math.max(Number(limit) || 50, 1), 500);
+  const filter = {};
+  if (username) filter.username = String(username);
+  if (dedupeKey) filter.dedupeKey = String(dedupeKey);
+  if (status) filter.status = String(status);
+
+  if (isMongoEnabled()) {
+    try {
+      const db = await getDb();
+      if (db) {
+        return db.collection(DELIVERY_COLLECTION)
+          .find(filter, { projection: { _id: 0 } })
+          .sort({ createdAt: -1 })
+          .limit(safeLimit)
+          .toArray();
+      }
+    } catch (error) {
+      console.error('[notify] Failed to read deliveries from MongoDB:', error.message);
+    }
+  }
+
+  return loadDeliveriesFromDisk()
+    .filter((entry) => Object.entries(filter).every(([key, value]) => entry[key] === value))
+    .slice(0, safeLimit);
+}
+
+/**
+ * Sends one message to one channel, retrying retryable failures with exponential backoff,
+ * and writes a single delivery log entry with the final outcome.
+ */
+async function deliver(username, channel, message, { maxAttempts = config.notificationMaxAttempts, dedupeKey = '' } = {}) {
+  const attemptsAllowed = Math.max(Number(maxAttempts) || 1, 1);
+  const entry = {
+    id: message.id,
+    username,
+    channelId: channel.id,
+    channelType: channel.type,
+    channelName: channel.name,
+    eventType: message.eventType,
+    dedupeKey,
+    subject: message.subject,
+    status: 'failed',
+    attempts: 0,
+    detail: '',
+    error: '',
+    createdAt: message.createdAt,
+    finishedAt: '',
+  };
+
+  for (let attempt = 1; attempt <= attemptsAllowed; attempt += 1) {
+    entry.attempts = attempt;
+    try {
+      const result = await sendToChannel(channel, message);
+      entry.status = 'sent';
+      entry.detail = String(result?.detail || '');
+      entry.error = '';
+      break;
+    } catch (error) {
+      entry.error = error.message;
+      if (error.retryable === false || attempt === attemptsAllowed) {
+        break;
+      }
+      await sleep(getRetryDelayMs(attempt, error));
+    }
+  }
+
+  entry.finishedAt = new Date().toISOString();
+  if (entry.status === 'failed') {
+    console.warn(`[notify] ${channel.type} delivery to ${username}/${channel.name} failed after ${entry.attempts} attempt(s): ${entry.error}`);
+  }
+  return recordDelivery(entry);
+}
+
+/**
+ * Fans an event out to every enabled channel subscribed to it. `usernames` limits the recipients
+ * (default: every user). With `dedupeKey`, channels that already received that key are skipped.
+ * `html` is passed to channels that render it unless the channel overrides the event's template.
+ * Resolves once every delivery (including retries) has finished; callers usually do not await it.
+ */
+async function publishNotification(eventType, data = {}, { usernames = null, dedupeKey = '', html = '' } = {}) {
+  const allowed = usernames ? new Set(usernames) : null;
+  const targets = Object.values(readDb().users || {})
+    .filter((userState) => !allowed || allowed.has(userState.username))
+    .flatMap((userState) => (userState.notificationChannels || [])
+      .filter((channel) => channel.enabled && channel.events.includes(eventType))
+      .map((channel) => ({ username: userState.username, channel })));
+
+  const deliveries = await Promise.all(targets.map(async ({ username, channel }) => {
+    if (dedupeKey) {
+      const previous = await listDeliveries({ username, dedupeKey, status: 'sent', limit: 500 });
+      if (previous.some((entry) => entry.channelId === channel.id)) {
+        return null;
+      }
+    }
+    return deliver(username, channel, buildMessage(username, channel, eventType, data, html), { dedupeKey });
+  }));
+  return deliveries.filter(Boolean);
+}
+
+// Single attempt so the UI gets the outcome right away.
+async function sendTestNotification(username, channelId) {
+  const channel = readUserDb(username).notificationChannels.find((item) => item.id === channelId);
+  if (!channel) {
+    throw new Error('Notification channel not found.');
+  }
+  const message = buildMessage(username, channel, 'notification.test', { username, channelName: channel.name });
+  return deliver(username, channel, message, { maxAttempts: 1 });
+}
+
+async function deleteUserDeliveries(username) {
+  if (isMongoEnabled()) {
+    const db = await getDb();
+    if (db) {
+      await db.collection(DELIVERY_COLLECTION).deleteMany({ username });
+      return;
+    }
+  }
+  if (!config.notificationLogFilePath || !fs.existsSync(config.notificationLogFilePath)) {
+    return;
+  }
+  const deliveries = loadDeliveriesFromDisk().filter((entry) => entry.username !== username);
+  fs.writeFileSync(config.notificationLogFilePath, JSON.stringify({ deliveries }, null, 2));
+}
+
+module.exports = {
+  DEFAULT_TEMPLATES,
+  renderTemplate,
+  publishNotification,
+  sendTestNotification,
+  listDeliveries,
+  deleteUserDeliveries,
+};
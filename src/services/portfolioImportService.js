@@ -0,0 +1,327 @@
+const { config } = require('../config');
+const { readUserDb, importTransactions } = require('../store');
+const { resolveSymbolQuery, resolveIsin } = require('./symbolMasterService');
+const { validateTransactionInput, buildLedger } = require('./portfolioLedgerService');
+const { normalizeHeader, parseCsvLine, buildHeaderIndexMap, readCsvCell } = require('../utils/csv');
+
+const IMPORT_KINDS = Object.freeze(['auto', 'tradebook', 'holdings']);
+const HEADER_SCAN_LINES = 25;
+const MONTHS = Object.freeze({
+  JAN: 1, FEB: 2, MAR: 3, APR: 4, MAY: 5, JUN: 6, JUL: 7, AUG: 8, SEP: 9, OCT: 10, NOV: 11, DEC: 12,
+});
+
+// Header aliases seen in Zerodha Console/Kite, Groww and Upstox exports (compared via normalizeHeader).
+const COLUMNS = Object.freeze({
+  symbol: ['Symbol', 'Tradingsymbol', 'Instrument', 'Scrip Code', 'Scrip Name', 'Ticker', 'Stock Symbol'],
+  name: ['Stock name', 'Company', 'Company Name', 'Security Name', 'Name'],
+  isin: ['ISIN', 'ISIN Code'],
+  date: ['Trade Date', 'Date', 'Order Execution Time', 'Execution date and time', 'Trade Time', 'Order Date', 'Transaction Date'],
+  side: ['Trade Type', 'Type', 'Side', 'Buy/Sell', 'Transaction Type', 'Action'],
+  quantity: ['Quantity', 'Qty', 'Qty.', 'Net Quantity', 'Shares', 'Total Quantity', 'Quantity Available'],
+  pledged: ['Quantity Pledged (Margin)', 'Quantity Pledged (Loan)'],
+  price: ['Price', 'Trade Price', 'Average Price', 'Avg. Price', 'Avg. cost', 'Average buy price', 'Average Cost', 'Buy Price', 'Rate'],
+  value: ['Value', 'Amount', 'Trade Value', 'Buy value', 'Net Amount', 'Total Value'],
+  charges: ['Charges', 'Brokerage', 'Total Charges'],
+  tradeId: ['Trade ID', 'Trade Num', 'Trade No', 'Trade Number', 'Exchange Trade ID', 'Exchange Order Id', 'Order ID'],
+  exchange: ['Exchange', 'Exch'],
+  segment: ['Segment', 'Instrument Type'],
+  status: ['Order status', 'Status'],
+});
+
+function hasAnyColumn(headerMap, key) {
+  return COLUMNS[key].some((candidate) => headerMap.has(normalizeHeader(candidate)));
+}
+
+function detectBroker(headerMap) {
+  if (headerMap.has('stockname')) return 'groww';
+  if (headerMap.has('scripcode') || headerMap.has('tradenum')) return 'upstox';
+  if (headerMap.has('tradetype') || headerMap.has('quantityavailable') || (headerMap.has('instrument') && headerMap.has('avgcost'))) {
+    return 'zerodha';
+  }
+  return 'generic';
+}
+
+function parseAmount(value) {
+  const text = String(value || '').replace(/[₹,\s]/g, '').replace(/^Rs\.?/i, '');
+  if (!text || text === '-') {
+    return null;
+  }
+  const parsed = Number(text);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+function toIso(year, month, day) {
+  const fullYear = year < 100 ? 2000 + year : year;
+  const date = new Date(Date.UTC(fullYear, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date.toISOString().slice(0, 10) : '';
+}
+
+/**
+ * Broker date cells: ISO (2024-01-15, with or without time), Indian day-first
+ * (15-01-2024, 15/01/24) and month names (15-Jan-2024, 15 Jan 2024, Jan 15, 2024).
+ */
+function parseBrokerDate(value) {
+  const text = String(value || '').trim().toUpperCase();
+  let match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/);
+  if (match) return toIso(Number(match[1]), Number(match[2]), Number(match[3]));
+
+  match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})/);
+  if (match) return toIso(Number(match[3]), Number(match[2]), Number(match[1]));
+
+  match = text.match(/^(\d{1,2})[-\s/]([A-Z]{3})[A-Z]*[-\s/,]+(\d{2,4})/);
+  if (match && MONTHS[match[2]]) return toIso(Number(match[3]), MONTHS[match[2]], Number(match[1]));
+
+  match = text.match(/^([A-Z]{3})[A-Z]*\s+(\d{1,2}),?\s+(\d{4})/);
+  if (match && MONTHS[match[1]]) return toIso(Number(match[3]), MONTHS[match[1]], Number(match[2]));
+
+  return '';
+}
+
+function parseSide(value) {
+  const text = String(value || '').trim().toUpperCase();
+  if (/^(B|BUY|PURCHASE)/.test(text)) return 'BUY';
+  if (/^(S|SELL|SALE)/.test(text)) return 'SELL';
+  return '';
+}
+
+// Zerodha/NSE series suffixes ("TATAMOTORS-BE") are not part of the listed symbol.
+function stripSeriesSuffix(symbol) {
+  return String(symbol || '').trim().replace(/-(EQ|BE|BZ|SM|ST|IT)$/i, '');
+}
+
+function resolveRowSymbol({ symbol, name, isin, exchange }) {
+  if (isin) {
+    const fromIsin = resolveIsin(isin);
+    if (fromIsin) return fromIsin;
+  }
+
+  const cleaned = stripSeriesSuffix(symbol);
+  if (cleaned) {
+    const scoped = /BSE/i.test(exchange) && !/\.(NS|BO|NSE|BSE)$/i.test(cleaned) ? `${cleaned}.BO` : cleaned;
+    const resolved = resolveSymbolQuery(/^\d{5,6}$/.test(cleaned) ? `${cleaned}.BO` : scoped);
+    if (resolved) return resolved;
+  }
+
+  return name ? resolveSymbolQuery(name) : '';
+}
+
+function findHeaderLine(lines) {
+  for (let index = 0; index < Math.min(lines.length, HEADER_SCAN_LINES); index += 1) {
+    const headerMap = buildHeaderIndexMap(parseCsvLine(lines[index]));
+    const hasInstrument = hasAnyColumn(headerMap, 'symbol') || hasAnyColumn(headerMap, 'isin') || hasAnyColumn(headerMap, 'name');
+    if (hasInstrument && hasAnyColumn(headerMap, 'quantity')) {
+      return index;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Parses a broker tradebook or holdings export into ledger inputs without touching the store.
+ * Every data line yields a row with `status` ok | error | skipped and the transaction input it maps to.
+ */
+function parseBrokerCsv(csvText, { kind = 'auto', date = '', today = new Date().toISOString().slice(0, 10) } = {}) {
+  const requestedKind = String(kind || 'auto').toLowerCase();
+  if (!IMPORT_KINDS.includes(requestedKind)) {
+    throw new Error(`kind must be one of: ${IMPORT_KINDS.join(', ')}.`);
+  }
+
+  const lines = String(csvText || '').replace(/^\uFEFF/, '').split(/\r?\n/);
+  const headerIndex = findHeaderLine(lines);
+  if (headerIndex < 0) {
+    throw new Error('Could not find a header row with a symbol/ISIN column and a quantity column.');
+  }
+
+  const headerMap = buildHeaderIndexMap(parseCsvLine(lines[headerIndex]));
+  const broker = detectBroker(headerMap);
+  const resolvedKind = requestedKind === 'auto'
+    ? (hasAnyColumn(headerMap, 'side') ? 'tradebook' : 'holdings')
+    : requestedKind;
+  if (resolvedKind === 'tradebook' && !hasAnyColumn(headerMap, 'side')) {
+    throw new Error('Tradebook imports need a buy/sell column (Trade Type, Type or Side).');
+  }
+
+  const maxRows = Math.max(Number(config.portfolioImportMaxRows) || 0, 1);
+  const holdingsDate = date || today;
+  const occurrences = new Map();
+  const rows = [];
+
+  for (let index = headerIndex + 1; index < lines.length; index += 1) {
+    if (!lines[index] || !lines[index].replace(/,/g, '').trim()) {
+      continue;
+    }
+    if (rows.length >= maxRows) {
+      throw new Error(`Import is limited to ${maxRows} rows per file.`);
+    }
+
+    const cells = parseCsvLine(lines[index]);
+    const cell = (key) => readCsvCell(cells, headerMap, COLUMNS[key]);
+    const raw = {
+      symbol: cell('symbol'),
+      name: cell('name'),
+      isin: cell('isin').toUpperCase(),
+      exchange: cell('exchange'),
+    };
+    const row = { line: index + 1, raw, status: 'ok', errors: [], input: null };
+    rows.push(row);
+
+    const segment = cell('segment');
+    if (segment && /(FO|F&O|FUT|OPT|CDS|CURRENCY|MCX|COMM)/i.test(segment)) {
+      row.status = 'skipped';
+      row.errors.push(`Segment ${segment} is not an equity delivery trade.`);
+      continue;
+    }
+    const orderStatus = cell('status');
+    if (orderStatus && !/(COMPLETE|EXECUTED|TRADED|SUCCESS|FILLED)/i.test(orderStatus)) {
+      row.status = 'skipped';
+      row.errors.push(`Order status ${orderStatus}.`);
+      continue;
+    }
+
+    const symbol = resolveRowSymbol(raw);
+    if (!symbol) {
+      row.errors.push(`Could not resolve ${raw.isin || raw.symbol || raw.name || 'instrument'} to a listed symbol.`);
+    }
+
+    let quantity = parseAmount(cell('quantity'));
+    if (resolvedKind === 'holdings' && quantity !== null) {
+      quantity += COLUMNS.pledged.reduce((total, column) => total + (parseAmount(readCsvCell(cells, headerMap, [column])) || 0), 0);
+    }
+    const value = parseAmount(cell('value'));
+    let price = parseAmount(cell('price'));
+    if ((price === null || price === 0) && value !== null && quantity) {
+      price = value / quantity;
+    }
+
+    if (resolvedKind === 'holdings') {
+      if (quantity === 0) {
+        row.status = 'skipped';
+        row.errors = ['No quantity held.'];
+        continue;
+      }
+      row.input = {
+        type: 'BUY',
+        symbol,
+        date: holdingsDate,
+        quantity: quantity === null ? undefined : Math.abs(quantity),
+        price,
+        charges: 0,
+        note: `Imported ${broker} holding`,
+        externalId: symbol ? `${broker}:holding:${symbol}` : '',
+      };
+    } else {
+      const type = parseSide(cell('side'));
+      const tradeDate = parseBrokerDate(cell('date'));
+      if (!type) row.errors.push(`Unknown trade side "${cell('side')}".`);
+      if (!tradeDate) row.errors.push(`Unreadable trade date "${cell('date')}".`);
+
+      // Without a broker trade id, identical fills in one file are told apart by occurrence.
+      const tradeId = cell('tradeId');
+      const fingerprint = [tradeDate, symbol, type, quantity, price].join(':');
+      const occurrence = (occurrences.get(fingerprint) || 0) + 1;
+      occurrences.set(fingerprint, occurrence);
+
+      row.input = {
+        type,
+        symbol,
+        date: tradeDate,
+        quantity: quantity === null ? undefined : Math.abs(quantity),
+        price,
+        charges: parseAmount(cell('charges')) || 0,
+        note: `Imported ${broker} trade${tradeId ? ` #${tradeId}` : ''}`,
+        externalId: tradeId ? `${broker}:trade:${tradeId}` : `${broker}:trade:${fingerprint}:${occurrence}`,
+      };
+    }
+
+    if (row.errors.length === 0) {
+      try {
+        row.input = { ...row.input, ...validateTransactionInput(row.input, { today }) };
+      } catch (error) {
+        row.errors.push(error.message);
+      }
+    }
+    if (row.errors.length > 0) {
+      row.status = 'error';
+    }
+  }
+
+  return { broker, kind: resolvedKind, headerLine: headerIndex + 1, rows };
+}
+
+// Holdings ids are `broker:holding:SYMBOL`; earlier imports also appended the as-of date.
+function toDedupeKey(externalId) {
+  const match = String(externalId || '').match(/^([^:]+:holding:[^:]+)/);
+  return match ? match[1] : externalId;
+}
+
+/**
+ * Dry run against the caller's ledger: marks rows already imported (same broker trade id, or a
+ * holding of the same symbol from the same broker on any as-of date) as duplicates and rows that
+ * would sell more than is held as errors.
+ */
+function previewPortfolioImport(username, csvText, options = {}) {
+  const parsed = parseBrokerCsv(csvText, options);
+  const existing = readUserDb(username).transactions || [];
+  const knownIds = new Set(existing.map((transaction) => toDedupeKey(transaction.externalId)).filter(Boolean));
+  const seenIds = new Set();
+
+  parsed.rows
+    .filter((row) => row.status === 'ok')
+    .forEach((row) => {
+      const id = toDedupeKey(row.input.externalId);
+      if (id && (knownIds.has(id) || seenIds.has(id))) {
+        row.status = 'duplicate';
+      }
+      seenIds.add(id);
+    });
+
+  const candidates = parsed.rows.filter((row) => row.status === 'ok');
+  const { warnings } = buildLedger([
+    ...existing,
+    ...candidates.map((row) => ({ ...row.input, id: `import-line-${row.line}`, source: 'import' })),
+  ]);
+  warnings
+    .filter((warning) => warning.code === 'oversell' && String(warning.transactionId).startsWith('import-line-'))
+    .forEach((warning) => {
+      const row = candidates.find((candidate) => `import-line-${candidate.line}` === warning.transactionId);
+      row.status = 'error';
+      row.errors.push(`${warning.message} Import the earlier buys (or holdings) first.`);
+    });
+
+  const count = (status) => parsed.rows.filter((row) => row.status === status).length;
+  return {
+    ...parsed,
+    summary: {
+      total: parsed.rows.length,
+      valid: count('ok'),
+      errors: count('error'),
+      duplicates: count('duplicate'),
+      skipped: count('skipped'),
+    },
+  };
+}
+
+// Writes every valid row of a preview in a single store update.
+async function commitPortfolioImport(username, preview) {
+  const inputs = preview.rows.filter((row) => row.status === 'ok').map((row) => row.input);
+  if (inputs.length === 0) {
+    throw new Error('No new valid rows to import.');
+  }
+
+  const result = await importTransactions(username, inputs, { source: `import:${preview.broker}` });
+  return {
+    broker: preview.broker,
+    kind: preview.kind,
+    imported: result.imported.length,
+    duplicates: preview.summary.duplicates + result.duplicates,
+    transactions: result.transactions,
+  };
+}
+
+module.exports = {
+  IMPORT_KINDS,
+  parseBrokerDate,
+  parseBrokerCsv,
+  previewPortfolioImport,
+  commitPortfolioImport,
+};
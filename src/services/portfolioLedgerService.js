@@ -0,0 +1,410 @@
+const { randomUUID } = require('crypto');
+const { normalizeIndianSymbol } = require('../utils/symbols');
+
+// Portfolio ledger: dated BUY/SELL trades plus standalone CHARGE entries (DP charges, AMC...)
+// and corporate actions (SPLIT, BONUS, DIVIDEND) dated on their ex-date.
+// Holdings, FIFO lots and realized P&L are always derived from the ledger, never stored.
+const TRANSACTION_TYPES = Object.freeze(['BUY', 'SELL', 'CHARGE', 'SPLIT', 'BONUS', 'DIVIDEND']);
+const CORPORATE_ACTION_TYPES = Object.freeze(['SPLIT', 'BONUS', 'DIVIDEND']);
+const QUANTITY_EPSILON = 1e-9;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function round(value, digits = 2) {
+  const factor = 10 ** digits;
+  return Math.round((Number(value) || 0) * factor) / factor;
+}
+
+function toIsoDate(value) {
+  if (value === undefined || value === null || value === '') {
+    return '';
+  }
+
+  const text = String(value).trim();
+  const match = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (match) {
+    const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    return Number.isNaN(date.getTime()) || date.getUTCDate() !== Number(match[3])
+      ? ''
+      : date.toISOString().slice(0, 10);
+  }
+
+  const parsed = new Date(text);
+  return Number.isNaN(parsed.getTime()) ? '' : parsed.toISOString().slice(0, 10);
+}
+
+function daysBetween(fromIsoDate, toIsoDateValue) {
+  const from = Date.parse(`${fromIsoDate}T00:00:00Z`);
+  const to = Date.parse(`${toIsoDateValue}T00:00:00Z`);
+  if (!Number.isFinite(from) || !Number.isFinite(to)) {
+    return 0;
+  }
+  return Math.round((to - from) / DAY_MS);
+}
+
+// Lenient normalizer for persisted rows: never throws, drops rows that cannot be used.
+function normalizeTransaction(raw) {
+  if (!raw || typeof raw !== 'object') {
+    return null;
+  }
+
+  const type = String(raw.type || '').trim().toUpperCase();
+  if (!TRANSACTION_TYPES.includes(type)) {
+    return null;
+  }
+
+  const nowIso = new Date().toISOString();
+  const base = {
+    id: String(raw.id || randomUUID()),
+    type,
+    symbol: raw.symbol ? normalizeIndianSymbol(raw.symbol) : '',
+    date: toIsoDate(raw.date) || toIsoDate(raw.createdAt) || nowIso.slice(0, 10),
+    note: String(raw.note || ''),
+    source: String(raw.source || 'manual'),
+    createdAt: raw.createdAt || nowIso,
+    updatedAt: raw.updatedAt || raw.createdAt || nowIso,
+  };
+  // Broker trade id for imported rows; lets a re-import skip trades already in the ledger.
+  if (raw.externalId) {
+    base.externalId = String(raw.externalId);
+  }
+
+  if (type === 'CHARGE') {
+    const amount = Number(raw.amount);
+    return Number.isFinite(amount) && amount > 0 ? { ...base, amount } : null;
+  }
+
+  if (type === 'DIVIDEND') {
+    const amountPerShare = Number(raw.amountPerShare);
+    return base.symbol && Number.isFinite(amountPerShare) && amountPerShare > 0 ? { ...base, amountPerShare } : null;
+  }
+
+  if (type === 'SPLIT' || type === 'BONUS') {
+    const ratioNew = Number(raw.ratioNew);
+    const ratioOld = Number(raw.ratioOld);
+    return base.symbol && ratioNew > 0 && ratioOld > 0 ? { ...base, ratioNew, ratioOld } : null;
+  }
+
+  const quantity = Number(raw.quantity);
+  const price = Number(raw.price);
+  const charges = Number(raw.charges || 0);
+  if (!base.symbol || !Number.isFinite(quantity) || quantity <= 0 || !Number.isFinite(price) || price < 0) {
+    return null;
+  }
+
+  return {
+    ...base,
+    quantity,
+    price,
+    charges: Number.isFinite(charges) && charges > 0 ? charges : 0,
+  };
+}
+
+// Strict validation for user input; throws with a message suitable for the API response.
+function validateTransactionInput(input = {}, { today = new Date().toISOString().slice(0, 10) } = {}) {
+  const type = String(input.type || '').trim().toUpperCase();
+  if (!TRANSACTION_TYPES.includes(type)) {
+    throw new Error(`Transaction type must be one of: ${TRANSACTION_TYPES.join(', ')}.`);
+  }
+
+  const date = toIsoDate(input.date) || (input.date ? '' : today);
+  if (!date) {
+    throw new Error('Transaction date must be a valid date (YYYY-MM-DD).');
+  }
+  if (date > today) {
+    throw new Error('Transaction date cannot be in the future.');
+  }
+
+  const note = String(input.note || input.notes || '').trim().slice(0, 200);
+  const symbol = input.symbol ? normalizeIndianSymbol(input.symbol) : '';
+  const extra = input.externalId ? { externalId: String(input.externalId).trim().slice(0, 120) } : {};
+
+  if (type === 'CHARGE') {
+    const amount = Number(input.amount);
+    if (!Number.isFinite(amount) || amount <= 0) {
+      throw new Error('Charge amount must be greater than zero.');
+    }
+    return { type, symbol, date, amount, note, ...extra };
+  }
+
+  if (!symbol) {
+    throw new Error('Transaction requires a valid symbol.');
+  }
+
+  if (type === 'DIVIDEND') {
+    const amountPerShare = Number(input.amountPerShare);
+    if (!Number.isFinite(amountPerShare) || amountPerShare <= 0) {
+      throw new Error('Dividend per share must be greater than zero.');
+    }
+    return { type, symbol, date, amountPerShare, note, ...extra };
+  }
+
+  // SPLIT: every ratioOld shares become ratioNew shares (1:5 for a Rs 10 -> Rs 2 sub-division).
+  // BONUS: ratioNew bonus shares for every ratioOld held (1:1 doubles the holding).
+  if (type === 'SPLIT' || type === 'BONUS') {
+    const ratioNew = Number(input.ratioNew);
+    const ratioOld = Number(input.ratioOld);
+    if (!Number.isFinite(ratioNew) || ratioNew <= 0 || !Number.isFinite(ratioOld) || ratioOld <= 0) {
+      throw new Error(`${type === 'SPLIT' ? 'Split' : 'Bonus'} ratio must be two positive numbers (ratioNew and ratioOld).`);
+    }
+    if (type === 'SPLIT' && ratioNew === ratioOld) {
+      throw new Error('Split ratio must change the number of shares.');
+    }
+    return { type, symbol, date, ratioNew, ratioOld, note, ...extra };
+  }
+
+  const quantity = Number(input.quantity);
+  if (!Number.isFinite(quantity) || quantity <= 0) {
+    throw new Error('Quantity must be greater than zero.');
+  }
+
+  const price = Number(input.price);
+  if (!Number.isFinite(price) || price <= 0) {
+    throw new Error('Price must be greater than zero.');
+  }
+
+  const charges = input.charges === undefined || input.charges === '' ? 0 : Number(input.charges);
+  if (!Number.isFinite(charges) || charges < 0) {
+    throw new Error('Charges cannot be negative.');
+  }
+
+  return { type, symbol, date, quantity, price, charges, note, ...extra };
+}
+
+// Corporate actions take effect at the start of their ex-date, before that day's trades:
+// shares bought on the ex-date carry no dividend and are already in post-split units.
+const TYPE_ORDER = { DIVIDEND: -3, SPLIT: -2, BONUS: -1, BUY: 0, SELL: 1, CHARGE: 2 };
+
+// Chronological order; on the same day buys are applied before sells so intraday round trips match.
+function compareTransactions(left, right) {
+  return left.date.localeCompare(right.date)
+    || TYPE_ORDER[left.type] - TYPE_ORDER[right.type]
+    || String(left.createdAt).localeCompare(String(right.createdAt))
+    || String(left.id).localeCompare(String(right.id));
+}
+
+function sortTransactions(transactions) {
+  return (Array.isArray(transactions) ? transactions : [])
+    .map((transaction) => normalizeTransaction(transaction))
+    .filter(Boolean)
+    .sort(compareTransactions);
+}
+
+// Converts pre-ledger averaged positions ({ symbol, quantity, avgPrice }) into opening BUY rows.
+function positionsToTransactions(positions) {
+  return (Array.isArray(positions) ? positions : [])
+    .filter((position) => position && typeof position === 'object' && !position.type)
+    .map((position) => normalizeTransaction({
+      id: position.id,
+      type: 'BUY',
+      symbol: position.symbol,
+      date: position.date || position.createdAt,
+      quantity: position.quantity,
+      price: position.avgPrice,
+      charges: 0,
+      note: position.notes || 'Opening balance (migrated from averaged position)',
+      source: 'migration',
+      createdAt: position.createdAt,
+      updatedAt: position.updatedAt,
+    }))
+    .filter(Boolean);
+}
+
+function heldQuantity(lots) {
+  return lots.reduce((total, lot) => total + lot.quantity, 0);
+}
+
+// Applies a corporate action to one symbol's open lots; returns the dividend entry, if any.
+function applyCorporateAction(transaction, lots) {
+  const held = heldQuantity(lots);
+
+  if (transaction.type === 'SPLIT') {
+    // Same cost and acquisition date, spread over more (or fewer, for a consolidation) shares.
+    const factor = transaction.ratioNew / transaction.ratioOld;
+    lots.forEach((lot) => {
+      lot.quantity *= factor;
+      lot.originalQuantity *= factor;
+      lot.price /= factor;
+      lot.costPerShare /= factor;
+    });
+    return null;
+  }
+
+  if (transaction.type === 'BONUS') {
+    // Bonus shares are a new zero-cost lot acquired on the ex-date; fractional entitlements are paid out in cash.
+    const bonus = held * (transaction.ratioNew / transaction.ratioOld);
+    const quantity = Number.isInteger(round(held, 4)) ? Math.floor(bonus + QUANTITY_EPSILON) : bonus;
+    if (quantity > QUANTITY_EPSILON) {
+      lots.push({
+        transactionId: transaction.id,
+        symbol: transaction.symbol,
+        date: transaction.date,
+        originalQuantity: quantity,
+        quantity,
+        price: 0,
+        costPerShare: 0,
+      });
+    }
+    return null;
+  }
+
+  return {
+    transactionId: transaction.id,
+    symbol: transaction.symbol,
+    date: transaction.date,
+    quantity: round(held, 4),
+    amountPerShare: transaction.amountPerShare,
+    amount: round(held * transaction.amountPerShare),
+  };
+}
+
+/**
+ * Replays the ledger and matches sells against the oldest open lots (FIFO).
+ * Buy charges are added to the lot's cost; sell charges reduce the sale proceeds.
+ * Splits and bonuses restate open lots; dividends are credited on the shares held before the ex-date.
+ * @returns {{ holdings: object[], realized: object[], dividends: object[], summary: object, warnings: object[] }}
+ */
+function buildLedger(transactions, { asOf = '' } = {}) {
+  const asOfDate = toIsoDate(asOf);
+  const ordered = sortTransactions(transactions)
+    .filter((transaction) => !asOfDate || transaction.date <= asOfDate);
+
+  const lotsBySymbol = new Map();
+  const realizedBySymbol = new Map();
+  const dividendsBySymbol = new Map();
+  const realized = [];
+  const dividends = [];
+  const warnings = [];
+  let standaloneCharges = 0;
+  let tradeCharges = 0;
+
+  ordered.forEach((transaction) => {
+    if (transaction.type === 'CHARGE') {
+      standaloneCharges += transaction.amount;
+      return;
+    }
+
+    const lots = lotsBySymbol.get(transaction.symbol) || [];
+    lotsBySymbol.set(transaction.symbol, lots);
+
+    if (CORPORATE_ACTION_TYPES.includes(transaction.type)) {
+      const dividend = applyCorporateAction(transaction, lots);
+      if (dividend) {
+        dividends.push(dividend);
+        dividendsBySymbol.set(transaction.symbol, (dividendsBySymbol.get(transaction.symbol) || 0) + dividend.amount);
+      }
+      return;
+    }
+
+    tradeCharges += transaction.charges;
+
+    if (transaction.type === 'BUY') {
+      lots.push({
+        transactionId: transaction.id,
+        symbol: transaction.symbol,
+        date: transaction.date,
+        originalQuantity: transaction.quantity,
+        quantity: transaction.quantity,
+        price: transaction.price,
+        costPerShare: transaction.price + (transaction.charges / transaction.quantity),
+      });
+      return;
+    }
+
+    const proceedsPerShare = transaction.price - (transaction.charges / transaction.quantity);
+    let remaining = transaction.quantity;
+    while (remaining > QUANTITY_EPSILON && lots.length > 0) {
+      const lot = lots[0];
+      const matched = Math.min(lot.quantity, remaining);
+      const costBasis = matched * lot.costPerShare;
+      const proceeds = matched * proceedsPerShare;
+
+      realized.push({
+        symbol: transaction.symbol,
+        buyTransactionId: lot.transactionId,
+        sellTransactionId: transaction.id,
+        buyDate: lot.date,
+        sellDate: transaction.date,
+        holdingDays: daysBetween(lot.date, transaction.date),
+        quantity: round(matched, 4),
+        buyPrice: round(lot.price, 4),
+        sellPrice: round(transaction.price, 4),
+        costBasis: round(costBasis),
+        proceeds: round(proceeds),
+        pnl: round(proceeds - costBasis),
+      });
+      realizedBySymbol.set(transaction.symbol, (realizedBySymbol.get(transaction.symbol) || 0) + (proceeds - costBasis));
+
+      lot.quantity -= matched;
+      remaining -= matched;
+      if (lot.quantity <= QUANTITY_EPSILON) {
+        lots.shift();
+      }
+    }
+
+    if (remaining > QUANTITY_EPSILON) {
+      warnings.push({
+        transactionId: transaction.id,
+        symbol: transaction.symbol,
+        date: transaction.date,
+        code: 'oversell',
+        message: `SELL of ${transaction.quantity} ${transaction.symbol} on ${transaction.date} exceeds holdings by ${round(remaining, 4)}.`,
+      });
+    }
+  });
+
+  const holdings = Array.from(lotsBySymbol.entries())
+    .map(([symbol, lots]) => {
+      const quantity = heldQuantity(lots);
+      const invested = lots.reduce((total, lot) => total + (lot.quantity * lot.costPerShare), 0);
+      return {
+        id: symbol,
+        symbol,
+        quantity: round(quantity, 4),
+        avgPrice: quantity > QUANTITY_EPSILON ? round(invested / quantity, 4) : 0,
+        invested: round(invested),
+        realizedPnl: round(realizedBySymbol.get(symbol) || 0),
+        dividendIncome: round(dividendsBySymbol.get(symbol) || 0),
+        firstBuyDate: lots[0]?.date || '',
+        lots: lots.map((lot) => ({
+          transactionId: lot.transactionId,
+          date: lot.date,
+          quantity: round(lot.quantity, 4),
+          originalQuantity: round(lot.originalQuantity, 4),
+          price: round(lot.price, 4),
+          costPerShare: round(lot.costPerShare, 4),
+        })),
+      };
+    })
+    .filter((holding) => holding.quantity > QUANTITY_EPSILON)
+    .sort((left, right) => left.symbol.localeCompare(right.symbol));
+
+  const realizedPnl = realized.reduce((total, entry) => total + entry.pnl, 0);
+  const dividendIncome = dividends.reduce((total, entry) => total + entry.amount, 0);
+
+  return {
+    holdings,
+    realized,
+    dividends,
+    summary: {
+      realizedPnl: round(realizedPnl - standaloneCharges),
+      realizedTradePnl: round(realizedPnl),
+      standaloneCharges: round(standaloneCharges),
+      tradeCharges: round(tradeCharges),
+      dividendIncome: round(dividendIncome),
+      transactions: ordered.length,
+    },
+    warnings,
+  };
+}
+
+module.exports = {
+  TRANSACTION_TYPES,
+  CORPORATE_ACTION_TYPES,
+  toIsoDate,
+  daysBetween,
+  normalizeTransaction,
+  validateTransactionInput,
+  sortTransactions,
+  positionsToTransactions,
+  buildLedger,
+};
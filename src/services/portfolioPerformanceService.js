@@ -0,0 +1,711 @@
+const fs = require('fs');
+const path = require('path');
+const cron = require('node-cron');
+const { config } = require('../config');
+const { getDb, isMongoEnabled } = require('../db/mongoClient');
+const { readDb, readUserDb } = require('../store');
+const { buildLedger, sortTransactions, toIsoDate, daysBetween } = require('./portfolioLedgerService');
+const {
+  getQuotes,
+  calculatePortfolioAnalytics,
+  getBenchmarkCloseSeries,
+  BENCHMARK_SYMBOL,
+} = require('./marketDataService');
+const { isTradingDay } = require('./marketCalendarService');
+
+const SNAPSHOT_COLLECTION = 'portfolio_snapshots';
+const BENCHMARK_NAME = 'NIFTY 50';
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+const XIRR_MAX_ITERATIONS = 100;
+const XIRR_TOLERANCE = 1e-7;
+const DEFAULT_RUN_STATE = Object.freeze({
+  status: 'idle',
+  reason: '',
+  startedAt: '',
+  finishedAt: '',
+  users: 0,
+  snapshots: 0,
+  failed: 0,
+});
+
+let initialized = false;
+let schedulerTask = null;
+let runPromise = null;
+// Username the in-flight run is limited to; '' while it covers every user.
+let runScope = '';
+let state = {
+  snapshotsByUser: {},
+  run: { ...DEFAULT_RUN_STATE },
+  schedulerMode: 'disabled',
+  schedulerExpression: '',
+  schedulerTimezone: '',
+  running: false,
+  lastSkippedAt: '',
+  lastError: '',
+};
+
+function round(value, digits = 2) {
+  const factor = 10 ** digits;
+  return Math.round((Number(value) || 0) * factor) / factor;
+}
+
+function toFiniteOrNull(value) {
+  const parsed = Number(value);
+  return value !== null && value !== undefined && value !== '' && Number.isFinite(parsed) ? parsed : null;
+}
+
+// Calendar date in India, which is what "today" means for NSE/BSE closes.
+function getIstDate(now = new Date()) {
+  return new Date(now.getTime() + IST_OFFSET_MS).toISOString().slice(0, 10);
+}
+
+function normalizeSnapshotRecord(raw) {
+  if (!raw || typeof raw !== 'object') {
+    return null;
+  }
+
+  const date = toIsoDate(raw.date);
+  const value = toFiniteOrNull(raw.value);
+  if (!raw.username || !date || value === null) {
+    return null;
+  }
+
+  return {
+    username: String(raw.username),
+    date,
+    value: round(value),
+    invested: round(raw.invested),
+    netFlow: round(raw.netFlow),
+    holdings: Math.max(Number(raw.holdings) || 0, 0),
+    benchmarkClose: toFiniteOrNull(raw.benchmarkClose),
+    createdAt: raw.createdAt || new Date().toISOString(),
+    updatedAt: raw.updatedAt || raw.createdAt || new Date().toISOString(),
+  };
+}
+
+function indexSnapshots(records) {
+  const byUser = {};
+  (Array.isArray(records) ? records : []).forEach((raw) => {
+    const record = normalizeSnapshotRecord(raw);
+    if (!record) {
+      return;
+    }
+    byUser[record.username] = byUser[record.username] || {};
+    byUser[record.username][record.date] = record;
+  });
+  return byUser;
+}
+
+function ensureSnapshotDir() {
+  const dir = path.dirname(config.portfolioSnapshotFilePath);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+}
+
+function loadSnapshotsFromDisk() {
+  try {
+    if (!config.portfolioSnapshotFilePath || !fs.existsSync(config.portfolioSnapshotFilePath)) {
+      return {};
+    }
+
+    const parsed = JSON.parse(fs.readFileSync(config.portfolioSnapshotFilePath, 'utf8'));
+    if (parsed?.run && typeof parsed.run === 'object') {
+      state.run = { ...DEFAULT_RUN_STATE, ...parsed.run };
+    }
+    return indexSnapshots(parsed?.snapshots);
+  } catch (error) {
+    state.lastError = `portfolio-snapshot-load:${error.message}`;
+    return {};
+  }
+}
+
+function saveSnapshotsToDisk() {
+  try {
+    if (!config.portfolioSnapshotFilePath) return;
+    ensureSnapshotDir();
+    const snapshots = Object.values(state.snapshotsByUser)
+      .flatMap((byDate) => Object.values(byDate))
+      .sort((left, right) => left.username.localeCompare(right.username) || left.date.localeCompare(right.date));
+    fs.writeFileSync(
+      config.portfolioSnapshotFilePath,
+      JSON.stringify({ version: 1, run: state.run, snapshots }, null, 2),
+    );
+  } catch (error) {
+    state.lastError = `portfolio-snapshot-save:${error.message}`;
+  }
+}
+
+async function loadSnapshotsFromMongo() {
+  if (!isMongoEnabled()) {
+    return null;
+  }
+
+  try {
+    const db = await getDb();
+    if (!db) {
+      return null;
+    }
+
+    const records = await db.collection(SNAPSHOT_COLLECTION).find({}, { projection: { _id: 0 } }).toArray();
+    return records.length > 0 ? indexSnapshots(records) : null;
+  } catch (error) {
+    state.lastError = `portfolio-snapshot-mongo-load:${error.message}`;
+    return null;
+  }
+}
+
+async function saveSnapshotsToMongo(records) {
+  if (!isMongoEnabled()) {
+    return false;
+  }
+
+  try {
+    const db = await getDb();
+    if (!db) {
+      return false;
+    }
+
+    if (records.length > 0) {
+      await db.collection(SNAPSHOT_COLLECTION).bulkWrite(records.map((record) => ({
+        updateOne: {
+          filter: { username: record.username, date: record.date },
+          update: { $set: record },
+          upsert: true,
+        },
+      })), { ordered: false });
+    }
+    return true;
+  } catch (error) {
+    state.lastError = `portfolio-snapshot-mongo-save:${error.message}`;
+    return false;
+  }
+}
+
+async function loadSnapshotsFromStore() {
+  if (isMongoEnabled()) {
+    const loaded = await loadSnapshotsFromMongo();
+    if (loaded) {
+      return loaded;
+    }
+  }
+
+  return loadSnapshotsFromDisk();
+}
+
+async function saveSnapshotsToStore(records) {
+  const savedToMongo = await saveSnapshotsToMongo(records);
+  if (!savedToMongo) {
+    saveSnapshotsToDisk();
+  }
+}
+
+/**
+ * Money the investor put into the portfolio with one ledger row: buys (and any charge) add cash,
+ * sells take cash out net of their charges and dividends are paid out. Splits and bonuses move no cash.
+ */
+function getTransactionCashFlow(transaction, dividendsById) {
+  if (transaction.type === 'CHARGE') {
+    return transaction.amount;
+  }
+  if (transaction.type === 'DIVIDEND') {
+    return -(dividendsById.get(transaction.id) || 0);
+  }
+  if (transaction.type === 'SPLIT' || transaction.type === 'BONUS') {
+    return 0;
+  }
+
+  const gross = transaction.quantity * transaction.price;
+  return transaction.type === 'BUY'
+    ? gross + transaction.charges
+    : -(gross - transaction.charges);
+}
+
+function buildCashFlows(transactions) {
+  const ordered = sortTransactions(transactions);
+  const dividendsById = new Map(buildLedger(ordered).dividends.map((dividend) => [dividend.transactionId, dividend.amount]));
+  const byDate = new Map();
+  ordered.forEach((transaction) => {
+    byDate.set(transaction.date, (byDate.get(transaction.date) || 0) + getTransactionCashFlow(transaction, dividendsById));
+  });
+
+  return Array.from(byDate.entries())
+    .map(([date, amount]) => ({ date, amount: round(amount) }))
+    .filter((flow) => flow.amount !== 0)
+    .sort((left, right) => left.date.localeCompare(right.date));
+}
+
+function sumFlowsBetween(flows, afterDate, throughDate) {
+  return flows
+    .filter((flow) => flow.date > afterDate && flow.date <= throughDate)
+    .reduce((total, flow) => total + flow.amount, 0);
+}
+
+/**
+ * Annualized money-weighted return for dated cash flows (negative = paid in, positive = received).
+ * Newton-Raphson with a bisection fallback; returns null when the flows have no sign change.
+ */
+function calculateXirr(flows) {
+  const rows = (Array.isArray(flows) ? flows : [])
+    .filter((flow) => flow && Number.isFinite(flow.amount) && flow.amount !== 0 && toIsoDate(flow.date));
+  if (!rows.some((flow) => flow.amount < 0) || !rows.some((flow) => flow.amount > 0)) {
+    return null;
+  }
+
+  const startDate = rows.reduce((earliest, flow) => (flow.date < earliest ? flow.date : earliest), rows[0].date);
+  const terms = rows.map((flow) => ({ amount: flow.amount, years: daysBetween(startDate, flow.date) / 365 }));
+  const npv = (rate) => terms.reduce((total, term) => total + term.amount / ((1 + rate) ** term.years), 0);
+  const derivative = (rate) => terms.reduce(
+    (total, term) => total - (term.years * term.amount) / ((1 + rate) ** (term.years + 1)),
+    0,
+  );
+
+  let rate = 0.1;
+  for (let iteration = 0; iteration < XIRR_MAX_ITERATIONS; iteration += 1) {
+    const value = npv(rate);
+    const slope = derivative(rate);
+    if (!Number.isFinite(value) || !Number.isFinite(slope) || slope === 0) {
+      break;
+    }
+    const next = rate - value / slope;
+    if (!Number.isFinite(next) || next <= -1) {
+      break;
+    }
+    if (Math.abs(next - rate) < XIRR_TOLERANCE) {
+      return next;
+    }
+    rate = next;
+  }
+
+  let low = -0.9999;
+  let high = 10;
+  if (npv(low) * npv(high) > 0) {
+    return null;
+  }
+  for (let iteration = 0; iteration < 200; iteration += 1) {
+    const mid = (low + high) / 2;
+    const value = npv(mid);
+    if (Math.abs(value) < XIRR_TOLERANCE || (high - low) / 2 < XIRR_TOLERANCE) {
+      return mid;
+    }
+    if (npv(low) * value < 0) {
+      high = mid;
+    } else {
+      low = mid;
+    }
+  }
+  return (low + high) / 2;
+}
+
+/**
+ * Chains sub-period returns between consecutive valuations so deposits and withdrawals do not
+ * count as performance: r = (V_end - flows) / V_start - 1. Periods starting from zero are skipped.
+ * @returns {{ twr: number|null, index: number[] }} index is a growth-of-100 curve per point.
+ */
+function calculateTimeWeightedReturn(points, flows) {
+  const index = [];
+  let growth = 1;
+  let periods = 0;
+
+  points.forEach((point, position) => {
+    if (position > 0) {
+      const previous = points[position - 1];
+      if (previous.value > 0) {
+        const flow = sumFlowsBetween(flows, previous.date, point.date);
+        growth *= (point.value - flow) / previous.value;
+        periods += 1;
+      }
+    }
+    index.push(round(growth * 100, 4));
+  });
+
+  return { twr: periods > 0 ? growth - 1 : null, index };
+}
+
+function calculateMaxDrawdown(points, index) {
+  let peak = null;
+  let peakDate = '';
+  let worst = { percent: 0, peakDate: '', troughDate: '' };
+
+  index.forEach((level, position) => {
+    if (peak === null || level > peak) {
+      peak = level;
+      peakDate = points[position].date;
+      return;
+    }
+    const drawdown = peak > 0 ? (level - peak) / peak : 0;
+    if (drawdown < worst.percent) {
+      worst = { percent: drawdown, peakDate, troughDate: points[position].date };
+    }
+  });
+
+  return {
+    percent: round(worst.percent * 100),
+    peakDate: worst.peakDate,
+    troughDate: worst.troughDate,
+  };
+}
+
+function annualize(totalReturn, days) {
+  if (totalReturn === null || days < 365 || totalReturn <= -1) {
+    return null;
+  }
+  return ((1 + totalReturn) ** (365 / days)) - 1;
+}
+
+function toPercent(value) {
+  return value === null || !Number.isFinite(value) ? null : round(value * 100);
+}
+
+// Latest benchmark close on or before each date (snapshots can land on holidays).
+function alignBenchmark(points, series) {
+  let cursor = 0;
+  let lastClose = null;
+  return points.map((point) => {
+    while (cursor < series.length && series[cursor].date <= point.date) {
+      lastClose = series[cursor].close;
+      cursor += 1;
+    }
+    return point.benchmarkClose ?? lastClose;
+  });
+}
+
+function pickBenchmarkRange(fromDate, toDate) {
+  const days = daysBetween(fromDate, toDate);
+  if (days <= 360) return '1y';
+  if (days <= 725) return '2y';
+  if (days <= 1820) return '5y';
+  if (days <= 3640) return '10y';
+  return 'max';
+}
+
+async function valueUserPortfolio(username, transactions, date) {
+  const holdings = buildLedger(transactions, { asOf: date }).holdings;
+  const quotes = holdings.length > 0 ? await getQuotes(holdings.map((holding) => holding.symbol)) : [];
+  const analytics = calculatePortfolioAnalytics(
+    sortTransactions(transactions).filter((transaction) => transaction.date <= date),
+    quotes,
+  );
+  const flows = buildCashFlows(transactions);
+
+  return {
+    username,
+    date,
+    value: analytics.summary.current,
+    invested: analytics.summary.invested,
+    netFlow: round(flows.filter((flow) => flow.date === date).reduce((total, flow) => total + flow.amount, 0)),
+    holdings: holdings.length,
+  };
+}
+
+async function getLatestBenchmarkClose(date) {
+  try {
+    const series = await getBenchmarkCloseSeries({ range: '1mo' });
+    const onOrBefore = series.filter((item) => item.date <= date);
+    return onOrBefore.length > 0 ? onOrBefore[onOrBefore.length - 1].close : null;
+  } catch (_error) {
+    return null;
+  }
+}
+
+/**
+ * Values every user's ledger at today's quotes and upserts one snapshot per user per IST date.
+ * Users without any transactions are skipped. `username` limits the run to one user; such runs
+ * leave `run` in the status (the last all-users run) alone.
+ */
+async function takePortfolioSnapshots(options = {}) {
+  const reason = String(options.reason || 'manual');
+  const onlyUsername = options.username ? String(options.username) : '';
+  if (runPromise) {
+    if (!runScope || runScope === onlyUsername) {
+      return runPromise;
+    }
+    // The in-flight run is for someone else: take this one once it has finished.
+    return runPromise.catch(() => {}).then(() => takePortfolioSnapshots(options));
+  }
+
+  runScope = onlyUsername;
+  runPromise = (async () => {
+    const date = getIstDate();
+    const nowIso = new Date().toISOString();
+    let run = { ...DEFAULT_RUN_STATE, status: 'running', reason, startedAt: nowIso };
+    const setRun = (next) => {
+      run = next;
+      if (!onlyUsername) {
+        state.run = run;
+      }
+    };
+    state.running = true;
+    setRun(run);
+
+    try {
+      const users = Object.values(readDb().users || {})
+        .filter((userState) => !onlyUsername || userState.username === onlyUsername)
+        .filter((userState) => Array.isArray(userState.transactions) && userState.transactions.length > 0);
+      const benchmarkClose = users.length > 0 ? await getLatestBenchmarkClose(date) : null;
+      const records = [];
+
+      for (const userState of users) {
+        try {
+          const valued = await valueUserPortfolio(userState.username, userState.transactions, date);
+          const existing = state.snapshotsByUser[userState.username]?.[date];
+          records.push(normalizeSnapshotRecord({
+            ...valued,
+            benchmarkClose,
+            createdAt: existing?.createdAt || nowIso,
+            updatedAt: nowIso,
+          }));
+        } catch (error) {
+          setRun({ ...run, failed: run.failed + 1 });
+          state.lastError = `portfolio-snapshot-user:${userState.username}:${error.message}`;
+        }
+      }
+
+      records.filter(Boolean).forEach((record) => {
+        state.snapshotsByUser[record.username] = state.snapshotsByUser[record.username] || {};
+        state.snapshotsByUser[record.username][record.date] = record;
+      });
+
+      setRun({
+        ...run,
+        status: 'completed',
+        finishedAt: new Date().toISOString(),
+        users: users.length,
+        snapshots: records.length,
+      });
+      await saveSnapshotsToStore(records.filter(Boolean));
+      console.log(`[portfolio-snapshot] ${reason}: ${records.length} snapshot(s) for ${date}`);
+    } catch (error) {
+      setRun({ ...run, status: 'failed', finishedAt: new Date().toISOString() });
+      state.lastError = `portfolio-snapshot-run:${error.message}`;
+      throw error;
+    } finally {
+      state.running = false;
+      runPromise = null;
+      runScope = '';
+    }
+    return getPortfolioSnapshotStatus();
+  })();
+
+  return runPromise;
+}
+
+function getUserSnapshots(username, { from = '', to = '' } = {}) {
+  return Object.values(state.snapshotsByUser[username] || {})
+    .filter((record) => (!from || record.date >= from) && (!to || record.date <= to))
+    .sort((left, right) => left.date.localeCompare(right.date));
+}
+
+/**
+ * Value curve and return metrics for one user between `from` and `to` (inclusive, YYYY-MM-DD).
+ * The curve is the stored daily snapshots plus a live point for today when `to` is open-ended.
+ */
+async function getPortfolioPerformance(username, options = {}) {
+  if (options.from && !toIsoDate(options.from)) {
+    throw new Error('from must be a valid date (YYYY-MM-DD).');
+  }
+  if (options.to && !toIsoDate(options.to)) {
+    throw new Error('to must be a valid date (YYYY-MM-DD).');
+  }
+
+  const today = getIstDate();
+  const from = toIsoDate(options.from);
+  const to = toIsoDate(options.to) || today;
+  if (from && from > to) {
+    throw new Error('from must be on or before to.');
+  }
+
+  const transactions = readUserDb(username).transactions || [];
+  const flows = buildCashFlows(transactions);
+  const points = getUserSnapshots(username, { from, to }).map((record) => ({ ...record, live: false }));
+
+  if (to >= today && transactions.length > 0) {
+    const live = await valueUserPortfolio(username, transactions, today);
+    const last = points[points.length - 1];
+    const livePoint = { ...live, benchmarkClose: null, live: true };
+    if (last && last.date === today) {
+      points[points.length - 1] = { ...livePoint, benchmarkClose: last.benchmarkClose };
+    } else {
+      points.push(livePoint);
+    }
+  }
+
+  const startDate = points[0]?.date || from || to;
+  const endDate = points[points.length - 1]?.date || to;
+  const rangeFlows = flows.filter((flow) => (!from || flow.date >= from) && flow.date <= endDate);
+  const { twr, index } = calculateTimeWeightedReturn(points, flows);
+  const spanDays = daysBetween(startDate, endDate);
+  const startValue = points[0]?.value ?? 0;
+  const endValue = points[points.length - 1]?.value ?? 0;
+
+  // XIRR from the investor's side: money in is negative, the closing value is received back.
+  // With `from`, the opening valuation stands in for everything bought before the range.
+  const xirrFlows = from && points.length > 0
+    ? [
+      { date: startDate, amount: -startValue },
+      ...flows.filter((flow) => flow.date > startDate && flow.date <= endDate).map((flow) => ({ ...flow, amount: -flow.amount })),
+    ]
+    : rangeFlows.map((flow) => ({ ...flow, amount: -flow.amount }));
+  if (points.length > 0) {
+    xirrFlows.push({ date: endDate, amount: endValue });
+  }
+  const xirr = calculateXirr(xirrFlows);
+
+  const benchmark = { symbol: BENCHMARK_SYMBOL, name: BENCHMARK_NAME, available: false, returnPercent: null, error: '' };
+  let benchmarkCloses = points.map((point) => point.benchmarkClose);
+  if (points.length > 0) {
+    try {
+      const series = await getBenchmarkCloseSeries({ range: pickBenchmarkRange(startDate, today) });
+      benchmarkCloses = alignBenchmark(points, series);
+    } catch (error) {
+      benchmark.error = error.message;
+    }
+  }
+  const baseClose = benchmarkCloses.find((close) => close !== null && close !== undefined) ?? null;
+  const lastClose = [...benchmarkCloses].reverse().find((close) => close !== null && close !== undefined) ?? null;
+  if (baseClose && lastClose && points.length > 1) {
+    benchmark.available = true;
+    benchmark.returnPercent = round(((lastClose / baseClose) - 1) * 100);
+  }
+
+  const twrPercent = toPercent(twr);
+  return {
+    username,
+    from: startDate,
+    to: endDate,
+    asOf: new Date().toISOString(),
+    points: points.map((point, position) => ({
+      date: point.date,
+      value: point.value,
+      invested: point.invested,
+      netFlow: position > 0
+        ? round(sumFlowsBetween(flows, points[position - 1].date, point.date))
+        : round(flows.filter((flow) => flow.date === point.date).reduce((total, flow) => total + flow.amount, 0)),
+      index: index[position],
+      benchmarkIndex: baseClose && benchmarkCloses[position]
+        ? round((benchmarkCloses[position] / baseClose) * 100, 4)
+        : null,
+      live: point.live,
+    })),
+    cashFlows: rangeFlows,
+    metrics: {
+      startValue: round(startValue),
+      endValue: round(endValue),
+      netFlows: round(rangeFlows.reduce((total, flow) => total + flow.amount, 0)),
+      xirrPercent: toPercent(xirr),
+      twrPercent,
+      twrAnnualizedPercent: toPercent(annualize(twr, spanDays)),
+      maxDrawdown: calculateMaxDrawdown(points, index),
+      benchmarkReturnPercent: benchmark.returnPercent,
+      excessReturnPercent: twrPercent !== null && benchmark.returnPercent !== null
+        ? round(twrPercent - benchmark.returnPercent)
+        : null,
+      days: spanDays,
+      snapshots: getUserSnapshots(username, { from, to }).length,
+    },
+    benchmark,
+  };
+}
+
+async function deleteUserSnapshots(username) {
+  delete state.snapshotsByUser[username];
+  if (isMongoEnabled()) {
+    const db = await getDb();
+    if (db) {
+      await db.collection(SNAPSHOT_COLLECTION).deleteMany({ username });
+      return;
+    }
+  }
+  saveSnapshotsToDisk();
+}
+
+function getPortfolioSnapshotStatus() {
+  const users = Object.keys(state.snapshotsByUser);
+  return {
+    enabled: Boolean(config.portfolioSnapshotEnabled),
+    schedulerMode: state.schedulerMode,
+    schedulerExpression: state.schedulerExpression,
+    schedulerTimezone: state.schedulerTimezone,
+    running: state.running,
+    users: users.length,
+    totalSnapshots: users.reduce((total, username) => total + Object.keys(state.snapshotsByUser[username]).length, 0),
+    run: { ...state.run },
+    lastSkippedAt: state.lastSkippedAt,
+    lastError: state.lastError || '',
+  };
+}
+
+function schedulePortfolioSnapshotJob() {
+  if (schedulerTask) {
+    schedulerTask.stop();
+    schedulerTask = null;
+  }
+
+  if (!config.portfolioSnapshotEnabled) {
+    state.schedulerMode = 'disabled';
+    state.schedulerExpression = '';
+    state.schedulerTimezone = '';
+    return;
+  }
+
+  const cronExpression = String(config.portfolioSnapshotDailyCron || '').trim();
+  const timezone = String(config.portfolioSnapshotCronTimezone || 'Asia/Kolkata');
+  if (!cronExpression || !cron.validate(cronExpression)) {
+    state.schedulerMode = 'disabled';
+    state.schedulerExpression = cronExpression;
+    state.schedulerTimezone = timezone;
+    state.lastError = `portfolio-snapshot-cron-invalid:${cronExpression || 'empty'}`;
+    return;
+  }
+
+  schedulerTask = cron.schedule(cronExpression, () => {
+    // No session today means no new closing prices; the previous snapshot still stands.
+    if (!isTradingDay(getIstDate())) {
+      state.lastSkippedAt = new Date().toISOString();
+      console.log('[portfolio-snapshot] scheduled run skipped: not a trading day');
+      return;
+    }
+    takePortfolioSnapshots({ reason: 'scheduled-cron' })
+      .catch((error) => {
+        state.lastError = `portfolio-snapshot-cron-run:${error.message}`;
+      });
+  }, {
+    scheduled: true,
+    timezone,
+  });
+
+  state.schedulerMode = 'cron';
+  state.schedulerExpression = cronExpression;
+  state.schedulerTimezone = timezone;
+}
+
+async function initializePortfolioSnapshots() {
+  if (initialized) {
+    return getPortfolioSnapshotStatus();
+  }
+
+  state.snapshotsByUser = await loadSnapshotsFromStore();
+  schedulePortfolioSnapshotJob();
+  initialized = true;
+  return getPortfolioSnapshotStatus();
+}
+
+function stopPortfolioSnapshots() {
+  if (schedulerTask) {
+    schedulerTask.stop();
+    schedulerTask = null;
+  }
+}
+
+module.exports = {
+  initializePortfolioSnapshots,
+  takePortfolioSnapshots,
+  getPortfolioPerformance,
+  getPortfolioSnapshotStatus,
+  deleteUserSnapshots,
+  stopPortfolioSnapshots,
+  buildCashFlows,
+  calculateXirr,
+  calculateTimeWeightedReturn,
+  calculateMaxDrawdown,
+};
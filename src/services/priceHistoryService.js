@@ -0,0 +1,279 @@
+const fs = require('fs');
+const path = require('path');
+const { config } = require('../config');
+const { getDb, isMongoEnabled } = require('../db/mongoClient');
+const { createHttpError } = require('../utils/httpError');
+const { normalizeIndianSymbol } = require('../utils/symbols');
+const { fetchHistoricalCandles } = require('./marketDataService');
+const { getLastClose, isMarketActive } = require('./marketCalendarService');
+
+const HISTORY_COLLECTION = 'price_history';
+const HISTORY_INTERVALS = ['1d', '1wk'];
+// Range served when the request has no `from`.
+const DEFAULT_RANGE_DAYS = { '1d': 365, '1wk': 5 * 365 };
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// One fetch/merge/save at a time per symbol+interval so concurrent requests never overwrite each other.
+const locks = new Map();
+let state = {
+  lastFetchAt: '',
+  lastFetchedKey: '',
+  lastError: '',
+};
+
+function getIstDate(date = new Date()) {
+  return new Date(date.getTime() + IST_OFFSET_MS).toISOString().slice(0, 10);
+}
+
+function shiftIsoDate(isoDate, days) {
+  return new Date(Date.parse(`${isoDate}T00:00:00Z`) + (days * DAY_MS)).toISOString().slice(0, 10);
+}
+
+function toWeekStart(isoDate) {
+  const day = new Date(`${isoDate}T00:00:00Z`).getUTCDay() || 7;
+  return shiftIsoDate(isoDate, 1 - day);
+}
+
+function parseRangeDate(value, label) {
+  const text = String(value || '').trim();
+  if (!text) {
+    return '';
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(text) || Number.isNaN(Date.parse(`${text}T00:00:00Z`))) {
+    throw new Error(`${label} must be YYYY-MM-DD (got "${text}").`);
+  }
+  return text;
+}
+
+function resolveRange(interval, fromInput, toInput) {
+  const today = getIstDate();
+  const to = [parseRangeDate(toInput, 'to') || today, today].sort()[0];
+  let from = parseRangeDate(fromInput, 'from') || shiftIsoDate(to, -DEFAULT_RANGE_DAYS[interval]);
+  if (from > to) {
+    throw new Error('from must be on or before to.');
+  }
+  const maxYears = Math.max(Number(config.priceHistoryMaxYears) || 0, 1);
+  if (from < shiftIsoDate(to, -Math.round(maxYears * 365.25))) {
+    throw new Error(`Price history is limited to ${maxYears} years per request.`);
+  }
+  if (interval === '1wk') {
+    from = toWeekStart(from);
+  }
+  return { from, to };
+}
+
+function recordKey(symbol, interval) {
+  return `${symbol}:${interval}`;
+}
+
+function historyFilePath(symbol, interval) {
+  return path.join(config.priceHistoryDir, `${symbol.replace(/[^A-Za-z0-9._-]/g, '_')}_${interval}.json`);
+}
+
+function loadRecordFromDisk(symbol, interval) {
+  try {
+    const filePath = historyFilePath(symbol, interval);
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    state.lastError = `price-history-load:${error.message}`;
+    return null;
+  }
+}
+
+function saveRecordToDisk(record) {
+  try {
+    if (!fs.existsSync(config.priceHistoryDir)) {
+      fs.mkdirSync(config.priceHistoryDir, { recursive: true });
+    }
+    fs.writeFileSync(historyFilePath(record.symbol, record.interval), JSON.stringify(record));
+  } catch (error) {
+    state.lastError = `price-history-save:${error.message}`;
+  }
+}
+
+async function loadRecord(symbol, interval) {
+  if (isMongoEnabled()) {
+    try {
+      const db = await getDb();
+      if (db) {
+        const doc = await db.collection(HISTORY_COLLECTION).findOne({ _id: recordKey(symbol, interval) });
+        if (doc) {
+          const { _id, ...record } = doc;
+          return record;
+        }
+        return null;
+      }
+    } catch (error) {
+      state.lastError = `price-history-mongo-load:${error.message}`;
+    }
+  }
+  return loadRecordFromDisk(symbol, interval);
+}
+
+async function saveRecord(record) {
+  if (isMongoEnabled()) {
+    try {
+      const db = await getDb();
+      if (db) {
+        await db.collection(HISTORY_COLLECTION).updateOne(
+          { _id: recordKey(record.symbol, record.interval) },
+          { $set: record },
+          { upsert: true },
+        );
+        return;
+      }
+    } catch (error) {
+      state.lastError = `price-history-mongo-save:${error.message}`;
+    }
+  }
+  saveRecordToDisk(record);
+}
+
+async function withLock(key, task) {
+  const previous = locks.get(key) || Promise.resolve();
+  const current = previous.catch(() => {}).then(task);
+  locks.set(key, current);
+  try {
+    return await current;
+  } finally {
+    if (locks.get(key) === current) {
+      locks.delete(key);
+    }
+  }
+}
+
+// The newest candle may still move: refetch it once a session has closed since the last fetch,
+// or every `PRICE_HISTORY_LIVE_TTL_MS` while the market is active.
+function isTailStale(record, nowDate = new Date()) {
+  const fetchedAtMs = Date.parse(record.fetchedAt || '');
+  if (!Number.isFinite(fetchedAtMs)) {
+    return true;
+  }
+  const lastClose = getLastClose(nowDate);
+  if (lastClose && fetchedAtMs < lastClose.at.getTime()) {
+    return true;
+  }
+  return isMarketActive(nowDate) && nowDate.getTime() - fetchedAtMs > Number(config.priceHistoryLiveTtlMs || 0);
+}
+
+function mergeCandles(existing, incoming) {
+  const byDate = new Map(existing.map((candle) => [candle.date, candle]));
+  incoming.forEach((candle) => byDate.set(candle.date, candle));
+  return Array.from(byDate.values()).sort((left, right) => left.date.localeCompare(right.date));
+}
+
+// Every provider errored (as opposed to answering with no rows), so the range is not known to be empty.
+function isFetchFailure(result) {
+  return result.candles.length === 0 && !result.providerTrace.some((entry) => entry.endsWith(':miss'));
+}
+
+/**
+ * Daily (`1d`) or weekly (`1wk`) OHLCV candles for a symbol, served from the price-history store.
+ * Only the missing parts are fetched: older candles before the stored range, and the newest
+ * candle onwards when it may have changed. When every provider fails the stored candles are
+ * returned with `stale: true`.
+ */
+async function getPriceHistory(symbolInput, options = {}) {
+  const symbol = normalizeIndianSymbol(symbolInput);
+  if (!symbol) {
+    throw new Error('Symbol is required.');
+  }
+  const interval = String(options.interval || '1d');
+  if (!HISTORY_INTERVALS.includes(interval)) {
+    throw new Error(`interval must be one of ${HISTORY_INTERVALS.join(', ')}.`);
+  }
+  const { from, to } = resolveRange(interval, options.from, options.to);
+
+  return withLock(recordKey(symbol, interval), async () => {
+    const today = getIstDate();
+    const record = await loadRecord(symbol, interval) || {
+      symbol,
+      interval,
+      candles: [],
+      coveredFrom: '',
+      source: '',
+      providerTrace: [],
+      fetchedAt: '',
+    };
+    const lastDate = record.candles.length > 0 ? record.candles[record.candles.length - 1].date : '';
+    const gaps = [];
+    if (!record.coveredFrom) {
+      gaps.push({ from, to: today, tail: true });
+    } else {
+      if (from < record.coveredFrom) {
+        gaps.push({ from, to: shiftIsoDate(record.coveredFrom, -1), tail: false });
+      }
+      if (to >= lastDate && isTailStale(record)) {
+        gaps.push({ from: lastDate || record.coveredFrom, to: today, tail: true });
+      }
+    }
+
+    let stale = false;
+    let failureTrace = [];
+    for (const gap of gaps) {
+      const result = await fetchHistoricalCandles(symbol, { interval, from: gap.from, to: gap.to });
+      state.lastFetchAt = new Date().toISOString();
+      state.lastFetchedKey = recordKey(symbol, interval);
+      if (isFetchFailure(result)) {
+        stale = true;
+        failureTrace = result.providerTrace;
+        state.lastError = `price-history-fetch:${symbol}:${result.providerTrace.slice(-1)[0] || 'no-provider'}`;
+        continue;
+      }
+      state.lastError = '';
+      record.candles = mergeCandles(record.candles, result.candles);
+      record.coveredFrom = [gap.from, record.coveredFrom || gap.from].sort()[0];
+      record.source = result.source || record.source;
+      record.providerTrace = result.providerTrace.slice(-20);
+      if (gap.tail) {
+        record.fetchedAt = new Date().toISOString();
+      }
+      record.updatedAt = new Date().toISOString();
+    }
+
+    if (gaps.length > 0 && record.updatedAt) {
+      await saveRecord(record);
+    }
+    if (record.candles.length === 0) {
+      if (stale) {
+        throw createHttpError(
+          503,
+          `Price history for ${symbol} could not be fetched (${failureTrace.join(', ') || 'no provider'}).`,
+          'history_unavailable',
+        );
+      }
+      throw new Error(`Price history not found for ${symbol}.`);
+    }
+
+    return {
+      symbol,
+      interval,
+      from,
+      to,
+      candles: record.candles.filter((candle) => candle.date >= from && candle.date <= to),
+      source: record.source,
+      fetchedAt: record.fetchedAt,
+      stale,
+    };
+  });
+}
+
+function getPriceHistoryStatus() {
+  return {
+    storage: isMongoEnabled() ? 'mongo' : 'file',
+    inFlight: locks.size,
+    lastFetchAt: state.lastFetchAt,
+    lastFetchedKey: state.lastFetchedKey,
+    lastError: state.lastError || '',
+  };
+}
+
+module.exports = {
+  HISTORY_INTERVALS,
+  getPriceHistory,
+  getPriceHistoryStatus,
+};
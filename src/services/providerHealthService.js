@@ -0,0 +1,216 @@
+const { config } = require('../config');
+
+// Hit rates need a few calls before they can move a provider; fewer samples keep the configured position.
+const MIN_SAMPLES_FOR_RANKING = 5;
+const HIT_RATE_BUCKETS = 4;
+
+const providers = new Map();
+
+function getProviderState(provider) {
+  if (!providers.has(provider)) {
+    providers.set(provider, {
+      calls: [],
+      totalCalls: 0,
+      totalFailures: 0,
+      consecutiveFailures: 0,
+      lastSuccessAt: '',
+      lastError: '',
+      lastErrorAt: '',
+      breaker: 'closed',
+      openUntil: 0,
+      cooldownMs: 0,
+      forced: false,
+      probing: false,
+    });
+  }
+  return providers.get(provider);
+}
+
+// Calls inside the health window: at most `PROVIDER_HEALTH_WINDOW` of them, none older than `PROVIDER_HEALTH_WINDOW_MS`.
+function getRecentCalls(state, nowMs = Date.now()) {
+  const maxAgeMs = Math.max(Number(config.providerHealthWindowMs) || 0, 1000);
+  state.calls = state.calls.filter((call) => nowMs - call.at <= maxAgeMs);
+  return state.calls;
+}
+
+function percentile(sortedValues, fraction) {
+  if (sortedValues.length === 0) {
+    return null;
+  }
+  const index = Math.min(sortedValues.length - 1, Math.max(0, Math.ceil(fraction * sortedValues.length) - 1));
+  return sortedValues[index];
+}
+
+function getHitRate(calls) {
+  const requested = calls.reduce((total, call) => total + call.requested, 0);
+  if (requested === 0) {
+    return null;
+  }
+  return calls.reduce((total, call) => total + call.hits, 0) / requested;
+}
+
+function openBreaker(state, nowMs) {
+  const baseMs = Math.max(Number(config.providerBreakerCooldownMs) || 0, 1000);
+  const maxMs = Math.max(Number(config.providerBreakerMaxCooldownMs) || 0, baseMs);
+  // A failed half-open probe doubles the cooldown; a fresh trip starts from the base.
+  state.cooldownMs = state.breaker === 'half-open' && state.cooldownMs > 0
+    ? Math.min(state.cooldownMs * 2, maxMs)
+    : baseMs;
+  state.breaker = 'open';
+  state.openUntil = nowMs + state.cooldownMs;
+  state.probing = false;
+}
+
+/**
+ * Asks to call `provider` now. Returns '' when allowed, otherwise the skip reason. Once an open
+ * breaker has cooled down one caller gets through as the half-open probe; its recorded result
+ * closes the breaker or opens it again with a longer cooldown.
+ */
+function acquireProvider(provider, nowMs = Date.now()) {
+  const state = getProviderState(provider);
+  if (state.forced) {
+    return 'circuit-forced-open';
+  }
+  if (state.breaker === 'open') {
+    if (nowMs < state.openUntil) {
+      return 'circuit-open';
+    }
+    state.breaker = 'half-open';
+  }
+  if (state.breaker === 'half-open') {
+    if (state.probing) {
+      return 'circuit-probing';
+    }
+    state.probing = true;
+  }
+  return '';
+}
+
+// Read-only check for callers that do not record results (enrichment passes, history fetches).
+function isProviderAvailable(provider, nowMs = Date.now()) {
+  const state = getProviderState(provider);
+  return !state.forced && !(state.breaker === 'open' && nowMs < state.openUntil);
+}
+
+/**
+ * Records one provider call. `ok: false` (the provider threw) counts towards the breaker;
+ * `requested`/`hits` feed the hit rate. `applicable: false` means the provider had nothing to do
+ * for these symbols (e.g. BSE for NSE-only symbols): it only releases a half-open probe.
+ */
+function recordProviderCall(provider, { ok, latencyMs = 0, requested = 0, hits = 0, error = '', applicable = true } = {}) {
+  const state = getProviderState(provider);
+  const nowMs = Date.now();
+  if (!applicable) {
+    state.probing = false;
+    return;
+  }
+
+  state.totalCalls += 1;
+  state.calls.push({ at: nowMs, ok: Boolean(ok), latencyMs, requested, hits });
+  const windowSize = Math.max(Number(config.providerHealthWindow) || 0, 1);
+  if (state.calls.length > windowSize) {
+    state.calls.splice(0, state.calls.length - windowSize);
+  }
+
+  if (ok) {
+    state.consecutiveFailures = 0;
+    state.lastSuccessAt = new Date(nowMs).toISOString();
+    if (state.breaker !== 'closed' && !state.forced) {
+      console.log(`[provider-health] ${provider} breaker closed`);
+    }
+    state.breaker = 'closed';
+    state.cooldownMs = 0;
+    state.probing = false;
+    return;
+  }
+
+  state.totalFailures += 1;
+  state.consecutiveFailures += 1;
+  state.lastError = String(error || 'error');
+  state.lastErrorAt = new Date(nowMs).toISOString();
+  const threshold = Math.max(Number(config.providerBreakerFailureThreshold) || 0, 1);
+  if (state.breaker === 'half-open' || (state.breaker === 'closed' && state.consecutiveFailures >= threshold)) {
+    openBreaker(state, nowMs);
+    console.warn(`[provider-health] ${provider} breaker open for ${Math.round(state.cooldownMs / 1000)}s: ${state.lastError}`);
+  }
+}
+
+/**
+ * `order` re-sorted by recent hit rate (in quartiles, so small differences do not reshuffle it);
+ * providers with too few recent calls keep their configured position ahead of poor performers.
+ */
+function rankProviders(order) {
+  const nowMs = Date.now();
+  const ranked = order.map((provider, index) => {
+    const calls = getRecentCalls(getProviderState(provider), nowMs);
+    const hitRate = calls.length >= MIN_SAMPLES_FOR_RANKING ? getHitRate(calls) : null;
+    return {
+      provider,
+      index,
+      bucket: hitRate === null ? HIT_RATE_BUCKETS : Math.floor(hitRate * HIT_RATE_BUCKETS),
+    };
+  });
+  return ranked
+    .sort((left, right) => (right.bucket - left.bucket) || (left.index - right.index))
+    .map((item) => item.provider);
+}
+
+function getProviderHealth(provider) {
+  const nowMs = Date.now();
+  const state = getProviderState(provider);
+  const calls = getRecentCalls(state, nowMs);
+  const latencies = calls.map((call) => call.latencyMs).sort((left, right) => left - right);
+  const successes = calls.filter((call) => call.ok).length;
+  const hitRate = getHitRate(calls);
+  const coolingDown = state.breaker === 'open' && nowMs < state.openUntil;
+  return {
+    provider,
+    breaker: state.forced ? 'forced-open' : (state.breaker === 'open' && !coolingDown ? 'half-open' : state.breaker),
+    openUntil: coolingDown ? new Date(state.openUntil).toISOString() : '',
+    recentCalls: calls.length,
+    successRate: calls.length > 0 ? Number((successes / calls.length).toFixed(4)) : null,
+    hitRate: hitRate === null ? null : Number(hitRate.toFixed(4)),
+    latencyMs: {
+      p50: percentile(latencies, 0.5),
+      p90: percentile(latencies, 0.9),
+      p99: percentile(latencies, 0.99),
+    },
+    consecutiveFailures: state.consecutiveFailures,
+    totalCalls: state.totalCalls,
+    totalFailures: state.totalFailures,
+    lastSuccessAt: state.lastSuccessAt,
+    lastError: state.lastError,
+    lastErrorAt: state.lastErrorAt,
+  };
+}
+
+// Keeps the provider skipped until `resetBreaker`.
+function forceOpenBreaker(provider) {
+  const state = getProviderState(provider);
+  state.forced = true;
+  state.probing = false;
+  console.log(`[provider-health] ${provider} breaker forced open`);
+  return getProviderHealth(provider);
+}
+
+function resetBreaker(provider) {
+  const state = getProviderState(provider);
+  state.forced = false;
+  state.breaker = 'closed';
+  state.openUntil = 0;
+  state.cooldownMs = 0;
+  state.probing = false;
+  state.consecutiveFailures = 0;
+  console.log(`[provider-health] ${provider} breaker reset`);
+  return getProviderHealth(provider);
+}
+
+module.exports = {
+  acquireProvider,
+  isProviderAvailable,
+  recordProviderCall,
+  rankProviders,
+  getProviderHealth,
+  forceOpenBreaker,
+  resetBreaker,
+};
@@ -0,0 +1,71 @@
+const { normalizeIndianSymbol } = require('../../utils/symbols');
+const { getFixtureMode } = require('../fixtureService');
+const { listProviders, hasCapability, getMissingCredentials } = require('./registry');
+
+// Offline provider: replays the recorded responses of the other providers (see fixtureService).
+// Technicals and profiles need no entry here; those chains already run through every registered
+// provider and, in replay mode, read from disk too.
+
+function getRecordedProviders(capability) {
+  return listProviders().filter((provider) => provider.id !== 'fixture'
+    && hasCapability(provider, capability)
+    && getMissingCredentials(provider).length === 0);
+}
+
+function assertReplay() {
+  const mode = getFixtureMode();
+  if (mode !== 'replay') {
+    throw new Error(`fixture-replay-disabled(mode=${mode})`);
+  }
+}
+
+async function fetchQuotes(symbols) {
+  assertReplay();
+  const pending = new Set(symbols);
+  const quotes = [];
+  const failures = [];
+  for (const provider of getRecordedProviders('quotes')) {
+    if (pending.size === 0) {
+      break;
+    }
+    try {
+      const recorded = await provider.fetchQuotes(Array.from(pending));
+      for (const quote of recorded || []) {
+        const symbol = normalizeIndianSymbol(quote?.symbol);
+        if (symbol && pending.delete(symbol)) {
+          quotes.push({ ...quote, source: 'fixture' });
+        }
+      }
+    } catch (error) {
+      failures.push(`${provider.id}:${error.message}`);
+    }
+  }
+
+  if (quotes.length === 0 && failures.length > 0) {
+    throw new Error(`fixture-empty-result-set:${failures.slice(0, 3).join(';')}`);
+  }
+  return quotes;
+}
+
+async function fetchDailyCandles(symbol, range) {
+  assertReplay();
+  for (const provider of getRecordedProviders('history')) {
+    try {
+      const candles = await provider.fetchDailyCandles(symbol, range);
+      if (Array.isArray(candles) && candles.length > 0) {
+        return candles;
+      }
+    } catch (error) {
+      // Try the next recording.
+    }
+  }
+  return [];
+}
+
+module.exports = {
+  id: 'fixture',
+  label: 'FIX',
+  name: 'Recorded fixtures',
+  fetchQuotes,
+  fetchDailyCandles,
+};
@@ -0,0 +1,107 @@
+const fs = require('fs');
+const path = require('path');
+const { config } = require('../../config');
+
+/**
+ * Market-data provider interface. Only `id` is required; every fetcher is optional and defines a
+ * capability:
+ * - `fetchQuotes(symbols)` -> raw quotes (normalized by the caller); throws when it tried and got nothing
+ * - `fetchTechnicals(symbol, { priceHint, nameHint })` -> technical snapshot (EMA50/EMA200/30-week SMA) or null
+ * - `fetchDailyCandles(symbol, { from, to })` -> `[{ date, open, high, low, close, volume }]` for price history
+ * - `fetchProfile(symbol)` -> company profile object or null
+ * Metadata: `label` (compact UI source label), `name`, `hosts` (checked by the doctor script),
+ * `credentials` (`[{ configKey, env }]`, all required), `supportsSymbol(symbol)` and
+ * `exchange: true` for the NSE/BSE feeds whose technicals come before the alias bridge.
+ */
+const CAPABILITIES = {
+  quotes: 'fetchQuotes',
+  technicals: 'fetchTechnicals',
+  history: 'fetchDailyCandles',
+  profile: 'fetchProfile',
+};
+
+const providers = new Map();
+let modulesLoaded = false;
+
+function registerProvider(definition) {
+  const id = String(definition?.id || '').trim().toLowerCase();
+  if (!/^[a-z0-9_-]+$/.test(id)) {
+    throw new Error(`Invalid market-data provider id "${definition?.id}".`);
+  }
+  const provider = {
+    ...definition,
+    id,
+    label: String(definition.label || id.slice(0, 3).toUpperCase()),
+    name: String(definition.name || id),
+    hosts: Array.isArray(definition.hosts) ? definition.hosts : [],
+    credentials: Array.isArray(definition.credentials) ? definition.credentials : [],
+  };
+  providers.set(id, provider);
+  return provider;
+}
+
+// Every module in this directory (except the registry) is a provider definition or a list of them.
+function loadProviderModules() {
+  if (modulesLoaded) {
+    return;
+  }
+  modulesLoaded = true;
+  let files = [];
+  try {
+    files = fs.readdirSync(__dirname)
+      .filter((file) => file.endsWith('.js') && file !== path.basename(__filename))
+      .sort();
+  } catch (error) {
+    // Bundled deployments (e.g. the Netlify function) may not ship this directory.
+    return;
+  }
+  for (const file of files) {
+    try {
+      const exported = require(path.join(__dirname, file));
+      (Array.isArray(exported) ? exported : [exported]).forEach((definition) => registerProvider(definition));
+    } catch (error) {
+      console.error(`[providers] failed to load ${file}:`, error.message);
+    }
+  }
+}
+
+// Built-in providers first (in registration order), then the modules from this directory.
+function listProviders() {
+  loadProviderModules();
+  return Array.from(providers.values());
+}
+
+function getProvider(id) {
+  loadProviderModules();
+  return providers.get(String(id || '').trim().toLowerCase()) || null;
+}
+
+function getProviderCapabilities(provider) {
+  return Object.entries(CAPABILITIES)
+    .filter(([, method]) => typeof provider?.[method] === 'function')
+    .map(([capability]) => capability);
+}
+
+function hasCapability(provider, capability) {
+  return typeof provider?.[CAPABILITIES[capability]] === 'function';
+}
+
+function getMissingCredentials(provider) {
+  return (provider?.credentials || [])
+    .filter((credential) => !config[credential.configKey])
+    .map((credential) => credential.env || credential.configKey);
+}
+
+function supportsSymbol(provider, symbol) {
+  return typeof provider?.supportsSymbol !== 'function' || Boolean(provider.supportsSymbol(symbol));
+}
+
+module.exports = {
+  registerProvider,
+  listProviders,
+  getProvider,
+  getProviderCapabilities,
+  hasCapability,
+  getMissingCredentials,
+  supportsSymbol,
+};
@@ -0,0 +1,255 @@
+const crypto = require('crypto');
+const { config } = require('../config');
+const { getWatchlistEntries, updateWatchlistQuoteCaches } = require('../store');
+const { getQuotes } = require('./marketDataService');
+const { getMarketStatus, isMarketActive, isCachedSinceLastClose } = require('./marketCalendarService');
+
+// The trace changes on every fetch and rows already show the symbol-master name, so neither is streamed.
+const IGNORED_DELTA_FIELDS = new Set(['providerTrace', 'shortName']);
+
+const subscribers = new Map();
+let tickTimer = null;
+let tickPromise = null;
+let state = {
+  marketPhase: '',
+  lastTickAt: '',
+  lastDeltaCount: 0,
+  lastError: '',
+};
+
+function getTickIntervalMs(date = new Date()) {
+  return isMarketActive(date)
+    ? Math.max(Number(config.quoteStreamIntervalMs) || 0, 1000)
+    : Math.max(Number(config.quoteStreamClosedIntervalMs) || 0, 1000);
+}
+
+function writeEvent(subscriber, event, data) {
+  subscriber.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function serializeField(value) {
+  return value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+}
+
+// Fields of `quote` that differ from what this subscriber was last sent (all of them the first time).
+function diffQuote(subscriber, quote) {
+  const previous = subscriber.sent.get(quote.symbol) || {};
+  const delta = {};
+  const fingerprint = {};
+  for (const [key, value] of Object.entries(quote)) {
+    if (IGNORED_DELTA_FIELDS.has(key)) {
+      continue;
+    }
+    fingerprint[key] = serializeField(value);
+    if (previous[key] !== fingerprint[key]) {
+      delta[key] = value;
+    }
+  }
+  if (Object.keys(delta).length === 0) {
+    return null;
+  }
+  subscriber.sent.set(quote.symbol, fingerprint);
+  return { symbol: quote.symbol, ...delta };
+}
+
+function sendDeltas(subscriber, quotes, fetchedAtIso) {
+  const deltas = quotes
+    .filter((quote) => quote?.symbol && subscriber.symbols.has(quote.symbol))
+    .map((quote) => diffQuote(subscriber, quote))
+    .filter(Boolean);
+  if (deltas.length > 0) {
+    writeEvent(subscriber, 'quotes', { cachedAt: fetchedAtIso, quotes: deltas });
+  }
+  return deltas;
+}
+
+// Live symbols whose cached quote already has the last close are skipped while the market is shut.
+async function refreshSubscriberSymbols(subscriber) {
+  const entries = await getWatchlistEntries(subscriber.username, { listId: subscriber.listId });
+  subscriber.symbols = new Set(entries.map((entry) => entry.symbol));
+  subscriber.liveSymbols = entries
+    .filter((entry) => entry.liveData && !isCachedSinceLastClose(entry.cachedAt))
+    .map((entry) => entry.symbol);
+}
+
+function toMarketEvent(status) {
+  return {
+    phase: status.phase,
+    isOpen: status.isOpen,
+    active: status.active,
+    session: status.session,
+    reason: status.reason,
+    holiday: status.holiday,
+    lastClose: status.lastClose,
+    nextOpen: status.nextOpen,
+  };
+}
+
+// Tells every client when the market moves between phases (pre-open, open, post-close, closed).
+function broadcastMarketPhase(active) {
+  const status = getMarketStatus();
+  if (status.phase === state.marketPhase) {
+    return;
+  }
+  state.marketPhase = status.phase;
+  active.forEach((subscriber) => writeEvent(subscriber, 'market', toMarketEvent(status)));
+}
+
+/**
+ * One pass for every open stream: fetches the live-flagged symbols of all subscribers in one
+ * `getQuotes` call (served from the market-data quote cache while it is fresh), persists changed
+ * quotes to the owners' watchlist caches and pushes per-subscriber deltas.
+ */
+async function runTick() {
+  const active = Array.from(subscribers.values());
+  broadcastMarketPhase(active);
+  await Promise.all(active.map((subscriber) => refreshSubscriberSymbols(subscriber)));
+  const symbols = Array.from(new Set(active.flatMap((subscriber) => subscriber.liveSymbols)));
+  if (symbols.length === 0) {
+    return 0;
+  }
+
+  const fetchedAtIso = new Date().toISOString();
+  const quotes = await getQuotes(symbols);
+  const quoteBySymbol = new Map(quotes.map((quote) => [quote.symbol, quote]));
+  let deltaCount = 0;
+  const changedByUser = new Map();
+  for (const subscriber of active) {
+    // An unavailable quote has no prices; keep showing the last good one instead.
+    const liveQuotes = subscriber.liveSymbols
+      .map((symbol) => quoteBySymbol.get(symbol))
+      .filter((quote) => quote && quote.dataStatus !== 'unavailable');
+    const deltas = sendDeltas(subscriber, liveQuotes, fetchedAtIso);
+    deltaCount += deltas.length;
+    const changed = changedByUser.get(subscriber.username) || new Map();
+    deltas.forEach((delta) => changed.set(delta.symbol, quoteBySymbol.get(delta.symbol)));
+    changedByUser.set(subscriber.username, changed);
+  }
+
+  const changedUsers = Array.from(changedByUser.entries()).filter(([, changed]) => changed.size > 0);
+  await Promise.all(changedUsers.map(([username, changed]) => updateWatchlistQuoteCaches(
+    username,
+    Array.from(changed.values()).map((quote) => ({ symbol: quote.symbol, quote, cachedAt: fetchedAtIso })),
+  )));
+  return deltaCount;
+}
+
+function scheduleTick(delayMs = getTickIntervalMs()) {
+  clearTimeout(tickTimer);
+  tickTimer = null;
+  if (subscribers.size === 0) {
+    return;
+  }
+  tickTimer = setTimeout(() => {
+    if (tickPromise) {
+      return;
+    }
+    tickPromise = runTick()
+      .then((deltaCount) => {
+        state.lastDeltaCount = deltaCount;
+        state.lastError = '';
+      })
+      .catch((error) => {
+        state.lastError = `quote-stream-tick:${error.message}`;
+        console.error('[quote-stream] tick failed:', error.message);
+      })
+      .finally(() => {
+        state.lastTickAt = new Date().toISOString();
+        tickPromise = null;
+        scheduleTick();
+      });
+  }, delayMs);
+}
+
+/**
+ * Attaches an SSE response to the quote stream for one user's watchlist (`listId` empty = all
+ * lists). Sends `ready` right away, `quotes` ({ cachedAt, quotes: [{ symbol, ...changed fields }] })
+ * whenever something changed, `market` when the market phase changes and a comment ping to keep
+ * proxies from closing the connection.
+ * Returns an unsubscribe function.
+ */
+async function subscribeQuoteStream({ username, listId = '', req, res }) {
+  const subscriber = {
+    id: crypto.randomUUID(),
+    username,
+    listId,
+    res,
+    symbols: new Set(),
+    liveSymbols: [],
+    sent: new Map(),
+  };
+  await refreshSubscriberSymbols(subscriber);
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+  res.write(`retry: ${Math.max(Number(config.quoteStreamRetryMs) || 0, 1000)}\n\n`);
+  writeEvent(subscriber, 'ready', {
+    market: toMarketEvent(getMarketStatus()),
+    intervalMs: getTickIntervalMs(),
+    liveSymbols: subscriber.liveSymbols,
+  });
+
+  const keepAlive = setInterval(() => {
+    res.write(': ping\n\n');
+  }, Math.max(Number(config.quoteStreamHeartbeatMs) || 0, 5000));
+
+  subscribers.set(subscriber.id, subscriber);
+  // Tick right away so a new client gets its first quotes without waiting for the interval.
+  if (!tickPromise) {
+    scheduleTick(0);
+  }
+
+  const unsubscribe = () => {
+    clearInterval(keepAlive);
+    subscribers.delete(subscriber.id);
+    if (subscribers.size === 0) {
+      clearTimeout(tickTimer);
+      tickTimer = null;
+    }
+  };
+  req.on('close', unsubscribe);
+  return unsubscribe;
+}
+
+// Pushes quotes fetched elsewhere (e.g. the background part of `POST /api/watchlist/refresh`) to the user's open streams.
+function publishQuoteUpdates(username, quotes, cachedAt = new Date().toISOString()) {
+  let deltaCount = 0;
+  for (const subscriber of subscribers.values()) {
+    if (subscriber.username === username) {
+      deltaCount += sendDeltas(subscriber, Array.isArray(quotes) ? quotes : [], cachedAt).length;
+    }
+  }
+  return deltaCount;
+}
+
+function getQuoteStreamStatus() {
+  return {
+    subscribers: subscribers.size,
+    users: new Set(Array.from(subscribers.values()).map((subscriber) => subscriber.username)).size,
+    marketPhase: getMarketStatus().phase,
+    intervalMs: getTickIntervalMs(),
+    running: Boolean(tickPromise),
+    lastTickAt: state.lastTickAt,
+    lastDeltaCount: state.lastDeltaCount,
+    lastError: state.lastError || '',
+  };
+}
+
+function stopQuoteStream() {
+  clearTimeout(tickTimer);
+  tickTimer = null;
+  for (const subscriber of subscribers.values()) {
+    subscriber.res.end();
+  }
+  subscribers.clear();
+}
+
+module.exports = {
+  subscribeQuoteStream,
+  publishQuoteUpdates,
+  getQuoteStreamStatus,
+  stopQuoteStream,
+};
@@ -0,0 +1,146 @@
+const cron = require('node-cron');
+const { config } = require('../config');
+const { readDb, getWatchlist, getPortfolio } = require('../store');
+const { getUpcomingCorporateEvents } = require('./eventsService');
+const { publishNotification } = require('./notificationService');
+
+let initialized = false;
+let schedulerTask = null;
+let runPromise = null;
+let state = {
+  schedulerMode: 'disabled',
+  schedulerExpression: '',
+  schedulerTimezone: '',
+  running: false,
+  lastRunAt: '',
+  lastSent: 0,
+  lastError: '',
+};
+
+function getSubscribedUsernames() {
+  return Object.values(readDb().users || {})
+    .filter((userState) => (userState.notificationChannels || [])
+      .some((channel) => channel.enabled && channel.events.includes('results.upcoming')))
+    .map((userState) => userState.username);
+}
+
+/**
+ * Sends one `results.upcoming` notification per board meeting in the next
+ * `RESULTS_REMINDER_DAYS_AHEAD` days for each subscribed user's watchlist and holdings.
+ * Each event is sent once per channel (deduplicated through the delivery log).
+ */
+async function sendResultsReminders(options = {}) {
+  if (runPromise) {
+    return runPromise;
+  }
+
+  const reason = String(options.reason || 'manual');
+  runPromise = (async () => {
+    state.running = true;
+    let sent = 0;
+    try {
+      const daysAhead = Math.min(Math.max(Number(config.resultsReminderDaysAhead) || 1, 1), 14);
+      for (const username of getSubscribedUsernames()) {
+        const [watchlist, portfolio] = await Promise.all([
+          getWatchlist(username),
+          getPortfolio(username),
+        ]);
+        const symbols = Array.from(new Set([...watchlist, ...portfolio.map((position) => position.symbol)]));
+        const calendar = await getUpcomingCorporateEvents(symbols, { daysAhead, typeFilter: 'results' });
+        for (const event of calendar.events) {
+          const deliveries = await publishNotification('results.upcoming', event, {
+            usernames: [username],
+            dedupeKey: `results:${event.id}`,
+          });
+          sent += deliveries.filter((entry) => entry.status === 'sent').length;
+        }
+      }
+      state.lastError = '';
+      console.log(`[results-reminder] ${reason}: ${sent} reminder(s) sent`);
+    } catch (error) {
+      state.lastError = `results-reminder-run:${error.message}`;
+      throw error;
+    } finally {
+      state.running = false;
+      state.lastRunAt = new Date().toISOString();
+      state.lastSent = sent;
+      runPromise = null;
+    }
+    return getResultsReminderStatus();
+  })();
+
+  return runPromise;
+}
+
+function getResultsReminderStatus() {
+  return {
+    enabled: Boolean(config.resultsReminderEnabled),
+    schedulerMode: state.schedulerMode,
+    schedulerExpression: state.schedulerExpression,
+    schedulerTimezone: state.schedulerTimezone,
+    running: state.running,
+    lastRunAt: state.lastRunAt,
+    lastSent: state.lastSent,
+    lastError: state.lastError || '',
+  };
+}
+
+function scheduleResultsReminderJob() {
+  if (schedulerTask) {
+    schedulerTask.stop();
+    schedulerTask = null;
+  }
+
+  if (!config.resultsReminderEnabled) {
+    state.schedulerMode = 'disabled';
+    state.schedulerExpression = '';
+    state.schedulerTimezone = '';
+    return;
+  }
+
+  const cronExpression = String(config.resultsReminderCron || '').trim();
+  const timezone = String(config.resultsReminderCronTimezone || 'Asia/Kolkata');
+  if (!cronExpression || !cron.validate(cronExpression)) {
+    state.schedulerMode = 'disabled';
+    state.schedulerExpression = cronExpression;
+    state.schedulerTimezone = timezone;
+    state.lastError = `results-reminder-cron-invalid:${cronExpression || 'empty'}`;
+    return;
+  }
+
+  schedulerTask = cron.schedule(cronExpression, () => {
+    sendResultsReminders({ reason: 'scheduled-cron' })
+      .catch((error) => {
+        state.lastError = `results-reminder-cron-run:${error.message}`;
+      });
+  }, {
+    scheduled: true,
+    timezone,
+  });
+
+  state.schedulerMode = 'cron';
+  state.schedulerExpression = cronExpression;
+  state.schedulerTimezone = timezone;
+}
+
+function initializeResultsReminders() {
+  if (!initialized) {
+    scheduleResultsReminderJob();
+    initialized = true;
+  }
+  return getResultsReminderStatus();
+}
+
+function stopResultsReminders() {
+  if (schedulerTask) {
+    schedulerTask.stop();
+    schedulerTask = null;
+  }
+}
+
+module.exports = {
+  initializeResultsReminders,
+  sendResultsReminders,
+  getResultsReminderStatus,
+  stopResultsReminders,
+};
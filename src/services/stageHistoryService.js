@@ -0,0 +1,323 @@
+const fs = require('fs');
+const path = require('path');
+const { config } = require('../config');
+const { getDb, isMongoEnabled } = require('../db/mongoClient');
+const { normalizeIndianSymbol } = require('../utils/symbols');
+const { classifyWeinsteinStage } = require('./marketDataService');
+const { getPriceHistory } = require('./priceHistoryService');
+const { getLastClose } = require('./marketCalendarService');
+
+const STAGE_HISTORY_COLLECTION = 'stage_history';
+const STAGE_SMA_WEEKS = 30;
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// A symbol whose timeline could not be built is not queued again for this long.
+const FAILED_RETRY_MS = 30 * 60 * 1000;
+
+// Latest record per symbol (without the weekly points), loaded lazily from the store.
+const summaries = new Map();
+const inFlight = new Map();
+const refreshQueue = new Set();
+const failedAt = new Map();
+let refreshWorker = null;
+let state = {
+  lastBuiltAt: '',
+  lastBuiltSymbol: '',
+  lastError: '',
+};
+
+function getIstDate(date = new Date()) {
+  return new Date(date.getTime() + IST_OFFSET_MS).toISOString().slice(0, 10);
+}
+
+function shiftIsoDate(isoDate, days) {
+  return new Date(Date.parse(`${isoDate}T00:00:00Z`) + (days * DAY_MS)).toISOString().slice(0, 10);
+}
+
+function average(values) {
+  return values.reduce((total, value) => total + value, 0) / values.length;
+}
+
+function round(value) {
+  return value === null ? null : Number(value.toFixed(4));
+}
+
+/**
+ * Weinstein stage of every weekly bar, using the 30-week SMA up to and including that week and
+ * its value one week earlier (the same inputs as the live technical snapshot). Bars before the
+ * SMA has 31 weeks of history have no stage.
+ */
+function classifyWeeklyStages(weeklyCandles) {
+  const closes = weeklyCandles.map((candle) => candle.close);
+  return weeklyCandles.map((candle, index) => {
+    const sma30w = index >= STAGE_SMA_WEEKS - 1
+      ? average(closes.slice(index - STAGE_SMA_WEEKS + 1, index + 1))
+      : null;
+    const prevSma30w = index >= STAGE_SMA_WEEKS
+      ? average(closes.slice(index - STAGE_SMA_WEEKS, index))
+      : null;
+    return {
+      date: candle.date,
+      close: candle.close,
+      sma30w: round(sma30w),
+      stage: classifyWeinsteinStage({ close: candle.close, sma30Week: sma30w, prevSma30Week: prevSma30w }),
+    };
+  });
+}
+
+// Consecutive weeks in the same stage, oldest first; each segment after the first is a transition.
+function buildStageSegments(weeks) {
+  const segments = [];
+  for (const week of weeks) {
+    if (!week.stage) {
+      continue;
+    }
+    const last = segments[segments.length - 1];
+    if (last && last.stage === week.stage) {
+      last.to = week.date;
+      last.weeks += 1;
+    } else {
+      segments.push({ stage: week.stage, from: week.date, to: week.date, weeks: 1 });
+    }
+  }
+  return segments;
+}
+
+function buildTransitions(segments) {
+  return segments.slice(1).map((segment, index) => ({
+    date: segment.from,
+    from: segments[index].stage,
+    to: segment.stage,
+    weeksBefore: segments[index].weeks,
+  }));
+}
+
+function toSummary(record) {
+  const { weeks, ...summary } = record;
+  return summary;
+}
+
+function stageFilePath(symbol) {
+  return path.join(config.stageHistoryDir, `${symbol.replace(/[^A-Za-z0-9._-]/g, '_')}.json`);
+}
+
+function loadRecordFromDisk(symbol) {
+  try {
+    const filePath = stageFilePath(symbol);
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    state.lastError = `stage-history-load:${error.message}`;
+    return null;
+  }
+}
+
+function saveRecordToDisk(record) {
+  try {
+    if (!fs.existsSync(config.stageHistoryDir)) {
+      fs.mkdirSync(config.stageHistoryDir, { recursive: true });
+    }
+    fs.writeFileSync(stageFilePath(record.symbol), JSON.stringify(record));
+  } catch (error) {
+    state.lastError = `stage-history-save:${error.message}`;
+  }
+}
+
+async function loadRecord(symbol) {
+  if (isMongoEnabled()) {
+    try {
+      const db = await getDb();
+      if (db) {
+        const doc = await db.collection(STAGE_HISTORY_COLLECTION).findOne({ _id: symbol });
+        if (doc) {
+          const { _id, ...record } = doc;
+          return record;
+        }
+        return null;
+      }
+    } catch (error) {
+      state.lastError = `stage-history-mongo-load:${error.message}`;
+    }
+  }
+  return loadRecordFromDisk(symbol);
+}
+
+async function saveRecord(record) {
+  if (isMongoEnabled()) {
+    try {
+      const db = await getDb();
+      if (db) {
+        await db.collection(STAGE_HISTORY_COLLECTION).updateOne(
+          { _id: record.symbol },
+          { $set: record },
+          { upsert: true },
+        );
+        return;
+      }
+    } catch (error) {
+      state.lastError = `stage-history-mongo-save:${error.message}`;
+    }
+  }
+  saveRecordToDisk(record);
+}
+
+// Weekly bars move with every session, so a timeline is rebuilt once a session has closed since it was built.
+function isRecordStale(record, nowDate = new Date()) {
+  const builtAtMs = Date.parse(record?.updatedAt || '');
+  if (!Number.isFinite(builtAtMs)) {
+    return true;
+  }
+  const lastClose = getLastClose(nowDate);
+  return Boolean(lastClose) && builtAtMs < lastClose.at.getTime();
+}
+
+async function buildRecord(symbol) {
+  const to = getIstDate();
+  const years = Math.min(Math.max(Number(config.stageHistoryYears) || 0, 1), Math.max(Number(config.priceHistoryMaxYears) || 0, 1));
+  const history = await getPriceHistory(symbol, {
+    interval: '1wk',
+    from: shiftIsoDate(to, -Math.floor(years * 365)),
+    to,
+  });
+  const weeks = classifyWeeklyStages(history.candles);
+  const segments = buildStageSegments(weeks);
+  const current = segments[segments.length - 1] || null;
+  const previous = segments[segments.length - 2] || null;
+  return {
+    symbol,
+    stage: current?.stage || '',
+    stageSince: current?.from || '',
+    stageWeeks: current?.weeks || 0,
+    previousStage: previous?.stage || '',
+    asOf: weeks.length > 0 ? weeks[weeks.length - 1].date : '',
+    segments,
+    transitions: buildTransitions(segments),
+    weeks,
+    source: history.source,
+    stale: history.stale,
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+async function refreshRecord(symbol) {
+  if (inFlight.has(symbol)) {
+    return inFlight.get(symbol);
+  }
+  const task = buildRecord(symbol)
+    .then(async (record) => {
+      await saveRecord(record);
+      summaries.set(symbol, toSummary(record));
+      state.lastBuiltAt = record.updatedAt;
+      state.lastBuiltSymbol = symbol;
+      state.lastError = '';
+      return record;
+    })
+    .finally(() => {
+      inFlight.delete(symbol);
+    });
+  inFlight.set(symbol, task);
+  return task;
+}
+
+/**
+ * Weekly Weinstein stage timeline for a symbol: the stage of every weekly bar, the stage segments
+ * and the transitions between them. Rebuilt from the price-history store when a session has
+ * closed since the stored timeline was built (or when `forceRefresh` is set).
+ */
+async function getStageHistory(symbolInput, options = {}) {
+  const symbol = normalizeIndianSymbol(symbolInput);
+  if (!symbol) {
+    throw new Error('Symbol is required.');
+  }
+
+  if (!options.forceRefresh) {
+    const stored = await loadRecord(symbol);
+    if (stored && !isRecordStale(stored)) {
+      summaries.set(symbol, toSummary(stored));
+      return stored;
+    }
+  }
+  return refreshRecord(symbol);
+}
+
+// Rebuilds one timeline at a time in the background so watchlist requests never wait on history fetches.
+function queueStageRefresh(symbols) {
+  symbols.forEach((symbol) => refreshQueue.add(symbol));
+  if (refreshWorker) {
+    return;
+  }
+  refreshWorker = (async () => {
+    while (refreshQueue.size > 0) {
+      const [symbol] = refreshQueue;
+      refreshQueue.delete(symbol);
+      try {
+        await refreshRecord(symbol);
+      } catch (error) {
+        failedAt.set(symbol, Date.now());
+        state.lastError = `stage-history-refresh:${symbol}:${error.message}`;
+      }
+    }
+  })().finally(() => {
+    refreshWorker = null;
+  });
+}
+
+function isFreshTransition(summary) {
+  return Boolean(summary?.previousStage)
+    && summary.stageWeeks <= Math.max(Number(config.stageTransitionFreshWeeks) || 0, 1);
+}
+
+/**
+ * Adds `stageSince`, `stageWeeks`, `previousStage` and `stageTransitionFresh` to quotes whose stored
+ * timeline agrees with the quote's current `marketCycleStage`. Missing or outdated timelines are
+ * rebuilt in the background and show up on a later request.
+ */
+async function attachStageTransitions(quotes) {
+  const list = Array.isArray(quotes) ? quotes : [];
+  const symbols = Array.from(new Set(list.map((quote) => quote?.symbol).filter(Boolean)));
+  await Promise.all(symbols
+    .filter((symbol) => !summaries.has(symbol))
+    .map(async (symbol) => {
+      const stored = await loadRecord(symbol);
+      summaries.set(symbol, stored ? toSummary(stored) : null);
+    }));
+
+  queueStageRefresh(symbols.filter((symbol) => (!summaries.get(symbol) || isRecordStale(summaries.get(symbol)))
+    && Date.now() - (failedAt.get(symbol) || 0) >= FAILED_RETRY_MS));
+
+  return list.map((quote) => {
+    const summary = quote?.symbol ? summaries.get(quote.symbol) : null;
+    if (!summary?.stage || summary.stage !== quote.marketCycleStage) {
+      return quote;
+    }
+    return {
+      ...quote,
+      stageSince: summary.stageSince,
+      stageWeeks: summary.stageWeeks,
+      previousStage: summary.previousStage,
+      stageTransitionFresh: isFreshTransition(summary),
+    };
+  });
+}
+
+function getStageHistoryStatus() {
+  return {
+    storage: isMongoEnabled() ? 'mongo' : 'file',
+    cachedSymbols: summaries.size,
+    queued: refreshQueue.size,
+    running: Boolean(refreshWorker),
+    lastBuiltAt: state.lastBuiltAt,
+    lastBuiltSymbol: state.lastBuiltSymbol,
+    lastError: state.lastError || '',
+  };
+}
+
+module.exports = {
+  classifyWeeklyStages,
+  buildStageSegments,
+  getStageHistory,
+  attachStageTransitions,
+  getStageHistoryStatus,
+};
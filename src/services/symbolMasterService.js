@@ -5,10 +5,12 @@ const cron = require('node-cron');
 const { config } = require('../config');
 const { getDb, isMongoEnabled } = require('../db/mongoClient');
 const { normalizeIndianSymbol, stripExchangeSuffix } = require('../utils/symbols');
+const { parseCsvLine, buildHeaderIndexMap, readCsvCell } = require('../utils/csv');
 
 const MIN_REFRESH_MS = 60 * 60 * 1000;
 const DEFAULT_REFRESH_MS = 24 * 60 * 60 * 1000;
 const SEARCH_LIMIT_MAX = 50;
+const ISIN_PATTERN = /^IN[A-Z0-9]{9}\d$/;
 
 const requestHeaders = {
   'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36',
@@ -21,6 +23,7 @@ const requestHeaders = {
 let state = {
   items: [],
   bySymbol: new Map(),
+  byIsin: new Map(),
   lastRefreshAt: '',
   nextRefreshAt: '',
   sourceSummary: {
@@ -55,13 +58,6 @@ function getCronTimezone() {
   return timezone || 'Asia/Kolkata';
 }
 
-function normalizeHeader(value) {
-  return String(value || '')
-    .replace(/^\uFEFF/, '')
-    .toLowerCase()
-    .replace(/[^a-z0-9]/g, '');
-}
-
 function normalizeText(value) {
   return String(value || '')
     .replace(/\s+/g, ' ')
@@ -72,58 +68,12 @@ function normalizeSearchText(value) {
   return normalizeText(value).toUpperCase();
 }
 
-function parseCsvLine(line) {
-  const cells = [];
-  let current = '';
-  let inQuotes = false;
-
-  for (let index = 0; index < line.length; index += 1) {
-    const char = line[index];
-
-    if (char === '"') {
-      const nextChar = line[index + 1];
-      if (inQuotes && nextChar === '"') {
-        current += '"';
-        index += 1;
-      } else {
-        inQuotes = !inQuotes;
-      }
-      continue;
-    }
-
-    if (char === ',' && !inQuotes) {
-      cells.push(current);
-      current = '';
-      continue;
-    }
-
-    current += char;
-  }
-
-  cells.push(current);
-  return cells.map((cell) => normalizeText(cell));
-}
-
-function buildHeaderIndexMap(headerCells) {
-  const map = new Map();
-  for (let index = 0; index < headerCells.length; index += 1) {
-    map.set(normalizeHeader(headerCells[index]), index);
-  }
-  return map;
-}
-
-function readCsvCell(rowCells, headerMap, candidates) {
-  for (const candidate of candidates) {
-    const idx = headerMap.get(normalizeHeader(candidate));
-    if (idx === undefined) {
-      continue;
-    }
-    return normalizeText(rowCells[idx]);
-  }
-  return '';
+function normalizeIsin(value) {
+  const isin = String(value || '').trim().toUpperCase();
+  return ISIN_PATTERN.test(isin) ? isin : '';
 }
 
-function makeMasterItem(symbolInput, companyNameInput, source) {
+function makeMasterItem(symbolInput, companyNameInput, source, isinInput = '') {
   const symbol = normalizeIndianSymbol(symbolInput);
   if (!symbol || (!symbol.endsWith('.NS') && !symbol.endsWith('.BO'))) {
     return null;
@@ -142,6 +92,7 @@ function makeMasterItem(symbolInput, companyNameInput, source) {
     baseSymbol,
     companyName,
     exchange,
+    isin: normalizeIsin(isinInput),
     source: source || 'unknown',
     symbolUpper: symbol.toUpperCase(),
     baseUpper: baseSymbol.toUpperCase(),
@@ -195,14 +146,17 @@ function dedupeItems(items) {
 
     const existingScore = scoreCompanyName(existing.companyName, existing.baseSymbol);
     const nextScore = scoreCompanyName(item.companyName, item.baseSymbol);
+    // Whichever row wins, keep an ISIN that only one of the sources carried.
+    const isin = existing.isin || item.isin;
 
-    if (nextScore > existingScore) {
-      map.set(item.symbol, item);
+    if (nextScore > existingScore
+      || (nextScore === existingScore && sourcePriority(item.source) > sourcePriority(existing.source))) {
+      map.set(item.symbol, { ...item, isin });
       continue;
     }
 
-    if (nextScore === existingScore && sourcePriority(item.source) > sourcePriority(existing.source)) {
-      map.set(item.symbol, item);
+    if (isin !== existing.isin) {
+      map.set(item.symbol, { ...existing, isin });
     }
   }
 
@@ -221,6 +175,21 @@ function buildBySymbolIndex(items) {
   return map;
 }
 
+// NSE rows win over BSE rows for the same ISIN so imports land on the NSE listing.
+function buildByIsinIndex(items) {
+  const map = new Map();
+  for (const item of items || []) {
+    if (!item.isin) {
+      continue;
+    }
+    const existing = map.get(item.isin);
+    if (!existing || (existing.exchange === 'BSE' && item.exchange === 'NSE')) {
+      map.set(item.isin, item);
+    }
+  }
+  return map;
+}
+
 function buildSourceSummary(items) {
   const list = Array.isArray(items) ? items : [];
   return {
@@ -237,6 +206,7 @@ function toPersistedItem(item) {
     baseSymbol: item.baseSymbol,
     companyName: item.companyName,
     exchange: item.exchange,
+    isin: item.isin || '',
     source: item.source,
   };
 }
@@ -246,7 +216,7 @@ function fromPersistedItem(item) {
     return null;
   }
 
-  return makeMasterItem(item.symbol, item.companyName, item.source || 'disk');
+  return makeMasterItem(item.symbol, item.companyName, item.source || 'disk', item.isin);
 }
 
 function ensureSymbolMasterFileDir() {
@@ -279,6 +249,7 @@ function loadFromDisk() {
       ...state,
       items: deduped,
       bySymbol: buildBySymbolIndex(deduped),
+      byIsin: buildByIsinIndex(deduped),
       lastRefreshAt: String(parsed.updatedAt || parsed.lastRefreshAt || ''),
       sourceSummary: {
         ...buildSourceSummary(deduped),
@@ -367,6 +338,7 @@ async function loadFromMongo() {
       ...state,
       items: deduped,
       bySymbol: buildBySymbolIndex(deduped),
+      byIsin: buildByIsinIndex(deduped),
       lastRefreshAt: String(meta?.updatedAt || ''),
       sourceSummary: meta?.summary || buildSourceSummary(deduped),
       lastError: '',
@@ -419,6 +391,7 @@ function parseNseCsv(csvText) {
     const symbolRaw = readCsvCell(rowCells, headerMap, ['SYMBOL', 'Security Id', 'Ticker']);
     const companyName = readCsvCell(rowCells, headerMap, ['NAME OF COMPANY', 'Company Name', 'Security Name', 'NAME']);
     const series = readCsvCell(rowCells, headerMap, ['SERIES']);
+    const isin = readCsvCell(rowCells, headerMap, ['ISIN NUMBER', 'ISIN']);
 
     const symbolToken = String(symbolRaw || '').toUpperCase().replace(/\s+/g, '');
     if (!symbolToken || !companyName) {
@@ -435,7 +408,7 @@ function parseNseCsv(csvText) {
       continue;
     }
 
-    const item = makeMasterItem(`${symbolToken}.NS`, companyName, 'nse-official');
+    const item = makeMasterItem(`${symbolToken}.NS`, companyName, 'nse-official', isin);
     if (item) {
       items.push(item);
     }
@@ -487,6 +460,7 @@ function parseIiflCsv(csvText) {
     const exchType = readCsvCell(rowCells, headerMap, ['ExchType', 'ExchangeType', 'InstrumentType']).toUpperCase();
     const symbolRaw = readCsvCell(rowCells, headerMap, ['TradingSymbol', 'Symbol', 'Name']);
     const companyNameRaw = readCsvCell(rowCells, headerMap, ['FullName', 'CompanyName', 'SecurityName', 'Description', 'Name']);
+    const isin = readCsvCell(rowCells, headerMap, ['ISIN', 'ISINCode', 'ISIN Number']);
 
     if (!exch || !['N', 'NSE', 'B', 'BSE'].includes(exch)) {
       continue;
@@ -503,7 +477,7 @@ function parseIiflCsv(csvText) {
         continue;
       }
 
-      const item = makeMasterItem(`${codeMatch[0]}.BO`, companyNameRaw || codeMatch[0], 'iifl');
+      const item = makeMasterItem(`${codeMatch[0]}.BO`, companyNameRaw || codeMatch[0], 'iifl', isin);
       if (item) {
         bseItems.push(item);
       }
@@ -519,7 +493,7 @@ function parseIiflCsv(csvText) {
       continue;
     }
 
-    const item = makeMasterItem(`${symbolToken}.NS`, companyNameRaw || symbolToken, 'iifl');
+    const item = makeMasterItem(`${symbolToken}.NS`, companyNameRaw || symbolToken, 'iifl', isin);
     if (item) {
       nseItems.push(item);
     }
@@ -681,6 +655,7 @@ async function refreshSymbolMaster(options = {}) {
       ...state,
       items: combined,
       bySymbol: buildBySymbolIndex(combined),
+      byIsin: buildByIsinIndex(combined),
       lastRefreshAt: new Date().toISOString(),
       sourceSummary: {
         totalSymbols: combined.length,
@@ -799,12 +774,22 @@ function searchSymbols(queryInput, options = {}) {
   }));
 }
 
+// Listed symbol for an ISIN (NSE preferred), or '' when the symbol master does not know it.
+function resolveIsin(input) {
+  const isin = normalizeIsin(input);
+  return isin ? (state.byIsin.get(isin)?.symbol || '') : '';
+}
+
 function resolveSymbolQuery(input) {
   const raw = normalizeText(input);
   if (!raw) {
     return '';
   }
 
+  if (normalizeIsin(raw)) {
+    return resolveIsin(raw);
+  }
+
   const normalized = normalizeIndianSymbol(raw);
   if (!normalized) {
     return '';
@@ -849,6 +834,7 @@ module.exports = {
   refreshSymbolMaster,
   searchSymbols,
   resolveSymbolQuery,
+  resolveIsin,
   getSymbolMasterItems,
   getSymbolMasterStatus,
   stopSymbolMasterRefresh,
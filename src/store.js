@@ -4,6 +4,17 @@ const { randomUUID } = require('crypto');
 const { config } = require('./config');
 const { getDb, isMongoEnabled } = require('./db/mongoClient');
 const { normalizeIndianSymbol } = require('./utils/symbols');
+const {
+  buildLedger,
+  positionsToTransactions,
+  sortTransactions,
+  validateTransactionInput,
+} = require('./services/portfolioLedgerService');
+const { normalizeAlert, validateAlertInput } = require('./services/alertRulesService');
+const {
+  normalizeNotificationChannel,
+  validateNotificationChannelInput,
+} = require('./services/notificationChannels');
 
 const DASHBOARD_PAGE_KEYS = Object.freeze([
   'watchlist',
@@ -11,21 +22,33 @@ const DASHBOARD_PAGE_KEYS = Object.freeze([
   'screener',
   'feed',
   'events',
+  'tax',
 ]);
 
-const defaultDb = {
+const STORE_VERSION = 3;
+const USER_STATE_COLLECTION = 'user_state';
+const LEGACY_STATE_COLLECTION = 'app_state';
+const LEGACY_STATE_ID = 'app';
+// Owner of the pre-multi-user shared document when it is migrated.
+const DEFAULT_OWNER_USERNAME = 'admin';
+
+const defaultUserState = {
   watchlist: ['RELIANCE.NS', 'TCS.NS', 'INFY.NS'],
-  portfolio: [],
-  profile: {
-    displayName: 'Admin',
-    contactName: 'Admin',
-    enabledPages: [...DASHBOARD_PAGE_KEYS],
-    updatedAt: new Date().toISOString(),
-  },
-  createdAt: new Date().toISOString(),
-  updatedAt: new Date().toISOString(),
+  transactions: [],
 };
 
+// Named watchlists; states saved before lists existed get their symbols in this one.
+const DEFAULT_WATCHLIST_ID = 'default';
+const DEFAULT_WATCHLIST_NAME = 'My Watchlist';
+const MAX_WATCHLISTS = 25;
+const MAX_WATCHLIST_TAGS = 12;
+const WATCHLIST_NAME_MAX_LENGTH = 60;
+const WATCHLIST_TAG_MAX_LENGTH = 24;
+const WATCHLIST_NOTE_MAX_LENGTH = 2000;
+const MAX_ALERTS = 100;
+const MAX_ALERT_HISTORY = 200;
+const MAX_NOTIFICATION_CHANNELS = 10;
+
 let writeQueue = Promise.resolve();
 let cachedDb = null;
 let storeInitialized = false;
@@ -50,6 +73,18 @@ function isPlainObject(value) {
   return value !== null && typeof value === 'object' && !Array.isArray(value);
 }
 
+function normalizeUsername(value) {
+  return String(value || '').trim();
+}
+
+function requireUsername(value) {
+  const username = normalizeUsername(value);
+  if (!username) {
+    throw new Error('A user is required to access the store.');
+  }
+  return username;
+}
+
 function toEpochMs(value) {
   const raw = String(value || '').trim();
   if (!raw) {
@@ -171,7 +206,101 @@ function normalizeWatchlistCollection(rawWatchlist) {
   return Array.from(merged.values());
 }
 
-function normalizeProfileSettings(rawProfile, nowIso) {
+// Accepts an array or a comma-separated string; de-duplicated case-insensitively, first spelling wins.
+function normalizeWatchlistTags(rawTags) {
+  const list = Array.isArray(rawTags) ? rawTags : String(rawTags || '').split(',');
+  const seen = new Set();
+  const tags = [];
+  for (const rawTag of list) {
+    const tag = String(rawTag || '').replace(/\s+/g, ' ').trim().slice(0, WATCHLIST_TAG_MAX_LENGTH);
+    if (!tag || seen.has(tag.toLowerCase())) {
+      continue;
+    }
+    seen.add(tag.toLowerCase());
+    tags.push(tag);
+  }
+  return tags.slice(0, MAX_WATCHLIST_TAGS);
+}
+
+function normalizeOptionalPrice(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const price = Number(value);
+  return Number.isFinite(price) && price > 0 ? price : null;
+}
+
+// A symbol's place in one named list, with the user's tags, thesis note and price levels.
+function normalizeWatchlistListEntry(rawEntry, nowIso) {
+  const entry = isPlainObject(rawEntry) ? rawEntry : { symbol: rawEntry };
+  const symbol = normalizeIndianSymbol(entry.symbol);
+  if (!symbol) {
+    return null;
+  }
+
+  return {
+    symbol,
+    tags: normalizeWatchlistTags(entry.tags),
+    note: String(entry.note || '').trim().slice(0, WATCHLIST_NOTE_MAX_LENGTH),
+    targetPrice: normalizeOptionalPrice(entry.targetPrice),
+    stopPrice: normalizeOptionalPrice(entry.stopPrice),
+    addedAt: normalizeIsoTimestamp(entry.addedAt || entry.createdAt, nowIso),
+    updatedAt: normalizeIsoTimestamp(entry.updatedAt, nowIso),
+  };
+}
+
+function normalizeWatchlistLists(rawLists, fallbackEntries, nowIso) {
+  const source = Array.isArray(rawLists) && rawLists.length > 0
+    ? rawLists
+    : [{ id: DEFAULT_WATCHLIST_ID, name: DEFAULT_WATCHLIST_NAME, entries: fallbackEntries }];
+  const seenIds = new Set();
+  const lists = [];
+
+  for (const rawList of source) {
+    if (!isPlainObject(rawList)) {
+      continue;
+    }
+    let id = String(rawList.id || '').trim() || randomUUID();
+    if (seenIds.has(id)) {
+      id = randomUUID();
+    }
+    seenIds.add(id);
+
+    const entries = new Map();
+    for (const rawEntry of Array.isArray(rawList.entries) ? rawList.entries : []) {
+      const entry = normalizeWatchlistListEntry(rawEntry, nowIso);
+      if (entry && !entries.has(entry.symbol)) {
+        entries.set(entry.symbol, entry);
+      }
+    }
+
+    lists.push({
+      id,
+      name: String(rawList.name || '').trim().slice(0, WATCHLIST_NAME_MAX_LENGTH) || 'Untitled',
+      entries: Array.from(entries.values()),
+      createdAt: normalizeIsoTimestamp(rawList.createdAt, nowIso),
+      updatedAt: normalizeIsoTimestamp(rawList.updatedAt, nowIso),
+    });
+  }
+
+  return lists.slice(0, MAX_WATCHLISTS);
+}
+
+// The flat `watchlist` holds one quote-cache entry per symbol across every named list.
+function syncWatchlistQuoteEntries(quoteEntries, lists, nowIso) {
+  const bySymbol = new Map(quoteEntries.map((entry) => [entry.symbol, entry]));
+  const synced = new Map();
+  for (const list of lists) {
+    for (const { symbol } of list.entries) {
+      if (!synced.has(symbol)) {
+        synced.set(symbol, bySymbol.get(symbol) || normalizeWatchlistEntry(symbol, nowIso));
+      }
+    }
+  }
+  return Array.from(synced.values());
+}
+
+function normalizeProfileSettings(rawProfile, nowIso, fallbackName = 'Admin') {
   const profile = isPlainObject(rawProfile) ? rawProfile : {};
   const displayNameRaw = String(profile.displayName || '').trim();
   const contactNameRaw = String(profile.contactName || '').trim();
@@ -184,8 +313,8 @@ function normalizeProfileSettings(rawProfile, nowIso) {
   ));
 
   return {
-    displayName: displayNameRaw || 'Admin',
-    contactName: contactNameRaw || 'Admin',
+    displayName: displayNameRaw || fallbackName,
+    contactName: contactNameRaw || fallbackName,
     enabledPages: enabledPages.length > 0 ? enabledPages : [...DASHBOARD_PAGE_KEYS],
     updatedAt: normalizeIsoTimestamp(profile.updatedAt, nowIso),
   };
@@ -215,63 +344,187 @@ function migrateLegacyStocks() {
   return Array.from(new Set(symbols));
 }
 
+function isLegacyDbShape(db) {
+  if (!isPlainObject(db) || isPlainObject(db.users)) {
+    return false;
+  }
+
+  return Array.isArray(db.watchlist) || Array.isArray(db.portfolio) || isPlainObject(db.profile);
+}
+
 function ensureDbFile() {
   if (!config.dataFilePath) return;
   ensureDir(config.dataFilePath);
   if (!fs.existsSync(config.dataFilePath)) {
     const migratedWatchlist = migrateLegacyStocks();
+    const nowIso = new Date().toISOString();
     const initialDb = {
-      ...defaultDb,
-      watchlist: migratedWatchlist && migratedWatchlist.length > 0
-        ? migratedWatchlist
-        : defaultDb.watchlist,
+      version: STORE_VERSION,
+      users: {
+        [DEFAULT_OWNER_USERNAME]: {
+          ...defaultUserState,
+          watchlist: migratedWatchlist && migratedWatchlist.length > 0
+            ? migratedWatchlist
+            : defaultUserState.watchlist,
+        },
+      },
+      createdAt: nowIso,
+      updatedAt: nowIso,
     };
 
     fs.writeFileSync(config.dataFilePath, JSON.stringify(initialDb, null, 2));
   }
 }
 
+// Ledger rows; states saved before the ledger (an averaged `portfolio` array) become opening BUYs.
+function normalizeTransactionCollection(state) {
+  if (Array.isArray(state.transactions)) {
+    return sortTransactions(state.transactions);
+  }
+
+  return positionsToTransactions(
+    (Array.isArray(state.portfolio) ? state.portfolio : [])
+      .filter((item) => item && Number(item.quantity) > 0 && Number(item.avgPrice) > 0),
+  );
+}
+
+// Per-symbol 31-Jan-2018 fair market value entered by the user for LTCG grandfathering.
+function normalizeGrandfatheringFmv(rawMap) {
+  const map = {};
+  if (!isPlainObject(rawMap)) {
+    return map;
+  }
+
+  for (const [rawSymbol, rawValue] of Object.entries(rawMap)) {
+    const symbol = normalizeIndianSymbol(rawSymbol);
+    const value = Number(rawValue);
+    if (symbol && Number.isFinite(value) && value > 0) {
+      map[symbol] = value;
+    }
+  }
+  return map;
+}
+
+function normalizeAlertCollection(rawAlerts) {
+  return (Array.isArray(rawAlerts) ? rawAlerts : [])
+    .map((raw) => normalizeAlert(raw))
+    .filter(Boolean);
+}
+
+// Newest trigger first, capped so a noisy recurring alert cannot grow the user state unbounded.
+function normalizeAlertHistory(rawHistory) {
+  return (Array.isArray(rawHistory) ? rawHistory : [])
+    .filter((entry) => isPlainObject(entry) && entry.alertId && entry.triggeredAt)
+    .sort((left, right) => String(right.triggeredAt).localeCompare(String(left.triggeredAt)))
+    .slice(0, MAX_ALERT_HISTORY);
+}
+
+function normalizeUserState(rawState, username) {
+  const state = isPlainObject(rawState) ? rawState : {};
+  const nowIso = new Date().toISOString();
+  const legacyWatchlist = Array.isArray(state.watchlist) && state.watchlist.length > 0
+    ? state.watchlist
+    : defaultUserState.watchlist;
+  const watchlists = normalizeWatchlistLists(state.watchlists, legacyWatchlist, nowIso);
+  return {
+    username,
+    watchlist: syncWatchlistQuoteEntries(normalizeWatchlistCollection(state.watchlist), watchlists, nowIso),
+    watchlists,
+    transactions: normalizeTransactionCollection(state),
+    grandfatheringFmv: normalizeGrandfatheringFmv(state.grandfatheringFmv),
+    alerts: normalizeAlertCollection(state.alerts),
+    alertHistory: normalizeAlertHistory(state.alertHistory),
+    notificationChannels: (Array.isArray(state.notificationChannels) ? state.notificationChannels : [])
+      .map((raw) => normalizeNotificationChannel(raw))
+      .filter(Boolean),
+    profile: normalizeProfileSettings(state.profile, nowIso, username),
+    createdAt: state.createdAt || nowIso,
+    updatedAt: state.updatedAt || nowIso,
+  };
+}
+
 function normalizeDbShape(db) {
+  const source = isPlainObject(db) ? db : {};
   const nowIso = new Date().toISOString();
+  const rawUsers = isLegacyDbShape(source)
+    ? { [DEFAULT_OWNER_USERNAME]: source }
+    : (isPlainObject(source.users) ? source.users : {});
+
+  const users = {};
+  for (const [rawUsername, rawState] of Object.entries(rawUsers)) {
+    const username = normalizeUsername(rawUsername);
+    if (username) {
+      users[username] = normalizeUserState(rawState, username);
+    }
+  }
+
   return {
-    watchlist: normalizeWatchlistCollection(
-      Array.isArray(db.watchlist) && db.watchlist.length > 0
-        ? db.watchlist
-        : defaultDb.watchlist,
-    ),
-    portfolio: Array.isArray(db.portfolio)
-      ? db.portfolio
-        .filter((item) => item && typeof item === 'object')
-        .map((item) => ({
-          id: item.id || randomUUID(),
-          symbol: normalizeIndianSymbol(item.symbol),
-          quantity: Number(item.quantity || 0),
-          avgPrice: Number(item.avgPrice || 0),
-          notes: item.notes || '',
-          createdAt: item.createdAt || new Date().toISOString(),
-          updatedAt: item.updatedAt || new Date().toISOString(),
-        }))
-        .filter((item) => item.symbol && item.quantity > 0)
-      : [],
-    profile: normalizeProfileSettings(db.profile, nowIso),
-    createdAt: db.createdAt || nowIso,
-    updatedAt: nowIso,
+    version: STORE_VERSION,
+    users,
+    createdAt: source.createdAt || nowIso,
+    updatedAt: source.updatedAt || nowIso,
   };
 }
 
+function writeDbToDisk(db, label = 'file') {
+  if (!config.dataFilePath) {
+    return;
+  }
+
+  try {
+    ensureDir(config.dataFilePath);
+    fs.writeFileSync(config.dataFilePath, JSON.stringify(db, null, 2));
+  } catch (err) {
+    console.error(`[store] Failed to write ${label}:`, err.message);
+  }
+}
+
 function readDbFromDisk() {
   if (!config.dataFilePath) {
-    return normalizeDbShape(defaultDb);
+    return normalizeDbShape({});
   }
   ensureDbFile();
   const raw = fs.readFileSync(config.dataFilePath, 'utf-8');
   const parsed = safeParseJson(raw);
 
   if (!parsed) {
-    return normalizeDbShape(defaultDb);
+    return normalizeDbShape({});
   }
 
-  return normalizeDbShape(parsed);
+  const normalized = normalizeDbShape(parsed);
+  if (isLegacyDbShape(parsed)) {
+    // One-time migration: the old single shared document belongs to the admin user.
+    writeDbToDisk(normalized, 'migrated file');
+    console.log(`[store] migrated shared ${path.basename(config.dataFilePath)} state to user "${DEFAULT_OWNER_USERNAME}"`);
+  }
+
+  return normalized;
+}
+
+async function migrateLegacyMongoState(mongoDb) {
+  const appState = mongoDb.collection(LEGACY_STATE_COLLECTION);
+  const legacy = await appState.findOne({ _id: LEGACY_STATE_ID });
+  if (!legacy || legacy.migratedTo) {
+    return false;
+  }
+
+  const userStates = mongoDb.collection(USER_STATE_COLLECTION);
+  const existing = await userStates.findOne({ username: DEFAULT_OWNER_USERNAME });
+  if (!existing) {
+    const { _id, ...rest } = legacy;
+    await userStates.updateOne(
+      { username: DEFAULT_OWNER_USERNAME },
+      { $set: normalizeUserState(rest, DEFAULT_OWNER_USERNAME) },
+      { upsert: true },
+    );
+  }
+
+  await appState.updateOne(
+    { _id: LEGACY_STATE_ID },
+    { $set: { migratedTo: DEFAULT_OWNER_USERNAME, migratedAt: new Date().toISOString() } },
+  );
+  console.log(`[store] migrated shared app_state document to user "${DEFAULT_OWNER_USERNAME}"`);
+  return true;
 }
 
 async function readDbFromMongo() {
@@ -280,18 +533,21 @@ async function readDbFromMongo() {
     return null;
   }
 
-  const doc = await db.collection('app_state').findOne({ _id: 'app' });
-  if (!doc) {
-    return null;
+  const docs = await db.collection(USER_STATE_COLLECTION).find({}).toArray();
+  const users = {};
+  for (const doc of docs) {
+    const { _id, ...rest } = doc;
+    if (rest.username) {
+      users[rest.username] = rest;
+    }
   }
 
-  const { _id, ...rest } = doc;
-  return normalizeDbShape(rest);
+  return normalizeDbShape({ users });
 }
 
 async function initializeStore() {
   if (storeInitialized) {
-    return cachedDb || normalizeDbShape(defaultDb);
+    return cachedDb || normalizeDbShape({});
   }
 
   if (isMongoEnabled()) {
@@ -305,20 +561,8 @@ async function initializeStore() {
       return cachedDb;
     }
 
-    const collection = mongoDb.collection('app_state');
-    const existing = await collection.findOne({ _id: 'app' });
-    if (existing) {
-      const { _id, ...rest } = existing;
-      cachedDb = normalizeDbShape(rest);
-    } else {
-      // Initial seed for new DB
-      cachedDb = normalizeDbShape(defaultDb);
-      await collection.updateOne(
-        { _id: 'app' },
-        { $set: cachedDb },
-        { upsert: true },
-      );
-    }
+    await migrateLegacyMongoState(mongoDb);
+    cachedDb = (await readDbFromMongo()) || normalizeDbShape({});
   } else {
     cachedDb = readDbFromDisk();
   }
@@ -337,70 +581,232 @@ function readDb() {
     throw new Error('Storage not initialized. Call initializeStore() first.');
   }
 
-  return cachedDb || normalizeDbShape(defaultDb);
+  return cachedDb || normalizeDbShape({});
+}
+
+function readUserDb(usernameInput) {
+  const username = requireUsername(usernameInput);
+  return readDb().users[username] || normalizeUserState({}, username);
 }
 
-function writeDb(updater) {
-  writeQueue = writeQueue.then(async () => {
+function writeDb(usernameInput, updater) {
+  const username = requireUsername(usernameInput);
+  const run = writeQueue.then(async () => {
     const mongoEnabled = isMongoEnabled();
-    const current = cachedDb || (mongoEnabled
-      ? (await readDbFromMongo()) || normalizeDbShape(defaultDb)
+    const state = cachedDb || (mongoEnabled
+      ? (await readDbFromMongo()) || normalizeDbShape({})
       : readDbFromDisk());
+    const current = state.users[username] || normalizeUserState({}, username);
 
     const next = typeof updater === 'function' ? updater(current) : updater;
-    const normalized = normalizeDbShape({
+    const normalized = normalizeUserState({
       ...next,
       updatedAt: new Date().toISOString(),
-    });
+    }, username);
 
-    cachedDb = normalized;
+    cachedDb = {
+      ...state,
+      users: {
+        ...state.users,
+        [username]: normalized,
+      },
+      updatedAt: normalized.updatedAt,
+    };
 
     if (mongoEnabled) {
       const mongoDb = await getDb();
       if (mongoDb) {
-        await mongoDb.collection('app_state').updateOne(
-          { _id: 'app' },
+        await mongoDb.collection(USER_STATE_COLLECTION).updateOne(
+          { username },
           { $set: normalized },
           { upsert: true },
         );
       } else {
         // Fallback write if Mongo enabled but down
-        if (config.dataFilePath) {
-          try {
-            ensureDir(config.dataFilePath);
-            fs.writeFileSync(config.dataFilePath, JSON.stringify(normalized, null, 2));
-          } catch (err) {
-            console.error('[store] Failed to write fallback file:', err.message);
-          }
-        }
+        writeDbToDisk(cachedDb, 'fallback file');
       }
     } else {
       // Mongo disabled, write to disk
-      if (config.dataFilePath) {
-        try {
-          ensureDir(config.dataFilePath);
-          fs.writeFileSync(config.dataFilePath, JSON.stringify(normalized, null, 2));
-        } catch (err) {
-          console.error('[store] Failed to write file:', err.message);
-        }
-      }
+      writeDbToDisk(cachedDb);
     }
 
     return normalized;
   });
 
-  return writeQueue;
+  // A failed updater must not poison the queue for every later write.
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+function findWatchlist(state, listId) {
+  const list = listId
+    ? state.watchlists.find((item) => item.id === listId)
+    : state.watchlists[0];
+  if (!list) {
+    throw new Error(`Watchlist not found: ${listId}`);
+  }
+  return list;
+}
+
+function toWatchlistSummary(list) {
+  return {
+    id: list.id,
+    name: list.name,
+    count: list.entries.length,
+    createdAt: list.createdAt,
+    updatedAt: list.updatedAt,
+  };
+}
+
+function assertUniqueWatchlistName(state, name, exceptId = '') {
+  const clash = state.watchlists.find((list) => list.id !== exceptId && list.name.toLowerCase() === name.toLowerCase());
+  if (clash) {
+    throw new Error(`A watchlist named "${clash.name}" already exists.`);
+  }
+}
+
+function requireWatchlistName(nameInput) {
+  const name = String(nameInput || '').trim().slice(0, WATCHLIST_NAME_MAX_LENGTH);
+  if (!name) {
+    throw new Error('Watchlist name is required.');
+  }
+  return name;
+}
+
+function mapWatchlist(state, listId, mapper) {
+  return state.watchlists.map((list) => (list.id === listId ? { ...mapper(list), updatedAt: new Date().toISOString() } : list));
+}
+
+// Only the fields present in `input` are changed; an empty value clears tags/note/prices.
+function applyWatchlistEntryPatch(entry, input = {}) {
+  const next = { ...entry, updatedAt: new Date().toISOString() };
+  if (input.tags !== undefined) next.tags = normalizeWatchlistTags(input.tags);
+  if (input.note !== undefined) next.note = String(input.note || '').trim().slice(0, WATCHLIST_NOTE_MAX_LENGTH);
+  for (const key of ['targetPrice', 'stopPrice']) {
+    if (input[key] === undefined) {
+      continue;
+    }
+    if (input[key] !== null && input[key] !== '' && normalizeOptionalPrice(input[key]) === null) {
+      throw new Error(`${key} must be a positive number.`);
+    }
+    next[key] = normalizeOptionalPrice(input[key]);
+  }
+  return next;
+}
+
+// Named lists without their entries, in the user's order.
+async function getWatchlists(username) {
+  return readUserDb(username).watchlists.map(toWatchlistSummary);
+}
+
+// Validates a requested list id; an empty id means the user's first list.
+async function resolveWatchlistId(username, listId) {
+  return findWatchlist(readUserDb(username), String(listId || '').trim()).id;
+}
+
+/**
+ * Quote-cache entries ({ symbol, liveData, cachedQuote, cachedAt }). With `listId`, only that
+ * list's symbols in list order, each merged with its tags, note and target/stop prices.
+ */
+async function getWatchlistEntries(username, options = {}) {
+  const state = readUserDb(username);
+  if (!options.listId) {
+    return state.watchlist;
+  }
+
+  const bySymbol = new Map(state.watchlist.map((entry) => [entry.symbol, entry]));
+  return findWatchlist(state, options.listId).entries.map((entry) => ({
+    ...bySymbol.get(entry.symbol),
+    ...entry,
+    listId: options.listId,
+  }));
+}
+
+async function getWatchlist(username, options = {}) {
+  return getWatchlistSymbolsFromEntries(await getWatchlistEntries(username, options));
+}
+
+async function getAllWatchlistSymbols() {
+  const symbols = new Set();
+  for (const userState of Object.values(readDb().users)) {
+    for (const symbol of getWatchlistSymbolsFromEntries(userState.watchlist)) {
+      symbols.add(symbol);
+    }
+  }
+  return Array.from(symbols);
+}
+
+async function createWatchlist(username, input = {}) {
+  const name = requireWatchlistName(input.name);
+  const nowIso = new Date().toISOString();
+  const list = {
+    id: randomUUID(),
+    name,
+    entries: (Array.isArray(input.symbols) ? input.symbols : [])
+      .map((symbol) => normalizeWatchlistListEntry(symbol, nowIso))
+      .filter(Boolean),
+    createdAt: nowIso,
+    updatedAt: nowIso,
+  };
+
+  await writeDb(username, (current) => {
+    if (current.watchlists.length >= MAX_WATCHLISTS) {
+      throw new Error(`You can keep up to ${MAX_WATCHLISTS} watchlists.`);
+    }
+    assertUniqueWatchlistName(current, name);
+    return { ...current, watchlists: [...current.watchlists, list] };
+  });
+
+  return toWatchlistSummary(list);
 }
 
-async function getWatchlistEntries() {
-  return readDb().watchlist;
+async function renameWatchlist(username, listId, nameInput) {
+  const name = requireWatchlistName(nameInput);
+  const db = await writeDb(username, (current) => {
+    findWatchlist(current, listId);
+    assertUniqueWatchlistName(current, name, listId);
+    return { ...current, watchlists: mapWatchlist(current, listId, (list) => ({ ...list, name })) };
+  });
+
+  return toWatchlistSummary(findWatchlist(db, listId));
 }
 
-async function getWatchlist() {
-  return getWatchlistSymbolsFromEntries(readDb().watchlist);
+// `ids` lists watchlist ids in the new order; lists left out keep their relative order at the end.
+async function reorderWatchlists(username, ids) {
+  const order = (Array.isArray(ids) ? ids : []).map((id) => String(id || '').trim());
+  const db = await writeDb(username, (current) => {
+    const rank = new Map(order.map((id, index) => [id, index]));
+    const unknown = order.find((id) => !current.watchlists.some((list) => list.id === id));
+    if (unknown) {
+      throw new Error(`Watchlist not found: ${unknown}`);
+    }
+    const watchlists = current.watchlists
+      .map((list, index) => ({ list, index }))
+      .sort((left, right) => (rank.get(left.list.id) ?? order.length + left.index) - (rank.get(right.list.id) ?? order.length + right.index))
+      .map(({ list }) => list);
+    return { ...current, watchlists };
+  });
+
+  return db.watchlists.map(toWatchlistSummary);
 }
 
-async function addToWatchlist(symbolInput, options = {}) {
+async function deleteWatchlist(username, listId) {
+  const db = await writeDb(username, (current) => {
+    findWatchlist(current, listId);
+    if (current.watchlists.length <= 1) {
+      throw new Error('Cannot delete your only watchlist.');
+    }
+    return { ...current, watchlists: current.watchlists.filter((list) => list.id !== listId) };
+  });
+
+  return db.watchlists.map(toWatchlistSummary);
+}
+
+/**
+ * Adds a symbol to a named list (the first list when `listId` is empty). Adding a symbol that is
+ * already in the list updates whichever of tags/note/targetPrice/stopPrice are given.
+ */
+async function addToWatchlist(username, symbolInput, options = {}) {
   const symbol = normalizeIndianSymbol(symbolInput);
   if (!symbol) {
     throw new Error('Invalid stock symbol.');
@@ -409,70 +815,96 @@ async function addToWatchlist(symbolInput, options = {}) {
   const hasRequestedLiveData = options.liveData !== undefined;
   const requestedLiveData = Boolean(options.liveData);
 
-  const db = await writeDb((current) => {
-    const existing = current.watchlist.find((entry) => entry.symbol === symbol);
-    if (existing) {
-      if (!hasRequestedLiveData || existing.liveData === requestedLiveData) {
-        return current;
-      }
-
-      return {
-        ...current,
-        watchlist: current.watchlist.map((entry) => (
-          entry.symbol === symbol
-            ? {
-              ...entry,
-              liveData: requestedLiveData,
-              updatedAt: new Date().toISOString(),
-            }
-            : entry
-        )),
-      };
-    }
+  const db = await writeDb(username, (current) => {
+    const list = findWatchlist(current, options.listId);
+    const nowIso = new Date().toISOString();
+    const existingEntry = list.entries.find((entry) => entry.symbol === symbol);
+    const entry = applyWatchlistEntryPatch(
+      existingEntry || normalizeWatchlistListEntry(symbol, nowIso),
+      options,
+    );
+    const hasQuoteEntry = current.watchlist.some((item) => item.symbol === symbol);
 
     return {
       ...current,
-      watchlist: [
-        ...current.watchlist,
-        {
-          symbol,
-          liveData: hasRequestedLiveData ? requestedLiveData : false,
-          cachedQuote: null,
-          cachedAt: '',
-          createdAt: new Date().toISOString(),
-          updatedAt: new Date().toISOString(),
-        },
-      ],
+      watchlists: mapWatchlist(current, list.id, (item) => ({
+        ...item,
+        entries: existingEntry
+          ? item.entries.map((candidate) => (candidate.symbol === symbol ? entry : candidate))
+          : [...item.entries, entry],
+      })),
+      watchlist: hasQuoteEntry
+        ? current.watchlist.map((item) => (
+          item.symbol === symbol && hasRequestedLiveData && item.liveData !== requestedLiveData
+            ? { ...item, liveData: requestedLiveData, updatedAt: nowIso }
+            : item
+        ))
+        : [
+          ...current.watchlist,
+          {
+            symbol,
+            liveData: hasRequestedLiveData ? requestedLiveData : false,
+            cachedQuote: null,
+            cachedAt: '',
+            createdAt: nowIso,
+            updatedAt: nowIso,
+          },
+        ],
     };
   });
 
-  return getWatchlistSymbolsFromEntries(db.watchlist);
+  return getWatchlistSymbolsFromEntries(findWatchlist(db, options.listId).entries);
 }
 
-async function removeFromWatchlist(symbolInput) {
+async function updateWatchlistEntry(username, listId, symbolInput, input = {}) {
   const symbol = normalizeIndianSymbol(symbolInput);
-  const db = await writeDb((current) => ({
+  const list = findWatchlist(readUserDb(username), listId);
+  if (!list.entries.some((entry) => entry.symbol === symbol)) {
+    throw new Error(`Watchlist symbol not found: ${symbol}`);
+  }
+
+  const db = await writeDb(username, (current) => ({
     ...current,
-    watchlist: current.watchlist.filter((entry) => entry.symbol !== symbol),
-    portfolio: current.portfolio.filter((position) => position.symbol !== symbol),
+    watchlists: mapWatchlist(current, list.id, (item) => ({
+      ...item,
+      entries: item.entries.map((entry) => (entry.symbol === symbol ? applyWatchlistEntryPatch(entry, input) : entry)),
+    })),
   }));
 
+  return findWatchlist(db, list.id).entries.find((entry) => entry.symbol === symbol);
+}
+
+// Removes the symbol from one list, or from every list when `listId` is not given.
+async function removeFromWatchlist(username, symbolInput, options = {}) {
+  const symbol = normalizeIndianSymbol(symbolInput);
+  const db = await writeDb(username, (current) => {
+    const targetId = options.listId ? findWatchlist(current, options.listId).id : '';
+    return {
+      ...current,
+      watchlists: current.watchlists.map((list) => (
+        (!targetId || list.id === targetId) && list.entries.some((entry) => entry.symbol === symbol)
+          ? { ...list, entries: list.entries.filter((entry) => entry.symbol !== symbol), updatedAt: new Date().toISOString() }
+          : list
+      )),
+    };
+  });
+
   return getWatchlistSymbolsFromEntries(db.watchlist);
 }
 
-async function setWatchlistLiveData(symbolInput, liveData) {
+async function setWatchlistLiveData(username, symbolInput, liveData) {
   const symbol = normalizeIndianSymbol(symbolInput);
   if (!symbol) {
     throw new Error('Invalid stock symbol.');
   }
 
   const liveFlag = Boolean(liveData);
-  const exists = readDb().watchlist.some((entry) => entry.symbol === symbol);
+  const exists = readUserDb(username).watchlist.some((entry) => entry.symbol === symbol);
   if (!exists) {
     throw new Error(`Watchlist symbol not found: ${symbol}`);
   }
 
-  const db = await writeDb((current) => {
+  const db = await writeDb(username, (current) => {
     const nextWatchlist = current.watchlist.map((entry) => {
       if (entry.symbol !== symbol) {
         return entry;
@@ -494,25 +926,31 @@ async function setWatchlistLiveData(symbolInput, liveData) {
   return db.watchlist;
 }
 
-async function setAllWatchlistLiveData(liveData) {
+// With `listId`, only that list's symbols change.
+async function setAllWatchlistLiveData(username, liveData, options = {}) {
   const liveFlag = Boolean(liveData);
 
-  const db = await writeDb((current) => ({
-    ...current,
-    watchlist: current.watchlist.map((entry) => ({
-      ...entry,
-      liveData: liveFlag,
-      updatedAt: new Date().toISOString(),
-    })),
-  }));
+  const db = await writeDb(username, (current) => {
+    const scope = options.listId
+      ? new Set(findWatchlist(current, options.listId).entries.map((entry) => entry.symbol))
+      : null;
+    return {
+      ...current,
+      watchlist: current.watchlist.map((entry) => (
+        scope && !scope.has(entry.symbol)
+          ? entry
+          : { ...entry, liveData: liveFlag, updatedAt: new Date().toISOString() }
+      )),
+    };
+  });
 
   return db.watchlist;
 }
 
-async function updateWatchlistQuoteCaches(records) {
+async function updateWatchlistQuoteCaches(username, records) {
   const updates = Array.isArray(records) ? records : [];
   if (updates.length === 0) {
-    return getWatchlistEntries();
+    return getWatchlistEntries(username);
   }
 
   const updatesBySymbol = new Map();
@@ -535,10 +973,10 @@ async function updateWatchlistQuoteCaches(records) {
   }
 
   if (updatesBySymbol.size === 0) {
-    return getWatchlistEntries();
+    return getWatchlistEntries(username);
   }
 
-  const db = await writeDb((current) => ({
+  const db = await writeDb(username, (current) => ({
     ...current,
     watchlist: current.watchlist.map((entry) => {
       const update = updatesBySymbol.get(entry.symbol);
@@ -558,20 +996,16 @@ async function updateWatchlistQuoteCaches(records) {
   return db.watchlist;
 }
 
-async function getPortfolio() {
-  return readDb().portfolio;
-}
-
 function getDashboardPageKeys() {
   return [...DASHBOARD_PAGE_KEYS];
 }
 
-async function getProfileSettings() {
-  return readDb().profile;
+async function getProfileSettings(username) {
+  return readUserDb(username).profile;
 }
 
-async function updateProfileSettings(input = {}) {
-  const current = readDb().profile;
+async function updateProfileSettings(username, input = {}) {
+  const current = readUserDb(username).profile;
   const payload = {
     ...current,
     displayName: input.displayName !== undefined ? String(input.displayName || '').trim() : current.displayName,
@@ -581,9 +1015,9 @@ async function updateProfileSettings(input = {}) {
       : current.enabledPages,
     updatedAt: new Date().toISOString(),
   };
-  const normalizedProfile = normalizeProfileSettings(payload, new Date().toISOString());
+  const normalizedProfile = normalizeProfileSettings(payload, new Date().toISOString(), requireUsername(username));
 
-  const db = await writeDb((currentDb) => ({
+  const db = await writeDb(username, (currentDb) => ({
     ...currentDb,
     profile: normalizedProfile,
   }));
@@ -591,133 +1025,420 @@ async function updateProfileSettings(input = {}) {
   return db.profile;
 }
 
-function validatePositionInput(input) {
-  const symbol = normalizeIndianSymbol(input.symbol);
-  const quantity = Number(input.quantity);
-  const avgPrice = Number(input.avgPrice);
-
-  if (!symbol) {
-    throw new Error('Position requires a valid symbol.');
+// Rejects ledgers where a SELL exceeds the quantity held at that date.
+function assertLedgerConsistent(transactions) {
+  const { warnings } = buildLedger(transactions);
+  const oversell = warnings.find((warning) => warning.code === 'oversell');
+  if (oversell) {
+    throw new Error(oversell.message);
   }
+}
 
-  if (!Number.isFinite(quantity) || quantity <= 0) {
-    throw new Error('Quantity must be greater than zero.');
+function createTransactionRecord(parsed, options = {}) {
+  const nowIso = new Date().toISOString();
+  return {
+    id: randomUUID(),
+    ...parsed,
+    source: options.source || 'manual',
+    createdAt: nowIso,
+    updatedAt: nowIso,
+  };
+}
+
+async function getTransactions(username) {
+  return sortTransactions(readUserDb(username).transactions);
+}
+
+// Open holdings derived from the ledger ({ symbol, quantity, avgPrice, lots, ... }).
+async function getPortfolio(username) {
+  return buildLedger(readUserDb(username).transactions).holdings;
+}
+
+async function addTransactions(username, inputs, options = {}) {
+  const list = Array.isArray(inputs) ? inputs : [inputs];
+  if (list.length === 0) {
+    throw new Error('At least one transaction is required.');
   }
+  const records = list.map((input) => createTransactionRecord(validateTransactionInput(input), options));
+
+  const db = await writeDb(username, (current) => {
+    const transactions = [...current.transactions, ...records];
+    assertLedgerConsistent(transactions);
+    return { ...current, transactions };
+  });
+
+  return sortTransactions(db.transactions);
+}
+
+async function addTransaction(username, input, options = {}) {
+  return addTransactions(username, [input], options);
+}
 
-  if (!Number.isFinite(avgPrice) || avgPrice <= 0) {
-    throw new Error('Average price must be greater than zero.');
+/**
+ * Broker import: all rows land in one write or none do. Rows whose `externalId` (broker trade id)
+ * is already in the ledger are skipped rather than duplicated.
+ * @returns {Promise<{ transactions: object[], imported: object[], duplicates: number }>}
+ */
+async function importTransactions(username, inputs, options = {}) {
+  const records = (Array.isArray(inputs) ? inputs : [])
+    .map((input) => createTransactionRecord(validateTransactionInput(input), options));
+  if (records.length === 0) {
+    throw new Error('Nothing to import.');
   }
 
+  let imported = [];
+  const db = await writeDb(username, (current) => {
+    const knownIds = new Set(current.transactions.map((transaction) => transaction.externalId).filter(Boolean));
+    imported = records.filter((record) => !record.externalId || !knownIds.has(record.externalId));
+    const transactions = [...current.transactions, ...imported];
+    assertLedgerConsistent(transactions);
+    return { ...current, transactions };
+  });
+
   return {
-    symbol,
-    quantity,
-    avgPrice,
-    notes: String(input.notes || ''),
+    transactions: sortTransactions(db.transactions),
+    imported,
+    duplicates: records.length - imported.length,
   };
 }
 
-async function addPortfolioPosition(input) {
-  const parsed = validatePositionInput(input);
+async function updateTransaction(username, id, input = {}) {
+  const existing = readUserDb(username).transactions.find((transaction) => transaction.id === id);
+  if (!existing) {
+    throw new Error('Transaction not found.');
+  }
+  const parsed = validateTransactionInput({ ...existing, ...input, type: existing.type });
+
+  const db = await writeDb(username, (current) => {
+    const transactions = current.transactions.map((transaction) => (
+      transaction.id === id
+        ? { ...transaction, ...parsed, updatedAt: new Date().toISOString() }
+        : transaction
+    ));
+    assertLedgerConsistent(transactions);
+    return { ...current, transactions };
+  });
+
+  return sortTransactions(db.transactions);
+}
+
+async function deleteTransaction(username, id) {
+  if (!readUserDb(username).transactions.some((transaction) => transaction.id === id)) {
+    throw new Error('Transaction not found.');
+  }
+
+  const db = await writeDb(username, (current) => {
+    const transactions = current.transactions.filter((transaction) => transaction.id !== id);
+    assertLedgerConsistent(transactions);
+    return { ...current, transactions };
+  });
+
+  return sortTransactions(db.transactions);
+}
+
+// Removes a symbol's whole trade history (the "Delete" action on a holding row).
+async function deletePortfolioSymbol(username, symbolInput) {
+  const symbol = normalizeIndianSymbol(symbolInput);
+  const db = await writeDb(username, (current) => ({
+    ...current,
+    transactions: current.transactions.filter((transaction) => transaction.symbol !== symbol),
+  }));
+
+  return sortTransactions(db.transactions);
+}
+
+async function getGrandfatheringFmv(username) {
+  return { ...readUserDb(username).grandfatheringFmv };
+}
+
+// Sets (or clears, when `value` is empty) the user's 31-Jan-2018 FMV for one symbol.
+async function setGrandfatheringFmv(username, symbolInput, value) {
+  const symbol = normalizeIndianSymbol(symbolInput);
+  if (!symbol) {
+    throw new Error('A valid symbol is required.');
+  }
+
+  const clearing = value === null || value === undefined || value === '';
+  const fmv = Number(value);
+  if (!clearing && (!Number.isFinite(fmv) || fmv <= 0)) {
+    throw new Error('FMV must be greater than zero.');
+  }
+
+  const db = await writeDb(username, (current) => {
+    const next = { ...current.grandfatheringFmv };
+    if (clearing) {
+      delete next[symbol];
+    } else {
+      next[symbol] = fmv;
+    }
+    return { ...current, grandfatheringFmv: next };
+  });
+
+  return { ...db.grandfatheringFmv };
+}
+
+async function getAlerts(username) {
+  const state = readUserDb(username);
+  return { alerts: state.alerts, history: state.alertHistory };
+}
+
+async function createAlert(username, input = {}) {
+  const parsed = validateAlertInput(input);
+  const nowIso = new Date().toISOString();
+  const alert = normalizeAlert({
+    id: randomUUID(),
+    ...parsed,
+    status: 'active',
+    createdAt: nowIso,
+    updatedAt: nowIso,
+  });
+
+  const db = await writeDb(username, (current) => {
+    if (current.alerts.length >= MAX_ALERTS) {
+      throw new Error(`You can keep at most ${MAX_ALERTS} alerts.`);
+    }
+    return { ...current, alerts: [...current.alerts, alert] };
+  });
+
+  return { alert, alerts: db.alerts };
+}
 
-  const db = await writeDb((current) => {
-    const existing = current.portfolio.find((item) => item.symbol === parsed.symbol);
+/**
+ * Edits an alert. Changing what it watches, or setting `status: 'active'` again (re-arming a
+ * triggered one-shot alert), clears the remembered quote state so it starts from a fresh look.
+ */
+async function updateAlert(username, id, input = {}) {
+  const db = await writeDb(username, (current) => {
+    const existing = current.alerts.find((alert) => alert.id === id);
     if (!existing) {
-      return {
-        ...current,
-        portfolio: [
-          ...current.portfolio,
-          {
-            id: randomUUID(),
-            ...parsed,
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString(),
-          },
-        ],
-      };
+      throw new Error('Alert not found.');
     }
 
-    const totalQuantity = existing.quantity + parsed.quantity;
-    const weightedAvgPrice = ((existing.quantity * existing.avgPrice) + (parsed.quantity * parsed.avgPrice)) / totalQuantity;
+    const parsed = validateAlertInput(input, existing);
+    let { status } = existing;
+    if (input.status !== undefined) {
+      status = String(input.status).trim().toLowerCase();
+      if (!['active', 'paused'].includes(status)) {
+        throw new Error('Alert status can only be set to active or paused.');
+      }
+    }
 
+    const watchChanged = ['symbol', 'condition', 'value', 'stage']
+      .some((key) => parsed[key] !== existing[key]);
+    const rearmed = status === 'active' && existing.status !== 'active';
+    const updated = {
+      ...existing,
+      ...parsed,
+      status,
+      lastState: watchChanged || rearmed ? null : existing.lastState,
+      updatedAt: new Date().toISOString(),
+    };
     return {
       ...current,
-      portfolio: current.portfolio.map((item) => {
-        if (item.symbol !== parsed.symbol) {
-          return item;
-        }
-
-        return {
-          ...item,
-          quantity: Number(totalQuantity.toFixed(4)),
-          avgPrice: Number(weightedAvgPrice.toFixed(4)),
-          notes: parsed.notes || item.notes,
-          updatedAt: new Date().toISOString(),
-        };
-      }),
+      alerts: current.alerts.map((alert) => (alert.id === id ? updated : alert)),
     };
   });
 
-  return db.portfolio;
+  return { alert: db.alerts.find((alert) => alert.id === id), alerts: db.alerts };
 }
 
-async function updatePortfolioPosition(id, input) {
-  const db = readDb();
-  const existing = db.portfolio.find((position) => position.id === id);
-  if (!existing) {
-    throw new Error('Position not found.');
-  }
+async function deleteAlert(username, id) {
+  const db = await writeDb(username, (current) => {
+    if (!current.alerts.some((alert) => alert.id === id)) {
+      throw new Error('Alert not found.');
+    }
+    return { ...current, alerts: current.alerts.filter((alert) => alert.id !== id) };
+  });
+  return db.alerts;
+}
 
-  const payload = {
-    symbol: existing.symbol,
-    quantity: input.quantity ?? existing.quantity,
-    avgPrice: input.avgPrice ?? existing.avgPrice,
-    notes: input.notes ?? existing.notes,
-  };
-  const parsed = validatePositionInput(payload);
+async function clearAlertHistory(username) {
+  await writeDb(username, (current) => ({ ...current, alertHistory: [] }));
+  return [];
+}
 
-  const updatedDb = await writeDb((current) => ({
-    ...current,
-    portfolio: current.portfolio.map((position) => {
-      if (position.id !== id) {
-        return position;
+/**
+ * Saves one evaluator pass for a user: updated alert bookkeeping plus new history entries.
+ * Results for alerts that were deleted or edited while quotes were being fetched are dropped.
+ */
+async function recordAlertEvaluations(username, results, triggers = []) {
+  const byId = new Map(results.map((alert) => [alert.id, alert]));
+  const db = await writeDb(username, (current) => {
+    const applied = new Set();
+    const alerts = current.alerts.map((alert) => {
+      const evaluated = byId.get(alert.id);
+      if (!evaluated || evaluated.updatedAt !== alert.updatedAt) {
+        return alert;
       }
+      applied.add(alert.id);
+      return evaluated;
+    });
+    return {
+      ...current,
+      alerts,
+      alertHistory: [...triggers.filter((trigger) => applied.has(trigger.alertId)), ...current.alertHistory],
+    };
+  });
+  return { alerts: db.alerts, history: db.alertHistory };
+}
 
-      return {
-        ...position,
-        ...parsed,
-        updatedAt: new Date().toISOString(),
-      };
-    }),
-  }));
+async function getNotificationChannels(username) {
+  return readUserDb(username).notificationChannels;
+}
+
+async function createNotificationChannel(username, input = {}) {
+  const nowIso = new Date().toISOString();
+  const channel = normalizeNotificationChannel({
+    id: randomUUID(),
+    ...validateNotificationChannelInput(input),
+    createdAt: nowIso,
+    updatedAt: nowIso,
+  });
+
+  await writeDb(username, (current) => {
+    if (current.notificationChannels.length >= MAX_NOTIFICATION_CHANNELS) {
+      throw new Error(`You can keep at most ${MAX_NOTIFICATION_CHANNELS} notification channels.`);
+    }
+    return { ...current, notificationChannels: [...current.notificationChannels, channel] };
+  });
 
-  return updatedDb.portfolio;
+  return channel;
 }
 
-async function deletePortfolioPosition(id) {
-  const db = await writeDb((current) => ({
-    ...current,
-    portfolio: current.portfolio.filter((position) => position.id !== id),
-  }));
+async function updateNotificationChannel(username, id, input = {}) {
+  const db = await writeDb(username, (current) => {
+    const existing = current.notificationChannels.find((channel) => channel.id === id);
+    if (!existing) {
+      throw new Error('Notification channel not found.');
+    }
+    const updated = {
+      ...existing,
+      ...validateNotificationChannelInput(input, existing),
+      updatedAt: new Date().toISOString(),
+    };
+    return {
+      ...current,
+      notificationChannels: current.notificationChannels.map((channel) => (channel.id === id ? updated : channel)),
+    };
+  });
+
+  return db.notificationChannels.find((channel) => channel.id === id);
+}
+
+async function deleteNotificationChannel(username, id) {
+  const db = await writeDb(username, (current) => {
+    if (!current.notificationChannels.some((channel) => channel.id === id)) {
+      throw new Error('Notification channel not found.');
+    }
+    return {
+      ...current,
+      notificationChannels: current.notificationChannels.filter((channel) => channel.id !== id),
+    };
+  });
+  return db.notificationChannels;
+}
+
+// Pre-ledger API shape ({ symbol, quantity, avgPrice }): recorded as a BUY dated today.
+async function addPortfolioPosition(username, input = {}) {
+  return addTransaction(username, {
+    type: 'BUY',
+    symbol: input.symbol,
+    date: input.date,
+    quantity: input.quantity,
+    price: input.price ?? input.avgPrice,
+    charges: input.charges,
+    note: input.notes,
+  });
+}
+
+// Drops a user's watchlist/portfolio/profile state (used when the account is deleted).
+function deleteUserState(usernameInput) {
+  const username = requireUsername(usernameInput);
+  const run = writeQueue.then(async () => {
+    const mongoEnabled = isMongoEnabled();
+    const state = cachedDb || (mongoEnabled
+      ? (await readDbFromMongo()) || normalizeDbShape({})
+      : readDbFromDisk());
+    const existed = Boolean(state.users[username]);
+    const { [username]: _removed, ...users } = state.users;
 
-  return db.portfolio;
+    cachedDb = {
+      ...state,
+      users,
+      updatedAt: new Date().toISOString(),
+    };
+
+    if (mongoEnabled) {
+      const mongoDb = await getDb();
+      if (mongoDb) {
+        await mongoDb.collection(USER_STATE_COLLECTION).deleteOne({ username });
+      } else {
+        writeDbToDisk(cachedDb, 'fallback file');
+      }
+    } else {
+      writeDbToDisk(cachedDb);
+    }
+
+    return existed;
+  });
+
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+function getStoreStats() {
+  const users = Object.values(readDb().users);
+  return {
+    users: users.length,
+    watchlist: users.reduce((total, userState) => total + userState.watchlist.length, 0),
+    transactions: users.reduce((total, userState) => total + userState.transactions.length, 0),
+  };
 }
 
 module.exports = {
   initializeStore,
   readDb,
+  readUserDb,
   writeDb,
+  deleteUserState,
+  getStoreStats,
   getWatchlist,
   getWatchlistEntries,
+  getWatchlists,
+  resolveWatchlistId,
+  createWatchlist,
+  renameWatchlist,
+  reorderWatchlists,
+  deleteWatchlist,
+  getAllWatchlistSymbols,
   addToWatchlist,
+  updateWatchlistEntry,
   removeFromWatchlist,
   setWatchlistLiveData,
   setAllWatchlistLiveData,
   updateWatchlistQuoteCaches,
   getPortfolio,
+  getTransactions,
+  addTransaction,
+  addTransactions,
+  importTransactions,
+  updateTransaction,
+  deleteTransaction,
+  deletePortfolioSymbol,
   getDashboardPageKeys,
   getProfileSettings,
   updateProfileSettings,
   addPortfolioPosition,
-  updatePortfolioPosition,
-  deletePortfolioPosition,
+  getGrandfatheringFmv,
+  setGrandfatheringFmv,
+  getAlerts,
+  createAlert,
+  updateAlert,
+  deleteAlert,
+  clearAlertHistory,
+  recordAlertEvaluations,
+  getNotificationChannels,
+  createNotificationChannel,
+  updateNotificationChannel,
+  deleteNotificationChannel,
 };
@@ -0,0 +1,80 @@
+function normalizeCellText(value) {
+  return String(value || '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Header keys compare case-, space- and punctuation-insensitively ("Trade Date" === "trade_date").
+function normalizeHeader(value) {
+  return String(value || '')
+    .replace(/^\uFEFF/, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+}
+
+function parseCsvLine(line) {
+  const cells = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (let index = 0; index < line.length; index += 1) {
+    const char = line[index];
+
+    if (char === '"') {
+      const nextChar = line[index + 1];
+      if (inQuotes && nextChar === '"') {
+        current += '"';
+        index += 1;
+      } else {
+        inQuotes = !inQuotes;
+      }
+      continue;
+    }
+
+    if (char === ',' && !inQuotes) {
+      cells.push(current);
+      current = '';
+      continue;
+    }
+
+    current += char;
+  }
+
+  cells.push(current);
+  return cells.map((cell) => normalizeCellText(cell));
+}
+
+function buildHeaderIndexMap(headerCells) {
+  const map = new Map();
+  for (let index = 0; index < headerCells.length; index += 1) {
+    map.set(normalizeHeader(headerCells[index]), index);
+  }
+  return map;
+}
+
+function readCsvCell(rowCells, headerMap, candidates) {
+  for (const candidate of candidates) {
+    const idx = headerMap.get(normalizeHeader(candidate));
+    if (idx === undefined) {
+      continue;
+    }
+    return normalizeCellText(rowCells[idx]);
+  }
+  return '';
+}
+
+function toCsvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = typeof value === 'boolean' ? (value ? 'Yes' : 'No') : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = {
+  normalizeHeader,
+  parseCsvLine,
+  buildHeaderIndexMap,
+  readCsvCell,
+  toCsvCell,
+};
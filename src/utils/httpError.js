@@ -0,0 +1,15 @@
+// Errors created here carry their HTTP status to the Express error handler.
+// `expose` marks them as safe to return to the client as-is (same convention as http-errors).
+function createHttpError(status, message, code = '') {
+  const error = new Error(message);
+  error.status = status;
+  error.expose = true;
+  if (code) {
+    error.code = code;
+  }
+  return error;
+}
+
+module.exports = {
+  createHttpError,
+};
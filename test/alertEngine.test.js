@@ -0,0 +1,32 @@
+require('./helpers/env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { initializeStore, createAlert } = require('../src/store');
+const { evaluateAlerts, getAlertEngineStatus } = require('../src/services/alertEngineService');
+
+test.before(async () => {
+  await initializeStore();
+  await createAlert('asha', { symbol: 'INFY.NS', condition: 'PRICE_ABOVE', value: 2000 });
+  await createAlert('ravi', { symbol: 'TCS.NS', condition: 'PRICE_BELOW', value: 3000 });
+});
+
+test('a user-scoped evaluation during another user\'s run gets a run of its own', async () => {
+  const [first, second] = await Promise.all([
+    evaluateAlerts({ reason: 'api', username: 'asha' }),
+    evaluateAlerts({ reason: 'api', username: 'ravi' }),
+  ]);
+  assert.notEqual(second, first);
+  // User-scoped runs do not replace the status of the last all-users run.
+  assert.equal(getAlertEngineStatus().run.status, 'idle');
+});
+
+test('an all-users run is joined by user-scoped requests and recorded in the status', async () => {
+  const all = evaluateAlerts({ reason: 'scheduled-cron' });
+  const joined = evaluateAlerts({ reason: 'api', username: 'asha' });
+  assert.equal(await joined, await all);
+
+  const { run } = getAlertEngineStatus();
+  assert.equal(run.status, 'completed');
+  assert.equal(run.reason, 'scheduled-cron');
+  assert.equal(run.users, 2);
+});
@@ -0,0 +1,79 @@
+const { tempDir } = require('./helpers/env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const app = require('../server');
+const {
+  createUser,
+  deleteUser,
+  getUserByUsername,
+  readUsers,
+  writeUsers,
+  hashPassword,
+} = require('../src/services/authService');
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  await app.bootstrapStorage();
+  await createUser({ username: 'Alice', password: 'password123', role: 'member' });
+  server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => new Promise((resolve) => server.close(resolve)));
+
+function postLogin(username, password) {
+  return fetch(`${baseUrl}/login`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({ username, password }).toString(),
+    redirect: 'manual',
+  });
+}
+
+test('a fresh store seeds admin/admin and sends its first sign-in to /setup', async () => {
+  const usersFile = JSON.parse(fs.readFileSync(path.join(tempDir, 'users.json'), 'utf8'));
+  assert.ok(usersFile.users.some((user) => user.username === 'admin' && user.mustChangePassword));
+
+  const response = await postLogin('admin', 'admin');
+  assert.equal(response.status, 302);
+  assert.equal(response.headers.get('location'), '/setup');
+});
+
+test('POST /login rejects a wrong password', async () => {
+  const response = await postLogin('admin', 'not-the-password');
+  assert.equal(response.status, 401);
+});
+
+test('POST /login matches usernames regardless of case', async () => {
+  const response = await postLogin('Alice', 'password123');
+  assert.equal(response.status, 302);
+  assert.equal(response.headers.get('location'), '/');
+});
+
+test('a deleted admin account is not re-seeded on the next boot', async () => {
+  await createUser({ username: 'root', password: 'password123', role: 'admin' });
+  await deleteUser('admin');
+
+  await app.bootstrapStorage();
+  assert.equal(await getUserByUsername('admin'), undefined);
+  const response = await postLogin('admin', 'admin');
+  assert.equal(response.status, 401);
+});
+
+test('POST /login finds accounts stored with a mixed-case username', async () => {
+  // Accounts created before usernames were normalized keep their original case.
+  const { users } = await readUsers();
+  await writeUsers({
+    users: [...users, { username: 'LegacyBob', password: hashPassword('password123'), role: 'member', createdAt: new Date().toISOString() }],
+  });
+
+  const response = await postLogin('legacybob', 'password123');
+  assert.equal(response.status, 302);
+  assert.equal(response.headers.get('location'), '/');
+  assert.equal((await postLogin('LegacyBob', 'password123')).status, 302);
+});
@@ -0,0 +1,123 @@
+const { tempDir } = require('./helpers/env');
+
+process.env.CACHE_BACKEND = 'disk';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createCache, flushCacheFiles, getCacheStats } = require('../src/services/cacheService');
+
+const MINUTE_MS = 60 * 1000;
+
+// Flush before the helper's exit hook removes the temp dir; a flush on exit would recreate it.
+test.after(() => flushCacheFiles());
+
+function waitForRefresh(cache, key) {
+  return new Promise((resolve) => {
+    const poll = async () => {
+      const entry = await cache.get(key);
+      if (entry && entry.fresh) {
+        resolve(entry);
+        return;
+      }
+      setImmediate(poll);
+    };
+    poll();
+  });
+}
+
+test('entries are fresh for their TTL and stale for the stale window after it', async () => {
+  const cache = createCache('test-ttl', { ttlMs: MINUTE_MS, staleMs: MINUTE_MS });
+  await cache.set('fresh', 1);
+  await cache.set('stale', 2, { fetchedAt: Date.now() - (MINUTE_MS + 1000) });
+  await cache.set('expired', 3, { fetchedAt: Date.now() - (3 * MINUTE_MS) });
+
+  assert.equal((await cache.get('fresh')).fresh, true);
+  const stale = await cache.get('stale');
+  assert.equal(stale.fresh, false);
+  assert.equal(stale.value, 2);
+  assert.equal(await cache.get('expired'), null);
+  assert.deepEqual(Array.from((await cache.getMany(['fresh', 'missing'])).keys()), ['fresh']);
+});
+
+test('a TTL function can skip caching a value', async () => {
+  const cache = createCache('test-ttl-fn', { ttlMs: (value) => (value.ok ? MINUTE_MS : 0) });
+  await cache.set('good', { ok: true });
+  await cache.set('bad', { ok: false });
+  assert.deepEqual((await cache.get('good')).value, { ok: true });
+  assert.equal(await cache.get('bad'), null);
+});
+
+test('wrap serves a stale value and refreshes it in the background', async () => {
+  const cache = createCache('test-wrap', { ttlMs: MINUTE_MS, staleMs: MINUTE_MS });
+  let calls = 0;
+  const loader = async () => {
+    calls += 1;
+    return `v${calls}`;
+  };
+
+  assert.equal(await cache.wrap('key', loader), 'v1');
+  assert.equal(await cache.wrap('key', loader), 'v1');
+  assert.equal(calls, 1);
+
+  await cache.set('key', 'old', { fetchedAt: Date.now() - (MINUTE_MS + 1000) });
+  assert.equal(await cache.wrap('key', loader), 'old');
+  assert.equal((await waitForRefresh(cache, 'key')).value, 'v2');
+  assert.equal(calls, 2);
+});
+
+test('revalidate runs once per key while a refresh is in flight', async () => {
+  const cache = createCache('test-revalidate', { ttlMs: MINUTE_MS });
+  const batches = [];
+  let release;
+  const gate = new Promise((resolve) => {
+    release = resolve;
+  });
+  const task = async (keys) => {
+    batches.push(keys);
+    await gate;
+    await Promise.all(keys.map((key) => cache.set(key, key.toUpperCase())));
+  };
+
+  cache.revalidate(['a', 'b'], task);
+  cache.revalidate(['b', 'c'], task);
+  release();
+  await waitForRefresh(cache, 'c');
+  await waitForRefresh(cache, 'a');
+  assert.deepEqual(batches, [['a', 'b'], ['c']]);
+});
+
+test('the disk backend writes unexpired entries to one file per cache', async () => {
+  const cache = createCache('test-disk', { ttlMs: MINUTE_MS });
+  await cache.set('RELIANCE.NS', { price: 2905.4 });
+  await cache.set('OLD.NS', { price: 1 }, { fetchedAt: Date.now() - (2 * MINUTE_MS) });
+  flushCacheFiles();
+
+  const saved = JSON.parse(fs.readFileSync(path.join(tempDir, 'cache', 'test-disk.json'), 'utf8'));
+  assert.equal(saved.namespace, 'test-disk');
+  assert.deepEqual(Object.keys(saved.entries), ['RELIANCE.NS']);
+  assert.deepEqual(saved.entries['RELIANCE.NS'].value, { price: 2905.4 });
+});
+
+test('getCacheStats reports the backend and per-cache counters', async () => {
+  const cache = createCache('test-stats', { ttlMs: MINUTE_MS });
+  await cache.set('a', 1);
+  await cache.get('a');
+  await cache.get('b');
+
+  const stats = getCacheStats();
+  assert.equal(stats.backend, 'disk');
+  assert.equal(stats.persistence, 'disk');
+  const counters = stats.caches.find((item) => item.namespace === 'test-stats');
+  assert.equal(counters.entries, 1);
+  assert.equal(counters.hits, 1);
+  assert.equal(counters.misses, 1);
+  assert.equal(counters.writes, 1);
+  assert.equal(counters.hitRate, 0.5);
+});
+
+test('createCache rejects invalid and duplicate namespaces', () => {
+  assert.throws(() => createCache('Bad Name'), /Invalid cache namespace/);
+  assert.throws(() => createCache('test-stats'), /Cache already exists/);
+});
@@ -0,0 +1,42 @@
+require('./helpers/env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { readFixture } = require('./helpers/env');
+const {
+  parseCsvLine,
+  buildHeaderIndexMap,
+  readCsvCell,
+  toCsvCell,
+} = require('../src/utils/csv');
+
+const lines = readFixture('nse-equity.csv').trim().split(/\r?\n/);
+
+test('parseCsvLine splits plain rows and trims cells', () => {
+  assert.deepEqual(parseCsvLine(lines[0]).slice(0, 3), ['SYMBOL', 'NAME OF COMPANY', 'SERIES']);
+  assert.deepEqual(parseCsvLine(lines[1]), [
+    'RELIANCE', 'Reliance Industries Limited', 'EQ', '29-NOV-1995', '10', '1', 'INE002A01018', '10',
+  ]);
+});
+
+test('parseCsvLine keeps commas and escaped quotes inside quoted cells', () => {
+  assert.equal(parseCsvLine(lines[2])[1], 'Mahindra & Mahindra Limited');
+  assert.equal(parseCsvLine(lines[3])[1], 'Bajaj Auto "New" Limited');
+  assert.deepEqual(parseCsvLine('a,"b, c",,d'), ['a', 'b, c', '', 'd']);
+});
+
+test('readCsvCell matches headers ignoring case, spaces and punctuation', () => {
+  const headerMap = buildHeaderIndexMap(parseCsvLine(lines[0]));
+  const row = parseCsvLine(lines[1]);
+  assert.equal(readCsvCell(row, headerMap, ['isin_number']), 'INE002A01018');
+  assert.equal(readCsvCell(row, headerMap, ['ticker', 'Symbol']), 'RELIANCE');
+  assert.equal(readCsvCell(row, headerMap, ['missing']), '');
+});
+
+test('toCsvCell quotes only when needed', () => {
+  assert.equal(toCsvCell('plain'), 'plain');
+  assert.equal(toCsvCell('a,b'), '"a,b"');
+  assert.equal(toCsvCell('say "hi"'), '"say ""hi"""');
+  assert.equal(toCsvCell(true), 'Yes');
+  assert.equal(toCsvCell(null), '');
+  assert.equal(toCsvCell(0), '0');
+});
@@ -0,0 +1,32 @@
+require('./helpers/env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { initializeStore, addToWatchlist } = require('../src/store');
+const { generateDigests, getDigestStatus } = require('../src/services/digestService');
+
+test.before(async () => {
+  await initializeStore();
+  await addToWatchlist('asha', 'INFY.NS');
+  await addToWatchlist('ravi', 'TCS.NS');
+});
+
+test('two users building their digests at the same time each get their own', async () => {
+  const [first, second] = await Promise.all([
+    generateDigests({ reason: 'api', username: 'asha', session: 'pre-market', deliver: false }),
+    generateDigests({ reason: 'api', username: 'ravi', session: 'pre-market', deliver: false }),
+  ]);
+  assert.deepEqual(first.map((digest) => digest.username), ['asha']);
+  assert.deepEqual(second.map((digest) => digest.username), ['ravi']);
+  // User-scoped runs do not replace the status of the last all-users run.
+  assert.equal(getDigestStatus().run.status, 'idle');
+});
+
+test('a request for another session waits for the in-flight run instead of joining it', async () => {
+  const scheduled = generateDigests({ reason: 'scheduled-cron', session: 'pre-market' });
+  const manual = generateDigests({ reason: 'api', username: 'asha', session: 'post-market', deliver: false });
+  const [all, own] = await Promise.all([scheduled, manual]);
+
+  assert.ok(all.every((digest) => digest.session === 'pre-market'));
+  assert.deepEqual(own.map((digest) => [digest.username, digest.session]), [['asha', 'post-market']]);
+  assert.equal(getDigestStatus().run.reason, 'scheduled-cron');
+});
@@ -0,0 +1,63 @@
+require('./helpers/env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { readFixture } = require('./helpers/env');
+const { parseRssItems } = require('../src/services/newsService');
+const { parseEventsFromScreenerHtml } = require('../src/services/eventsService');
+
+test('parseRssItems reads title, link, date and source of every titled item', () => {
+  const items = parseRssItems(readFixture('google-news-rss.xml'), 'Google News');
+  assert.equal(items.length, 2);
+  const { description, ...first } = items[0];
+  assert.deepEqual(first, {
+    title: 'Reliance Industries Q2 results: Net profit rises 9.6% to Rs 18,165 crore - The Economic Times',
+    link: 'https://news.google.com/rss/articles/CBMiAAA?oc=5',
+    pubDate: 'Fri, 17 Oct 2025 14:05:00 GMT',
+    source: 'The Economic Times',
+  });
+  assert.match(description, /^Reliance Industries Q2 results/);
+  assert.doesNotMatch(description, /<a|<font/);
+});
+
+test('parseRssItems unwraps CDATA and falls back to the provider label', () => {
+  const [, second] = parseRssItems(readFixture('google-news-rss.xml'), 'Google News');
+  assert.equal(second.title, 'Jio Financial & Reliance: what brokerages say');
+  assert.equal(second.description, '');
+  assert.equal(second.source, 'Google News');
+});
+
+test('parseRssItems returns nothing for empty or non-RSS input', () => {
+  assert.deepEqual(parseRssItems('', 'Google News'), []);
+  assert.deepEqual(parseRssItems('<html><body>blocked</body></html>', 'Google News'), []);
+});
+
+test('parseEventsFromScreenerHtml keeps upcoming results and concalls in the window', () => {
+  const events = parseEventsFromScreenerHtml(
+    'TCS.NS',
+    readFixture('screener-events.html'),
+    new Date(2026, 9, 1),
+    new Date(2026, 10, 30),
+  );
+
+  assert.deepEqual(events.map((event) => [event.eventType, event.eventDate]), [
+    ['results', '2026-10-09'],
+    ['concall', '2026-10-10'],
+  ]);
+  assert.equal(events[0].companyName, 'Tata Consultancy Services Ltd');
+  assert.equal(events[0].eventLabel, 'Results');
+  assert.equal(events[0].source, 'screener');
+  assert.equal(events[0].url, 'https://www.screener.in/company/source/quarter/?id=123');
+  assert.doesNotMatch(events[0].title, /^2d -/);
+  assert.equal(events[1].url, 'https://www.bseindia.com/xml-data/corpfiling/AttachLive/abc.pdf');
+});
+
+test('parseEventsFromScreenerHtml ignores dates outside the window', () => {
+  const events = parseEventsFromScreenerHtml(
+    'TCS.NS',
+    readFixture('screener-events.html'),
+    new Date(2026, 9, 10),
+    new Date(2026, 9, 31),
+  );
+  assert.deepEqual(events.map((event) => event.eventType), ['concall']);
+  assert.deepEqual(parseEventsFromScreenerHtml('TCS.NS', '', new Date(2026, 0, 1), new Date(2026, 11, 31)), []);
+});
@@ -0,0 +1,43 @@
+// Required first by every test file (each runs in its own process): pins the timezone and points
+// every store at a throwaway directory, so tests never touch ./data, MongoDB or the network.
+// Market data is replayed from an empty fixture directory, i.e. every provider call misses.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.TZ = 'UTC';
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stock-tracker-test-'));
+
+Object.assign(process.env, {
+  MONGODB_URI: '',
+  DATA_FILE_PATH: path.join(tempDir, 'db.json'),
+  USERS_FILE_PATH: path.join(tempDir, 'users.json'),
+  SYMBOL_MASTER_FILE_PATH: path.join(tempDir, 'symbol_master.json'),
+  SALES_SNAPSHOT_FILE_PATH: path.join(tempDir, 'daily_sales.json'),
+  NOTIFICATION_LOG_FILE_PATH: path.join(tempDir, 'notification_deliveries.json'),
+  DIGEST_FILE_PATH: path.join(tempDir, 'digests.json'),
+  PORTFOLIO_SNAPSHOT_FILE_PATH: path.join(tempDir, 'portfolio_snapshots.json'),
+  AUTH_AUDIT_FILE_PATH: path.join(tempDir, 'auth_audit.json'),
+  MARKET_CALENDAR_FILE_PATH: path.join(tempDir, 'market_calendar.json'),
+  PRICE_HISTORY_DIR: path.join(tempDir, 'price_history'),
+  STAGE_HISTORY_DIR: path.join(tempDir, 'stage_history'),
+  MARKET_DATA_FIXTURE_DIR: path.join(tempDir, 'fixtures'),
+  CACHE_DIR: path.join(tempDir, 'cache'),
+  MARKET_DATA_PROVIDER_ORDER: 'fixture',
+  MARKET_DATA_FIXTURE_MODE: 'replay',
+  KEEP_ALIVE_ENABLED: 'false',
+});
+
+process.on('exit', () => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+function readFixture(name) {
+  return fs.readFileSync(path.join(__dirname, '../fixtures', name), 'utf8');
+}
+
+module.exports = {
+  tempDir,
+  readFixture,
+};
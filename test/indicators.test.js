@@ -0,0 +1,122 @@
+require('./helpers/env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  smaSeries,
+  emaSeries,
+  rsiSeries,
+  macdSeries,
+  bollingerBands,
+  weeklyCloses,
+  computeIndicators,
+  INDICATOR_FIELDS,
+} = require('../src/services/indicatorService');
+const { classifyWeinsteinStage } = require('../src/services/marketDataService');
+const { classifyWeeklyStages, buildStageSegments } = require('../src/services/stageHistoryService');
+
+function approx(actual, expected, tolerance = 1e-9) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+}
+
+function dailySeries(closes, startDate = '2025-01-06') {
+  const start = Date.parse(`${startDate}T00:00:00Z`);
+  return closes.map((close, index) => ({
+    date: new Date(start + (index * 24 * 60 * 60 * 1000)).toISOString().slice(0, 10),
+    close,
+    high: close + 1,
+    low: close - 1,
+  }));
+}
+
+test('smaSeries averages the trailing window and is null before it fills', () => {
+  assert.deepEqual(smaSeries([1, 2, 3, 4, 5], 3), [null, null, 2, 3, 4]);
+  assert.deepEqual(smaSeries([1, 2], 3), [null, null]);
+});
+
+test('emaSeries is seeded with the SMA of the first period', () => {
+  const ema = emaSeries([2, 4, 6, 8, 10], 3);
+  assert.deepEqual(ema.slice(0, 3), [null, null, 4]);
+  approx(ema[3], 6);
+  approx(ema[4], 8);
+  assert.deepEqual(emaSeries([1, 2], 3), [null, null]);
+});
+
+test('rsiSeries is 100 for a steady rise, 0 for a steady fall and 50 when flat', () => {
+  const rising = Array.from({ length: 20 }, (_value, index) => 100 + index);
+  assert.equal(rsiSeries(rising)[13], null);
+  assert.equal(rsiSeries(rising)[14], 100);
+  assert.equal(rsiSeries([...rising].reverse())[19], 0);
+  assert.equal(rsiSeries(new Array(20).fill(100))[19], 50);
+});
+
+test('macdSeries has a positive histogram once a rise accelerates', () => {
+  const closes = Array.from({ length: 60 }, (_value, index) => 100 + ((index ** 2) / 20));
+  const { macd, signal, histogram } = macdSeries(closes);
+  assert.equal(macd[24], null);
+  assert.notEqual(macd[25], null);
+  assert.equal(signal[32], null);
+  assert.ok(histogram[59] > 0);
+});
+
+test('bollingerBands centre on the 20-day SMA', () => {
+  assert.equal(bollingerBands([1, 2, 3]), null);
+  const bands = bollingerBands(new Array(20).fill(50));
+  assert.deepEqual(bands, { upper: 50, middle: 50, lower: 50, percentB: 0.5 });
+});
+
+test('weeklyCloses keeps the last close of each Monday-based week', () => {
+  const weeks = weeklyCloses(dailySeries([10, 11, 12, 13, 14, 15, 16, 17, 18]));
+  assert.deepEqual(weeks, [
+    { week: '2025-01-06', close: 16 },
+    { week: '2025-01-13', close: 18 },
+  ]);
+});
+
+test('computeIndicators returns every field, null when the series is too short', () => {
+  const short = computeIndicators(dailySeries([100]));
+  assert.deepEqual(Object.keys(short), INDICATOR_FIELDS);
+  assert.ok(Object.values(short).every((value) => value === null));
+
+  const rising = computeIndicators(dailySeries(Array.from({ length: 60 }, (_value, index) => 100 + index)));
+  assert.equal(rising.rsi14, 100);
+  assert.ok(rising.macd > 0);
+  assert.ok(rising.adx14 > 0);
+  assert.ok(rising.plusDi14 > rising.minusDi14);
+  assert.equal(rising.mansfieldRs, null);
+});
+
+test('classifyWeinsteinStage uses price vs. the 30-week SMA and its slope', () => {
+  assert.equal(classifyWeinsteinStage({ close: 110, sma30Week: 100, prevSma30Week: 99 }), 'Markup');
+  assert.equal(classifyWeinsteinStage({ close: 90, sma30Week: 100, prevSma30Week: 101 }), 'Markdown');
+  assert.equal(classifyWeinsteinStage({ close: 110, sma30Week: 100, prevSma30Week: 100 }), 'Accumulation');
+  assert.equal(classifyWeinsteinStage({ close: 90, sma30Week: 100, prevSma30Week: 100 }), 'Distribution');
+  assert.equal(classifyWeinsteinStage({ close: 90, sma30Week: 100, prevSma30Week: 99.99 }), 'Distribution');
+  assert.equal(classifyWeinsteinStage({ close: 90, sma30Week: null, prevSma30Week: 100 }), '');
+});
+
+test('classifyWeeklyStages and buildStageSegments turn weekly bars into stage segments', () => {
+  const closes = [
+    ...new Array(31).fill(100),
+    ...Array.from({ length: 5 }, (_value, index) => 110 + (index * 5)),
+    ...Array.from({ length: 4 }, (_value, index) => 80 - (index * 5)),
+  ];
+  const weeks = classifyWeeklyStages(closes.map((close, index) => ({
+    date: new Date(Date.parse('2024-01-01T00:00:00Z') + (index * 7 * 24 * 60 * 60 * 1000)).toISOString().slice(0, 10),
+    close,
+  })));
+
+  assert.equal(weeks[29].stage, '');
+  assert.equal(weeks[30].stage, 'Accumulation');
+  assert.equal(weeks[31].stage, 'Markup');
+  assert.equal(weeks[31].sma30w, Number((3010 / 30).toFixed(4)));
+
+  const segments = buildStageSegments(weeks);
+  assert.deepEqual(segments.map((segment) => [segment.stage, segment.weeks]), [
+    ['Accumulation', 1],
+    ['Markup', 5],
+    ['Markdown', 4],
+  ]);
+  assert.equal(segments[1].from, weeks[31].date);
+  assert.equal(segments[1].to, weeks[35].date);
+  assert.equal(segments[2].to, weeks[39].date);
+});
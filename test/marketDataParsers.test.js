@@ -0,0 +1,81 @@
+require('./helpers/env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { readFixture } = require('./helpers/env');
+const {
+  extractQuarterlyTableHtml,
+  parseQuarterlyFinancialTable,
+  parseBseQuotePayload,
+  parseBseGraphSeries,
+} = require('../src/services/marketDataService');
+
+function toIsoDay(item) {
+  return new Date(item.ts * 1000).toISOString().slice(0, 10);
+}
+
+test('extractQuarterlyTableHtml picks the table inside the quarters section', () => {
+  const table = extractQuarterlyTableHtml(readFixture('screener-quarterly.html'));
+  assert.match(table, /^<table/);
+  assert.match(table, /Jun 2025/);
+  assert.doesNotMatch(table, /Mar 2024/);
+  assert.equal(extractQuarterlyTableHtml('<html><body>No results</body></html>'), '');
+});
+
+test('parseQuarterlyFinancialTable keeps the latest quarters and drops TTM', () => {
+  const parsed = parseQuarterlyFinancialTable(extractQuarterlyTableHtml(readFixture('screener-quarterly.html')), 4);
+  assert.deepEqual(parsed.quarterLabels, ['Sep 2024', 'Dec 2024', 'Mar 2025', 'Jun 2025']);
+
+  const byKey = new Map(parsed.metrics.map((metric) => [metric.key, metric]));
+  assert.deepEqual(byKey.get('sales plus').values, [231535, 239986, 261388, 243632]);
+  assert.equal(byKey.get('sales plus').label, 'Sales +');
+  assert.deepEqual(byKey.get('operating profit').values, [39058, 43530, 43832, 44548]);
+  assert.deepEqual(byKey.get('opm percent').values, [17, 18, 17, 18]);
+  assert.deepEqual(byKey.get('net profit plus').values, [19323, 21930, 22611, 30783]);
+  assert.deepEqual(byKey.get('eps in rs').values, [12.24, 13.7, 14.34, 19.95]);
+});
+
+test('parseQuarterlyFinancialTable returns empty results for tables without quarters', () => {
+  const empty = { quarterLabels: [], metrics: [] };
+  assert.deepEqual(parseQuarterlyFinancialTable(''), empty);
+  assert.deepEqual(parseQuarterlyFinancialTable('<table><tr><th></th></tr><tr><td>Sales</td></tr></table>'), empty);
+});
+
+test('parseBseQuotePayload reads the quote header', () => {
+  const quote = parseBseQuotePayload(JSON.parse(readFixture('bse-quote.json')), '500325.BO');
+  assert.equal(quote.symbol, '500325.BO');
+  assert.equal(quote.shortName, 'RELIANCE INDUSTRIES LTD.');
+  assert.equal(quote.exchange, 'BSE');
+  assert.equal(quote.source, 'bseindia');
+  assert.equal(quote.regularMarketPrice, 2905.4);
+  assert.equal(quote.regularMarketChange, 25.15);
+  assert.equal(quote.regularMarketChangePercent, 0.87);
+  assert.equal(quote.previousClose, 2880.25);
+  assert.equal(quote.dayHigh, 2912.8);
+  assert.equal(quote.dayLow, 2876.1);
+});
+
+test('parseBseQuotePayload returns null without a price', () => {
+  assert.equal(parseBseQuotePayload(JSON.parse(readFixture('bse-quote-empty.json')), '500325.BO'), null);
+  assert.equal(parseBseQuotePayload(null, '500325.BO'), null);
+  assert.equal(parseBseQuotePayload('LTP=1', '500325.BO'), null);
+});
+
+test('parseBseGraphSeries sorts JSON rows, keeps the latest close per day and skips bad rows', () => {
+  const series = parseBseGraphSeries(JSON.parse(readFixture('bse-graph.json')));
+  assert.deepEqual(series.map(toIsoDay), ['2025-10-07', '2025-10-08', '2025-10-09']);
+  assert.deepEqual(series.map((item) => item.close), [1362.1, 1370.5, 1381.95]);
+});
+
+test('parseBseGraphSeries reads delimited text with DD/MM/YYYY dates', () => {
+  const series = parseBseGraphSeries(readFixture('bse-graph.txt'));
+  assert.deepEqual(series.map(toIsoDay), ['2025-10-07', '2025-10-08', '2025-10-09']);
+  assert.deepEqual(series.map((item) => item.close), [1362.1, 1370.5, 1381.95]);
+});
+
+test('parseBseGraphSeries reads array rows and JSON text', () => {
+  const rows = [['2025-10-07', 1350, 1365, 1349, '1,362.10'], ['2025-10-08', 1362, 1372, 1360, 1370.5]];
+  assert.deepEqual(parseBseGraphSeries(rows).map((item) => item.close), [1362.1, 1370.5]);
+  assert.deepEqual(parseBseGraphSeries(JSON.stringify({ data: rows })).map(toIsoDay), ['2025-10-07', '2025-10-08']);
+  assert.deepEqual(parseBseGraphSeries(''), []);
+  assert.deepEqual(parseBseGraphSeries({ Data: [] }), []);
+});
@@ -0,0 +1,58 @@
+require('./helpers/env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calculatePortfolioAnalytics } = require('../src/services/marketDataService');
+
+const transactions = [
+  { id: 't1', type: 'BUY', symbol: 'TCS', date: '2025-01-10', quantity: 10, price: 100, charges: 0 },
+  { id: 't2', type: 'BUY', symbol: 'TCS', date: '2025-02-10', quantity: 10, price: 120, charges: 20 },
+  { id: 't3', type: 'SELL', symbol: 'TCS', date: '2025-03-10', quantity: 5, price: 150, charges: 0 },
+  { id: 't4', type: 'BUY', symbol: 'INFY', date: '2025-03-12', quantity: 4, price: 1500, charges: 0 },
+];
+
+const quotes = [{ symbol: 'TCS.NS', regularMarketPrice: 140 }];
+
+test('calculatePortfolioAnalytics matches sells against the oldest lots first', () => {
+  const analytics = calculatePortfolioAnalytics(transactions, quotes);
+  assert.equal(analytics.summary.realizedPnl, 250);
+
+  const tcs = analytics.positions.find((position) => position.symbol === 'TCS.NS');
+  assert.equal(tcs.quantity, 15);
+  assert.equal(tcs.invested, 1720);
+  assert.equal(tcs.current, 2100);
+  assert.equal(tcs.pnl, 380);
+  assert.equal(tcs.valuationMode, 'market');
+});
+
+test('calculatePortfolioAnalytics values holdings without a quote at cost', () => {
+  const analytics = calculatePortfolioAnalytics(transactions, quotes);
+  const infy = analytics.positions.find((position) => position.symbol === 'INFY.NS');
+  assert.equal(infy.valuationMode, 'cost');
+  assert.equal(infy.invested, 6000);
+  assert.equal(infy.current, 6000);
+  assert.equal(infy.pnl, 0);
+
+  assert.equal(analytics.summary.invested, 7720);
+  assert.equal(analytics.summary.current, 8100);
+  assert.equal(analytics.summary.unrealizedPnl, 380);
+  assert.equal(analytics.summary.totalPnl, 630);
+});
+
+test('calculatePortfolioAnalytics adds dividends on the shares held at the ex-date', () => {
+  const analytics = calculatePortfolioAnalytics([
+    ...transactions,
+    { id: 't5', type: 'DIVIDEND', symbol: 'TCS', date: '2025-04-01', amountPerShare: 2 },
+  ], quotes);
+  assert.equal(analytics.summary.dividendIncome, 30);
+  assert.equal(analytics.summary.totalPnl, 660);
+  assert.equal(analytics.dividends.length, 1);
+});
+
+test('calculatePortfolioAnalytics accepts pre-ledger averaged positions', () => {
+  const analytics = calculatePortfolioAnalytics([{ symbol: 'SBIN', quantity: 10, avgPrice: 500 }], []);
+  assert.equal(analytics.positions.length, 1);
+  assert.equal(analytics.positions[0].symbol, 'SBIN.NS');
+  assert.equal(analytics.positions[0].valuationMode, 'cost');
+  assert.equal(analytics.summary.invested, 5000);
+  assert.deepEqual(analytics.realized, []);
+});
@@ -0,0 +1,23 @@
+require('./helpers/env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { initializeStore, getTransactions } = require('../src/store');
+const { previewPortfolioImport, commitPortfolioImport } = require('../src/services/portfolioImportService');
+
+const HOLDINGS_CSV = 'Instrument,Qty.,Avg. cost\nINFY,10,1500\nTCS,2,3500\n';
+
+test.before(() => initializeStore());
+
+test('re-importing holdings on a later date marks them as duplicates', async () => {
+  const first = previewPortfolioImport('importer', HOLDINGS_CSV, { date: '2025-01-10' });
+  assert.equal(first.broker, 'zerodha');
+  assert.equal(first.summary.valid, 2);
+  await commitPortfolioImport('importer', first);
+
+  const later = previewPortfolioImport('importer', `${HOLDINGS_CSV}HDFCBANK,5,1600\n`, { date: '2025-02-10' });
+  assert.deepEqual(later.rows.map((row) => row.status), ['duplicate', 'duplicate', 'ok']);
+  await commitPortfolioImport('importer', later);
+
+  const quantities = (await getTransactions('importer')).map((transaction) => [transaction.symbol, transaction.quantity]);
+  assert.deepEqual(quantities.sort(), [['HDFCBANK.NS', 5], ['INFY.NS', 10], ['TCS.NS', 2]]);
+});
@@ -0,0 +1,34 @@
+require('./helpers/env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { initializeStore, addTransaction } = require('../src/store');
+const { takePortfolioSnapshots, getPortfolioSnapshotStatus } = require('../src/services/portfolioPerformanceService');
+
+test.before(async () => {
+  await initializeStore();
+  await addTransaction('asha', { type: 'BUY', symbol: 'INFY.NS', date: '2025-01-10', quantity: 4, price: 1500 });
+  await addTransaction('ravi', { type: 'BUY', symbol: 'TCS.NS', date: '2025-01-10', quantity: 2, price: 3500 });
+});
+
+test('a user-scoped run started during another user\'s run still snapshots the caller', async () => {
+  const first = takePortfolioSnapshots({ reason: 'api', username: 'asha' });
+  const second = takePortfolioSnapshots({ reason: 'api', username: 'ravi' });
+  await Promise.all([first, second]);
+
+  const status = getPortfolioSnapshotStatus();
+  assert.equal(status.users, 2);
+  assert.equal(status.totalSnapshots, 2);
+  // User-scoped runs do not replace the status of the last all-users run.
+  assert.equal(status.run.status, 'idle');
+});
+
+test('an all-users run is joined by user-scoped requests and recorded in the status', async () => {
+  const all = takePortfolioSnapshots({ reason: 'scheduled-cron' });
+  const joined = takePortfolioSnapshots({ reason: 'api', username: 'asha' });
+  assert.equal(await joined, await all);
+
+  const { run } = getPortfolioSnapshotStatus();
+  assert.equal(run.status, 'completed');
+  assert.equal(run.reason, 'scheduled-cron');
+  assert.equal(run.users, 2);
+});
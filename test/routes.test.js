@@ -0,0 +1,159 @@
+const { tempDir } = require('./helpers/env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const app = require('../server');
+const { initializeStore } = require('../src/store');
+const { createUser, createApiToken } = require('../src/services/authService');
+
+let server;
+let baseUrl;
+let token;
+
+test.before(async () => {
+  await initializeStore();
+  await createUser({ username: 'tester', password: 'password123', role: 'member' });
+  ({ token } = await createApiToken('tester', { name: 'tests', scope: 'write' }));
+
+  server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => new Promise((resolve) => server.close(resolve)));
+
+async function request(method, url, { body, auth = true } = {}) {
+  const headers = { accept: 'application/json' };
+  if (auth) {
+    headers.authorization = `Bearer ${token}`;
+  }
+  if (body !== undefined) {
+    headers['content-type'] = 'application/json';
+  }
+
+  const response = await fetch(`${baseUrl}${url}`, {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+function readJsonStore() {
+  return JSON.parse(fs.readFileSync(path.join(tempDir, 'db.json'), 'utf8'));
+}
+
+test('GET /api/health is public', async () => {
+  const { status, body } = await request('GET', '/api/health', { auth: false });
+  assert.equal(status, 200);
+  assert.equal(body.ok, true);
+});
+
+test('API routes require a session or an API token', async () => {
+  const { status, body } = await request('GET', '/api/watchlist', { auth: false });
+  assert.equal(status, 401);
+  assert.equal(body.code, 'auth_required');
+});
+
+test('POST /api/watchlist resolves the symbol and stores it in the JSON store', async () => {
+  const created = await request('POST', '/api/watchlist', { body: { symbol: 'hdfcbank' } });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.resolvedSymbol, 'HDFCBANK.NS');
+
+  const { status, body } = await request('GET', '/api/watchlist/entries');
+  assert.equal(status, 200);
+  assert.ok(body.watchlist.includes('HDFCBANK.NS'));
+  assert.match(JSON.stringify(readJsonStore()), /HDFCBANK\.NS/);
+});
+
+test('POST /api/watchlist rejects input that is not a symbol', async () => {
+  const { status, body } = await request('POST', '/api/watchlist', { body: { symbol: '' } });
+  assert.equal(status, 400);
+  assert.match(body.error, /Could not resolve symbol/);
+});
+
+test('DELETE /api/watchlist/:symbol removes the symbol', async () => {
+  const { status } = await request('DELETE', '/api/watchlist/HDFCBANK.NS');
+  assert.equal(status, 200);
+
+  const { body } = await request('GET', '/api/watchlist/entries');
+  assert.equal(body.watchlist.includes('HDFCBANK.NS'), false);
+});
+
+test('POST /api/portfolio/transactions records the trade and values it at cost offline', async () => {
+  const { status, body } = await request('POST', '/api/portfolio/transactions', {
+    body: { type: 'BUY', symbol: 'INFY', date: '2025-03-12', quantity: 4, price: 1500 },
+  });
+  assert.equal(status, 201);
+  assert.equal(body.positions.length, 1);
+  assert.equal(body.positions[0].symbol, 'INFY.NS');
+  assert.equal(body.positions[0].valuationMode, 'cost');
+  assert.equal(body.summary.invested, 6000);
+
+  const listed = await request('GET', '/api/portfolio/transactions');
+  assert.equal(listed.body.total, 1);
+  assert.match(JSON.stringify(readJsonStore()), /INFY\.NS/);
+});
+
+test('GET /api/market/providers reports fixture replay mode', async () => {
+  const { status, body } = await request('GET', '/api/market/providers');
+  assert.equal(status, 200);
+  assert.equal(body.fixtures.mode, 'replay');
+});
+
+test('GET /api/storage/status reports JSON storage and cache statistics', async () => {
+  const { status, body } = await request('GET', '/api/storage/status');
+  assert.equal(status, 200);
+  assert.equal(body.storage.active, 'json');
+  assert.equal(body.cache.backend, 'memory');
+  const quotes = body.cache.caches.find((cache) => cache.namespace === 'quotes');
+  assert.ok(quotes.writes > 0);
+});
+
+test('admin-only routes reject members', async () => {
+  const { status, body } = await request('POST', '/api/market/providers/yahoo/breaker', { body: { action: 'open' } });
+  assert.equal(status, 403);
+  assert.equal(body.code, 'forbidden');
+});
+
+test('PATCH /api/notifications/channels/:id keeps the email recipient when only toggling', async () => {
+  const created = await request('POST', '/api/notifications/channels', {
+    body: { type: 'email', name: 'Inbox', config: { to: 'tester@example.com' } },
+  });
+  assert.equal(created.status, 201);
+  const { id } = created.body.channel;
+
+  const disabled = await request('PATCH', `/api/notifications/channels/${id}`, { body: { enabled: false } });
+  assert.equal(disabled.status, 200);
+  assert.equal(disabled.body.channel.enabled, false);
+  assert.equal(disabled.body.channel.config.to, 'tester@example.com');
+
+  const events = await request('PATCH', `/api/notifications/channels/${id}`, { body: { events: ['alert.triggered'] } });
+  assert.equal(events.status, 200);
+  assert.deepEqual(events.body.channel.events, ['alert.triggered']);
+  assert.equal(events.body.channel.config.to, 'tester@example.com');
+});
+
+test('POST /api/notifications/channels rejects webhooks to local and private addresses', async () => {
+  const urls = ['http://127.0.0.1:8025/webhook', 'http://localhost/hook', 'http://10.1.2.3/', 'http://[::ffff:192.168.0.1]/', 'http://169.254.169.254/latest'];
+  for (const url of urls) {
+    const { status, body } = await request('POST', '/api/notifications/channels', { body: { type: 'webhook', config: { url } } });
+    assert.equal(status, 400, url);
+    assert.match(body.error, /private network address/);
+  }
+});
+
+test('GET /api/db masks notification channel secrets', async () => {
+  const created = await request('POST', '/api/notifications/channels', {
+    body: { type: 'webhook', config: { url: 'https://hooks.example.com/tracker', secret: 'supersecretvalue1234' } },
+  });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.channel.config.secret, 'supersecretvalue1234');
+
+  const { status, body } = await request('GET', '/api/db');
+  assert.equal(status, 200);
+  const channel = body.notificationChannels.find((item) => item.id === created.body.channel.id);
+  assert.equal(channel.config.secret, '****1234');
+  assert.doesNotMatch(JSON.stringify(body), /supersecretvalue/);
+});
@@ -0,0 +1,42 @@
+require('./helpers/env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeIndianSymbol, stripExchangeSuffix, toDisplaySymbol } = require('../src/utils/symbols');
+
+test('normalizeIndianSymbol defaults plain tickers to NSE', () => {
+  assert.equal(normalizeIndianSymbol('reliance'), 'RELIANCE.NS');
+  assert.equal(normalizeIndianSymbol('  tata motors '), 'TATAMOTORS.NS');
+  assert.equal(normalizeIndianSymbol('BAJAJ-AUTO'), 'BAJAJ-AUTO.NS');
+});
+
+test('normalizeIndianSymbol maps exchange suffixes', () => {
+  assert.equal(normalizeIndianSymbol('INFY.NSE'), 'INFY.NS');
+  assert.equal(normalizeIndianSymbol('INFY.NS'), 'INFY.NS');
+  assert.equal(normalizeIndianSymbol('INFY.BSE'), 'INFY.BO');
+  assert.equal(normalizeIndianSymbol('infy.bo'), 'INFY.BO');
+});
+
+test('normalizeIndianSymbol treats numeric scrip codes as BSE', () => {
+  assert.equal(normalizeIndianSymbol('500325'), '500325.BO');
+  assert.equal(normalizeIndianSymbol('500325.NS'), '500325.BO');
+  assert.equal(normalizeIndianSymbol('https://www.screener.in/company/543210/consolidated/'), '543210.BO');
+});
+
+test('normalizeIndianSymbol rejects empty and non-string input', () => {
+  assert.equal(normalizeIndianSymbol(''), '');
+  assert.equal(normalizeIndianSymbol('   '), '');
+  assert.equal(normalizeIndianSymbol(null), '');
+  assert.equal(normalizeIndianSymbol(500325), '');
+});
+
+test('normalizeIndianSymbol keeps inputs it cannot parse as typed', () => {
+  assert.equal(normalizeIndianSymbol('M&M'), 'M&M');
+});
+
+test('stripExchangeSuffix and toDisplaySymbol', () => {
+  assert.equal(stripExchangeSuffix('reliance.ns'), 'RELIANCE');
+  assert.equal(stripExchangeSuffix('500325.BO'), '500325');
+  assert.equal(toDisplaySymbol('RELIANCE.NS'), 'RELIANCE (NSE)');
+  assert.equal(toDisplaySymbol('500325.BO'), '500325 (BSE)');
+  assert.equal(toDisplaySymbol(''), '');
+});